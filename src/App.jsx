@@ -1,5 +1,5 @@
-import React, { useState, useRef, useEffect, createContext, useContext, useCallback } from 'react';
-import { createPortal } from 'react-dom';
+import React, { useState, useRef, useEffect, useMemo, createContext, useContext, useCallback, useId, useSyncExternalStore } from 'react';
+import { createPortal, flushSync } from 'react-dom';
 import { select } from 'd3-selection';
 import { scaleLinear } from 'd3-scale';
 import { line, curveMonotoneX, arc } from 'd3-shape';
@@ -9,9 +9,178 @@ import 'd3-transition'; // extends selection with .transition()
 // Edit Mode Context
 const EditModeContext = createContext({ isEditMode: false });
 
+// Print Context: while printing, every section renders in order with all tabs and categories expanded
+const PrintContext = createContext({ isPrinting: false });
+
+// Audience Context: the audience preset being viewed (null for the full playbook), which limits and orders tabs
+const AudienceContext = createContext({ preset: null });
+
+// Hash routing: #/<sectionId>?tab=cadences&principle=4 — the visible section plus its view state
+// (tab, open principle, 30-60-90 phase, summary/detail). Params belong to that section and reset when it changes,
+// except STICKY_ROUTE_PARAMS (the audience preset), which carry over until a route sets them explicitly.
+const parseHashRoute = (hash) => {
+  const raw = (hash || '').replace(/^#\/?/, '');
+  const queryStart = raw.indexOf('?');
+  const path = queryStart === -1 ? raw : raw.slice(0, queryStart);
+  const query = queryStart === -1 ? '' : raw.slice(queryStart + 1);
+  return { section: decodeURIComponent(path) || null, params: Object.fromEntries(new URLSearchParams(query)) };
+};
+
+const formatHashRoute = ({ section, params = {} }) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v !== null && v !== undefined && v !== '').map(([k, v]) => [k, String(v)])
+  ).toString();
+  return `#/${encodeURIComponent(section || '')}${query ? `?${query}` : ''}`;
+};
+
+const currentHash = () => (typeof window === 'undefined' ? '' : window.location.hash);
+
+let hashRouteCache = { hash: null, route: null };
+const getHashRoute = () => {
+  const hash = currentHash();
+  if (hashRouteCache.hash !== hash) hashRouteCache = { hash, route: parseHashRoute(hash) };
+  return hashRouteCache.route;
+};
+
+const hashRouteListeners = new Set();
+const subscribeHashRoute = (listener) => {
+  hashRouteListeners.add(listener);
+  window.addEventListener('popstate', listener);
+  window.addEventListener('hashchange', listener);
+  return () => {
+    hashRouteListeners.delete(listener);
+    window.removeEventListener('popstate', listener);
+    window.removeEventListener('hashchange', listener);
+  };
+};
+
+const STICKY_ROUTE_PARAMS = ['audience'];
+
+// Pushes a history entry so back/forward step through views; replace for changes that shouldn't
+const navigateHashRoute = (route, { replace = false } = {}) => {
+  const current = getHashRoute().params;
+  const sticky = Object.fromEntries(STICKY_ROUTE_PARAMS.filter((name) => name in current).map((name) => [name, current[name]]));
+  const hash = formatHashRoute({ ...route, params: { ...sticky, ...route.params } });
+  if (hash === currentHash()) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+  hashRouteListeners.forEach((listener) => listener());
+};
+
+const useHashRoute = () => useSyncExternalStore(subscribeHashRoute, getHashRoute, getHashRoute);
+
+const formatRouteParam = (value) => String(value);
+
+// [value, setValue] for one param of the current route; missing or invalid (parse → null) values read as defaultValue
+const useRouteParam = (name, defaultValue, { parse = (v) => v, format = formatRouteParam } = {}) => {
+  const route = useHashRoute();
+  const raw = route.params[name];
+  const parsed = raw === undefined ? null : parse(raw);
+  const value = parsed === null || parsed === undefined ? defaultValue : parsed;
+
+  // Reads the route at call time: D3 click handlers keep the setter from the render that bound them
+  const setValue = useCallback((next, options) => {
+    const { section, params } = getHashRoute();
+    const nextParams = { ...params };
+    if (next === null || next === undefined || next === defaultValue) delete nextParams[name];
+    else nextParams[name] = format(next);
+    navigateHashRoute({ section, params: nextParams }, options);
+  }, [name, defaultValue, format]);
+
+  return [value, setValue];
+};
+
+// Indexes are 1-based in the URL (#/leadership?principle=4 is the fourth principle)
+const ROUTE_INDEX_PARAM = {
+  parse: (v) => {
+    const n = Number.parseInt(v, 10);
+    return Number.isInteger(n) && n >= 1 ? n - 1 : null;
+  },
+  format: (index) => String(index + 1)
+};
+
+// Tabs per section; ids are the sections' activeTab values (also used for presentation slides)
+const SECTION_TABS = {
+  leadership: [{ id: 'principles', label: 'Principles' }, { id: 'partnerships', label: 'Principles in Action' }],
+  hiring: [
+    { id: 'profile', label: 'SA Profile' },
+    { id: 'hireFast', label: 'How to Hire Fast' },
+    { id: 'balance', label: 'Balancing Act' },
+    { id: 'hiring', label: 'Internal vs External' },
+    { id: 'culture', label: 'Maintaining Culture' }
+  ],
+  gtm: [{ id: 'presale', label: 'Pre-Sale Impact' }, { id: 'postsale', label: 'Post-Sale Impact' }, { id: 'adaptation', label: 'Strategy Adaptation' }],
+  operating: [{ id: 'metrics', label: 'Metrics' }, { id: 'capacity', label: 'SA Capacity' }, { id: 'pods', label: 'Pods' }, { id: 'cadences', label: 'Team Cadences' }, { id: 'coaching', label: 'Coaching Model' }]
+};
+
+// Tabs a section shows under an audience preset: the preset's tab ids in its order, or every tab
+const audienceSectionTabs = (sectionId, preset) => {
+  const tabs = SECTION_TABS[sectionId] || [];
+  const ids = preset && preset.tabs && preset.tabs[sectionId];
+  if (!ids) return tabs;
+  const picked = ids.map((id) => tabs.find((tab) => tab.id === id)).filter(Boolean);
+  return picked.length > 0 ? picked : tabs;
+};
+
+// [activeTab, setActiveTab] from the route; unknown or preset-hidden tab ids fall back to the first shown tab
+const useSectionTab = (sectionId) => {
+  const { preset } = useContext(AudienceContext);
+  const tabIds = audienceSectionTabs(sectionId, preset).map((tab) => tab.id);
+  return useRouteParam('tab', tabIds[0], { parse: (v) => (tabIds.includes(v) ? v : null) });
+};
+
+const tabElementId = (sectionId, tabId) => `${sectionId}-tab-${tabId}`;
+const tabPanelElementId = (sectionId, tabId) => `${sectionId}-panel-${tabId}`;
+
+const TAB_KEY_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+// Which tab panels to render (the active one, or every shown tab while printing), each tab button's place in its
+// flex tab bar (preset order, hidden when the preset leaves it out) and the ARIA tabs pattern: one tab in the Tab
+// order (roving tabindex), arrow keys / Home / End move between tabs and select them.
+const useTabPanels = (activeTab, sectionId, setActiveTab) => {
+  const { isPrinting } = useContext(PrintContext);
+  const { preset } = useContext(AudienceContext);
+  const tabIds = audienceSectionTabs(sectionId, preset).map((tab) => tab.id);
+
+  const handleTabKeyDown = (e) => {
+    const index = tabIds.indexOf(activeTab);
+    let next = null;
+    if (e.key in TAB_KEY_STEPS) next = (index + TAB_KEY_STEPS[e.key] + tabIds.length) % tabIds.length;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = tabIds.length - 1;
+    if (next === null) return;
+    e.preventDefault();
+    setActiveTab(tabIds[next]);
+    const tab = document.getElementById(tabElementId(sectionId, tabIds[next]));
+    if (tab) tab.focus();
+  };
+
+  return {
+    isPrinting,
+    showTab: (tabId) => tabIds.includes(tabId) && (isPrinting || activeTab === tabId),
+    tabButtonStyle: (tabId) => (tabIds.includes(tabId) ? { order: tabIds.indexOf(tabId) } : { display: 'none' }),
+    tabListProps: { role: 'tablist', 'aria-orientation': 'horizontal' },
+    tabProps: (tabId) => ({
+      id: tabElementId(sectionId, tabId),
+      type: 'button',
+      role: 'tab',
+      'aria-selected': activeTab === tabId,
+      'aria-controls': tabPanelElementId(sectionId, tabId),
+      tabIndex: activeTab === tabId ? 0 : -1,
+      onKeyDown: handleTabKeyDown
+    }),
+    tabPanelProps: (tabId) => ({
+      id: tabPanelElementId(sectionId, tabId),
+      role: isPrinting ? undefined : 'tabpanel',
+      'aria-labelledby': isPrinting ? undefined : tabElementId(sectionId, tabId)
+    })
+  };
+};
+
 // Design theme: Primary (neutrals + soft accents) + Secondary (blues, pink; no neon)
 const colors = {
   bg: '#ffffff',
+  card: '#ffffff',
+  bgTranslucent: 'rgba(255, 255, 255, 0.95)',
   surface: '#f8f8f8',
   surfaceHover: '#f0f0f0',
   border: '#e0e0e0',
@@ -43,6 +212,133 @@ const colors = {
   gray900: '#1a1a1a',
 };
 
+// Themes: `colors` above is the light palette and the module default (seed data such as principle and phase
+// colors is built from it). Components read the active palette with useColors(); the dark and high-contrast
+// palettes override only the tokens that change, so the pastel accents carry over to dark.
+const THEME_PALETTES = {
+  light: colors,
+  dark: {
+    ...colors,
+    bg: '#111315',
+    card: '#1a1d21',
+    bgTranslucent: 'rgba(17, 19, 21, 0.95)',
+    surface: '#202328',
+    surfaceHover: '#2a2e34',
+    border: '#363b42',
+    borderLight: '#2c3036',
+    text: '#f3f4f6',
+    textSecondary: '#d1d5db',
+    textMuted: '#a1a6ad',
+    primary: '#f3f4f6',
+    accentLight: '#2b4255',
+    accentHover: '#8bb8dc',
+    successLight: '#3d5c47',
+    gray50: '#1a1d21',
+    gray100: '#202328',
+    gray200: '#2c3036',
+    gray300: '#3f444b',
+    gray400: '#6b7178',
+    gray500: '#8d9299',
+    gray600: '#b1b5ba',
+    gray700: '#cdd0d4',
+    gray800: '#e1e3e6',
+    gray900: '#f3f4f6'
+  },
+  // Black on white with every hue darkened to at least 4.5:1 against white
+  highContrast: {
+    ...colors,
+    bgTranslucent: '#ffffff',
+    surface: '#f2f2f2',
+    surfaceHover: '#e6e6e6',
+    border: '#000000',
+    borderLight: '#4d4d4d',
+    textSecondary: '#000000',
+    textMuted: '#262626',
+    accent: '#0a4f8a',
+    accentLight: '#cfe3f5',
+    accentHover: '#003366',
+    success: '#1b6630',
+    successLight: '#c2e6cc',
+    warning: '#8a4b00',
+    danger: '#a30d0d',
+    info: '#0a4f8a',
+    purple: '#5a2a8c',
+    pink: '#a0155a',
+    orange: '#9a4300',
+    gray300: '#595959',
+    gray400: '#404040',
+    gray500: '#333333',
+    gray600: '#262626'
+  }
+};
+
+// Principle, phase and summary colors are seed data saved as light-palette hex values; this maps one to the same
+// token in the active palette (high contrast gets the darkened hue) and leaves colors that aren't tokens alone
+const LIGHT_COLOR_TOKENS = new Map(Object.entries(colors).reverse().map(([token, value]) => [value.toLowerCase(), token]));
+const themedColor = (color, palette) => (typeof color === 'string' && palette[LIGHT_COLOR_TOKENS.get(color.toLowerCase())]) || color;
+
+const THEME_OPTIONS = [
+  { id: 'system', label: 'Auto' },
+  { id: 'light', label: 'Light' },
+  { id: 'dark', label: 'Dark' },
+  { id: 'highContrast', label: 'High contrast' }
+];
+
+// Outside STORAGE_PREFIX on purpose: a display preference, so bundles, snapshots and undo leave it alone
+const THEME_PREFERENCE_KEY = 'playbookThemePreference';
+
+const ThemeContext = createContext({ themeName: 'light', colors });
+const useColors = () => useContext(ThemeContext).colors;
+
+// "Auto" follows the OS: a contrast preference wins over the color scheme
+const SYSTEM_THEME_QUERIES = [['highContrast', '(prefers-contrast: more)'], ['dark', '(prefers-color-scheme: dark)']];
+
+const subscribeSystemTheme = (onChange) => {
+  if (typeof window === 'undefined' || !window.matchMedia) return () => {};
+  const lists = SYSTEM_THEME_QUERIES.map(([, query]) => window.matchMedia(query));
+  lists.forEach((list) => list.addEventListener('change', onChange));
+  return () => lists.forEach((list) => list.removeEventListener('change', onChange));
+};
+
+const getSystemTheme = () => {
+  if (typeof window === 'undefined' || !window.matchMedia) return 'light';
+  const match = SYSTEM_THEME_QUERIES.find(([, query]) => window.matchMedia(query).matches);
+  return match ? match[0] : 'light';
+};
+
+// Theme preference plus the resolved palette for ThemeContext; forceLight covers printing
+const useTheme = (forceLight = false) => {
+  const [preference, setPreference] = useState(() => {
+    const saved = loadFromStorage(THEME_PREFERENCE_KEY, 'system');
+    return THEME_OPTIONS.some((option) => option.id === saved) ? saved : 'system';
+  });
+  const systemTheme = useSyncExternalStore(subscribeSystemTheme, getSystemTheme, () => 'light');
+  const themeName = forceLight ? 'light' : preference === 'system' ? systemTheme : preference;
+  const value = useMemo(() => ({ themeName, colors: THEME_PALETTES[themeName] }), [themeName]);
+
+  useEffect(() => {
+    saveToStorage(THEME_PREFERENCE_KEY, preference);
+  }, [preference]);
+
+  // index.css reads these for the page behind the app (overscroll, scrollbars, form controls)
+  useEffect(() => {
+    const root = document.documentElement;
+    root.style.setProperty('--playbook-bg', value.colors.bg);
+    root.style.setProperty('--playbook-text', value.colors.text);
+    root.style.colorScheme = themeName === 'dark' ? 'dark' : 'light';
+  }, [value, themeName]);
+
+  return { preference, setPreference, value };
+};
+
+// Keyboard focus ring for every control, overriding inline `outline: none` (accentHover keeps 3:1 against white);
+// inset in the nav bar, whose scroller clips overflow; programmatic focus targets (tabindex -1, e.g. a dialog box) stay bare
+const focusRingCss = (colors) => `:focus-visible:not([tabindex="-1"]) { outline: 2px solid ${colors.accentHover} !important; outline-offset: 2px; }
+nav :focus-visible:not([tabindex="-1"]) { outline-offset: -2px; }`;
+
+// Off screen but still read by screen readers (live regions, keyboard instructions)
+const VISUALLY_HIDDEN_STYLE = { position: 'absolute', width: '1px', height: '1px', padding: 0, margin: '-1px', overflow: 'hidden', clip: 'rect(0, 0, 0, 0)', whiteSpace: 'nowrap', border: 0 };
+
 // SA Leadership: four-pillar framework used across the playbook
 const SA_LEADERSHIP_FRAMEWORK = [
   { label: 'Identify', short: 'What to spot' },
@@ -56,8 +352,15 @@ const DEFAULT_SA_LEADERSHIP_LENS = `• IC Rigor: Take what I've learned as an I
 • Cross-team alignment: Having built close working relationships with teams across sales, product and post-sales, leverage those relationships to make sure changes and processes going into place align.
 • CSC, standards, and ownership: Building out CSC, the security ROE, Partner standards for SAs and owning the Adobe/Salesforce partner relationship. Allow SAs to find their "extracurricular" on the team so they can also do what is meaningful for them.`;
 
+// Every persisted value lives under this prefix (one key per useLocalStorage call)
+const STORAGE_PREFIX = 'leadershipPlaybook_';
+
+// Set once an imported bundle has been written, so pending debounced writes can't clobber it before reload
+let storageWritesLocked = false;
+
 // Local Storage Helper Functions
 const saveToStorage = (key, value) => {
+  if (storageWritesLocked) return;
   try {
     localStorage.setItem(key, JSON.stringify(value));
   } catch (error) {
@@ -65,6 +368,15 @@ const saveToStorage = (key, value) => {
   }
 };
 
+const removeFromStorage = (key) => {
+  if (storageWritesLocked) return;
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    console.error('Error removing from localStorage:', error);
+  }
+};
+
 const loadFromStorage = (key, defaultValue) => {
   try {
     const item = localStorage.getItem(key);
@@ -78,85 +390,603 @@ const loadFromStorage = (key, defaultValue) => {
   }
 };
 
-// Debounce delay for localStorage writes (reduces writes during rapid edits)
-const STORAGE_DEBOUNCE_MS = 400;
+// Playbook bundle: all leadershipPlaybook_* keys in one schema-versioned JSON file (export/import)
+const PLAYBOOK_BUNDLE_SCHEMA = 'writer-sa-leadership-playbook';
+const PLAYBOOK_BUNDLE_VERSION = 1;
 
-// useLocalStorage Hook
-const useLocalStorage = (key, initialValue) => {
-  const saveTimeoutRef = useRef(null);
+const listPlaybookStorageKeys = () => {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(STORAGE_PREFIX)) keys.push(key);
+  }
+  return keys.sort();
+};
 
-  const [storedValue, setStoredValue] = useState(() => {
-    const stored = loadFromStorage(key, initialValue);
+// Keys without the prefix, e.g. { sections: [...], overviewContent: {...} }
+const readPlaybookData = () => {
+  const data = {};
+  listPlaybookStorageKeys().forEach((key) => {
+    data[key.slice(STORAGE_PREFIX.length)] = loadFromStorage(key, null);
+  });
+  return data;
+};
 
-    // For overviewContent: push condensed overview to all users (override localStorage)
-    if (key === 'leadershipPlaybook_overviewContent' && stored && initialValue) {
-      const storedVersion = stored._version || 0;
-      const currentVersion = 13; // 13 = SA leadership sub-bullets spacing (single newlines, tighter)
+const buildPlaybookBundle = () => {
+  flushPendingSaves();
+  return {
+    schema: PLAYBOOK_BUNDLE_SCHEMA,
+    version: PLAYBOOK_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: readPlaybookData()
+  };
+};
 
-      if (storedVersion < currentVersion) {
-        const updated = { ...initialValue, _version: currentVersion };
-        saveToStorage(key, updated);
-        return updated;
+const describeValueType = (value) => (Array.isArray(value) ? 'list' : value === null ? 'null' : typeof value);
+
+// Returns a list of human-readable problems; empty list means the bundle can be applied
+const validatePlaybookBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return ['File is not a playbook bundle (expected a JSON object).'];
+  }
+  const errors = [];
+  if (bundle.schema !== PLAYBOOK_BUNDLE_SCHEMA) {
+    errors.push(`Unknown schema "${bundle.schema ?? ''}" (expected "${PLAYBOOK_BUNDLE_SCHEMA}").`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    errors.push('Missing or invalid bundle version.');
+  } else if (bundle.version > PLAYBOOK_BUNDLE_VERSION) {
+    errors.push(`Bundle version ${bundle.version} is newer than this app supports (${PLAYBOOK_BUNDLE_VERSION}).`);
+  }
+  if (!bundle.data || typeof bundle.data !== 'object' || Array.isArray(bundle.data)) {
+    errors.push('Bundle has no data object.');
+    return errors;
+  }
+  // Checked against the registered defaults, not what happens to be saved here: a fresh browser has nothing saved
+  Object.entries(bundle.data).forEach(([name, value]) => {
+    if (!Object.hasOwn(PLAYBOOK_STORAGE_DEFAULTS, name)) {
+      errors.push(`Unknown key "${name}".`);
+      return;
+    }
+    if (value === null || value === undefined) {
+      errors.push(`"${name}" has no value.`);
+      return;
+    }
+    const expected = PLAYBOOK_STORAGE_DEFAULTS[name];
+    if (describeValueType(expected) !== describeValueType(value)) {
+      errors.push(`"${name}" should be a ${describeValueType(expected)}, found a ${describeValueType(value)}.`);
+      return;
+    }
+    if (Array.isArray(expected) && expected.length > 0) {
+      const itemType = describeValueType(expected[0]);
+      const badIndex = value.findIndex((item) => describeValueType(item) !== itemType);
+      if (badIndex !== -1) {
+        errors.push(`"${name}" item ${badIndex + 1} should be a ${itemType}, found a ${describeValueType(value[badIndex])}.`);
       }
     }
+  });
+  return errors;
+};
 
-    // Migrate sections: First 100 Days -> first30, or update first30 title to 30-60-90
-    if (key === 'leadershipPlaybook_sections' && Array.isArray(stored)) {
-      if (stored.some((s) => s.id === 'first100')) {
-        const migrated = stored.map((s) =>
-          s.id === 'first100'
-            ? { ...s, id: 'first30', label: '30-60-90', title: '30-60-90', subtitle: 'First 30 days: actions & plans; Days 31-60: scale & refine; Days 61-90: broaden & embed' }
-            : s
-        );
-        saveToStorage(key, migrated);
-        return migrated;
+// added = only in bundle, removed = only saved here (resets to default), changed/unchanged = in both
+const diffPlaybookBundle = (bundle) => {
+  const current = readPlaybookData();
+  const names = new Set([...Object.keys(current), ...Object.keys(bundle.data)]);
+  return [...names].sort().map((name) => {
+    let status;
+    if (!(name in current)) status = 'added';
+    else if (!(name in bundle.data)) status = 'removed';
+    else status = JSON.stringify(current[name]) === JSON.stringify(bundle.data[name]) ? 'unchanged' : 'changed';
+    return { name, status };
+  });
+};
+
+// Replaces every saved key with the bundle's; hooks only read storage on mount, so callers reload afterwards
+const applyPlaybookBundle = (bundle) => {
+  listPlaybookStorageKeys().forEach((key) => {
+    if (!(key.slice(STORAGE_PREFIX.length) in bundle.data)) localStorage.removeItem(key);
+  });
+  Object.entries(bundle.data).forEach(([name, value]) => saveToStorage(STORAGE_PREFIX + name, value));
+  storageWritesLocked = true;
+};
+
+// "overviewContent" -> "Overview content", "phases60_90" -> "Phases 60 90"
+const formatStorageKeyLabel = (name) => {
+  const spaced = name.replace(/_/g, ' ').replace(/([a-z])([A-Z0-9])/g, '$1 $2').toLowerCase();
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+};
+
+const downloadFile = (filename, content, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Named snapshots: full copies of readPlaybookData() kept in IndexedDB (no localStorage quota).
+// Records are { id, name, createdAt, data }.
+const SNAPSHOT_DB_NAME = 'leadershipPlaybook';
+const SNAPSHOT_STORE = 'snapshots';
+
+const openSnapshotDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available in this browser.'));
+    return;
+  }
+  const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs one request against the snapshot store and resolves with its result
+const withSnapshotStore = async (mode, makeRequest) => {
+  const db = await openSnapshotDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(SNAPSHOT_STORE, mode);
+      const request = makeRequest(tx.objectStore(SNAPSHOT_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const listSnapshots = async () => {
+  const all = await withSnapshotStore('readonly', (store) => store.getAll());
+  return all.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+const createSnapshot = async (name) => {
+  flushPendingSaves();
+  const createdAt = new Date().toISOString();
+  const snapshot = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, name, createdAt, data: readPlaybookData() };
+  await withSnapshotStore('readwrite', (store) => store.add(snapshot));
+  return snapshot;
+};
+
+const deleteSnapshot = (id) => withSnapshotStore('readwrite', (store) => store.delete(id));
+
+// Snapshot being previewed read-only; while set, useLocalStorage serves its values and ignores writes
+let snapshotPreview = null;
+const snapshotPreviewListeners = new Set();
+
+const setSnapshotPreview = (snapshot) => {
+  snapshotPreview = snapshot;
+  snapshotPreviewListeners.forEach((listener) => listener());
+};
+
+const subscribeSnapshotPreview = (listener) => {
+  snapshotPreviewListeners.add(listener);
+  return () => snapshotPreviewListeners.delete(listener);
+};
+
+const getSnapshotPreview = () => snapshotPreview;
+const useSnapshotPreview = () => useSyncExternalStore(subscribeSnapshotPreview, getSnapshotPreview, getSnapshotPreview);
+
+// Debounce delay for localStorage writes (reduces writes during rapid edits)
+const STORAGE_DEBOUNCE_MS = 400;
+
+// Schema migrations per storage key: `version` is the schema a step upgrades to, steps run in order.
+// Applied once when a key is first loaded; the version each key is at is kept in SCHEMA_VERSIONS_KEY
+// so a step never runs twice and user edits made after it are left alone.
+const SCHEMA_VERSIONS_KEY = 'leadershipPlaybook_schemaVersions';
+
+const FIRST30_SECTION_META = { label: '30-60-90', title: '30-60-90', subtitle: 'First 30 days: actions & plans; Days 31-60: scale & refine; Days 61-90: broaden & embed' };
+
+const STORAGE_MIGRATIONS = {
+  leadershipPlaybook_overviewContent: [
+    {
+      version: 1,
+      description: 'push condensed overview (content v13: SA leadership sub-bullets spacing) over pre-v13 saves',
+      migrate: (value, { defaultValue }) => ((value && value._version) || 0) < 13 ? { ...defaultValue, _version: 13 } : value
+    }
+  ],
+  leadershipPlaybook_sections: [
+    {
+      version: 1,
+      description: 'First 100 Days → 30-60-90 (id first100 → first30, retitle First 30 Days)',
+      migrate: (value) => {
+        if (!Array.isArray(value)) return value;
+        return value.map((s) => {
+          if (s.id === 'first100') return { ...s, id: 'first30', ...FIRST30_SECTION_META };
+          if (s.id === 'first30' && (s.title === 'First 30 Days' || s.label === 'First 30 Days')) return { ...s, ...FIRST30_SECTION_META };
+          return s;
+        });
       }
-      if (stored.some((s) => s.id === 'first30' && (s.title === 'First 30 Days' || s.label === 'First 30 Days'))) {
-        const migrated = stored.map((s) =>
-          s.id === 'first30' ? { ...s, label: '30-60-90', title: '30-60-90', subtitle: 'First 30 days: actions & plans; Days 31-60: scale & refine; Days 61-90: broaden & embed' } : s
-        );
-        saveToStorage(key, migrated);
-        return migrated;
+    }
+  ],
+  leadershipPlaybook_feedback: [
+    {
+      version: 1,
+      description: 'replace original four "Feedback I\'ve Received" bullets with the current five',
+      migrate: (value) => {
+        if (!Array.isArray(value) || value.length !== 4 || !value.some((s) => typeof s === 'string' && s.includes('Maureen'))) return value;
+        return [
+          'Strong collaboration skills and technical depth',
+          'Able to turn complex to composed and simplified',
+          'Doesn\'t shy away from feedback for himself or others he\'s coaching',
+          'Direct with action, gives feedback with steps to improve',
+          'Plays and coaches'
+        ];
+      }
+    }
+  ],
+  leadershipPlaybook_principles: [
+    {
+      version: 1,
+      description: 'principles carry their modal content (was a separate hardcoded list matched by index)',
+      migrate: (value, { defaultValue }) => {
+        if (!Array.isArray(value)) return value;
+        const modalFields = ['framework', 'frameworkSub', 'frameworkDesc', 'guidelines', 'examplesInPractice'];
+        return value.map((p, i) => {
+          const defaults = defaultValue[i];
+          if (!defaults || p.framework !== undefined) return p;
+          return { ...p, ...Object.fromEntries(modalFields.map((field) => [field, defaults[field]])) };
+        });
+      }
+    }
+  ],
+  leadershipPlaybook_metrics: [
+    {
+      version: 1,
+      description: 'free-text metric targets and hand-set status → unit, numeric baseline / target, direction and dated actuals',
+      migrate: (value) => {
+        if (!value || typeof value !== 'object') return value;
+        return {
+          ...value,
+          leading: (value.leading || []).map(structureLegacyMetric),
+          lagging: (value.lagging || []).map(structureLegacyMetric)
+        };
+      }
+    }
+  ],
+  leadershipPlaybook_cadences: [
+    {
+      version: 1,
+      description: 'free-text cadence frequency → structured recurrence (frequency, day, time, duration) and attendees',
+      migrate: (value) => (Array.isArray(value) ? value.map(structureLegacyCadence) : value)
+    }
+  ],
+  leadershipPlaybook_phases: [
+    {
+      version: 1,
+      description: 'partner-SA-specific phase goals → SA-general goals',
+      migrate: (value) => {
+        if (!Array.isArray(value) || value.length < 3 || !value[0]?.goal?.includes('Partner SA integration')) return value;
+        const newGoals = [
+          'Map current state across team structure, key activities of value, competitive positioning, capacity, and retention—establish baseline for action',
+          'Design pilots and prescriptive assets, differentiation playbook, capacity rules, and retention programs—actionable by Day 30',
+          'Launch pilots and accountability rhythms, enable SAs on differentiation and replication process, operationalize capacity and recognition—so Day 30 outcomes are measurable and repeatable'
+        ];
+        return value.map((p, i) => ({ ...p, goal: newGoals[i] ?? p.goal }));
       }
     }
+  ]
+};
 
-    // One-time migration: Feedback I've Received (Leadership Principles) to new five bullets
-    if (key === 'leadershipPlaybook_feedback' && Array.isArray(stored) && stored.length === 4 && stored.some((s) => s && typeof s === 'string' && s.includes('Maureen'))) {
-      const migrated = [
-        'Strong collaboration skills and technical depth',
-        'Able to turn complex to composed and simplified',
-        'Doesn\'t shy away from feedback for himself or others he\'s coaching',
-        'Direct with action, gives feedback with steps to improve',
-        'Plays and coaches'
-      ];
-      saveToStorage(key, migrated);
-      return migrated;
+const currentSchemaVersion = (key) => {
+  const steps = STORAGE_MIGRATIONS[key];
+  return steps ? steps[steps.length - 1].version : 0;
+};
+
+const setStoredSchemaVersion = (key, version) => {
+  const versions = loadFromStorage(SCHEMA_VERSIONS_KEY, {});
+  if (versions[key] === version) return;
+  saveToStorage(SCHEMA_VERSIONS_KEY, { ...versions, [key]: version });
+};
+
+const hasStoredValue = (key) => {
+  try {
+    return localStorage.getItem(key) !== null;
+  } catch {
+    return false;
+  }
+};
+
+// Runs the pending steps for one key; on a failing step the saved value is left untouched
+const runStorageMigrations = (key, stored, defaultValue) => {
+  const steps = STORAGE_MIGRATIONS[key];
+  if (!steps) return stored;
+  const fromVersion = loadFromStorage(SCHEMA_VERSIONS_KEY, {})[key] || 0;
+  const pending = steps.filter((step) => step.version > fromVersion);
+  if (pending.length === 0) return stored;
+
+  let value = stored;
+  for (const step of pending) {
+    try {
+      const next = step.migrate(value, { defaultValue });
+      const changed = JSON.stringify(next) !== JSON.stringify(value);
+      console.info(`[storage] ${key} → v${step.version}: ${step.description}${changed ? '' : ' (no change needed)'}`);
+      value = next;
+    } catch (error) {
+      console.error(`[storage] ${key} → v${step.version} failed; keeping saved value:`, error);
+      return stored;
+    }
+  }
+  if (value !== stored) saveToStorage(key, value);
+  setStoredSchemaVersion(key, currentSchemaVersion(key));
+  return value;
+};
+
+// A snapshot's value brought up to the current schema from the snapshot's own schema versions, without touching
+// storage (preview and single-section restore); cached per snapshot so previewed sections see stable values
+const migratedSnapshotValues = new WeakMap();
+
+const readSnapshotValue = (snapshot, name, defaultValue) => {
+  if (!(name in snapshot.data)) return defaultValue;
+  if (!migratedSnapshotValues.has(snapshot)) migratedSnapshotValues.set(snapshot, new Map());
+  const cache = migratedSnapshotValues.get(snapshot);
+  if (cache.has(name)) return cache.get(name);
+
+  const key = STORAGE_PREFIX + name;
+  const fromVersion = (snapshot.data[SCHEMA_VERSIONS_KEY.slice(STORAGE_PREFIX.length)] || {})[key] || 0;
+  let value = snapshot.data[name];
+  for (const step of (STORAGE_MIGRATIONS[key] || []).filter((s) => s.version > fromVersion)) {
+    try {
+      value = step.migrate(value, { defaultValue });
+    } catch (error) {
+      console.error(`[storage] snapshot ${key} → v${step.version} failed; using saved value:`, error);
+      value = snapshot.data[name];
+      break;
     }
+  }
+  cache.set(name, value);
+  return value;
+};
+
+// Undo/redo history shared by every useLocalStorage key. Entries are { key, before, after, group };
+// entries sharing a group (one action over several keys) undo and redo as one step;
+// mounted hooks subscribe per key ({ apply, sync, current, flush }) so undo updates what's on screen
+// and an edit through one hook shows in the others on the same key,
+// otherwise storage is written directly. UNSET_STORAGE_VALUE as a value means the key held nothing:
+// writing it removes the key and mounted hooks fall back to their default.
+const EDIT_HISTORY_LIMIT = 200;
+// Edits to the same key this close together (typing, number spinners) merge into one undo step
+const EDIT_COALESCE_MS = 1000;
+const editHistory = { past: [], future: [] };
+const editHistoryListeners = new Set();
+const storageKeySubscribers = new Map();
+const UNSET_STORAGE_VALUE = Symbol('unset storage value');
+let editHistorySnapshot = { canUndo: false, canRedo: false };
+// Latest entry still open to merging; undo / redo close it
+let openEditEntry = null;
+
+const notifyEditHistory = () => {
+  editHistorySnapshot = { canUndo: editHistory.past.length > 0, canRedo: editHistory.future.length > 0 };
+  editHistoryListeners.forEach((listener) => listener());
+};
+
+const recordEdit = (key, before, after, group = null) => {
+  if (before === after) return;
+  const now = Date.now();
+  if (!group && openEditEntry && openEditEntry.key === key && now - openEditEntry.at < EDIT_COALESCE_MS && editHistory.past[editHistory.past.length - 1] === openEditEntry) {
+    openEditEntry.after = after;
+    openEditEntry.at = now;
+  } else {
+    const entry = { key, before, after, at: now, group };
+    openEditEntry = group ? null : entry;
+    editHistory.past.push(entry);
+    if (editHistory.past.length > EDIT_HISTORY_LIMIT) editHistory.past.shift();
+  }
+  editHistory.future = [];
+  notifyEditHistory();
+};
+
+const writeHistoryValue = (key, value) => {
+  const subscribers = storageKeySubscribers.get(key);
+  if (subscribers && subscribers.size > 0) subscribers.forEach((subscriber) => subscriber.apply(value));
+  else if (value === UNSET_STORAGE_VALUE) removeFromStorage(key);
+  else saveToStorage(key, value);
+};
+
+// Writes every save still waiting out STORAGE_DEBOUNCE_MS, for readers that go straight to localStorage
+// (bundle export, snapshots, Markdown) so the last few keystrokes aren't left out
+const flushPendingSaves = () => {
+  storageKeySubscribers.forEach((subscribers) => subscribers.forEach((subscriber) => subscriber.flush()));
+};
+
+// A key's value as undo should see it: a mounted hook's latest value (its pending save written first),
+// else what's saved, else UNSET_STORAGE_VALUE
+const currentStorageValue = (key) => {
+  const [subscriber] = storageKeySubscribers.get(key) || [];
+  if (subscriber) subscriber.flush();
+  if (!hasStoredValue(key)) return UNSET_STORAGE_VALUE;
+  return subscriber ? subscriber.current() : loadFromStorage(key, null);
+};
+
+// Moves one step (a whole group) from one stack to the other, writing each key's `side` value
+const stepEditHistory = (from, to, side) => {
+  const entry = from.pop();
+  if (!entry) return;
+  openEditEntry = null;
+  for (let next = entry; next; next = entry.group && from[from.length - 1]?.group === entry.group ? from.pop() : null) {
+    to.push(next);
+    writeHistoryValue(next.key, next[side]);
+  }
+  notifyEditHistory();
+};
+
+const undoEdit = () => stepEditHistory(editHistory.past, editHistory.future, 'before');
+const redoEdit = () => stepEditHistory(editHistory.future, editHistory.past, 'after');
 
-    return stored;
+const subscribeEditHistory = (listener) => {
+  editHistoryListeners.add(listener);
+  return () => editHistoryListeners.delete(listener);
+};
+
+const getEditHistorySnapshot = () => editHistorySnapshot;
+const useEditHistory = () => useSyncExternalStore(subscribeEditHistory, getEditHistorySnapshot, getEditHistorySnapshot);
+
+// useLocalStorage Hook
+const useLocalStorage = (key, initialValue) => {
+  const saveTimeoutRef = useRef(null);
+  const initialValueRef = useRef(initialValue);
+  initialValueRef.current = initialValue;
+
+  const [storedValue, setStoredValue] = useState(() => {
+    // Nothing saved yet: defaults are already the current schema
+    if (!hasStoredValue(key)) {
+      if (STORAGE_MIGRATIONS[key]) setStoredSchemaVersion(key, currentSchemaVersion(key));
+      return initialValue;
+    }
+    return runStorageMigrations(key, loadFromStorage(key, initialValue), initialValue);
   });
 
+  // Latest value outside React state so setValue can record before/after for undo
+  const valueRef = useRef(storedValue);
+  const pendingSaveRef = useRef(null);
+  const subscriberRef = useRef(null);
+
+  const scheduleSave = useCallback((valueToStore) => {
+    if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
+    pendingSaveRef.current = { value: valueToStore };
+    saveTimeoutRef.current = setTimeout(() => {
+      saveToStorage(key, valueToStore);
+      saveTimeoutRef.current = null;
+      pendingSaveRef.current = null;
+    }, STORAGE_DEBOUNCE_MS);
+  }, [key]);
+
+  // Undo/redo writes arrive here without being recorded again
+  useEffect(() => {
+    const flush = () => {
+      if (!saveTimeoutRef.current) return;
+      clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+      if (pendingSaveRef.current) saveToStorage(key, pendingSaveRef.current.value);
+      pendingSaveRef.current = null;
+    };
+    const apply = (value) => {
+      if (value === UNSET_STORAGE_VALUE) {
+        if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
+        saveTimeoutRef.current = null;
+        pendingSaveRef.current = null;
+        valueRef.current = initialValueRef.current;
+        setStoredValue(initialValueRef.current);
+        removeFromStorage(key);
+        return;
+      }
+      valueRef.current = value;
+      setStoredValue(value);
+      scheduleSave(value);
+    };
+    // Another hook on this key was edited; it saves, this one only follows (dropping its own older pending save)
+    const sync = (value) => {
+      if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+      pendingSaveRef.current = null;
+      valueRef.current = value;
+      setStoredValue(value);
+    };
+    const subscriber = { apply, sync, current: () => valueRef.current, flush };
+    subscriberRef.current = subscriber;
+    if (!storageKeySubscribers.has(key)) storageKeySubscribers.set(key, new Set());
+    storageKeySubscribers.get(key).add(subscriber);
+    return () => {
+      storageKeySubscribers.get(key).delete(subscriber);
+      // Flush on unmount so a later undo (written straight to storage) isn't overwritten by a stale timer
+      flush();
+    };
+  }, [key, scheduleSave]);
+
   const setValue = useCallback((value) => {
+    if (snapshotPreview) return;
     try {
-      setStoredValue((prev) => {
-        const valueToStore = value instanceof Function ? value(prev) : value;
-        if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
-        saveTimeoutRef.current = setTimeout(() => {
-          saveToStorage(key, valueToStore);
-          saveTimeoutRef.current = null;
-        }, STORAGE_DEBOUNCE_MS);
-        return valueToStore;
+      const prev = valueRef.current;
+      const valueToStore = value instanceof Function ? value(prev) : value;
+      valueRef.current = valueToStore;
+      recordEdit(key, prev, valueToStore);
+      setStoredValue(valueToStore);
+      scheduleSave(valueToStore);
+      (storageKeySubscribers.get(key) || []).forEach((subscriber) => {
+        if (subscriber !== subscriberRef.current) subscriber.sync(valueToStore);
       });
     } catch (error) {
       console.error('Error setting localStorage value:', error);
     }
-  }, [key]);
+  }, [key, scheduleSave]);
+
+  const preview = useSnapshotPreview();
+  if (preview) {
+    const name = key.slice(STORAGE_PREFIX.length);
+    return [readSnapshotValue(preview, name, initialValue), setValue];
+  }
 
   return [storedValue, setValue];
 };
 
+// Rich text for view mode: **bold**, *italic* / _italic_, `code`, [links](https://…), bare URLs, @mentions
+// and "•" / "-" bullet lines. Builds React elements only (never HTML strings), so stored text can't inject markup.
+const RICH_TEXT_PATTERN = /`([^`\n]+)`|\*\*([^*\n]+)\*\*|\*([^*\s][^*\n]*)\*|_([^_\n]+)_(?!\w)|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])|(@(?:[A-Z][\w-]*(?: [A-Z][a-z]+)?|[a-z][\w-]*))/g;
+
+const RICH_TEXT_BULLET = /^\s*[•*-]\s+/;
+
+const renderRichInline = (text, keyPrefix, colors) => {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(RICH_TEXT_PATTERN)) {
+    const [whole, code, bold, italic, underscored, linkLabel, linkUrl, url, mention] = match;
+    // "_" and "@" only count at a word start (snake_case names and emails stay plain text)
+    if ((underscored || mention) && /\w/.test(text[match.index - 1] || '')) continue;
+    const key = `${keyPrefix}-${match.index}`;
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    last = match.index + whole.length;
+    if (code) {
+      nodes.push(<code key={key} style={{ fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace', fontSize: '0.9em', padding: '1px 4px', borderRadius: '4px', backgroundColor: colors.surface }}>{code}</code>);
+    } else if (bold) {
+      nodes.push(<strong key={key} style={{ fontWeight: '600' }}>{renderRichInline(bold, key, colors)}</strong>);
+    } else if (italic || underscored) {
+      nodes.push(<em key={key}>{renderRichInline(italic || underscored, key, colors)}</em>);
+    } else if (linkUrl || url) {
+      nodes.push(
+        <a key={key} href={linkUrl || url} target="_blank" rel="noopener noreferrer" style={{ color: colors.accent }} onClick={(e) => e.stopPropagation()}>
+          {linkLabel || url}
+        </a>
+      );
+    } else if (mention) {
+      nodes.push(<span key={key} style={{ color: colors.accent, backgroundColor: colors.accent + '14', borderRadius: '4px', padding: '0 3px', fontWeight: '500' }}>{mention}</span>);
+    }
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+const RichText = ({ text }) => {
+  const colors = useColors();
+  if (typeof text !== 'string') return text ?? null;
+  const lines = text.split('\n');
+  if (lines.length === 1 && !RICH_TEXT_BULLET.test(text)) return <>{renderRichInline(text, 'r', colors)}</>;
+  return (
+    <>
+      {lines.map((lineText, i) => (RICH_TEXT_BULLET.test(lineText) ? (
+        <span key={i} style={{ display: 'flex', gap: '8px', margin: '2px 0' }}>
+          <span aria-hidden="true">•</span>
+          <span>{renderRichInline(lineText.replace(RICH_TEXT_BULLET, ''), `r${i}`, colors)}</span>
+        </span>
+      ) : (
+        <React.Fragment key={i}>
+          {renderRichInline(lineText, `r${i}`, colors)}
+          {i < lines.length - 1 && !RICH_TEXT_BULLET.test(lines[i + 1]) && <br />}
+        </React.Fragment>
+      )))}
+    </>
+  );
+};
+
 // Editable Text Component
 const EditableText = ({ value, onChange, style = {}, multiline = false, placeholder = 'Click to edit...' }) => {
+  const colors = useColors();
   const { isEditMode } = useContext(EditModeContext);
   const [isEditing, setIsEditing] = useState(false);
   const [text, setText] = useState(value);
@@ -185,13 +1015,15 @@ const EditableText = ({ value, onChange, style = {}, multiline = false, placehol
       handleBlur();
     }
     if (e.key === 'Escape') {
+      // Cancels the edit only; an enclosing dialog stays open
+      e.stopPropagation();
       setText(value);
       setIsEditing(false);
     }
   };
 
   if (!isEditMode) {
-    return <span style={style}>{value}</span>;
+    return <span style={style}><RichText text={value} /></span>;
   }
 
   if (isEditing) {
@@ -255,6 +1087,7 @@ const EditableText = ({ value, onChange, style = {}, multiline = false, placehol
 
 // Editable List Item Component
 const EditableListItem = ({ value, onChange, onDelete, color, style = {} }) => {
+  const colors = useColors();
   const { isEditMode } = useContext(EditModeContext);
   
   return (
@@ -274,6 +1107,7 @@ const EditableListItem = ({ value, onChange, onDelete, color, style = {} }) => {
       />
       {isEditMode && onDelete && (
         <button
+          aria-label={`Delete item: ${String(value).slice(0, 80)}`}
           onClick={onDelete}
           style={{
             background: 'none',
@@ -295,6 +1129,7 @@ const EditableListItem = ({ value, onChange, onDelete, color, style = {} }) => {
 
 // Add Item Button Component
 const AddItemButton = ({ onClick, label = 'Add item' }) => {
+  const colors = useColors();
   const { isEditMode } = useContext(EditModeContext);
   
   if (!isEditMode) return null;
@@ -322,6 +1157,48 @@ const AddItemButton = ({ onClick, label = 'Add item' }) => {
   );
 };
 
+// Speaker notes: edit mode only, so the audience never sees them; the presenter view shows them per slide
+const SpeakerNotes = ({ value, onChange, style = {} }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+
+  if (!isEditMode) return null;
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '12px 16px',
+      borderRadius: '8px',
+      border: `1px dashed ${colors.warning}`,
+      backgroundColor: colors.warning + '10',
+      ...style
+    }}>
+      <div style={{ fontSize: '11px', fontWeight: '700', color: colors.warning, textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '6px' }}>🗒 Speaker notes</div>
+      <EditableText
+        value={value || ''}
+        onChange={onChange}
+        placeholder="Add talking points for the presenter view..."
+        style={{ fontSize: '13px', color: colors.textSecondary, whiteSpace: 'pre-wrap', display: 'block' }}
+        multiline
+      />
+    </div>
+  );
+};
+
+// Tab name above each panel in print (the tab bar itself is hidden); tabs the audience preset leaves out get none
+const PrintTabHeading = ({ sectionId, tabId }) => {
+  const colors = useColors();
+  const { isPrinting } = useContext(PrintContext);
+  const { preset } = useContext(AudienceContext);
+  const tab = audienceSectionTabs(sectionId, preset).find((t) => t.id === tabId);
+  if (!isPrinting || !tab) return null;
+  return (
+    <h3 style={{ fontSize: '20px', fontWeight: '600', color: colors.text, margin: '32px 0 16px', paddingBottom: '8px', borderBottom: `2px solid ${colors.borderLight}`, breakAfter: 'avoid' }}>
+      {tab.label}
+    </h3>
+  );
+};
+
 // Animated number counter
 const AnimatedCounter = ({ value, suffix = '', duration = 1500 }) => {
   const [count, setCount] = useState(0);
@@ -463,7 +1340,7 @@ const SECTION_SUMMARIES = {
 };
 
 // Summary card: one-slide exec style (eye-catching); "Double Click" opens full analysis
-const SectionSummaryCard = ({ sectionNumber, title, subtitle, headline, summary, bullets, timeline, onShowDetail, sectionColor = colors.accent }) => (
+const SectionSummaryCard = ({ sectionNumber, title, subtitle, headline, summary, bullets, timeline, onShowDetail, colors = THEME_PALETTES.light, sectionColor = colors.accent }) => (
   <div
     onDoubleClick={onShowDetail}
     style={{
@@ -626,33 +1503,62 @@ const SectionSummaryCard = ({ sectionNumber, title, subtitle, headline, summary,
 );
 
 // Card Component - Writer.com style
-const Card = ({ children, style = {} }) => (
-  <div style={{ 
-    backgroundColor: '#ffffff', 
-    borderRadius: '12px', 
-    padding: '20px',
-    border: `1px solid ${colors.border}`,
-    boxShadow: '0 1px 3px rgba(0, 0, 0, 0.05)',
-    transition: 'all 0.2s ease',
-    ...style 
-  }}>
-    {children}
-  </div>
-);
+const Card = ({ children, style = {} }) => {
+  const colors = useColors();
+  return (
+    <div style={{ 
+      backgroundColor: colors.card, 
+      borderRadius: '12px', 
+      padding: '20px',
+      border: `1px solid ${colors.border}`,
+      boxShadow: '0 1px 3px rgba(0, 0, 0, 0.05)',
+      transition: 'all 0.2s ease',
+      breakInside: 'avoid',
+      ...style 
+    }}>
+      {children}
+    </div>
+  );
+};
 
-// Four principles: D3 pie in center; cards in corners (blue top-left, purple top-right, green bottom-right, yellow bottom-left). No rotation so text stays readable.
-const PrinciplesRadialView = ({ principles, updatePrinciple, isEditMode, setModalPrincipleIndex }) => {
-  const containerRef = useRef(null);
-  const svgRef = useRef(null);
+// Principles radial view (3-8 principles): D3 pie in the center with one wedge per principle, starting at 9 o'clock
+// and going clockwise; each card sits on an ellipse around the pie in line with its wedge. No rotation so text stays readable.
+const PRINCIPLES_MIN = 3;
+const PRINCIPLES_MAX = 8;
+const PRINCIPLE_COLORS = [colors.accent, colors.purple, colors.success, colors.warning, colors.info, colors.pink, colors.orange, colors.danger];
+
+// D3 arc angles: 0 = 12 o'clock, clockwise; start < end so each wedge draws the short way round
+const principleSegmentAngles = (count) => {
+  const step = (2 * Math.PI) / count;
+  return Array.from({ length: count }, (_, i) => ({ start: -Math.PI / 2 + i * step, end: -Math.PI / 2 + (i + 1) * step }));
+};
+
+// Spoken position of a wedge, e.g. "9 to 12 o'clock" (rounded to the nearest hour)
+const principleClockRange = ({ start, end }) => {
+  const hour = (angle) => {
+    const h = Math.round((((angle / (2 * Math.PI)) * 12) % 12 + 12) % 12);
+    return h === 0 ? 12 : h;
+  };
+  return `${hour(start)} to ${hour(end)} o'clock`;
+};
+
+const PrinciplesRadialView = ({ principles, updatePrinciple, movePrinciple, deletePrinciple, isEditMode, setModalPrincipleIndex }) => {
+  const colors = useColors();
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const cardRefs = useRef([]);
+  const svgTitleId = useId();
   const [dims, setDims] = useState({ width: 0, height: 0 });
   const cx = dims.width / 2;
   const cy = dims.height / 2;
   const innerR = 40;
   const cardW = 280;
   const cardH = 140;
-  const gap = -8;
+  const margin = 8;
   const outerR = Math.min(dims.width, dims.height) * 0.2;
-  const cardRadius = outerR + gap;
+  // A saved or imported list outside PRINCIPLES_MIN-PRINCIPLES_MAX has no wheel; its cards fall back to a grid
+  const isWheel = principles.length >= PRINCIPLES_MIN && principles.length <= PRINCIPLES_MAX;
+  const canLayout = isWheel && dims.width >= 10;
 
   useEffect(() => {
     if (!containerRef.current) return;
@@ -665,17 +1571,16 @@ const PrinciplesRadialView = ({ principles, updatePrinciple, isEditMode, setModa
     return () => { clearTimeout(t); if (ro) ro.disconnect(); };
   }, []);
 
-  // D3 arc: 0 = 12 o'clock (top), positive diff = clockwise. Each segment needs start < end so it draws the 90° wedge (not the 270° arc).
-  const segmentAngles = [
-    { start: 3 * Math.PI / 2, end: 2 * Math.PI },
-    { start: 0, end: Math.PI / 2 },
-    { start: Math.PI / 2, end: Math.PI },
-    { start: Math.PI, end: 3 * Math.PI / 2 }
-  ];
+  const segmentAngles = principleSegmentAngles(principles.length);
   useEffect(() => {
-    if (!svgRef.current || dims.width < 10 || principles.length !== 4) return;
+    if (!svgRef.current) return;
     const svg = select(svgRef.current);
     svg.selectAll('*').remove();
+    if (!canLayout) return;
+    // The wedges only echo the cards, so the SVG is a single titled image; the cards and the table below carry the content
+    svg.attr('role', 'img').attr('aria-labelledby', svgTitleId);
+    svg.append('title').attr('id', svgTitleId)
+      .text(`Principles wheel with ${principles.length} wedges, clockwise from 9 o'clock: ${principles.map((p) => p.title).join(', ')}`);
     const g = svg.append('g').attr('transform', `translate(${cx},${cy})`);
     principles.forEach((p, i) => {
       const { start, end } = segmentAngles[i];
@@ -691,35 +1596,70 @@ const PrinciplesRadialView = ({ principles, updatePrinciple, isEditMode, setModa
         .attr('stroke-width', 2)
         .style('transition', 'fill 0.25s ease');
     });
-  }, [dims, cx, cy, innerR, outerR, principles]);
-
-  // Card positions: just outside the pie (cardRadius = outerR + gap). [0] blue top-left, [1] purple top-right, [2] green bottom-right, [3] yellow bottom-left.
-  const positions = principles.length === 4 && dims.width >= 10
-    ? [
-        { x: cx - cardRadius - cardW, y: cy - cardRadius - cardH },
-        { x: cx + cardRadius, y: cy - cardRadius - cardH },
-        { x: cx + cardRadius, y: cy + cardRadius },
-        { x: cx - cardRadius - cardW, y: cy + cardRadius }
-      ]
+  }, [dims, cx, cy, innerR, outerR, principles, canLayout, colors]);
+
+  // Card centers on an ellipse that uses the container's width, at each wedge's middle angle; never closer than the pie
+  const rx = Math.max(outerR + cardW / 2, cx - cardW / 2 - margin);
+  const ry = Math.max(outerR + cardH / 2, cy - cardH / 2 - margin);
+  const positions = canLayout
+    ? segmentAngles.map(({ start, end }) => {
+        const mid = (start + end) / 2;
+        return { x: cx + Math.sin(mid) * rx - cardW / 2, y: cy - Math.cos(mid) * ry - cardH / 2 };
+      })
     : [];
 
+  // View mode: arrow keys move round the wheel (Right/Down clockwise), Home / End jump to the first / last card
+  const handleCardKeyDown = (e, i) => {
+    if (isEditMode) return;
+    const count = principles.length;
+    let next = null;
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setModalPrincipleIndex(i);
+      return;
+    }
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') next = (i + 1) % count;
+    else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') next = (i - 1 + count) % count;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = count - 1;
+    if (next === null) return;
+    e.preventDefault();
+    if (cardRefs.current[next]) cardRefs.current[next].focus();
+  };
+
+  const controlStyle = (enabled) => ({
+    background: 'none',
+    border: 'none',
+    color: enabled ? colors.textMuted : colors.gray300,
+    cursor: enabled ? 'pointer' : 'default',
+    padding: '0 4px',
+    fontSize: '13px'
+  });
+
   return (
-    <div ref={containerRef} style={{ position: 'relative', width: '100%', height: '680px', marginBottom: '24px', minHeight: '560px' }}>
-      <svg ref={svgRef} width={dims.width} height={dims.height} style={{ display: 'block', position: 'absolute', left: 0, top: 0 }} />
+    <div
+      ref={containerRef}
+      role="group"
+      aria-label="Leadership principles"
+      style={isWheel
+        ? { position: 'relative', width: '100%', height: '680px', marginBottom: '24px', minHeight: '560px' }
+        : { display: 'grid', gridTemplateColumns: `repeat(auto-fill, minmax(${cardW}px, 1fr))`, gap: '16px', marginBottom: '24px' }}
+    >
+      {isWheel && <svg ref={svgRef} width={dims.width} height={dims.height} style={{ display: 'block', position: 'absolute', left: 0, top: 0 }} />}
       {principles.map((principle, i) => (
         <div
           key={i}
-          role="button"
-          tabIndex={0}
+          ref={(el) => { cardRefs.current[i] = el; }}
+          role={isEditMode ? 'group' : 'button'}
+          tabIndex={isEditMode ? undefined : 0}
+          aria-label={`${principle.title}, principle ${i + 1} of ${principles.length}${canLayout ? `, ${principleClockRange(segmentAngles[i])}` : ''}`}
+          aria-haspopup={isEditMode ? undefined : 'dialog'}
           onClick={() => !isEditMode && setModalPrincipleIndex(i)}
-          onKeyDown={(e) => !isEditMode && (e.key === 'Enter' || e.key === ' ') && (e.preventDefault(), setModalPrincipleIndex(i))}
+          onKeyDown={(e) => handleCardKeyDown(e, i)}
           onMouseEnter={(e) => { if (!isEditMode) { e.currentTarget.style.transform = 'translateY(-4px) scale(1.02)'; e.currentTarget.style.boxShadow = `0 12px 28px ${(principle.color || colors.accent)}30`; } }}
           onMouseLeave={(e) => { e.currentTarget.style.transform = ''; e.currentTarget.style.boxShadow = ''; }}
           style={{
-            position: 'absolute',
-            left: positions[i]?.x ?? 0,
-            top: positions[i]?.y ?? 0,
-            width: cardW,
+            ...(isWheel ? { position: 'absolute', left: positions[i]?.x ?? 0, top: positions[i]?.y ?? 0, width: cardW } : {}),
             minHeight: cardH,
             cursor: isEditMode ? 'default' : 'pointer',
             transition: 'transform 0.25s ease, box-shadow 0.25s ease',
@@ -727,6 +1667,25 @@ const PrinciplesRadialView = ({ principles, updatePrinciple, isEditMode, setModa
           }}
         >
           <Card style={{ borderLeft: `4px solid ${principle.color}`, height: '100%', boxSizing: 'border-box', display: 'flex', flexDirection: 'column', boxShadow: `0 4px 16px ${(principle.color || colors.accent)}20` }}>
+            {isEditMode && (
+              <div style={{ display: 'flex', justifyContent: 'flex-end', margin: '-8px -8px 4px 0' }}>
+                <button type="button" onClick={() => setModalPrincipleIndex(i)} style={{ ...controlStyle(true), color: colors.accent, fontSize: '12px', marginRight: 'auto' }} title="Edit framework, examples and guidelines">
+                  Edit details
+                </button>
+                <button type="button" onClick={() => movePrinciple(i, -1)} disabled={i === 0} style={controlStyle(i > 0)} title="Move earlier" aria-label={`Move ${principle.title} earlier`}>←</button>
+                <button type="button" onClick={() => movePrinciple(i, 1)} disabled={i === principles.length - 1} style={controlStyle(i < principles.length - 1)} title="Move later" aria-label={`Move ${principle.title} later`}>→</button>
+                <button
+                  aria-label="Delete principle"
+                  type="button"
+                  onClick={() => deletePrinciple(i)}
+                  disabled={principles.length <= PRINCIPLES_MIN}
+                  style={{ ...controlStyle(principles.length > PRINCIPLES_MIN), color: principles.length > PRINCIPLES_MIN ? colors.danger : colors.gray300, fontSize: '16px' }}
+                  title={principles.length > PRINCIPLES_MIN ? 'Delete principle' : `Keep at least ${PRINCIPLES_MIN} principles`}
+                >
+                  ×
+                </button>
+              </div>
+            )}
             <h3 style={{ fontSize: '15px', fontWeight: '600', color: colors.text, marginBottom: '6px' }}>
               <EditableText value={principle.title} onChange={(v) => updatePrinciple(i, 'title', v)} style={{ fontSize: '15px', fontWeight: '600', color: colors.text }} />
             </h3>
@@ -742,123 +1701,241 @@ const PrinciplesRadialView = ({ principles, updatePrinciple, isEditMode, setModa
           </Card>
         </div>
       ))}
+      {isWheel && (
+        <table style={VISUALLY_HIDDEN_STYLE}>
+          <caption>Leadership principles, one wedge each, clockwise from 9 o'clock</caption>
+          <thead>
+            <tr>
+              <th scope="col">Principle</th>
+              <th scope="col">Position</th>
+              <th scope="col">Description</th>
+              <th scope="col">Example</th>
+            </tr>
+          </thead>
+          <tbody>
+            {principles.map((principle, i) => (
+              <tr key={i}>
+                <th scope="row">{principle.title}</th>
+                <td>{i + 1} of {principles.length}, {principleClockRange(segmentAngles[i])}</td>
+                <td>{principle.description}</td>
+                <td>{principle.example}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 };
 
 // Stat Card (static)
-const StatCard = ({ value, label, suffix = '', color = colors.accent }) => (
-  <div style={{ 
-    textAlign: 'center', 
-    padding: '16px',
-    backgroundColor: 'white',
-    borderRadius: '12px',
-    border: `1px solid ${colors.border}`,
-    transition: 'all 0.2s ease'
-  }}>
-    <div style={{ fontSize: '36px', fontWeight: '700', color, marginBottom: '6px', letterSpacing: '-0.02em' }}>
-      <AnimatedCounter value={value} suffix={suffix} />
+const StatCard = ({ value, label, suffix = '', color = colors.accent }) => {
+  const colors = useColors();
+  return (
+    <div style={{ 
+      textAlign: 'center', 
+      padding: '16px',
+      backgroundColor: colors.card,
+      borderRadius: '12px',
+      border: `1px solid ${colors.border}`,
+      transition: 'all 0.2s ease'
+    }}>
+      <div style={{ fontSize: '36px', fontWeight: '700', color, marginBottom: '6px', letterSpacing: '-0.02em' }}>
+        <AnimatedCounter value={value} suffix={suffix} />
+      </div>
+      <div style={{ fontSize: '13px', color: colors.textMuted, fontWeight: '500' }}>{label}</div>
     </div>
-    <div style={{ fontSize: '13px', color: colors.textMuted, fontWeight: '500' }}>{label}</div>
-  </div>
-);
+  );
+};
 
 // Section Header - Writer.com style
-const SectionHeader = ({ number, title, subtitle }) => (
-  <div style={{ marginBottom: '32px' }}>
-    <div style={{ display: 'flex', alignItems: 'baseline', gap: '16px', marginBottom: '12px' }}>
-      <span style={{ 
-        fontSize: '13px', 
-        fontWeight: '600', 
-        color: colors.accent, 
-        fontFamily: "'Inter', monospace",
-        letterSpacing: '0.05em',
-        textTransform: 'uppercase'
-      }}>{number}</span>
-      <h2 style={{ 
-        fontSize: '36px', 
-        fontWeight: '700', 
-        color: colors.text, 
+const SectionHeader = ({ number, title, subtitle }) => {
+  const colors = useColors();
+  return (
+    <div style={{ marginBottom: '32px' }}>
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: '16px', marginBottom: '12px' }}>
+        <span style={{ 
+          fontSize: '13px', 
+          fontWeight: '600', 
+          color: colors.accent, 
+          fontFamily: "'Inter', monospace",
+          letterSpacing: '0.05em',
+          textTransform: 'uppercase'
+        }}>{number}</span>
+        <h2 style={{ 
+          fontSize: '36px', 
+          fontWeight: '700', 
+          color: colors.text, 
+          margin: 0, 
+          letterSpacing: '-0.02em',
+          lineHeight: '1.2'
+        }}>{title}</h2>
+      </div>
+      {subtitle && <p style={{ 
+        fontSize: '18px', 
+        color: colors.textSecondary, 
         margin: 0, 
-        letterSpacing: '-0.02em',
-        lineHeight: '1.2'
-      }}>{title}</h2>
+        marginLeft: '48px',
+        lineHeight: '1.6',
+        fontWeight: '400'
+      }}>{subtitle}</p>}
     </div>
-    {subtitle && <p style={{ 
-      fontSize: '18px', 
-      color: colors.textSecondary, 
-      margin: 0, 
-      marginLeft: '48px',
-      lineHeight: '1.6',
-      fontWeight: '400'
-    }}>{subtitle}</p>}
-  </div>
-);
+  );
+};
 
-// Modal content for each Leadership Principle (full detail shown on card click)
-const PRINCIPLE_MODAL_CONTENT = [
-  {
-    title: 'Coaching for Outcomes',
-    framework: 'The 3D Coaching Model',
-    frameworkSub: 'Define → Develop → Delegate',
-    frameworkDesc: 'This framework mirrors how top SAs already operate with customers—clarifying success criteria, building capability, then stepping back. It scales your personal approach by teaching the method, not just the motion.',
-    guidelines: [
-      'Identification: Spot where SAs are activity-heavy but outcome-unclear; identify blockers and where technical validation could be stronger before commercial push.',
-      'What action to take: Co-create an outcome contract with each SA—"What does success look like? How will we measure it?" Replace status updates with 15-minute "outcome check-ins" focused on blockers.',
-      'How to scale: Run post-deal retrospectives ("what worked, what would you replicate?") to build your "How the best SAs work" playbook; shadow SAs on complex deals, then have them shadow you.',
-      'How to protect SA time: Step back from the how; coach only when asked so SAs own their calendar and don\'t default to status-theater.'
-    ],
-    examplesInPractice: [
-      'Coaching the local West SA team and mentoring on best practices to get ramped up as quickly as possible.',
-      'Weekly cadence so they feel like they\'re progressing and building bespoke growth plans so they have a target to always reach—focus on small chunks of goals vs. one large goal that takes time.'
-    ]
-  },
-  {
-    title: 'Ruthless Prioritization',
-    framework: 'Technical leverage over qualification rigor',
-    frameworkSub: 'Technical validation before commercial momentum',
-    frameworkDesc: 'For SA leadership the core tension shifts from "qualification rigor" to "technical leverage." Your version of left-shifted scrutiny is ensuring technical validation happens before commercial momentum builds false confidence. ICE (Impact × Confidence × Effort) still gives the team a shared language for tradeoffs; layer in stage gates: define what technical artifacts, stakeholder mapping, and validation criteria must exist before each deal stage (Stage 0–5). Helping hidden lift is a big win: SAs absorbing cross-functional technical complexity so engineers can focus on solution design rather than navigating product gaps or integration unknowns.',
-    guidelines: [
-      'Identification: Spot where commercial momentum is building without technical validation; identify SAs doing hidden lift (absorbing technical complexity so eng can focus on solution design).',
-      'What action to take: Maintain a quarterly "stop doing" list; implement technical stage gates (artifacts, stakeholder mapping, validation criteria) before advancing deals; conduct monthly calendar audits—coach toward 70%+ time on top 3 accounts.',
-      'How to scale: Define Stage 0–5 "must haves" for SA—technical artifacts, stakeholder mapping, validation criteria at each gate; have each SA identify their single highest-leverage activity weekly and track patterns.',
-      'How to protect SA time: Deprioritize activities that don\'t pass the technical-leverage bar; use capacity dashboard and flex-capacity protocol so SAs aren\'t overloaded by deals that haven\'t cleared validation.'
-    ],
-    examplesInPractice: [
-      'Working across partnerships, normal GTM opportunities, owning tech partnership integrations and builds, coaching/mentoring, and ad hoc engagements such as webinars, conferences, speaking at events and trainings. Ruthless prioritization is a common practice.'
-    ]
-  },
-  {
-    title: 'Culture Building Under Volatility',
-    framework: 'SCARF Model (David Rock)',
-    frameworkSub: 'Status, Certainty, Autonomy, Relatedness, Fairness',
-    frameworkDesc: 'SCARF identifies the five domains where people feel most affected during change. By proactively addressing each—especially certainty and status during reorgs—you reduce the cognitive load that impacts performance when things get ambiguous.',
-    guidelines: [
-      'Identification: Spot where certainty and status are affected (reorgs, strategy shifts); name tension when you sense it—"This feels off. Let\'s talk about why."',
-      'What action to take: Share transparent "what I know / what I don\'t know" updates during uncertainty; hold monthly "state of the team" sessions: wins, challenges, what leadership is hearing—no spin.',
-      'How to scale: Pair developing SAs with thriving ones through deal co-ownership, not formal mentorship; build psychological safety so hidden lift and technical complexity get surfaced.',
-      'How to protect SA time: Reduce cognitive load so SAs aren\'t drained by ambiguity; protect 1:1 and career conversations as non-negotiable.'
-    ],
-    examplesInPractice: [
-      'Building trust and respect among peers and having them vouch for me being their manager to continue building that trust and push for what\'s best for the West SA team in terms of objective and subjective growth.'
-    ]
-  },
-  {
-    title: 'Hiring for Ambiguity',
-    framework: 'Structured Behavioral Interviewing for Adaptability',
-    frameworkSub: 'Past behavior → Situational judgment → Values alignment',
-    frameworkDesc: 'Traditional interviews reward polish and preparation. This structure specifically surfaces how candidates behave when the path isn\'t clear—which is the actual job. Past ambiguity navigation predicts future ambiguity navigation better than hypotheticals.',
-    guidelines: [
-      'Identification: Spot candidates who thrive in technical ambiguity (product gaps, integration unknowns) and who can absorb cross-functional complexity so eng can focus on solution design.',
-      'What action to take: Use a "messy case study" interview with an intentionally incomplete brief—evaluate navigation, not correctness; ask references about trajectory: "How much did they grow in months 1-6 vs. 6-12?"',
-      'How to scale: Assign new SAs a real deal in week 2, not week 8—observe how they respond to ambiguity early; document "How the best SAs work" so onboarding replicates high-leverage behavior.',
-      'How to protect SA time: Conduct a 90-day "trust checkpoint" to calibrate where you\'ve been too hands-on vs. where they need more support; preserve 40-hour max—additional headcount for overages, not burnout.'
-    ],
-    examplesInPractice: [
-      'Have been on the hiring panel for almost 80% of the current SAs; the team has kept our bar of talent top tier.'
-    ]
-  }
-];
+// Principle modal body (framework, examples, guidelines); also printed inline under the radial view.
+// In edit mode every field is editable through onChange(field, value).
+const PrincipleDetail = ({ principle, onChange }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const isEditable = isEditMode && Boolean(onChange);
+  const appFont = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+  const labelStyle = { fontFamily: appFont, fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' };
+  const listStyle = { fontFamily: appFont, fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6 };
+
+  const text = (field, style, multiline = false) => (isEditable
+    ? <EditableText value={principle[field] || ''} onChange={(v) => onChange(field, v)} style={style} multiline={multiline} />
+    : principle[field]);
+
+  const list = (field, addLabel, marginBottom) => {
+    const items = principle[field] || [];
+    if (!isEditable) {
+      return (
+        <ul style={{ margin: `0 0 ${marginBottom}`, paddingLeft: '20px', ...listStyle }}>
+          {items.map((item, j) => (
+            <li key={j} style={{ marginBottom: '8px' }}>{item}</li>
+          ))}
+        </ul>
+      );
+    }
+    return (
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom }}>
+        {items.map((item, j) => (
+          <EditableListItem
+            key={j}
+            value={item}
+            onChange={(v) => onChange(field, items.map((existing, k) => (k === j ? v : existing)))}
+            onDelete={() => onChange(field, items.filter((_, k) => k !== j))}
+            color={principle.color}
+            style={listStyle}
+          />
+        ))}
+        <AddItemButton onClick={() => onChange(field, [...items, 'New item - click to edit'])} label={addLabel} />
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <p style={{ fontFamily: appFont, fontSize: '11px', fontWeight: '600', color: colors.purple, margin: '0 0 12px', letterSpacing: '0.04em', textTransform: 'uppercase' }}>Apply: Identify → Action → Scale → Share</p>
+      <div style={{ marginBottom: '16px', padding: '16px', backgroundColor: principle.color + '12', borderRadius: '10px', borderLeft: `4px solid ${principle.color}` }}>
+        <p style={{ fontFamily: appFont, fontSize: '12px', fontWeight: '600', color: principle.color, margin: '0 0 6px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+          Framework: {text('framework', { fontSize: '12px', fontWeight: '600', color: principle.color })}
+        </p>
+        <p style={{ fontFamily: appFont, fontSize: '14px', fontWeight: '600', color: colors.text, margin: '0 0 8px' }}>
+          {text('frameworkSub', { fontSize: '14px', fontWeight: '600', color: colors.text })}
+        </p>
+        <p style={{ fontFamily: appFont, fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6, margin: 0 }}>
+          {text('frameworkDesc', { fontSize: '14px', color: colors.textSecondary }, true)}
+        </p>
+      </div>
+      {(isEditable || (principle.examplesInPractice && principle.examplesInPractice.length > 0)) && (
+        <>
+          <p style={labelStyle}>Examples in practice</p>
+          {list('examplesInPractice', 'Add example', '16px')}
+        </>
+      )}
+      <p style={labelStyle}>Principal Guidelines</p>
+      {list('guidelines', 'Add guideline', 0)}
+    </>
+  );
+};
+
+// Principle detail modal (portal to body so it appears on top); a dialog with its own focus handling
+const PrincipleModal = ({ principle, onChange, onClose }) => {
+  const colors = useColors();
+  const titleId = useId();
+  const dialogProps = useDialog(onClose, titleId);
+  if (typeof document === 'undefined') return null;
+  const appFont = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+  return createPortal(
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 10000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '24px',
+        backgroundColor: 'rgba(0,0,0,0.35)',
+        backdropFilter: 'blur(6px)',
+        WebkitBackdropFilter: 'blur(6px)',
+        fontFamily: appFont,
+        color: colors.text,
+        lineHeight: 1.6,
+        fontSize: '14px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        {...dialogProps}
+        style={{
+          backgroundColor: colors.bg,
+          borderRadius: '12px',
+          maxWidth: '560px',
+          width: '100%',
+          maxHeight: '85vh',
+          overflow: 'auto',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.05), 0 24px 48px rgba(0,0,0,0.15)',
+          border: `1px solid ${colors.border}`,
+          position: 'relative',
+          fontFamily: appFont,
+          fontSize: '14px',
+          color: colors.text,
+          outline: 'none'
+        }}
+        onClick={e => e.stopPropagation()}
+      >
+        <div style={{ padding: '20px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+            <h3 id={titleId} style={{ fontFamily: appFont, fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0, paddingRight: '36px' }}>
+              <EditableText value={principle.title} onChange={(v) => onChange('title', v)} style={{ fontSize: '18px', fontWeight: '600', color: colors.text }} />
+            </h3>
+            <button
+              aria-label="Close"
+              type="button"
+              onClick={onClose}
+              style={{
+                position: 'absolute',
+                top: '16px',
+                right: '16px',
+                width: '32px',
+                height: '32px',
+                borderRadius: '8px',
+                border: 'none',
+                backgroundColor: colors.surface,
+                color: colors.textMuted,
+                fontFamily: appFont,
+                fontSize: '18px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                lineHeight: 1
+              }}
+            >
+              ×
+            </button>
+          </div>
+          <PrincipleDetail principle={principle} onChange={onChange} />
+          <SpeakerNotes value={principle.notes} onChange={(v) => onChange('notes', v)} />
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
 
 // Partner SA rules default (used by Leadership Principles — Partnerships tab)
 const defaultPartnerSARules = {
@@ -981,11 +2058,109 @@ function setInObject(obj, path, value) {
     : { ...obj, [key]: setInObject(nextObj, path.slice(1), value) };
 }
 
+// Swaps items[index] with its neighbour delta (±1) away; out-of-range moves return items unchanged
+const moveItem = (items, index, delta) => {
+  const target = index + delta;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+const defaultPhilosophy = 'Scale individual contributor success into systematic processes. Document "How the best SA\'s work" for team replication. Build trust through coaching for outcomes, not micromanaging.';
+
+// Each principle carries its card (title, description, example, color) and its detail modal content
+const defaultPrinciples = [
+  {
+    title: 'Coaching for Outcomes',
+    description: 'Focus on results, not process. Give framework and autonomy.',
+    example: 'Goldman account: Cross-functional leadership without direct authority',
+    color: colors.accent,
+    framework: 'The 3D Coaching Model',
+    frameworkSub: 'Define → Develop → Delegate',
+    frameworkDesc: 'This framework mirrors how top SAs already operate with customers—clarifying success criteria, building capability, then stepping back. It scales your personal approach by teaching the method, not just the motion.',
+    guidelines: [
+      'Identification: Spot where SAs are activity-heavy but outcome-unclear; identify blockers and where technical validation could be stronger before commercial push.',
+      'What action to take: Co-create an outcome contract with each SA—"What does success look like? How will we measure it?" Replace status updates with 15-minute "outcome check-ins" focused on blockers.',
+      'How to scale: Run post-deal retrospectives ("what worked, what would you replicate?") to build your "How the best SAs work" playbook; shadow SAs on complex deals, then have them shadow you.',
+      'How to protect SA time: Step back from the how; coach only when asked so SAs own their calendar and don\'t default to status-theater.'
+    ],
+    examplesInPractice: [
+      'Coaching the local West SA team and mentoring on best practices to get ramped up as quickly as possible.',
+      'Weekly cadence so they feel like they\'re progressing and building bespoke growth plans so they have a target to always reach—focus on small chunks of goals vs. one large goal that takes time.'
+    ]
+  },
+  {
+    title: 'Ruthless Prioritization',
+    description: 'Key growth area: Translate personal execution into team coaching.',
+    example: 'Successfully handled feedback from Steve—focused on learning to coach rather than defending',
+    color: colors.purple,
+    framework: 'Technical leverage over qualification rigor',
+    frameworkSub: 'Technical validation before commercial momentum',
+    frameworkDesc: 'For SA leadership the core tension shifts from "qualification rigor" to "technical leverage." Your version of left-shifted scrutiny is ensuring technical validation happens before commercial momentum builds false confidence. ICE (Impact × Confidence × Effort) still gives the team a shared language for tradeoffs; layer in stage gates: define what technical artifacts, stakeholder mapping, and validation criteria must exist before each deal stage (Stage 0–5). Helping hidden lift is a big win: SAs absorbing cross-functional technical complexity so engineers can focus on solution design rather than navigating product gaps or integration unknowns.',
+    guidelines: [
+      'Identification: Spot where commercial momentum is building without technical validation; identify SAs doing hidden lift (absorbing technical complexity so eng can focus on solution design).',
+      'What action to take: Maintain a quarterly "stop doing" list; implement technical stage gates (artifacts, stakeholder mapping, validation criteria) before advancing deals; conduct monthly calendar audits—coach toward 70%+ time on top 3 accounts.',
+      'How to scale: Define Stage 0–5 "must haves" for SA—technical artifacts, stakeholder mapping, validation criteria at each gate; have each SA identify their single highest-leverage activity weekly and track patterns.',
+      'How to protect SA time: Deprioritize activities that don\'t pass the technical-leverage bar; use capacity dashboard and flex-capacity protocol so SAs aren\'t overloaded by deals that haven\'t cleared validation.'
+    ],
+    examplesInPractice: [
+      'Working across partnerships, normal GTM opportunities, owning tech partnership integrations and builds, coaching/mentoring, and ad hoc engagements such as webinars, conferences, speaking at events and trainings. Ruthless prioritization is a common practice.'
+    ]
+  },
+  {
+    title: 'Culture Building Under Volatility',
+    description: 'Maintain team morale during uncertainty and change.',
+    example: 'Demonstrated instinctual management during awkward conversations',
+    color: colors.success,
+    framework: 'SCARF Model (David Rock)',
+    frameworkSub: 'Status, Certainty, Autonomy, Relatedness, Fairness',
+    frameworkDesc: 'SCARF identifies the five domains where people feel most affected during change. By proactively addressing each—especially certainty and status during reorgs—you reduce the cognitive load that impacts performance when things get ambiguous.',
+    guidelines: [
+      'Identification: Spot where certainty and status are affected (reorgs, strategy shifts); name tension when you sense it—"This feels off. Let\'s talk about why."',
+      'What action to take: Share transparent "what I know / what I don\'t know" updates during uncertainty; hold monthly "state of the team" sessions: wins, challenges, what leadership is hearing—no spin.',
+      'How to scale: Pair developing SAs with thriving ones through deal co-ownership, not formal mentorship; build psychological safety so hidden lift and technical complexity get surfaced.',
+      'How to protect SA time: Reduce cognitive load so SAs aren\'t drained by ambiguity; protect 1:1 and career conversations as non-negotiable.'
+    ],
+    examplesInPractice: [
+      'Building trust and respect among peers and having them vouch for me being their manager to continue building that trust and push for what\'s best for the West SA team in terms of objective and subjective growth.'
+    ]
+  },
+  {
+    title: 'Hiring for Ambiguity',
+    description: 'Seek people who thrive in unclear situations and high trajectory.',
+    example: 'IC to leader transition without micromanaging—trust the process',
+    color: colors.warning,
+    framework: 'Structured Behavioral Interviewing for Adaptability',
+    frameworkSub: 'Past behavior → Situational judgment → Values alignment',
+    frameworkDesc: 'Traditional interviews reward polish and preparation. This structure specifically surfaces how candidates behave when the path isn\'t clear—which is the actual job. Past ambiguity navigation predicts future ambiguity navigation better than hypotheticals.',
+    guidelines: [
+      'Identification: Spot candidates who thrive in technical ambiguity (product gaps, integration unknowns) and who can absorb cross-functional complexity so eng can focus on solution design.',
+      'What action to take: Use a "messy case study" interview with an intentionally incomplete brief—evaluate navigation, not correctness; ask references about trajectory: "How much did they grow in months 1-6 vs. 6-12?"',
+      'How to scale: Assign new SAs a real deal in week 2, not week 8—observe how they respond to ambiguity early; document "How the best SAs work" so onboarding replicates high-leverage behavior.',
+      'How to protect SA time: Conduct a 90-day "trust checkpoint" to calibrate where you\'ve been too hands-on vs. where they need more support; preserve 40-hour max—additional headcount for overages, not burnout.'
+    ],
+    examplesInPractice: [
+      'Have been on the hiring panel for almost 80% of the current SAs; the team has kept our bar of talent top tier.'
+    ]
+  }
+];
+
+const defaultFeedback = [
+  'Strong collaboration skills and technical depth',
+  'Able to turn complex to composed and simplified',
+  'Doesn\'t shy away from feedback for himself or others he\'s coaching',
+  'Direct with action, gives feedback with steps to improve',
+  'Plays and coaches'
+];
+
 // Leadership Principles Section
 const LeadershipPrinciplesSection = () => {
+  const colors = useColors();
   const { isEditMode } = useContext(EditModeContext);
-  const [modalPrincipleIndex, setModalPrincipleIndex] = useState(null);
-  const [activeTab, setActiveTab] = useState('principles');
+  const [modalPrincipleIndex, setModalPrincipleIndex] = useRouteParam('principle', null, ROUTE_INDEX_PARAM);
+  const [activeTab, setActiveTab] = useSectionTab('leadership');
+  const { isPrinting, showTab, tabButtonStyle, tabListProps, tabProps, tabPanelProps } = useTabPanels(activeTab, 'leadership', setActiveTab);
 
   const [partnerSARules, setPartnerSARules] = useLocalStorage('leadershipPlaybook_partnerSARules', defaultPartnerSARules);
   const updatePartnerSARules = (key, value) => setPartnerSARules(prev => ({ ...prev, [key]: value }));
@@ -1004,45 +2179,13 @@ const LeadershipPrinciplesSection = () => {
     setEcosystemDiagram(prev => setInObject(prev, path, value));
   };
 
-  const [philosophy, setPhilosophy] = useLocalStorage(
-    'leadershipPlaybook_philosophy',
-    'Scale individual contributor success into systematic processes. Document "How the best SA\'s work" for team replication. Build trust through coaching for outcomes, not micromanaging.'
-  );
+  const [philosophy, setPhilosophy] = useLocalStorage('leadershipPlaybook_philosophy', defaultPhilosophy);
 
-  const [principles, setPrinciples] = useLocalStorage('leadershipPlaybook_principles', [
-    {
-      title: 'Coaching for Outcomes',
-      description: 'Focus on results, not process. Give framework and autonomy.',
-      example: 'Goldman account: Cross-functional leadership without direct authority',
-      color: colors.accent
-    },
-    {
-      title: 'Ruthless Prioritization',
-      description: 'Key growth area: Translate personal execution into team coaching.',
-      example: 'Successfully handled feedback from Steve—focused on learning to coach rather than defending',
-      color: colors.purple
-    },
-    {
-      title: 'Culture Building Under Volatility',
-      description: 'Maintain team morale during uncertainty and change.',
-      example: 'Demonstrated instinctual management during awkward conversations',
-      color: colors.success
-    },
-    {
-      title: 'Hiring for Ambiguity',
-      description: 'Seek people who thrive in unclear situations and high trajectory.',
-      example: 'IC to leader transition without micromanaging—trust the process',
-      color: colors.warning
-    }
-  ]);
+  const [principles, setPrinciples] = useLocalStorage('leadershipPlaybook_principles', defaultPrinciples);
+  // Display copy in the active palette; every update goes through setPrinciples by index, so saved colors stay as they were
+  const themedPrinciples = principles.map((principle) => ({ ...principle, color: themedColor(principle.color, colors) }));
 
-  const [feedback, setFeedback] = useLocalStorage('leadershipPlaybook_feedback', [
-    'Strong collaboration skills and technical depth',
-    'Able to turn complex to composed and simplified',
-    'Doesn\'t shy away from feedback for himself or others he\'s coaching',
-    'Direct with action, gives feedback with steps to improve',
-    'Plays and coaches'
-  ]);
+  const [feedback, setFeedback] = useLocalStorage('leadershipPlaybook_feedback', defaultFeedback);
 
   const updatePrinciple = (index, field, value) => {
     setPrinciples(prev => prev.map((p, i) => 
@@ -1050,6 +2193,28 @@ const LeadershipPrinciplesSection = () => {
     ));
   };
 
+  const addPrinciple = () => {
+    setPrinciples(prev => [...prev, {
+      title: 'New principle',
+      description: 'New description - click to edit',
+      example: 'New example - click to edit',
+      color: PRINCIPLE_COLORS.find((color) => !prev.some((p) => p.color === color)) || PRINCIPLE_COLORS[prev.length % PRINCIPLE_COLORS.length],
+      framework: 'Framework name',
+      frameworkSub: 'Framework steps',
+      frameworkDesc: 'Why this framework - click to edit',
+      guidelines: ['New guideline - click to edit'],
+      examplesInPractice: []
+    }]);
+  };
+
+  const movePrinciple = (index, delta) => {
+    setPrinciples(prev => moveItem(prev, index, delta));
+  };
+
+  const deletePrinciple = (index) => {
+    setPrinciples(prev => (prev.length > PRINCIPLES_MIN ? prev.filter((_, i) => i !== index) : prev));
+  };
+
   const updateFeedback = (index, value) => {
     setFeedback(prev => prev.map((item, i) => i === index ? value : item));
   };
@@ -1065,14 +2230,16 @@ const LeadershipPrinciplesSection = () => {
   return (
     <div>
       {/* Tabs: Principles | Principles in Action */}
-      <div style={{ display: 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
+      <div {...tabListProps} aria-label="Leadership Principles" style={{ display: isPrinting ? 'none' : 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
         <button
+          {...tabProps('principles')}
           onClick={() => setActiveTab('principles')}
           style={{
+            ...tabButtonStyle('principles'),
             padding: '10px 20px',
             borderRadius: '8px',
             border: `1px solid ${activeTab === 'principles' ? colors.accent : colors.border}`,
-            backgroundColor: activeTab === 'principles' ? colors.accent : 'white',
+            backgroundColor: activeTab === 'principles' ? colors.accent : colors.card,
             color: activeTab === 'principles' ? 'white' : colors.text,
             fontSize: '14px',
             fontWeight: activeTab === 'principles' ? '600' : '500',
@@ -1084,12 +2251,14 @@ const LeadershipPrinciplesSection = () => {
           Principles
         </button>
         <button
+          {...tabProps('partnerships')}
           onClick={() => setActiveTab('partnerships')}
           style={{
+            ...tabButtonStyle('partnerships'),
             padding: '10px 20px',
             borderRadius: '8px',
             border: `1px solid ${activeTab === 'partnerships' ? colors.info : colors.border}`,
-            backgroundColor: activeTab === 'partnerships' ? colors.info : 'white',
+            backgroundColor: activeTab === 'partnerships' ? colors.info : colors.card,
             color: activeTab === 'partnerships' ? 'white' : colors.text,
             fontSize: '14px',
             fontWeight: activeTab === 'partnerships' ? '600' : '500',
@@ -1102,8 +2271,9 @@ const LeadershipPrinciplesSection = () => {
         </button>
       </div>
 
-      {activeTab === 'principles' && (
-        <>
+      <PrintTabHeading sectionId="leadership" tabId="principles" />
+      {showTab('principles') && (
+        <div {...tabPanelProps('principles')}>
       {/* Philosophy */}
       <Card style={{ marginBottom: '24px', backgroundColor: colors.accent + '10', border: `1px solid ${colors.accent}30` }}>
         <p style={{ fontSize: '14px', fontWeight: '600', color: colors.accent, marginBottom: '12px', textTransform: 'uppercase' }}>Leadership Philosophy</p>
@@ -1117,113 +2287,37 @@ const LeadershipPrinciplesSection = () => {
         </p>
       </Card>
 
-      {/* Principles — D3 radial layout: 4 arc segments, cards in each */}
+      {/* Principles — D3 radial layout: one arc segment per principle, a card beside each */}
       <PrinciplesRadialView
-        principles={principles}
+        principles={themedPrinciples}
         updatePrinciple={updatePrinciple}
+        movePrinciple={movePrinciple}
+        deletePrinciple={deletePrinciple}
         isEditMode={isEditMode}
         setModalPrincipleIndex={setModalPrincipleIndex}
       />
+      {isEditMode && principles.length < PRINCIPLES_MAX && (
+        <div style={{ marginTop: '-16px', marginBottom: '24px' }}>
+          <AddItemButton onClick={addPrinciple} label="Add principle" />
+        </div>
+      )}
+
+      {/* Print: every principle's modal content, since the modal can't open on paper */}
+      {isPrinting && themedPrinciples.map((principle, i) => (
+        <Card key={i} style={{ marginBottom: '16px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: '0 0 12px' }}>{principle.title}</h3>
+          <PrincipleDetail principle={principle} />
+        </Card>
+      ))}
 
       {/* Principle detail modal — centered, blurred backdrop (portal to body so it appears on top) */}
-      {modalPrincipleIndex !== null && typeof document !== 'undefined' && (() => {
-        const content = PRINCIPLE_MODAL_CONTENT[modalPrincipleIndex];
-        const principle = principles[modalPrincipleIndex];
-        if (!content || !principle) return null;
-        const appFont = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
-        const modalEl = (
-          <div
-            style={{
-              position: 'fixed',
-              inset: 0,
-              zIndex: 10000,
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              padding: '24px',
-              backgroundColor: 'rgba(0,0,0,0.35)',
-              backdropFilter: 'blur(6px)',
-              WebkitBackdropFilter: 'blur(6px)',
-              fontFamily: appFont,
-              color: colors.text,
-              lineHeight: 1.6,
-              fontSize: '14px'
-            }}
-            onClick={() => setModalPrincipleIndex(null)}
-          >
-            <div
-              style={{
-                backgroundColor: colors.bg,
-                borderRadius: '12px',
-                maxWidth: '560px',
-                width: '100%',
-                maxHeight: '85vh',
-                overflow: 'auto',
-                boxShadow: '0 1px 3px rgba(0,0,0,0.05), 0 24px 48px rgba(0,0,0,0.15)',
-                border: `1px solid ${colors.border}`,
-                position: 'relative',
-                fontFamily: appFont,
-                fontSize: '14px',
-                color: colors.text
-              }}
-              onClick={e => e.stopPropagation()}
-            >
-              <div style={{ padding: '20px' }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
-                  <h3 style={{ fontFamily: appFont, fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0, paddingRight: '36px' }}>{content.title}</h3>
-                  <button
-                    type="button"
-                    onClick={() => setModalPrincipleIndex(null)}
-                    style={{
-                      position: 'absolute',
-                      top: '16px',
-                      right: '16px',
-                      width: '32px',
-                      height: '32px',
-                      borderRadius: '8px',
-                      border: 'none',
-                      backgroundColor: colors.surface,
-                      color: colors.textMuted,
-                      fontFamily: appFont,
-                      fontSize: '18px',
-                      cursor: 'pointer',
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'center',
-                      lineHeight: 1
-                    }}
-                  >
-                    ×
-                  </button>
-                </div>
-                <p style={{ fontFamily: appFont, fontSize: '11px', fontWeight: '600', color: colors.purple, margin: '0 0 12px', letterSpacing: '0.04em', textTransform: 'uppercase' }}>Apply: Identify → Action → Scale → Share</p>
-                <div style={{ marginBottom: '16px', padding: '16px', backgroundColor: principle.color + '12', borderRadius: '10px', borderLeft: `4px solid ${principle.color}` }}>
-                  <p style={{ fontFamily: appFont, fontSize: '12px', fontWeight: '600', color: principle.color, margin: '0 0 6px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Framework: {content.framework}</p>
-                  <p style={{ fontFamily: appFont, fontSize: '14px', fontWeight: '600', color: colors.text, margin: '0 0 8px' }}>{content.frameworkSub}</p>
-                  <p style={{ fontFamily: appFont, fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6, margin: 0 }}>{content.frameworkDesc}</p>
-                </div>
-                {content.examplesInPractice && content.examplesInPractice.length > 0 && (
-                  <>
-                    <p style={{ fontFamily: appFont, fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Examples in practice</p>
-                    <ul style={{ margin: '0 0 16px', paddingLeft: '20px', fontFamily: appFont, fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6 }}>
-                      {content.examplesInPractice.map((example, j) => (
-                        <li key={j} style={{ marginBottom: '8px' }}>{example}</li>
-                      ))}
-                    </ul>
-                  </>
-                )}
-                <p style={{ fontFamily: appFont, fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Principal Guidelines</p>
-                <ul style={{ margin: 0, paddingLeft: '20px', fontFamily: appFont, fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6 }}>
-                  {content.guidelines.map((guideline, j) => (
-                    <li key={j} style={{ marginBottom: '8px' }}>{guideline}</li>
-                  ))}
-                </ul>
-              </div>
-            </div>
-          </div>
-        );
-        return createPortal(modalEl, document.body);
-      })()}
+      {modalPrincipleIndex !== null && !isPrinting && principles[modalPrincipleIndex] && (
+        <PrincipleModal
+          principle={themedPrinciples[modalPrincipleIndex]}
+          onChange={(field, value) => updatePrinciple(modalPrincipleIndex, field, value)}
+          onClose={() => setModalPrincipleIndex(null)}
+        />
+      )}
 
       {/* Feedback Received */}
       <Card>
@@ -1246,6 +2340,7 @@ const LeadershipPrinciplesSection = () => {
               />
               {isEditMode && (
                 <button
+                  aria-label="Delete feedback"
                   onClick={() => deleteFeedback(i)}
                   style={{
                     background: 'none',
@@ -1265,19 +2360,22 @@ const LeadershipPrinciplesSection = () => {
         </div>
         <AddItemButton onClick={addFeedback} label="Add feedback" />
       </Card>
-        </>
+        </div>
       )}
 
-      {activeTab === 'partnerships' && (
-        <PartnershipsContent
-          partnerSARules={partnerSARules}
-          updatePartnerSARules={updatePartnerSARules}
-          updatePartnerSARulesList={updatePartnerSARulesList}
-          addPartnerSARulesListItem={addPartnerSARulesListItem}
-          deletePartnerSARulesListItem={deletePartnerSARulesListItem}
-          ecosystemDiagram={ecosystemDiagram}
-          updateEcosystemDiagram={updateEcosystemDiagram}
-        />
+      <PrintTabHeading sectionId="leadership" tabId="partnerships" />
+      {showTab('partnerships') && (
+        <div {...tabPanelProps('partnerships')}>
+          <PartnershipsContent
+            partnerSARules={partnerSARules}
+            updatePartnerSARules={updatePartnerSARules}
+            updatePartnerSARulesList={updatePartnerSARulesList}
+            addPartnerSARulesListItem={addPartnerSARulesListItem}
+            deletePartnerSARulesListItem={deletePartnerSARulesListItem}
+            ecosystemDiagram={ecosystemDiagram}
+            updateEcosystemDiagram={updateEcosystemDiagram}
+          />
+        </div>
       )}
     </div>
   );
@@ -1314,286 +2412,304 @@ const PartnershipsContent = ({
   deletePartnerSARulesListItem,
   ecosystemDiagram = defaultEcosystemDiagram,
   updateEcosystemDiagram = () => {}
-}) => (
-  <div>
-    {/* V1 - Functional Org: Ecosystem diagram (Global Partnerships Writer Ecosystem) — matches reference image */}
-    <Card style={{ marginBottom: '28px', overflow: 'visible', padding: '24px' }}>
-      <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}>V1 - Functional Org: Focused on impact</h3>
-      <p style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6, marginBottom: '24px', maxWidth: '720px' }}>
-        To build an effective team, we must look across the partner types that will help Writer grow both from a product differentiation perspective; deployment & revenue. Our entire ecosystem is dependent on global partner enablement; a clear partner program & partner marketing delivered in scalable ways.
-      </p>
-      {/* Single dashed border wraps both diagram and Partner Support (per reference image); grid prevents overlap */}
-      <div
-        style={{
-          display: 'grid',
-          gridTemplateColumns: 'minmax(0, 1fr) 220px',
-          gap: '24px',
-          alignItems: 'start',
-          padding: '28px 24px 32px',
-          borderRadius: '16px',
-          border: `2px dashed ${colors.accent}`,
-          backgroundColor: colors.bg,
-          overflow: 'hidden'
-        }}
-      >
-        {/* Left: Tree (minmax(0,1fr) allows shrink; overflow prevents overlap) */}
-        <div style={{ minWidth: 0, overflow: 'auto' }}>
-          <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0 }}>
-            <EcosystemNode
-              label={ecosystemDiagram.rootLabel}
-              onUpdate={(v) => updateEcosystemDiagram(['rootLabel'], v)}
-            />
-            <div style={{ width: '2px', height: '24px', backgroundColor: connectorGrey }} />
-            <div style={{ width: '100%', maxWidth: '460px', height: '2px', backgroundColor: connectorGrey }} />
-            <div style={{ display: 'flex', justifyContent: 'space-between', width: '100%', maxWidth: '460px', marginTop: '-2px', paddingLeft: '8px', paddingRight: '8px' }}>
-              {(ecosystemDiagram.branches || []).map((_, bi) => (
-                <div key={bi} style={{ width: '2px', height: '20px', backgroundColor: connectorGrey }} />
-              ))}
+}) => {
+  const colors = useColors();
+  return (
+    <div>
+      {/* V1 - Functional Org: Ecosystem diagram (Global Partnerships Writer Ecosystem) — matches reference image */}
+      <Card style={{ marginBottom: '28px', overflow: 'visible', padding: '24px' }}>
+        <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}>V1 - Functional Org: Focused on impact</h3>
+        <p style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6, marginBottom: '24px', maxWidth: '720px' }}>
+          To build an effective team, we must look across the partner types that will help Writer grow both from a product differentiation perspective; deployment & revenue. Our entire ecosystem is dependent on global partner enablement; a clear partner program & partner marketing delivered in scalable ways.
+        </p>
+        {/* Single dashed border wraps both diagram and Partner Support (per reference image); grid prevents overlap */}
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: 'minmax(0, 1fr) 220px',
+            gap: '24px',
+            alignItems: 'start',
+            padding: '28px 24px 32px',
+            borderRadius: '16px',
+            border: `2px dashed ${colors.accent}`,
+            backgroundColor: colors.bg,
+            overflow: 'hidden'
+          }}
+        >
+          {/* Left: Tree (minmax(0,1fr) allows shrink; overflow prevents overlap) */}
+          <div style={{ minWidth: 0, overflow: 'auto' }}>
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0 }}>
+              <EcosystemNode
+                label={ecosystemDiagram.rootLabel}
+                onUpdate={(v) => updateEcosystemDiagram(['rootLabel'], v)}
+              />
+              <div style={{ width: '2px', height: '24px', backgroundColor: connectorGrey }} />
+              <div style={{ width: '100%', maxWidth: '460px', height: '2px', backgroundColor: connectorGrey }} />
+              <div style={{ display: 'flex', justifyContent: 'space-between', width: '100%', maxWidth: '460px', marginTop: '-2px', paddingLeft: '8px', paddingRight: '8px' }}>
+                {(ecosystemDiagram.branches || []).map((_, bi) => (
+                  <div key={bi} style={{ width: '2px', height: '20px', backgroundColor: connectorGrey }} />
+                ))}
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', width: '100%', maxWidth: '500px', gap: '12px', flexWrap: 'wrap', marginTop: '-2px' }}>
+                {(ecosystemDiagram.branches || []).map((branch, bi) => (
+                  <div key={bi} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0, flex: '1 1 120px', minWidth: 100 }}>
+                    <EcosystemNode
+                      label={branch.label}
+                      onUpdate={(v) => updateEcosystemDiagram(['branches', bi, 'label'], v)}
+                      compact
+                    />
+                    {(branch.children || []).length > 0 && (
+                      <>
+                        <div style={{ width: '2px', height: '14px', backgroundColor: connectorGrey, marginTop: '8px' }} />
+                        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '6px' }}>
+                          {(branch.children || []).map((child, ci) => (
+                            <div key={ci} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0 }}>
+                              <div style={{ width: '2px', height: '10px', backgroundColor: connectorGrey }} />
+                              <EcosystemNode
+                                label={child.label}
+                                onUpdate={(v) => updateEcosystemDiagram(['branches', bi, 'children', ci, 'label'], v)}
+                                compact
+                              />
+                              {child.children && child.children.length > 0 && (
+                                <>
+                                  <div style={{ width: '2px', height: '8px', backgroundColor: connectorGrey, marginTop: '6px' }} />
+                                  <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', justifyContent: 'center', marginTop: '-2px' }}>
+                                    {child.children.map((grand, gi) => (
+                                      <div key={gi} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0 }}>
+                                        <div style={{ width: '2px', height: '8px', backgroundColor: connectorGrey }} />
+                                        <EcosystemNode
+                                          label={grand.label}
+                                          onUpdate={(v) => updateEcosystemDiagram(['branches', bi, 'children', ci, 'children', gi, 'label'], v)}
+                                          compact
+                                        />
+                                      </div>
+                                    ))}
+                                  </div>
+                                </>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
             </div>
-            <div style={{ display: 'flex', justifyContent: 'space-between', width: '100%', maxWidth: '500px', gap: '12px', flexWrap: 'wrap', marginTop: '-2px' }}>
-              {(ecosystemDiagram.branches || []).map((branch, bi) => (
-                <div key={bi} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0, flex: '1 1 120px', minWidth: 100 }}>
-                  <EcosystemNode
-                    label={branch.label}
-                    onUpdate={(v) => updateEcosystemDiagram(['branches', bi, 'label'], v)}
-                    compact
-                  />
-                  {(branch.children || []).length > 0 && (
-                    <>
-                      <div style={{ width: '2px', height: '14px', backgroundColor: connectorGrey, marginTop: '8px' }} />
-                      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '6px' }}>
-                        {(branch.children || []).map((child, ci) => (
-                          <div key={ci} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0 }}>
-                            <div style={{ width: '2px', height: '10px', backgroundColor: connectorGrey }} />
-                            <EcosystemNode
-                              label={child.label}
-                              onUpdate={(v) => updateEcosystemDiagram(['branches', bi, 'children', ci, 'label'], v)}
-                              compact
-                            />
-                            {child.children && child.children.length > 0 && (
-                              <>
-                                <div style={{ width: '2px', height: '8px', backgroundColor: connectorGrey, marginTop: '6px' }} />
-                                <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', justifyContent: 'center', marginTop: '-2px' }}>
-                                  {child.children.map((grand, gi) => (
-                                    <div key={gi} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 0 }}>
-                                      <div style={{ width: '2px', height: '8px', backgroundColor: connectorGrey }} />
-                                      <EcosystemNode
-                                        label={grand.label}
-                                        onUpdate={(v) => updateEcosystemDiagram(['branches', bi, 'children', ci, 'children', gi, 'label'], v)}
-                                        compact
-                                      />
-                                    </div>
-                                  ))}
-                                </div>
-                              </>
-                            )}
-                          </div>
-                        ))}
-                      </div>
-                    </>
-                  )}
+          </div>
+          {/* Right: Partner Support stack — fixed 220px column, no overlap */}
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {(ecosystemDiagram.partnerSupport || []).map((item, i) => {
+              const isPink = i >= 3;
+              const isPartnerSales = i === 4;
+              return (
+                <div
+                  key={i}
+                  style={{
+                    padding: '12px 16px',
+                    borderRadius: '8px',
+                    border: `2px ${isPartnerSales ? 'dashed' : 'solid'} ${isPink ? colors.accent : connectorGrey}`,
+                    backgroundColor: isPink ? colors.pink + '40' : colors.gray200,
+                    fontSize: '13px',
+                    fontWeight: '600',
+                    color: colors.text
+                  }}
+                >
+                  <EditableText value={item} onChange={(v) => updateEcosystemDiagram(['partnerSupport', i], v)} style={{ fontSize: '13px', fontWeight: '600' }} />
                 </div>
-              ))}
-            </div>
+              );
+            })}
           </div>
         </div>
-        {/* Right: Partner Support stack — fixed 220px column, no overlap */}
-        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-          {(ecosystemDiagram.partnerSupport || []).map((item, i) => {
-            const isPink = i >= 3;
-            const isPartnerSales = i === 4;
-            return (
-              <div
-                key={i}
-                style={{
-                  padding: '12px 16px',
-                  borderRadius: '8px',
-                  border: `2px ${isPartnerSales ? 'dashed' : 'solid'} ${isPink ? colors.accent : connectorGrey}`,
-                  backgroundColor: isPink ? colors.pink + '40' : colors.gray200,
-                  fontSize: '13px',
-                  fontWeight: '600',
-                  color: colors.text
-                }}
-              >
-                <EditableText value={item} onChange={(v) => updateEcosystemDiagram(['partnerSupport', i], v)} style={{ fontSize: '13px', fontWeight: '600' }} />
-              </div>
-            );
-          })}
-        </div>
-      </div>
-    </Card>
-    <h3 style={{ fontSize: '20px', fontWeight: '600', color: colors.text, marginBottom: '20px' }}>Partner SA Rules of Engagement</h3>
-    <Card style={{ marginBottom: '20px', backgroundColor: colors.info + '10', borderLeft: `4px solid ${colors.info}` }}>
-      <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Core Mission</h4>
-      <EditableText value={partnerSARules.coreMission} onChange={(v) => updatePartnerSARules('coreMission', v)} style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.6 }} multiline />
-    </Card>
-    <Card style={{ marginBottom: '20px' }}>
-      <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Four Strategic Pillars</h4>
-      <EditableText value={partnerSARules.fourPillars} onChange={(v) => updatePartnerSARules('fourPillars', v)} style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6 }} multiline />
-    </Card>
-    <Card style={{ marginBottom: '20px' }}>
-      <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Partner Ecosystem Structure</h4>
-      <EditableText value={partnerSARules.ecosystemStructure} onChange={(v) => updatePartnerSARules('ecosystemStructure', v)} style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6 }} multiline />
-    </Card>
-    <h4 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Three-Tier Partner Classification</h4>
-    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px', marginBottom: '24px' }}>
-      <Card style={{ borderTop: `4px solid ${colors.accent}` }}>
-        <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.accent, marginBottom: '10px' }}>Tier 1 (Strategic)</h5>
-        {(partnerSARules.tier1 || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('tier1', i, v)} onDelete={() => deletePartnerSARulesListItem('tier1', i)} color={colors.accent} />
-        ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('tier1')} label="Add" />
-      </Card>
-      <Card style={{ borderTop: `4px solid ${colors.success}` }}>
-        <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.success, marginBottom: '10px' }}>Tier 2 (Qualified)</h5>
-        {(partnerSARules.tier2 || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('tier2', i, v)} onDelete={() => deletePartnerSARulesListItem('tier2', i)} color={colors.success} />
-        ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('tier2')} label="Add" />
-      </Card>
-      <Card style={{ borderTop: `4px solid ${colors.warning}` }}>
-        <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.warning, marginBottom: '10px' }}>Tier 3 (Evaluation)</h5>
-        {(partnerSARules.tier3 || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('tier3', i, v)} onDelete={() => deletePartnerSARulesListItem('tier3', i)} color={colors.warning} />
-        ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('tier3')} label="Add" />
-      </Card>
-    </div>
-    <h4 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Engagement Options</h4>
-    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
-      <Card>
-        <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Incubation</h5>
-        {(partnerSARules.incubationDeliverables || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('incubationDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('incubationDeliverables', i)} color={colors.info} />
-        ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('incubationDeliverables')} label="Add" />
       </Card>
-      <Card>
-        <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Co-sell</h5>
-        {(partnerSARules.cosellDeliverables || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('cosellDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('cosellDeliverables', i)} color={colors.info} />
-        ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('cosellDeliverables')} label="Add" />
+      <h3 style={{ fontSize: '20px', fontWeight: '600', color: colors.text, marginBottom: '20px' }}>Partner SA Rules of Engagement</h3>
+      <Card style={{ marginBottom: '20px', backgroundColor: colors.info + '10', borderLeft: `4px solid ${colors.info}` }}>
+        <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Core Mission</h4>
+        <EditableText value={partnerSARules.coreMission} onChange={(v) => updatePartnerSARules('coreMission', v)} style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.6 }} multiline />
       </Card>
-      <Card>
-        <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Hyperscaler-specific</h5>
-        {(partnerSARules.hyperscalerDeliverables || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('hyperscalerDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('hyperscalerDeliverables', i)} color={colors.info} />
-        ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('hyperscalerDeliverables')} label="Add" />
+      <Card style={{ marginBottom: '20px' }}>
+        <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Four Strategic Pillars</h4>
+        <EditableText value={partnerSARules.fourPillars} onChange={(v) => updatePartnerSARules('fourPillars', v)} style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6 }} multiline />
       </Card>
-      <Card>
-        <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Tech partnership</h5>
-        {(partnerSARules.techPartnershipDeliverables || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('techPartnershipDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('techPartnershipDeliverables', i)} color={colors.info} />
-        ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('techPartnershipDeliverables')} label="Add" />
+      <Card style={{ marginBottom: '20px' }}>
+        <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Partner Ecosystem Structure</h4>
+        <EditableText value={partnerSARules.ecosystemStructure} onChange={(v) => updatePartnerSARules('ecosystemStructure', v)} style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6 }} multiline />
       </Card>
-    </div>
-    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
-      <Card style={{ borderLeft: `4px solid ${colors.success}` }}>
-        <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '10px' }}>Partner SA Owns</h5>
-        {(partnerSARules.partnerSAOwns || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('partnerSAOwns', i, v)} onDelete={() => deletePartnerSARulesListItem('partnerSAOwns', i)} color={colors.success} />
+      <h4 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Three-Tier Partner Classification</h4>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px', marginBottom: '24px' }}>
+        <Card style={{ borderTop: `4px solid ${colors.accent}` }}>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.accent, marginBottom: '10px' }}>Tier 1 (Strategic)</h5>
+          {(partnerSARules.tier1 || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('tier1', i, v)} onDelete={() => deletePartnerSARulesListItem('tier1', i)} color={colors.accent} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('tier1')} label="Add" />
+        </Card>
+        <Card style={{ borderTop: `4px solid ${colors.success}` }}>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.success, marginBottom: '10px' }}>Tier 2 (Qualified)</h5>
+          {(partnerSARules.tier2 || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('tier2', i, v)} onDelete={() => deletePartnerSARulesListItem('tier2', i)} color={colors.success} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('tier2')} label="Add" />
+        </Card>
+        <Card style={{ borderTop: `4px solid ${colors.warning}` }}>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.warning, marginBottom: '10px' }}>Tier 3 (Evaluation)</h5>
+          {(partnerSARules.tier3 || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('tier3', i, v)} onDelete={() => deletePartnerSARulesListItem('tier3', i)} color={colors.warning} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('tier3')} label="Add" />
+        </Card>
+      </div>
+      <h4 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Engagement Options</h4>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
+        <Card>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Incubation</h5>
+          {(partnerSARules.incubationDeliverables || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('incubationDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('incubationDeliverables', i)} color={colors.info} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('incubationDeliverables')} label="Add" />
+        </Card>
+        <Card>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Co-sell</h5>
+          {(partnerSARules.cosellDeliverables || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('cosellDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('cosellDeliverables', i)} color={colors.info} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('cosellDeliverables')} label="Add" />
+        </Card>
+        <Card>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Hyperscaler-specific</h5>
+          {(partnerSARules.hyperscalerDeliverables || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('hyperscalerDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('hyperscalerDeliverables', i)} color={colors.info} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('hyperscalerDeliverables')} label="Add" />
+        </Card>
+        <Card>
+          <h5 style={{ fontSize: '13px', fontWeight: '600', color: colors.text, marginBottom: '10px' }}>Tech partnership</h5>
+          {(partnerSARules.techPartnershipDeliverables || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('techPartnershipDeliverables', i, v)} onDelete={() => deletePartnerSARulesListItem('techPartnershipDeliverables', i)} color={colors.info} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('techPartnershipDeliverables')} label="Add" />
+        </Card>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
+        <Card style={{ borderLeft: `4px solid ${colors.success}` }}>
+          <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '10px' }}>Partner SA Owns</h5>
+          {(partnerSARules.partnerSAOwns || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('partnerSAOwns', i, v)} onDelete={() => deletePartnerSARulesListItem('partnerSAOwns', i)} color={colors.success} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('partnerSAOwns')} label="Add" />
+        </Card>
+        <Card style={{ borderLeft: `4px solid ${colors.accent}` }}>
+          <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.accent, marginBottom: '10px' }}>Partner Managers Own</h5>
+          {(partnerSARules.partnerManagersOwn || []).map((item, i) => (
+            <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('partnerManagersOwn', i, v)} onDelete={() => deletePartnerSARulesListItem('partnerManagersOwn', i)} color={colors.accent} />
+          ))}
+          <AddItemButton onClick={() => addPartnerSARulesListItem('partnerManagersOwn')} label="Add" />
+        </Card>
+      </div>
+      <Card style={{ marginBottom: '20px', borderLeft: `4px solid ${colors.warning}` }}>
+        <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.warning, marginBottom: '10px' }}>Considerations</h5>
+        {(partnerSARules.currentConstraints || []).map((item, i) => (
+          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('currentConstraints', i, v)} onDelete={() => deletePartnerSARulesListItem('currentConstraints', i)} color={colors.warning} />
         ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('partnerSAOwns')} label="Add" />
+        <AddItemButton onClick={() => addPartnerSARulesListItem('currentConstraints')} label="Add" />
       </Card>
-      <Card style={{ borderLeft: `4px solid ${colors.accent}` }}>
-        <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.accent, marginBottom: '10px' }}>Partner Managers Own</h5>
-        {(partnerSARules.partnerManagersOwn || []).map((item, i) => (
-          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('partnerManagersOwn', i, v)} onDelete={() => deletePartnerSARulesListItem('partnerManagersOwn', i)} color={colors.accent} />
+      <Card style={{ borderLeft: `4px solid ${colors.danger}` }}>
+        <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '10px' }}>Guard Rails—What SA Won&apos;t Support</h5>
+        {(partnerSARules.guardRails || []).map((item, i) => (
+          <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('guardRails', i, v)} onDelete={() => deletePartnerSARulesListItem('guardRails', i)} color={colors.danger} />
         ))}
-        <AddItemButton onClick={() => addPartnerSARulesListItem('partnerManagersOwn')} label="Add" />
+        <AddItemButton onClick={() => addPartnerSARulesListItem('guardRails')} label="Add" />
       </Card>
     </div>
-    <Card style={{ marginBottom: '20px', borderLeft: `4px solid ${colors.warning}` }}>
-      <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.warning, marginBottom: '10px' }}>Considerations</h5>
-      {(partnerSARules.currentConstraints || []).map((item, i) => (
-        <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('currentConstraints', i, v)} onDelete={() => deletePartnerSARulesListItem('currentConstraints', i)} color={colors.warning} />
-      ))}
-      <AddItemButton onClick={() => addPartnerSARulesListItem('currentConstraints')} label="Add" />
-    </Card>
-    <Card style={{ borderLeft: `4px solid ${colors.danger}` }}>
-      <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '10px' }}>Guard Rails—What SA Won&apos;t Support</h5>
-      {(partnerSARules.guardRails || []).map((item, i) => (
-        <EditableListItem key={i} value={item} onChange={(v) => updatePartnerSARulesList('guardRails', i, v)} onDelete={() => deletePartnerSARulesListItem('guardRails', i)} color={colors.danger} />
-      ))}
-      <AddItemButton onClick={() => addPartnerSARulesListItem('guardRails')} label="Add" />
-    </Card>
-  </div>
-);
+  );
+};
+
+const defaultHireFastSteps = [
+  { title: 'Identify the right candidate', description: 'Define who you need (profile, skills, culture). Source from network, referrals, and targeted outreach—prioritize people who already run POCs and translate tech to business.' },
+  { title: 'Open the conversation', description: 'First touch: make it about them. Share why the role matters, what the team is building, and leave space for their questions. No spray-and-pray.' },
+  { title: 'Learn what they want', description: 'Discovery before pitch. What are they optimizing for? Growth, ownership, team, mission? Listen more than you talk so you can align and test fit.' },
+  { title: 'Test for fit', description: 'See them in motion: messy case study, real scenario, or paired exercise with a future teammate. Assess technical depth, GTM instincts, and how they show up under ambiguity.' },
+  { title: 'Close and bring them in', description: 'Move fast when it\'s a yes. Clear offer, explicit expectations, and structured onboarding so day one feels intentional—not "shadow and figure it out."' }
+];
+
+const defaultSaProfile = {
+  technicalDepth: [
+    'Knowledge and expertise in AI/ML products and use cases',
+    'Process design—ability to map workflows, integrations, and solution architecture',
+    'Aptitude for learning technology quickly; less focus on building production software'
+  ],
+  gtmImpact: [
+    'Comfort and credibility in customer-facing technical roles (SE, SA, DevRel)—earns trust with technical and business stakeholders',
+    'Drives complex POCs and trials to closure—ownership mindset',
+    'Navigates enterprise sales motion—understands how deals move and who to align',
+    'Connects technical topics to business objectives—translates for execs and practitioners'
+  ],
+  growthPotential: [
+    'Consultative mindset—diagnoses before prescribing',
+    'Low ego, high curiosity—admits mistakes, asks questions',
+    'Startup tolerance—thrives in ambiguity',
+    'Executive presence and pushback capabilities'
+  ]
+};
+
+const defaultBalance = 'Technical depth matters where SAs work with developers—they need real credibility with engineering teams and the ability to go deep on architecture, integrations, and implementation. Business acumen matters where SAs work with executives and non-technical stakeholders—they need to translate technical value into business outcomes, ROI, and strategy. The balancing act is hiring and developing people who can hold their own in both worlds: deep enough technically to earn developer trust, and fluent enough in business to influence decisions and close with leadership.';
+
+const defaultInternalVsExternal = {
+  internal: [
+    'Current team: 4 SAs (Burton transitioning to engineering)',
+    'Two coaching categories: Technical skills vs Executive presence',
+    'Internal progression requires systematic development',
+    'Need better onboarding for new SA hires'
+  ],
+  external: [
+    'Backfill and net-new headcount tied to planning and budgeting',
+    'Net new headcount impacts forecasting and resourcing',
+    'Employee acquisition costs plus tax burden factor into planning',
+    'West Coast SA leader role in scope—prioritized with backfill'
+  ]
+};
+
+const defaultMaintainingCulture = {
+  currentTeam: [
+    'Document "How the best SA\'s work" for team replication—systematic processes vs ad-hoc execution',
+    'Preserve collaborative working style: the best SAs can run deals soup-to-nuts',
+    'Maintain individual working styles: some SAs are technical builders, others more business-forward',
+    'Values sustainable pace—additional headcount for overages, not burnout'
+  ],
+  scalingCulture: [
+    'Systematic content sharing: demo highlights by industry',
+    'Develop skills that differentiate from AEs: product knowledge, buyer personas, competitive landscape',
+    'Foster continuous learning: attend CS/sales enablement sessions, follow with team check-ins',
+    'Build muscle memory for successful deal closure: document exit gates and tactics, make them accessible'
+  ],
+  onboarding: [
+    'Onboarding that moves new SAs beyond "tech support" into full ownership',
+    'Enable business acumen alongside technical skills from the start',
+    'Shadow calls with structured debriefs to accelerate learning',
+    'Regular post-mortems with real-time feedback on actual deals'
+  ],
+  teamValues: [
+    'Maintain low ego, high curiosity culture—admits mistakes, asks questions',
+    'Preserve consultative mindset: diagnoses before prescribing',
+    'Keep startup tolerance—thrives in ambiguity and product-market fit volatility',
+    'Sustain collaborative account approach vs "You do X, I do Y" mentality'
+  ]
+};
 
 // Hiring & Team Design Section
 const HiringTeamDesignSection = () => {
+  const colors = useColors();
   const { isEditMode } = useContext(EditModeContext);
-  const [activeTab, setActiveTab] = useState('profile');
+  const [activeTab, setActiveTab] = useSectionTab('hiring');
+  const { isPrinting, showTab, tabButtonStyle, tabListProps, tabProps, tabPanelProps } = useTabPanels(activeTab, 'hiring', setActiveTab);
 
-  const [saProfile, setSaProfile] = useLocalStorage('leadershipPlaybook_saProfile', {
-    technicalDepth: [
-      'Knowledge and expertise in AI/ML products and use cases',
-      'Process design—ability to map workflows, integrations, and solution architecture',
-      'Aptitude for learning technology quickly; less focus on building production software'
-    ],
-    gtmImpact: [
-      'Comfort and credibility in customer-facing technical roles (SE, SA, DevRel)—earns trust with technical and business stakeholders',
-      'Drives complex POCs and trials to closure—ownership mindset',
-      'Navigates enterprise sales motion—understands how deals move and who to align',
-      'Connects technical topics to business objectives—translates for execs and practitioners'
-    ],
-    growthPotential: [
-      'Consultative mindset—diagnoses before prescribing',
-      'Low ego, high curiosity—admits mistakes, asks questions',
-      'Startup tolerance—thrives in ambiguity',
-      'Executive presence and pushback capabilities'
-    ]
-  });
+  const [saProfile, setSaProfile] = useLocalStorage('leadershipPlaybook_saProfile', defaultSaProfile);
 
-  const [balance, setBalance] = useLocalStorage(
-    'leadershipPlaybook_balance',
-    'Technical depth matters where SAs work with developers—they need real credibility with engineering teams and the ability to go deep on architecture, integrations, and implementation. Business acumen matters where SAs work with executives and non-technical stakeholders—they need to translate technical value into business outcomes, ROI, and strategy. The balancing act is hiring and developing people who can hold their own in both worlds: deep enough technically to earn developer trust, and fluent enough in business to influence decisions and close with leadership.'
-  );
+  const [balance, setBalance] = useLocalStorage('leadershipPlaybook_balance', defaultBalance);
 
-  const [internalVsExternal, setInternalVsExternal] = useLocalStorage('leadershipPlaybook_internalVsExternal', {
-    internal: [
-      'Current team: 4 SAs (Burton transitioning to engineering)',
-      'Two coaching categories: Technical skills vs Executive presence',
-      'Internal progression requires systematic development',
-      'Need better onboarding for new SA hires'
-    ],
-    external: [
-      'Backfill and net-new headcount tied to planning and budgeting',
-      'Net new headcount impacts forecasting and resourcing',
-      'Employee acquisition costs plus tax burden factor into planning',
-      'West Coast SA leader role in scope—prioritized with backfill'
-    ]
-  });
+  const [internalVsExternal, setInternalVsExternal] = useLocalStorage('leadershipPlaybook_internalVsExternal', defaultInternalVsExternal);
 
-  const [maintainingCulture, setMaintainingCulture] = useLocalStorage('leadershipPlaybook_maintainingCulture', {
-    currentTeam: [
-      'Document "How the best SA\'s work" for team replication—systematic processes vs ad-hoc execution',
-      'Preserve collaborative working style: the best SAs can run deals soup-to-nuts',
-      'Maintain individual working styles: some SAs are technical builders, others more business-forward',
-      'Values sustainable pace—additional headcount for overages, not burnout'
-    ],
-    scalingCulture: [
-      'Systematic content sharing: demo highlights by industry',
-      'Develop skills that differentiate from AEs: product knowledge, buyer personas, competitive landscape',
-      'Foster continuous learning: attend CS/sales enablement sessions, follow with team check-ins',
-      'Build muscle memory for successful deal closure: document exit gates and tactics, make them accessible'
-    ],
-    onboarding: [
-      'Onboarding that moves new SAs beyond "tech support" into full ownership',
-      'Enable business acumen alongside technical skills from the start',
-      'Shadow calls with structured debriefs to accelerate learning',
-      'Regular post-mortems with real-time feedback on actual deals'
-    ],
-    teamValues: [
-      'Maintain low ego, high curiosity culture—admits mistakes, asks questions',
-      'Preserve consultative mindset: diagnoses before prescribing',
-      'Keep startup tolerance—thrives in ambiguity and product-market fit volatility',
-      'Sustain collaborative account approach vs "You do X, I do Y" mentality'
-    ]
-  });
+  const [maintainingCulture, setMaintainingCulture] = useLocalStorage('leadershipPlaybook_maintainingCulture', defaultMaintainingCulture);
 
   const updateSaProfile = (category, index, value) => {
     setSaProfile(prev => ({
@@ -1658,13 +2774,6 @@ const HiringTeamDesignSection = () => {
     }));
   };
 
-  const defaultHireFastSteps = [
-    { title: 'Identify the right candidate', description: 'Define who you need (profile, skills, culture). Source from network, referrals, and targeted outreach—prioritize people who already run POCs and translate tech to business.' },
-    { title: 'Open the conversation', description: 'First touch: make it about them. Share why the role matters, what the team is building, and leave space for their questions. No spray-and-pray.' },
-    { title: 'Learn what they want', description: 'Discovery before pitch. What are they optimizing for? Growth, ownership, team, mission? Listen more than you talk so you can align and test fit.' },
-    { title: 'Test for fit', description: 'See them in motion: messy case study, real scenario, or paired exercise with a future teammate. Assess technical depth, GTM instincts, and how they show up under ambiguity.' },
-    { title: 'Close and bring them in', description: 'Move fast when it\'s a yes. Clear offer, explicit expectations, and structured onboarding so day one feels intentional—not "shadow and figure it out."' }
-  ];
   const [hireFastSteps, setHireFastSteps] = useLocalStorage('leadershipPlaybook_hireFastSteps', defaultHireFastSteps);
   const updateHireFastStep = (index, field, value) => {
     setHireFastSteps(prev => prev.map((s, i) => i === index ? { ...s, [field]: value } : s));
@@ -1673,14 +2782,16 @@ const HiringTeamDesignSection = () => {
   return (
     <div>
       {/* Tabs */}
-      <div style={{ display: 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
+      <div {...tabListProps} aria-label="Hiring & Team Design" style={{ display: isPrinting ? 'none' : 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
         <button
+          {...tabProps('profile')}
           onClick={() => setActiveTab('profile')}
           style={{
+            ...tabButtonStyle('profile'),
             padding: '10px 20px',
             borderRadius: '100px',
             border: `2px solid ${activeTab === 'profile' ? colors.accent : colors.border}`,
-            backgroundColor: activeTab === 'profile' ? colors.accent : 'white',
+            backgroundColor: activeTab === 'profile' ? colors.accent : colors.card,
             color: activeTab === 'profile' ? 'white' : colors.text,
             fontSize: '14px',
             fontWeight: '500',
@@ -1690,12 +2801,14 @@ const HiringTeamDesignSection = () => {
           SA Profile
         </button>
         <button
+          {...tabProps('hireFast')}
           onClick={() => setActiveTab('hireFast')}
           style={{
+            ...tabButtonStyle('hireFast'),
             padding: '10px 20px',
             borderRadius: '100px',
             border: `2px solid ${activeTab === 'hireFast' ? colors.info : colors.border}`,
-            backgroundColor: activeTab === 'hireFast' ? colors.info : 'white',
+            backgroundColor: activeTab === 'hireFast' ? colors.info : colors.card,
             color: activeTab === 'hireFast' ? 'white' : colors.text,
             fontSize: '14px',
             fontWeight: '500',
@@ -1705,12 +2818,14 @@ const HiringTeamDesignSection = () => {
           How to Hire Fast
         </button>
         <button
+          {...tabProps('balance')}
           onClick={() => setActiveTab('balance')}
           style={{
+            ...tabButtonStyle('balance'),
             padding: '10px 20px',
             borderRadius: '100px',
             border: `2px solid ${activeTab === 'balance' ? colors.purple : colors.border}`,
-            backgroundColor: activeTab === 'balance' ? colors.purple : 'white',
+            backgroundColor: activeTab === 'balance' ? colors.purple : colors.card,
             color: activeTab === 'balance' ? 'white' : colors.text,
             fontSize: '14px',
             fontWeight: '500',
@@ -1720,12 +2835,14 @@ const HiringTeamDesignSection = () => {
           Balancing Act
         </button>
         <button
+          {...tabProps('hiring')}
           onClick={() => setActiveTab('hiring')}
           style={{
+            ...tabButtonStyle('hiring'),
             padding: '10px 20px',
             borderRadius: '100px',
             border: `2px solid ${activeTab === 'hiring' ? colors.success : colors.border}`,
-            backgroundColor: activeTab === 'hiring' ? colors.success : 'white',
+            backgroundColor: activeTab === 'hiring' ? colors.success : colors.card,
             color: activeTab === 'hiring' ? 'white' : colors.text,
             fontSize: '14px',
             fontWeight: '500',
@@ -1735,12 +2852,14 @@ const HiringTeamDesignSection = () => {
           Internal vs External
         </button>
         <button
+          {...tabProps('culture')}
           onClick={() => setActiveTab('culture')}
           style={{
+            ...tabButtonStyle('culture'),
             padding: '10px 20px',
             borderRadius: '100px',
             border: `2px solid ${activeTab === 'culture' ? colors.warning : colors.border}`,
-            backgroundColor: activeTab === 'culture' ? colors.warning : 'white',
+            backgroundColor: activeTab === 'culture' ? colors.warning : colors.card,
             color: activeTab === 'culture' ? 'white' : colors.text,
             fontSize: '14px',
             fontWeight: '500',
@@ -1751,8 +2870,9 @@ const HiringTeamDesignSection = () => {
         </button>
       </div>
 
-      {activeTab === 'profile' && (
-        <div>
+      <PrintTabHeading sectionId="hiring" tabId="profile" />
+      {showTab('profile') && (
+        <div {...tabPanelProps('profile')}>
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px', marginBottom: '24px' }}>
             {Object.entries(saProfile).map(([key, items], idx) => {
               const colors_map = [colors.accent, colors.purple, colors.success];
@@ -1780,6 +2900,7 @@ const HiringTeamDesignSection = () => {
                         />
                         {isEditMode && (
                           <button
+                            aria-label="Delete item"
                             onClick={() => deleteSaProfileItem(key, i)}
                             style={{
                               background: 'none',
@@ -1805,8 +2926,9 @@ const HiringTeamDesignSection = () => {
         </div>
       )}
 
-      {activeTab === 'hireFast' && (
-        <div>
+      <PrintTabHeading sectionId="hiring" tabId="hireFast" />
+      {showTab('hireFast') && (
+        <div {...tabPanelProps('hireFast')}>
           <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}>How to Hire Fast</h3>
           <p style={{ fontSize: '14px', color: colors.textMuted, marginBottom: '24px', lineHeight: 1.5 }}>A repeatable process to identify, engage, and close the right SA—without losing speed or culture fit.</p>
           <div style={{ display: 'flex', flexDirection: 'column', gap: '0' }}>
@@ -1855,22 +2977,26 @@ const HiringTeamDesignSection = () => {
         </div>
       )}
 
-      {activeTab === 'balance' && (
-        <Card>
-          <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>How I Balance Technical Depth, GTM Experience & Business Acumen and Persona for Success</h3>
-          <p style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: '1.7', margin: 0 }}>
-            <EditableText
-              value={balance}
-              onChange={setBalance}
-              style={{ fontSize: '15px', color: colors.textSecondary }}
-              multiline
-            />
-          </p>
-        </Card>
+      <PrintTabHeading sectionId="hiring" tabId="balance" />
+      {showTab('balance') && (
+        <div {...tabPanelProps('balance')}>
+          <Card>
+            <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>How I Balance Technical Depth, GTM Experience & Business Acumen and Persona for Success</h3>
+            <p style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: '1.7', margin: 0 }}>
+              <EditableText
+                value={balance}
+                onChange={setBalance}
+                style={{ fontSize: '15px', color: colors.textSecondary }}
+                multiline
+              />
+            </p>
+          </Card>
+        </div>
       )}
 
-      {activeTab === 'hiring' && (
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+      <PrintTabHeading sectionId="hiring" tabId="hiring" />
+      {showTab('hiring') && (
+        <div {...tabPanelProps('hiring')} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
           <Card style={{ borderLeft: `4px solid ${colors.info}` }}>
             <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Internal Progression</h3>
             <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
@@ -1891,6 +3017,7 @@ const HiringTeamDesignSection = () => {
                   />
                   {isEditMode && (
                     <button
+                      aria-label="Delete item"
                       onClick={() => deleteInternalVsExternalItem('internal', i)}
                       style={{
                         background: 'none',
@@ -1959,6 +3086,7 @@ const HiringTeamDesignSection = () => {
                   />
                   {isEditMode && (
                     <button
+                      aria-label="Delete item"
                       onClick={() => deleteInternalVsExternalItem('external', i)}
                       style={{
                         background: 'none',
@@ -2010,8 +3138,9 @@ const HiringTeamDesignSection = () => {
         </div>
       )}
 
-      {activeTab === 'culture' && (
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px' }}>
+      <PrintTabHeading sectionId="hiring" tabId="culture" />
+      {showTab('culture') && (
+        <div {...tabPanelProps('culture')} style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '16px' }}>
           {Object.entries(maintainingCulture).map(([key, items], idx) => {
             const colorMap = [colors.warning, colors.success, colors.accent, colors.purple];
             const titleMap = {
@@ -2043,6 +3172,7 @@ const HiringTeamDesignSection = () => {
                       />
                       {isEditMode && (
                         <button
+                          aria-label="Delete item"
                           onClick={() => deleteMaintainingCultureItem(key, i)}
                           style={{
                             background: 'none',
@@ -2099,68 +3229,76 @@ const HiringTeamDesignSection = () => {
   );
 };
 
+const defaultPresaleIntro = 'Pre-sale impact hinges on turning technical proof into commercial conviction. The opportunities below focus on where SAs can drive more tangible outcomes: higher-converting POCs, stronger AE partnership, and credibility with technical buyers.';
+
+const defaultPresaleImpact = [
+  'Enable users to get hands on but guided and controlled with use cases aligned to what works best in platform.',
+  'Build out business narrative for each use case so there is tangible ROI for stakeholders.',
+  'Identify exit criteria for success.',
+  'Depth of engagement so going into implementation, there\'s less of a gap.',
+  'Build joint story tied around ROI for use cases and what outcomes were necessary to prove success.',
+  'Train each other so that both partners are learning from each other, make it so it\'s not a sliding scale of work that lands in SA or AE but rather enable each other to do aspects of both.',
+  'Build relationships and understanding on how to own the deal together.',
+  'Own the technical relationship and build trust for the platform.',
+  'Educate technical stakeholders on how to cut through the noise of the AI space today.',
+  'Be the strategy and value consultant of the platform on how it implements and scales.'
+];
+
+const defaultPostsaleIntro = 'Post-sale impact is about adoption, engagement, and expansion. The opportunities below target where SAs can create measurable value: feature rollout, ongoing customer success, and discovery that fuels growth.';
+
+const defaultPostsaleImpact = [
+  'Enable feature adoption to create stickiness (WA, AI Studio, Connectors, KG etc)',
+  'Work with team on how to enable aspects of the platform. Even if in post-sales, if there\'s an active opportunity, get hands on to know how the customer is using it',
+  'Provide pre-built components that are great starting points to build and learn from',
+  'Proactive customer engagements on post sales opportunities for expansion',
+  'More discovery and relationship building with the current team',
+  'Have quick check-ins on accounts that don\'t have an opportunity tied to it',
+  'Continuous engagement beyond pre-sales',
+  'Cadence with post-sales to build out further relationships but also to understand how implementation is going',
+  'Think outside the box, you have context and that context can mean more use cases to learn and share'
+];
+
+const defaultAdaptationIntro = 'Strategy shifts create both risk and opportunity. These areas capture how we adapt—product and motion changes, hands-on validation, and product roadmap alignment—so the team can stay aligned and drive impact as the business evolves.';
+
+const defaultStrategyAdaptation = {
+  agentFirst: [
+    'Writer Agent is now the focus, let\'s learn the patterns people are using it for and how it can scale',
+    'Broader access to tools and connectors, so what is the story when interoperability is involved and how do we keep users in Writer Agent',
+    'Tech users need a place to live, as the product develops SAs can drive the Codeful usage of the platform'
+  ],
+  handsOnValidation: [
+    'Enablement sessions, workshops, and hackathons are valuable more than ever, but we need an agenda, understanding of why and the right people in the room',
+    'Be security minded, agents with access means more data that could be sensitive is involved, we need to get ahead of these conversations',
+    'Learn the "vibe" when users are hands on, what gaps are in the product'
+  ],
+  productShifts: [
+    'Regular cadence with product on updates and roadmaps, we need a narrative proactively, not reactively',
+    'MCP, A2A and our perspective there',
+    'Internal extracurriculars can stress test the capabilities of the platform outside of demos'
+  ]
+};
+
 // GTM & Impact Model Section
 const GTMImpactSection = () => {
+  const colors = useColors();
   const { isEditMode } = useContext(EditModeContext);
-  const [activeTab, setActiveTab] = useState('presale');
+  const [activeTab, setActiveTab] = useSectionTab('gtm');
+  const { isPrinting, showTab, tabButtonStyle, tabListProps, tabProps, tabPanelProps } = useTabPanels(activeTab, 'gtm', setActiveTab);
 
-  const [presaleIntro, setPresaleIntro] = useLocalStorage('leadershipPlaybook_presaleIntro',
-    'Pre-sale impact hinges on turning technical proof into commercial conviction. The opportunities below focus on where SAs can drive more tangible outcomes: higher-converting POCs, stronger AE partnership, and credibility with technical buyers.'
-  );
-  const [presaleImpact, setPresaleImpact] = useLocalStorage('leadershipPlaybook_presaleImpact', [
-    'Enable users to get hands on but guided and controlled with use cases aligned to what works best in platform.',
-    'Build out business narrative for each use case so there is tangible ROI for stakeholders.',
-    'Identify exit criteria for success.',
-    'Depth of engagement so going into implementation, there\'s less of a gap.',
-    'Build joint story tied around ROI for use cases and what outcomes were necessary to prove success.',
-    'Train each other so that both partners are learning from each other, make it so it\'s not a sliding scale of work that lands in SA or AE but rather enable each other to do aspects of both.',
-    'Build relationships and understanding on how to own the deal together.',
-    'Own the technical relationship and build trust for the platform.',
-    'Educate technical stakeholders on how to cut through the noise of the AI space today.',
-    'Be the strategy and value consultant of the platform on how it implements and scales.'
-  ]);
+  const [presaleIntro, setPresaleIntro] = useLocalStorage('leadershipPlaybook_presaleIntro', defaultPresaleIntro);
+  const [presaleImpact, setPresaleImpact] = useLocalStorage('leadershipPlaybook_presaleImpact', defaultPresaleImpact);
 
-  const [postsaleIntro, setPostsaleIntro] = useLocalStorage('leadershipPlaybook_postsaleIntro',
-    'Post-sale impact is about adoption, engagement, and expansion. The opportunities below target where SAs can create measurable value: feature rollout, ongoing customer success, and discovery that fuels growth.'
-  );
-  const [postsaleImpact, setPostsaleImpact] = useLocalStorage('leadershipPlaybook_postsaleImpact', [
-    'Enable feature adoption to create stickiness (WA, AI Studio, Connectors, KG etc)',
-    'Work with team on how to enable aspects of the platform. Even if in post-sales, if there\'s an active opportunity, get hands on to know how the customer is using it',
-    'Provide pre-built components that are great starting points to build and learn from',
-    'Proactive customer engagements on post sales opportunities for expansion',
-    'More discovery and relationship building with the current team',
-    'Have quick check-ins on accounts that don\'t have an opportunity tied to it',
-    'Continuous engagement beyond pre-sales',
-    'Cadence with post-sales to build out further relationships but also to understand how implementation is going',
-    'Think outside the box, you have context and that context can mean more use cases to learn and share'
-  ]);
+  const [postsaleIntro, setPostsaleIntro] = useLocalStorage('leadershipPlaybook_postsaleIntro', defaultPostsaleIntro);
+  const [postsaleImpact, setPostsaleImpact] = useLocalStorage('leadershipPlaybook_postsaleImpact', defaultPostsaleImpact);
 
-  const [adaptationIntro, setAdaptationIntro] = useLocalStorage('leadershipPlaybook_adaptationIntro',
-    'Strategy shifts create both risk and opportunity. These areas capture how we adapt—product and motion changes, hands-on validation, and product roadmap alignment—so the team can stay aligned and drive impact as the business evolves.'
-  );
+  const [adaptationIntro, setAdaptationIntro] = useLocalStorage('leadershipPlaybook_adaptationIntro', defaultAdaptationIntro);
 
-  const [strategyAdaptation, setStrategyAdaptation] = useLocalStorage('leadershipPlaybook_strategyAdaptation', {
-    agentFirst: [
-      'Writer Agent is now the focus, let\'s learn the patterns people are using it for and how it can scale',
-      'Broader access to tools and connectors, so what is the story when interoperability is involved and how do we keep users in Writer Agent',
-      'Tech users need a place to live, as the product develops SAs can drive the Codeful usage of the platform'
-    ],
-    handsOnValidation: [
-      'Enablement sessions, workshops, and hackathons are valuable more than ever, but we need an agenda, understanding of why and the right people in the room',
-      'Be security minded, agents with access means more data that could be sensitive is involved, we need to get ahead of these conversations',
-      'Learn the "vibe" when users are hands on, what gaps are in the product'
-    ],
-    productShifts: [
-      'Regular cadence with product on updates and roadmaps, we need a narrative proactively, not reactively',
-      'MCP, A2A and our perspective there',
-      'Internal extracurriculars can stress test the capabilities of the platform outside of demos'
-    ]
-  });
+  const [strategyAdaptation, setStrategyAdaptation] = useLocalStorage('leadershipPlaybook_strategyAdaptation', defaultStrategyAdaptation);
 
   return (
     <div>
       {/* Tabs */}
-      <div style={{ display: 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
+      <div {...tabListProps} aria-label="GTM & Impact" style={{ display: isPrinting ? 'none' : 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
         {[
           { id: 'presale', label: 'Pre-Sale Impact', color: colors.accent },
           { id: 'postsale', label: 'Post-Sale Impact', color: colors.success },
@@ -2168,12 +3306,14 @@ const GTMImpactSection = () => {
         ].map(tab => (
           <button
             key={tab.id}
+            {...tabProps(tab.id)}
             onClick={() => setActiveTab(tab.id)}
             style={{
+              ...tabButtonStyle(tab.id),
               padding: '10px 20px',
               borderRadius: '8px',
               border: `1px solid ${activeTab === tab.id ? tab.color : colors.border}`,
-              backgroundColor: activeTab === tab.id ? tab.color : 'white',
+              backgroundColor: activeTab === tab.id ? tab.color : colors.card,
               color: activeTab === tab.id ? 'white' : colors.text,
               fontSize: '14px',
               fontWeight: activeTab === tab.id ? '600' : '500',
@@ -2187,8 +3327,9 @@ const GTMImpactSection = () => {
         ))}
       </div>
 
-      {activeTab === 'presale' && (
-        <>
+      <PrintTabHeading sectionId="gtm" tabId="presale" />
+      {showTab('presale') && (
+        <div {...tabPanelProps('presale')}>
           <Card style={{ marginBottom: '24px', backgroundColor: colors.accent + '08', borderLeft: `4px solid ${colors.accent}` }}>
             <p style={{ fontSize: '14px', color: colors.textSecondary, margin: 0, lineHeight: 1.6 }}>
               <EditableText value={presaleIntro} onChange={setPresaleIntro} style={{ fontSize: '14px', color: colors.textSecondary }} multiline />
@@ -2235,11 +3376,12 @@ const GTMImpactSection = () => {
           <div style={{ marginTop: '16px' }}>
             <AddItemButton onClick={() => setPresaleImpact([...presaleImpact, 'New item - click to edit'])} label="Add impact" />
           </div>
-        </>
+        </div>
       )}
 
-      {activeTab === 'postsale' && (
-        <>
+      <PrintTabHeading sectionId="gtm" tabId="postsale" />
+      {showTab('postsale') && (
+        <div {...tabPanelProps('postsale')}>
           <Card style={{ marginBottom: '24px', backgroundColor: colors.success + '08', borderLeft: `4px solid ${colors.success}` }}>
             <p style={{ fontSize: '14px', color: colors.textSecondary, margin: 0, lineHeight: 1.6 }}>
               <EditableText value={postsaleIntro} onChange={setPostsaleIntro} style={{ fontSize: '14px', color: colors.textSecondary }} multiline />
@@ -2286,11 +3428,12 @@ const GTMImpactSection = () => {
           <div style={{ marginTop: '16px' }}>
             <AddItemButton onClick={() => setPostsaleImpact([...postsaleImpact, 'New item - click to edit'])} label="Add impact" />
           </div>
-        </>
+        </div>
       )}
 
-      {activeTab === 'adaptation' && (
-        <div>
+      <PrintTabHeading sectionId="gtm" tabId="adaptation" />
+      {showTab('adaptation') && (
+        <div {...tabPanelProps('adaptation')}>
           <Card style={{ marginBottom: '24px', backgroundColor: colors.purple + '08', borderLeft: `4px solid ${colors.purple}` }}>
             <p style={{ fontSize: '14px', color: colors.textSecondary, margin: 0, lineHeight: 1.6 }}>
               <EditableText value={adaptationIntro} onChange={setAdaptationIntro} style={{ fontSize: '14px', color: colors.textSecondary }} multiline />
@@ -2333,6 +3476,7 @@ const GTMImpactSection = () => {
                         />
                         {isEditMode && (
                           <button
+                            aria-label="Delete item"
                             onClick={() => {
                               const newItems = items.filter((_, idx) => idx !== i);
                               setStrategyAdaptation({ ...strategyAdaptation, [key]: newItems });
@@ -2396,2710 +3540,6633 @@ const GTMImpactSection = () => {
   );
 };
 
-// Operating & Coaching Model Section
-const OperatingCoachingSection = () => {
-  const { isEditMode } = useContext(EditModeContext);
-  const [activeTab, setActiveTab] = useState('metrics');
-
-  const [metrics, setMetrics] = useLocalStorage('leadershipPlaybook_metrics', {
-    leading: [
-      { name: 'POC conversion rate', target: 'TBD baseline, then +X%', status: 'unknown' },
-      { name: 'Check-ins per trial', target: '3+', status: 'bad', note: '4 months ago: zero check-ins' },
-      { name: 'Feature adoption rates', target: 'Writer Agent, Guardrails, AI Studio, Knowledge Graph etc', status: 'bad' },
-      { name: 'SA utilization / capacity', target: 'Quantify the 50+ trials scope', status: 'unknown' }
-    ],
-    lagging: [
-      { name: 'Deal win rate with SA involvement', target: 'TBD', status: 'unknown' },
-      { name: 'Customer expansion revenue', target: 'Increase', status: 'unknown' },
-      { name: 'Time to value for new customers', target: 'Reduce', status: 'unknown' },
-      { name: '90-day retention', target: '> 90%', status: 'good' }
-    ]
-  });
+// Metrics: { name, unit, baseline, target, direction, actuals: [{ date: 'YYYY-MM-DD', value }], note? }.
+// baseline and target are numbers or null (not set yet); status is computed from them and the latest actual.
+const METRIC_DIRECTIONS = [
+  { id: 'higher', label: 'Higher is better' },
+  { id: 'lower', label: 'Lower is better' }
+];
 
-  const [cadences, setCadences] = useLocalStorage('leadershipPlaybook_cadences', [
-    { type: 'Weekly Team Call', frequency: 'Every Monday', focus: 'Deal reviews, blockers, quick wins' },
-    { type: '1:1s', frequency: 'Weekly with each SA', focus: 'Coaching, development, career growth' },
-    { type: 'Forecast Review', frequency: 'Weekly with Sales leadership', focus: 'Pipeline health, SA capacity' },
-    { type: 'QBR', frequency: 'Quarterly', focus: 'Team performance, strategic planning' },
-    { type: 'Deal Reviews', frequency: 'As needed for key opportunities', focus: 'Strategic partnership with AEs' }
-  ]);
+const METRIC_STATUS_LABELS = { good: 'on target', improving: 'improving', bad: 'off target', unknown: 'no data' };
 
-  const [coachingModel, setCoachingModel] = useLocalStorage('leadershipPlaybook_coachingModel', {
-    newSAs: [
-      'Better onboarding—not thrown into role as "tech support"',
-      '10 post-mortems per quarter with real-time feedback',
-      'Shadow calls with 15-minute debrief sessions',
-      'Attend all CS/sales enablement sessions, follow with team check-ins',
-      'Focus on 3 core competencies: product knowledge, buyer personas, competitive landscape'
-    ],
-    tenuredSAs: [
-      'Develop special skills that differentiate from AEs',
-      'Executive presence/strategic business understanding development',
-      'Sales rep showcases of successful deal closes',
-      'Weekly focus communication to team',
-      'Master deck as single source of truth'
-    ],
-    continuousLearning: [
-      'Systematic content sharing—weekly demo highlights by industry',
-      'Marketing/enablement to provide weekly industry-specific content',
-      'Document/plan team asks constantly'
-    ]
-  });
+const metricStatusColor = (status, colors) => ({ good: colors.success, improving: colors.warning, bad: colors.danger }[status] || colors.textMuted);
 
-  return (
-    <div>
-      {/* Tabs */}
-      <div style={{ display: 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
-        {[
-          { id: 'metrics', label: 'Metrics', color: colors.accent },
-          { id: 'cadences', label: 'Team Cadences', color: colors.purple },
-          { id: 'coaching', label: 'Coaching Model', color: colors.success }
-        ].map(tab => (
-          <button
-            key={tab.id}
-            onClick={() => setActiveTab(tab.id)}
-            style={{
-              padding: '10px 20px',
-              borderRadius: '8px',
-              border: `1px solid ${activeTab === tab.id ? tab.color : colors.border}`,
-              backgroundColor: activeTab === tab.id ? tab.color : 'white',
-              color: activeTab === tab.id ? 'white' : colors.text,
-              fontSize: '14px',
-              fontWeight: activeTab === tab.id ? '600' : '500',
-              cursor: 'pointer',
-              transition: 'all 0.2s ease',
-              boxShadow: activeTab === tab.id ? '0 2px 4px rgba(0, 0, 0, 0.1)' : 'none'
-            }}
-          >
-            {tab.label}
-          </button>
-        ))}
-      </div>
+const parseMetricNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
 
-      {activeTab === 'metrics' && (
-        <div>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
-            <Card>
-              <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Leading Indicators</h3>
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-                {metrics.leading.map((m, i) => (
-                  <div key={i} style={{ 
-                    padding: '12px',
-                    backgroundColor: 'white',
-                    borderRadius: '8px',
-                    border: `1px solid ${colors.border}`
-                  }}>
-                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', alignItems: 'center' }}>
-                      <EditableText
-                        value={m.name}
-                        onChange={(v) => {
-                          const newMetrics = [...metrics.leading];
-                          newMetrics[i] = { ...m, name: v };
-                          setMetrics({ ...metrics, leading: newMetrics });
-                        }}
-                        style={{ fontSize: '14px', fontWeight: '500', color: colors.text, flex: 1 }}
-                      />
-                      <span style={{ 
-                        fontSize: '11px', 
-                        padding: '2px 8px', 
-                        borderRadius: '4px',
-                        backgroundColor: m.status === 'good' ? colors.success + '15' : m.status === 'bad' ? colors.danger + '15' : colors.textMuted + '15',
-                        color: m.status === 'good' ? colors.success : m.status === 'bad' ? colors.danger : colors.textMuted
-                      }}>
-                        {m.status}
-                      </span>
-                      {isEditMode && (
-                        <button
-                          onClick={() => {
-                            const newMetrics = metrics.leading.filter((_, idx) => idx !== i);
-                            setMetrics({ ...metrics, leading: newMetrics });
-                          }}
-                          style={{
-                            background: 'none',
-                            border: 'none',
-                            color: colors.danger,
-                            cursor: 'pointer',
-                            padding: '0 4px',
-                            fontSize: '16px',
-                            opacity: 0.6,
-                            marginLeft: '8px'
-                          }}
-                        >
-                          ×
-                        </button>
-                      )}
-                    </div>
-                    <div style={{ marginTop: '4px' }}>
-                      <span style={{ fontSize: '12px', color: colors.textMuted }}>Target: </span>
-                      <EditableText
-                        value={m.target}
-                        onChange={(v) => {
-                          const newMetrics = [...metrics.leading];
-                          newMetrics[i] = { ...m, target: v };
-                          setMetrics({ ...metrics, leading: newMetrics });
-                        }}
-                        style={{ fontSize: '12px', color: colors.textMuted }}
-                      />
-                    </div>
-                    {m.note && (
-                      <div style={{ marginTop: '4px' }}>
-                        <EditableText
-                          value={m.note}
-                          onChange={(v) => {
-                            const newMetrics = [...metrics.leading];
-                            newMetrics[i] = { ...m, note: v };
-                            setMetrics({ ...metrics, leading: newMetrics });
-                          }}
-                          style={{ fontSize: '11px', color: colors.textMuted, fontStyle: 'italic' }}
-                        />
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-              {isEditMode && (
-                <button
-                  onClick={() => {
-                    setMetrics({ ...metrics, leading: [...metrics.leading, { name: 'New metric', target: 'TBD', status: 'unknown' }] });
-                  }}
-                  style={{
-                    marginTop: '8px',
-                    padding: '8px 12px',
-                    border: `1px dashed ${colors.accent}`,
-                    borderRadius: '8px',
-                    backgroundColor: 'transparent',
-                    color: colors.accent,
-                    fontSize: '12px',
-                    fontWeight: '500',
-                    cursor: 'pointer',
-                    transition: 'all 0.2s'
-                  }}
-                >
-                  + Add metric
+// Oldest first; skips half-entered rows so the status and sparkline only use complete readings
+const sortedMetricActuals = (metric) => (metric.actuals || [])
+  .filter((actual) => actual && actual.date && Number.isFinite(actual.value))
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// good: latest actual meets the target; improving: short of it but better than the baseline; bad: neither
+const metricStatus = (metric) => {
+  const actuals = sortedMetricActuals(metric);
+  if (actuals.length === 0 || metric.target === null || metric.target === undefined) return 'unknown';
+  const latest = actuals[actuals.length - 1].value;
+  const isBetter = (a, b) => (metric.direction === 'lower' ? a < b : a > b);
+  if (latest === metric.target || isBetter(latest, metric.target)) return 'good';
+  if (metric.baseline !== null && metric.baseline !== undefined && isBetter(latest, metric.baseline)) return 'improving';
+  return 'bad';
+};
+
+const formatMetricValue = (value, unit) => {
+  if (value === null || value === undefined) return '—';
+  if (unit === '%') return `${value}%`;
+  if (unit === '$') return `$${value.toLocaleString('en-US')}`;
+  return unit ? `${value} ${unit}` : String(value);
+};
+
+const formatMetricDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Pre-structured saves had a free-text target ("3+", "> 90%", "Reduce", "TBD…") and a hand-set status. Numbers are
+// lifted out where the text is just a number; any other wording moves into the note so nothing typed is lost.
+const structureLegacyMetric = (metric) => {
+  if (!metric || Array.isArray(metric.actuals)) return metric;
+  const text = String(metric.target ?? '').trim();
+  const numericTarget = text.match(/^[<>≥≤=~\s]*(-?\d+(?:\.\d+)?)\s*%?\s*\+?$/);
+  return {
+    name: metric.name,
+    unit: text.includes('%') ? '%' : '',
+    baseline: null,
+    target: numericTarget ? Number(numericTarget[1]) : null,
+    direction: /\b(reduce|decrease|lower|less)\b|^\s*</i.test(text) ? 'lower' : 'higher',
+    actuals: [],
+    note: [numericTarget || !text ? '' : `Target: ${text}`, metric.note].filter(Boolean).join(' · ')
+  };
+};
+
+// D3 sparkline of a metric's actuals, with the target as a dashed line when it's set
+const MetricSparkline = ({ metric, color, width = 140, height = 36 }) => {
+  const colors = useColors();
+  const svgRef = useRef(null);
+  const actuals = sortedMetricActuals(metric);
+  const actualsKey = JSON.stringify(actuals);
+  const hasTarget = metric.target !== null && metric.target !== undefined;
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const svg = select(svgRef.current);
+    svg.selectAll('*').remove();
+    if (actuals.length === 0) return;
+    const pad = 4;
+    const times = actuals.map((actual) => Date.parse(actual.date));
+    const values = [...actuals.map((actual) => actual.value), ...(hasTarget ? [metric.target] : [])];
+    const minValue = Math.min(...values);
+    const maxValue = Math.max(...values);
+    const x = scaleLinear()
+      .domain(times.length > 1 ? [times[0], times[times.length - 1]] : [times[0] - 1, times[0] + 1])
+      .range([pad, width - pad]);
+    const y = scaleLinear()
+      .domain(minValue === maxValue ? [minValue - 1, maxValue + 1] : [minValue, maxValue])
+      .range([height - pad, pad]);
+
+    if (hasTarget) {
+      svg.append('line')
+        .attr('x1', pad).attr('x2', width - pad)
+        .attr('y1', y(metric.target)).attr('y2', y(metric.target))
+        .attr('stroke', colors.textMuted)
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '3 3');
+    }
+    const points = actuals.map((actual, i) => ({ x: x(times[i]), y: y(actual.value) }));
+    svg.append('path')
+      .attr('d', line().x((d) => d.x).y((d) => d.y).curve(curveMonotoneX)(points))
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', 2)
+      .attr('stroke-linecap', 'round');
+    const last = points[points.length - 1];
+    svg.append('circle').attr('cx', last.x).attr('cy', last.y).attr('r', 3).attr('fill', color);
+  }, [actualsKey, metric.target, hasTarget, color, colors, width, height]);
+
+  if (actuals.length === 0) {
+    return <span style={{ fontSize: '11px', color: colors.textMuted, fontStyle: 'italic' }}>No actuals yet</span>;
+  }
+  const latest = actuals[actuals.length - 1];
+  const label = `${metric.name} trend: ${actuals.length} actual${actuals.length === 1 ? '' : 's'} from ${formatMetricDate(actuals[0].date)} to ${formatMetricDate(latest.date)}, `
+    + `latest ${formatMetricValue(latest.value, metric.unit)}${hasTarget ? `, target ${formatMetricValue(metric.target, metric.unit)}` : ''}`;
+  return <svg ref={svgRef} width={width} height={height} role="img" aria-label={label} style={{ display: 'block', overflow: 'visible' }} />;
+};
+
+const todayIsoDate = () => new Date().toISOString().slice(0, 10);
+
+// One leading or lagging metric: status badge, baseline → target, sparkline and latest reading;
+// edit mode adds the numeric fields and the dated actuals list
+const MetricCard = ({ metric, onChange, onDelete, deleteLabel }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const status = metricStatus(metric);
+  const statusColor = metricStatusColor(status, colors);
+  const actuals = sortedMetricActuals(metric);
+  const latest = actuals[actuals.length - 1];
+  const update = (field, value) => onChange({ ...metric, [field]: value });
+  const updateActual = (index, field, value) => update('actuals', (metric.actuals || []).map((actual, i) => (i === index ? { ...actual, [field]: value } : actual)));
+  const addActual = () => update('actuals', [...(metric.actuals || []), { date: todayIsoDate(), value: latest ? latest.value : metric.baseline ?? 0 }]);
+  const fieldStyle = { fontSize: '12px', fontFamily: 'inherit', color: colors.text, padding: '2px 6px', border: `1px solid ${colors.border}`, borderRadius: '6px', backgroundColor: colors.card };
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '11px', color: colors.textMuted };
+  const removeButtonStyle = { background: 'none', border: 'none', color: colors.danger, cursor: 'pointer', padding: '0 4px', fontSize: '16px', opacity: 0.6 };
+
+  return (
+    <div style={{
+      padding: '12px',
+      backgroundColor: colors.card,
+      borderRadius: '8px',
+      border: `1px solid ${colors.border}`
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', alignItems: 'center' }}>
+        <EditableText
+          value={metric.name}
+          onChange={(v) => update('name', v)}
+          style={{ fontSize: '14px', fontWeight: '500', color: colors.text, flex: 1 }}
+        />
+        <span style={{
+          fontSize: '11px',
+          padding: '2px 8px',
+          borderRadius: '4px',
+          backgroundColor: statusColor + '15',
+          color: statusColor,
+          whiteSpace: 'nowrap'
+        }}>
+          {METRIC_STATUS_LABELS[status]}
+        </span>
+        {isEditMode && (
+          <button aria-label={deleteLabel} onClick={onDelete} style={{ ...removeButtonStyle, marginLeft: '8px' }}>
+            ×
+          </button>
+        )}
+      </div>
+      {isEditMode ? (
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', margin: '8px 0' }}>
+          <label style={labelStyle}>
+            Unit
+            <input value={metric.unit || ''} onChange={(e) => update('unit', e.target.value)} placeholder="%, $, days" style={{ ...fieldStyle, width: '70px' }} />
+          </label>
+          <label style={labelStyle}>
+            Baseline
+            <input type="number" value={metric.baseline ?? ''} onChange={(e) => update('baseline', parseMetricNumber(e.target.value))} style={{ ...fieldStyle, width: '80px' }} />
+          </label>
+          <label style={labelStyle}>
+            Target
+            <input type="number" value={metric.target ?? ''} onChange={(e) => update('target', parseMetricNumber(e.target.value))} style={{ ...fieldStyle, width: '80px' }} />
+          </label>
+          <label style={labelStyle}>
+            Direction
+            <select value={metric.direction || 'higher'} onChange={(e) => update('direction', e.target.value)} style={fieldStyle}>
+              {METRIC_DIRECTIONS.map((direction) => <option key={direction.id} value={direction.id}>{direction.label}</option>)}
+            </select>
+          </label>
+        </div>
+      ) : (
+        <div style={{ fontSize: '12px', color: colors.textMuted, marginTop: '4px' }}>
+          Baseline {formatMetricValue(metric.baseline, metric.unit)} → Target {formatMetricValue(metric.target, metric.unit)}
+          {' · '}{(METRIC_DIRECTIONS.find((direction) => direction.id === metric.direction) || METRIC_DIRECTIONS[0]).label.toLowerCase()}
+        </div>
+      )}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '8px' }}>
+        <MetricSparkline metric={metric} color={statusColor === colors.textMuted ? colors.accent : statusColor} />
+        {latest && (
+          <span style={{ fontSize: '12px', color: colors.textSecondary }}>
+            Latest <strong>{formatMetricValue(latest.value, metric.unit)}</strong> ({formatMetricDate(latest.date)})
+          </span>
+        )}
+      </div>
+      {isEditMode && (
+        <div style={{ marginTop: '8px' }}>
+          <div style={{ fontSize: '11px', fontWeight: '600', color: colors.textMuted, marginBottom: '4px' }}>Actuals</div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            {(metric.actuals || []).map((actual, i) => (
+              <div key={i} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                <input type="date" value={actual.date || ''} onChange={(e) => updateActual(i, 'date', e.target.value)} aria-label="Actual date" style={fieldStyle} />
+                <input type="number" value={actual.value ?? ''} onChange={(e) => updateActual(i, 'value', parseMetricNumber(e.target.value))} aria-label="Actual value" style={{ ...fieldStyle, width: '90px' }} />
+                <button aria-label={`Delete actual from ${actual.date || 'undated row'}`} onClick={() => update('actuals', metric.actuals.filter((_, idx) => idx !== i))} style={removeButtonStyle}>
+                  ×
                 </button>
-              )}
-            </Card>
-            <Card>
-              <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Lagging Indicators</h3>
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-                {metrics.lagging.map((m, i) => (
-                  <div key={i} style={{ 
-                    padding: '12px',
-                    backgroundColor: 'white',
-                    borderRadius: '8px',
-                    border: `1px solid ${colors.border}`
-                  }}>
-                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', alignItems: 'center' }}>
-                      <EditableText
-                        value={m.name}
-                        onChange={(v) => {
-                          const newMetrics = [...metrics.lagging];
-                          newMetrics[i] = { ...m, name: v };
-                          setMetrics({ ...metrics, lagging: newMetrics });
-                        }}
-                        style={{ fontSize: '14px', fontWeight: '500', color: colors.text, flex: 1 }}
-                      />
-                      <span style={{ 
-                        fontSize: '11px', 
-                        padding: '2px 8px', 
-                        borderRadius: '4px',
-                        backgroundColor: m.status === 'good' ? colors.success + '15' : colors.textMuted + '15',
-                        color: m.status === 'good' ? colors.success : colors.textMuted
-                      }}>
-                        {m.status}
-                      </span>
-                      {isEditMode && (
-                        <button
-                          onClick={() => {
-                            const newMetrics = metrics.lagging.filter((_, idx) => idx !== i);
-                            setMetrics({ ...metrics, lagging: newMetrics });
-                          }}
-                          style={{
-                            background: 'none',
-                            border: 'none',
-                            color: colors.danger,
-                            cursor: 'pointer',
-                            padding: '0 4px',
-                            fontSize: '16px',
-                            opacity: 0.6,
-                            marginLeft: '8px'
-                          }}
-                        >
-                          ×
-                        </button>
-                      )}
-                    </div>
-                    <div style={{ marginTop: '4px' }}>
-                      <span style={{ fontSize: '12px', color: colors.textMuted }}>Target: </span>
-                      <EditableText
-                        value={m.target}
-                        onChange={(v) => {
-                          const newMetrics = [...metrics.lagging];
-                          newMetrics[i] = { ...m, target: v };
-                          setMetrics({ ...metrics, lagging: newMetrics });
-                        }}
-                        style={{ fontSize: '12px', color: colors.textMuted }}
-                      />
-                    </div>
-                  </div>
-                ))}
               </div>
-              {isEditMode && (
-                <button
-                  onClick={() => {
-                    setMetrics({ ...metrics, lagging: [...metrics.lagging, { name: 'New metric', target: 'TBD', status: 'unknown' }] });
-                  }}
-                  style={{
-                    marginTop: '8px',
-                    padding: '8px 12px',
-                    border: `1px dashed ${colors.accent}`,
-                    borderRadius: '8px',
-                    backgroundColor: 'transparent',
-                    color: colors.accent,
-                    fontSize: '12px',
-                    fontWeight: '500',
-                    cursor: 'pointer',
-                    transition: 'all 0.2s'
-                  }}
-                >
-                  + Add metric
-                </button>
-              )}
-            </Card>
+            ))}
           </div>
+          <AddItemButton onClick={addActual} label="Add actual" />
         </div>
       )}
+      {(metric.note || isEditMode) && (
+        <div style={{ marginTop: '6px' }}>
+          <EditableText
+            value={metric.note || ''}
+            onChange={(v) => update('note', v)}
+            placeholder="Add a note..."
+            style={{ fontSize: '11px', color: colors.textMuted, fontStyle: 'italic' }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
 
-      {activeTab === 'cadences' && (
-        <Card>
-          <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Team Cadences</h3>
-          <div style={{ display: 'grid', gap: '12px' }}>
-            {cadences.map((cadence, i) => (
-              <div key={i} style={{ 
-                display: 'grid',
-                gridTemplateColumns: '200px 150px 1fr auto',
-                gap: '16px',
-                padding: '12px',
-                backgroundColor: i % 2 === 0 ? 'white' : colors.surface,
-                borderRadius: '8px',
-                alignItems: 'center'
-              }}>
-                <EditableText
-                  value={cadence.type}
-                  onChange={(v) => {
-                    const newCadences = [...cadences];
-                    newCadences[i] = { ...cadence, type: v };
-                    setCadences(newCadences);
-                  }}
-                  style={{ fontSize: '14px', fontWeight: '600', color: colors.text }}
-                />
-                <EditableText
-                  value={cadence.frequency}
-                  onChange={(v) => {
-                    const newCadences = [...cadences];
-                    newCadences[i] = { ...cadence, frequency: v };
-                    setCadences(newCadences);
-                  }}
-                  style={{ fontSize: '13px', color: colors.textMuted }}
-                />
-                <EditableText
-                  value={cadence.focus}
-                  onChange={(v) => {
-                    const newCadences = [...cadences];
-                    newCadences[i] = { ...cadence, focus: v };
-                    setCadences(newCadences);
-                  }}
-                  style={{ fontSize: '13px', color: colors.textSecondary }}
-                />
-                {isEditMode && (
-                  <button
-                    onClick={() => setCadences(cadences.filter((_, idx) => idx !== i))}
-                    style={{
-                      background: 'none',
-                      border: 'none',
-                      color: colors.danger,
-                      cursor: 'pointer',
-                      padding: '0 4px',
-                      fontSize: '16px',
-                      opacity: 0.6
-                    }}
-                  >
-                    ×
-                  </button>
-                )}
-              </div>
+// Metrics CSV import: reads a CRM report export in the browser (nothing is uploaded). Quoted fields may hold
+// commas, doubled quotes and line breaks; a leading byte-order mark is dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Period cells as CRM reports write them: 2026-03-31, 2026/03/31, 3/31/2026 (US), 2026-03 (month) or Q1 2026 / 2026-Q1
+// (quarter); months and quarters land on their first day. Returns YYYY-MM-DD, or null when unreadable.
+const parseCsvDate = (value) => {
+  const text = String(value).trim();
+  const pad = (n) => String(n).padStart(2, '0');
+  const build = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+      ? `${year}-${pad(month)}-${pad(day)}`
+      : null;
+  };
+  let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  if (match) return build(Number(match[1]), Number(match[2]), Number(match[3]));
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return build(Number(match[3]), Number(match[1]), Number(match[2]));
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) return build(Number(match[1]), Number(match[2]), 1);
+  match = text.match(/^Q([1-4])[\s-]+(\d{4})$/i) || text.match(/^(\d{4})[\s-]+Q([1-4])$/i);
+  if (match) {
+    const [quarter, year] = text.toUpperCase().startsWith('Q') ? [match[1], match[2]] : [match[2], match[1]];
+    return build(Number(year), (Number(quarter) - 1) * 3 + 1, 1);
+  }
+  return null;
+};
+
+// "$1,234.50", "42%", "(1,200)" (accounting negative) → number; '' → null (no reading); anything else → NaN
+const parseCsvNumber = (value) => {
+  const text = String(value).trim();
+  if (!text) return null;
+  const isNegative = /^\(.*\)$/.test(text);
+  const cleaned = text.replace(/^\((.*)\)$/, '$1').replace(/[$€£%,\s]/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  return isNegative ? -Number(cleaned) : Number(cleaned);
+};
+
+const metricImportRef = (group, index) => `${group}:${index}`;
+
+// Guess the column for a metric from its name ("Win rate" ↔ "Deal win rate with SA involvement"), and the period column
+const guessMetricColumn = (headers, metricName) => {
+  const name = metricName.toLowerCase();
+  const index = headers.findIndex((header) => {
+    const h = header.trim().toLowerCase();
+    return h && (name.includes(h) || h.includes(name));
+  });
+  return index === -1 ? '' : String(index);
+};
+const guessDateColumn = (headers) => {
+  const index = headers.findIndex((header) => /date|period|month|week|quarter/i.test(header));
+  return index === -1 ? '' : String(index);
+};
+
+// One preview row per data row (1-based, blank lines skipped): { row, date, readings: [{ ref, value }], duplicates: [names], error }.
+// Malformed rows (wrong column count, unreadable date or number), rows with no values and rows holding any duplicate
+// are rejected whole; a reading is a duplicate when its metric already has an actual on that date, saved or earlier in the file.
+const buildMetricImportRows = ({ headers, rows }, { dateColumn, columns }, metrics) => {
+  const mapped = Object.entries(columns).filter(([, column]) => column !== '');
+  const metricFor = (ref) => {
+    const [group, index] = ref.split(':');
+    return metrics[group][Number(index)];
+  };
+  const seen = new Set(mapped.flatMap(([ref]) => (metricFor(ref).actuals || []).map((actual) => `${ref}@${actual.date}`)));
+  return rows.map((cells, i) => {
+    const result = { row: i + 1, date: null, readings: [], duplicates: [], error: null };
+    if (cells.length !== headers.length) {
+      result.error = `Expected ${headers.length} columns, found ${cells.length}`;
+      return result;
+    }
+    result.date = parseCsvDate(cells[Number(dateColumn)]);
+    if (!result.date) {
+      result.error = `Unreadable date "${cells[Number(dateColumn)]}"`;
+      return result;
+    }
+    for (const [ref, column] of mapped) {
+      const value = parseCsvNumber(cells[Number(column)]);
+      if (value === null) continue;
+      if (Number.isNaN(value)) {
+        result.error = `"${cells[Number(column)]}" in ${headers[Number(column)]} is not a number`;
+        result.readings = [];
+        return result;
+      }
+      result.readings.push({ ref, value });
+    }
+    if (result.readings.length === 0) {
+      result.error = 'No values for the mapped metrics';
+      return result;
+    }
+    result.duplicates = result.readings.filter(({ ref }) => seen.has(`${ref}@${result.date}`)).map(({ ref }) => metricFor(ref).name);
+    if (result.duplicates.length > 0) {
+      result.error = `Duplicate: ${result.duplicates.join(', ')} already recorded for ${result.date}`;
+      return result;
+    }
+    result.readings.forEach(({ ref }) => seen.add(`${ref}@${result.date}`));
+    return result;
+  });
+};
+
+// Import actuals (edit mode): choose a CSV, map its date column and metric columns, preview, then append
+const MetricsCsvImportControls = ({ metrics, onImport }) => {
+  const colors = useColors();
+  const fileInputRef = useRef(null);
+  const [csv, setCsv] = useState(null);
+  const [error, setError] = useState(null);
+  const [mapping, setMapping] = useState({ dateColumn: '', columns: {} });
+
+  const metricRefs = ['leading', 'lagging'].flatMap((group) => metrics[group].map((metric, i) => ({ ref: metricImportRef(group, i), metric })));
+  const hasMappedMetric = Object.values(mapping.columns).some((column) => column !== '');
+  const previewRows = csv && mapping.dateColumn !== '' && hasMappedMetric ? buildMetricImportRows(csv, mapping, metrics) : [];
+  const accepted = previewRows.filter((row) => !row.error);
+  const readingCount = accepted.reduce((sum, row) => sum + row.readings.length, 0);
+  const fieldStyle = { fontSize: '13px', fontFamily: 'inherit', color: colors.text, padding: '4px 6px', border: `1px solid ${colors.border}`, borderRadius: '6px', backgroundColor: colors.card };
+  const cellStyle = { padding: '4px 8px', borderBottom: `1px solid ${colors.borderLight}`, textAlign: 'left', verticalAlign: 'top' };
+
+  const close = () => {
+    setCsv(null);
+    setMapping({ dateColumn: '', columns: {} });
+  };
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const [headers, ...rows] = parseCsv(await file.text()).filter((cells) => cells.some((cell) => cell.trim() !== ''));
+    if (!headers || rows.length === 0) {
+      setError({ fileName: file.name, message: 'The file needs a header row and at least one data row.' });
+      return;
+    }
+    setCsv({ fileName: file.name, headers, rows });
+    setMapping({
+      dateColumn: guessDateColumn(headers),
+      columns: Object.fromEntries(metricRefs.map(({ ref, metric }) => [ref, guessMetricColumn(headers, metric.name)]))
+    });
+  };
+
+  const handleImport = () => {
+    const additions = {};
+    accepted.forEach((row) => row.readings.forEach(({ ref, value }) => {
+      (additions[ref] = additions[ref] || []).push({ date: row.date, value });
+    }));
+    const append = (group) => metrics[group].map((metric, i) => {
+      const added = additions[metricImportRef(group, i)];
+      return added ? { ...metric, actuals: [...(metric.actuals || []), ...added] } : metric;
+    });
+    onImport({ ...metrics, leading: append('leading'), lagging: append('lagging') });
+    close();
+  };
+
+  const mappedRefs = metricRefs.filter(({ ref }) => (mapping.columns[ref] ?? '') !== '');
+
+  return (
+    <>
+      <ToolButton onClick={() => fileInputRef.current && fileInputRef.current.click()} title="Append dated actuals from a CRM report export (.csv)">
+        Import actuals (CSV)
+      </ToolButton>
+      <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleFileChosen} style={{ display: 'none' }} />
+
+      {error && (
+        <ModalShell
+          title="Can't read CSV"
+          onClose={() => setError(null)}
+          footer={<ToolButton onClick={() => setError(null)}>Close</ToolButton>}
+        >
+          <p style={{ fontSize: '13px', color: colors.textMuted, marginBottom: '12px' }}>{error.fileName}</p>
+          <p style={{ fontSize: '14px', color: colors.danger }}>{error.message}</p>
+        </ModalShell>
+      )}
+
+      {csv && (
+        <ModalShell
+          title="Import metric actuals"
+          onClose={close}
+          maxWidth="820px"
+          footer={
+            <>
+              <ToolButton onClick={close}>Cancel</ToolButton>
+              <ToolButton primary onClick={handleImport} disabled={readingCount === 0}>
+                {`Import ${readingCount} actual${readingCount === 1 ? '' : 's'}`}
+              </ToolButton>
+            </>
+          }
+        >
+          <p style={{ fontSize: '13px', color: colors.textMuted, marginBottom: '12px' }}>
+            {csv.fileName} • {csv.rows.length} rows • {csv.headers.length} columns
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)', gap: '8px 16px', alignItems: 'center', marginBottom: '16px', fontSize: '13px' }}>
+            <label htmlFor="metrics-csv-date" style={{ fontWeight: '600' }}>Date / period column</label>
+            <select id="metrics-csv-date" value={mapping.dateColumn} onChange={(e) => setMapping({ ...mapping, dateColumn: e.target.value })} style={fieldStyle}>
+              <option value="">Choose a column…</option>
+              {csv.headers.map((header, i) => <option key={i} value={String(i)}>{header || `Column ${i + 1}`}</option>)}
+            </select>
+            {metricRefs.map(({ ref, metric }) => (
+              <React.Fragment key={ref}>
+                <label htmlFor={`metrics-csv-${ref}`} style={{ color: colors.textSecondary }}>{metric.name}</label>
+                <select
+                  id={`metrics-csv-${ref}`}
+                  value={mapping.columns[ref] ?? ''}
+                  onChange={(e) => setMapping({ ...mapping, columns: { ...mapping.columns, [ref]: e.target.value } })}
+                  style={fieldStyle}
+                >
+                  <option value="">Not imported</option>
+                  {csv.headers.map((header, i) => <option key={i} value={String(i)}>{header || `Column ${i + 1}`}</option>)}
+                </select>
+              </React.Fragment>
             ))}
           </div>
-          {isEditMode && (
-            <button
-              onClick={() => setCadences([...cadences, { type: 'New cadence', frequency: 'TBD', focus: 'TBD' }])}
-              style={{
-                marginTop: '12px',
-                padding: '8px 12px',
-                border: `1px dashed ${colors.purple}`,
-                borderRadius: '8px',
-                backgroundColor: 'transparent',
-                color: colors.purple,
-                fontSize: '12px',
-                fontWeight: '500',
-                cursor: 'pointer',
-                transition: 'all 0.2s'
-              }}
-            >
-              + Add cadence
-            </button>
+          {previewRows.length === 0 ? (
+            <p style={{ fontSize: '14px', color: colors.textSecondary }}>Choose the date column and at least one metric column to preview the rows.</p>
+          ) : (
+            <>
+              <p style={{ fontSize: '13px', color: colors.textSecondary, marginBottom: '8px' }}>
+                {accepted.length} of {previewRows.length} rows will be imported; {previewRows.length - accepted.length} rejected.
+              </p>
+              <div style={{ maxHeight: '320px', overflow: 'auto', border: `1px solid ${colors.border}`, borderRadius: '8px' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: colors.surface }}>
+                      <th scope="col" style={cellStyle}>Row</th>
+                      <th scope="col" style={cellStyle}>Date</th>
+                      {mappedRefs.map(({ ref, metric }) => <th key={ref} scope="col" style={cellStyle}>{metric.name}</th>)}
+                      <th scope="col" style={cellStyle}>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map((row) => (
+                      <tr key={row.row} style={{ color: row.error ? colors.textMuted : colors.text }}>
+                        <td style={cellStyle}>{row.row}</td>
+                        <td style={cellStyle}>{row.date || '—'}</td>
+                        {mappedRefs.map(({ ref, metric }) => {
+                          const reading = row.readings.find((r) => r.ref === ref);
+                          return <td key={ref} style={cellStyle}>{reading ? formatMetricValue(reading.value, metric.unit) : '—'}</td>;
+                        })}
+                        <td style={{ ...cellStyle, color: row.error ? colors.danger : colors.success }}>
+                          {row.error || `Adds ${row.readings.length}`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
           )}
-        </Card>
+        </ModalShell>
       )}
+    </>
+  );
+};
 
-      {activeTab === 'coaching' && (
-        <div>
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px' }}>
-            {Object.entries(coachingModel).map(([key, items], idx) => {
-              const colors_map = [colors.accent, colors.purple, colors.success];
-              return (
-                <Card key={key} style={{ borderLeft: `4px solid ${colors_map[idx]}` }}>
-                  <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.text, marginBottom: '12px', textTransform: 'capitalize' }}>
-                    {key.replace(/([A-Z])/g, ' $1').trim()}
-                  </h4>
-                  <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                    {items.map((item, i) => (
-                      <div key={i} style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
-                        <div style={{ 
-                          width: '5px', 
-                          height: '5px', 
-                          borderRadius: '50%', 
-                          backgroundColor: colors_map[idx],
-                          marginTop: '6px',
-                          flexShrink: 0
-                        }} />
-                        <EditableText
-                          value={item}
-                          onChange={(v) => {
-                            const newItems = [...items];
-                            newItems[i] = v;
-                            setCoachingModel({ ...coachingModel, [key]: newItems });
-                          }}
-                          style={{ fontSize: '13px', color: colors.textSecondary, flex: 1 }}
-                        />
-                        {isEditMode && (
-                          <button
-                            onClick={() => {
-                              const newItems = items.filter((_, idx) => idx !== i);
-                              setCoachingModel({ ...coachingModel, [key]: newItems });
-                            }}
-                            style={{
-                              background: 'none',
-                              border: 'none',
-                              color: colors.danger,
-                              cursor: 'pointer',
-                              padding: '0 4px',
-                              fontSize: '16px',
-                              opacity: 0.6,
-                              transition: 'opacity 0.2s'
-                            }}
-                            onMouseEnter={(e) => e.currentTarget.style.opacity = '1'}
-                            onMouseLeave={(e) => e.currentTarget.style.opacity = '0.6'}
-                          >
-                            ×
-                          </button>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                  {isEditMode && (
-                    <button
-                      onClick={() => {
-                        setCoachingModel({ ...coachingModel, [key]: [...items, 'New item - click to edit'] });
-                      }}
-                      style={{
-                        marginTop: '8px',
-                        padding: '8px 12px',
-                        border: `1px dashed ${colors_map[idx]}`,
-                        borderRadius: '8px',
-                        backgroundColor: 'transparent',
-                        color: colors_map[idx],
-                        fontSize: '12px',
-                        fontWeight: '500',
-                        cursor: 'pointer',
-                        transition: 'all 0.2s'
-                      }}
-                      onMouseEnter={(e) => {
-                        e.currentTarget.style.backgroundColor = colors_map[idx] + '10';
-                        e.currentTarget.style.borderStyle = 'solid';
-                      }}
-                      onMouseLeave={(e) => {
-                        e.currentTarget.style.backgroundColor = 'transparent';
-                        e.currentTarget.style.borderStyle = 'dashed';
-                      }}
-                    >
-                      + Add item
-                    </button>
-                  )}
-                </Card>
-              );
-            })}
-          </div>
-        </div>
-      )}
-    </div>
-  );
+const defaultMetrics = {
+  leading: [
+    { name: 'POC conversion rate', unit: '%', baseline: null, target: null, direction: 'higher', actuals: [], note: 'Set the baseline first, then a +X% target' },
+    { name: 'Check-ins per trial', unit: 'per trial', baseline: 0, target: 3, direction: 'higher', actuals: [], note: '4 months ago: zero check-ins' },
+    { name: 'Feature adoption rates', unit: '%', baseline: null, target: null, direction: 'higher', actuals: [], note: 'Writer Agent, Guardrails, AI Studio, Knowledge Graph etc' },
+    { name: 'SA utilization / capacity', unit: '%', baseline: null, target: null, direction: 'lower', actuals: [], note: 'Quantify the 50+ trials scope' }
+  ],
+  lagging: [
+    { name: 'Deal win rate with SA involvement', unit: '%', baseline: null, target: null, direction: 'higher', actuals: [] },
+    { name: 'Customer expansion revenue', unit: '$', baseline: null, target: null, direction: 'higher', actuals: [] },
+    { name: 'Time to value for new customers', unit: 'days', baseline: null, target: null, direction: 'lower', actuals: [] },
+    { name: '90-day retention', unit: '%', baseline: null, target: 90, direction: 'higher', actuals: [] }
+  ]
 };
 
-// Interactive D3 Timeline Component
-// Split phase title into two lines to reduce horizontal overlap (at " & " or near middle)
-const splitPhaseTitle = (title) => {
-  const atAmp = title.indexOf(' & ');
-  if (atAmp > 0) {
-    return [title.substring(0, atAmp), title.substring(atAmp + 3)];
-  }
-  const mid = Math.floor(title.length / 2);
-  const spaceIndex = title.lastIndexOf(' ', mid);
-  if (spaceIndex > 0) {
-    return [title.substring(0, spaceIndex), title.substring(spaceIndex + 1)];
-  }
-  return [title, ''];
+const defaultCadences = [
+  { type: 'Weekly Team Call', focus: 'Deal reviews, blockers, quick wins', frequency: 'weekly', day: 1, week: 1, time: '09:00', durationMinutes: 60, startDate: '2026-01-05', attendees: { sas: 'all', others: '' }, note: '' },
+  { type: '1:1s', focus: 'Coaching, development, career growth', frequency: 'weekly', day: 3, week: 1, time: '11:00', durationMinutes: 30, startDate: '2026-01-05', attendees: { sas: 'all', others: '' }, note: 'With each SA' },
+  { type: 'Forecast Review', focus: 'Pipeline health, SA capacity', frequency: 'weekly', day: 4, week: 1, time: '14:00', durationMinutes: 60, startDate: '2026-01-05', attendees: { sas: [], others: 'Sales leadership' }, note: '' },
+  { type: 'QBR', focus: 'Team performance, strategic planning', frequency: 'quarterly', day: 2, week: 2, time: '13:00', durationMinutes: 180, startDate: '2026-01-05', attendees: { sas: 'all', others: '' }, note: '' },
+  { type: 'Deal Reviews', focus: 'Strategic partnership with AEs', frequency: 'asNeeded', day: 1, week: 1, time: '10:00', durationMinutes: 60, startDate: '2026-01-05', attendees: { sas: [], others: 'AEs' }, note: 'For key opportunities' }
+];
+
+const defaultCoachingModel = {
+  newSAs: [
+    'Better onboarding—not thrown into role as "tech support"',
+    '10 post-mortems per quarter with real-time feedback',
+    'Shadow calls with 15-minute debrief sessions',
+    'Attend all CS/sales enablement sessions, follow with team check-ins',
+    'Focus on 3 core competencies: product knowledge, buyer personas, competitive landscape'
+  ],
+  tenuredSAs: [
+    'Develop special skills that differentiate from AEs',
+    'Executive presence/strategic business understanding development',
+    'Sales rep showcases of successful deal closes',
+    'Weekly focus communication to team',
+    'Master deck as single source of truth'
+  ],
+  continuousLearning: [
+    'Systematic content sharing—weekly demo highlights by industry',
+    'Marketing/enablement to provide weekly industry-specific content',
+    'Document/plan team asks constantly'
+  ]
 };
 
-// Exponential growth curve: flat at start, steep at end (0 → 100 over 30 days)
-const valueAtDay = (day, maxDays = 30) => 100 * (Math.exp(3 * day / maxDays) - 1) / (Math.exp(3) - 1);
+// SA capacity dashboard: { thresholds, roster: [{ id, name, pipeline, stages: { <stage id>: deal count } }] }.
+// An SA's deal count is the sum of their stage counts; pipeline (weighted, $) is compared with the team average.
+// The defaults are the playbook's rule: yellow at 18+ deals or 120% of average pipeline, red at 21+ or 140%.
+const DEAL_STAGES = [
+  { id: 'discovery', label: 'Discovery' },
+  { id: 'evaluation', label: 'Evaluation / POC' },
+  { id: 'proposal', label: 'Proposal' },
+  { id: 'negotiation', label: 'Negotiation' }
+];
 
-const InteractiveTimeline = ({ phases, activePhase, setActivePhase, maxDays = 30 }) => {
-  const svgRef = useRef(null);
+const CAPACITY_LEVELS = {
+  green: { label: 'OK', colorKey: 'success' },
+  yellow: { label: 'Watch', colorKey: 'warning' },
+  red: { label: 'Over capacity', colorKey: 'danger' }
+};
+
+const newCapacitySaId = () => `sa-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const defaultSaCapacity = {
+  thresholds: { yellowDeals: 18, redDeals: 21, yellowPipelinePct: 120, redPipelinePct: 140 },
+  roster: [
+    { id: 'sa-1', name: 'SA 1', pipeline: 1200000, stages: { discovery: 6, evaluation: 5, proposal: 3, negotiation: 1 } },
+    { id: 'sa-2', name: 'SA 2', pipeline: 1650000, stages: { discovery: 7, evaluation: 6, proposal: 4, negotiation: 2 } },
+    { id: 'sa-3', name: 'SA 3', pipeline: 2300000, stages: { discovery: 8, evaluation: 7, proposal: 5, negotiation: 2 } },
+    { id: 'sa-4', name: 'SA 4', pipeline: 900000, stages: { discovery: 4, evaluation: 3, proposal: 2, negotiation: 1 } },
+    { id: 'sa-5', name: 'SA 5', pipeline: 1400000, stages: { discovery: 5, evaluation: 5, proposal: 3, negotiation: 2 } }
+  ]
+};
+
+const saDealCount = (sa) => DEAL_STAGES.reduce((sum, stage) => sum + (Number(sa.stages?.[stage.id]) || 0), 0);
+
+// Each SA with deals, pipeline as % of the team average and a green / yellow / red level
+const assessSaCapacity = ({ thresholds, roster }) => {
+  const averagePipeline = roster.length ? roster.reduce((sum, sa) => sum + (Number(sa.pipeline) || 0), 0) / roster.length : 0;
+  return roster.map((sa) => {
+    const deals = saDealCount(sa);
+    const pipelinePct = averagePipeline > 0 ? Math.round(((Number(sa.pipeline) || 0) / averagePipeline) * 100) : 0;
+    const level = deals >= thresholds.redDeals || pipelinePct >= thresholds.redPipelinePct ? 'red'
+      : deals >= thresholds.yellowDeals || pipelinePct >= thresholds.yellowPipelinePct ? 'yellow'
+        : 'green';
+    return { ...sa, deals, pipelinePct, level };
+  });
+};
+
+const formatPipeline = (value) => `$${(Number(value) || 0).toLocaleString('en-US')}`;
+
+// D3 bars of each SA's deal count, colored by capacity level, with dashed lines at the yellow and red deal thresholds
+const CapacityBarChart = ({ assessed, thresholds }) => {
+  const colors = useColors();
   const containerRef = useRef(null);
-  const TIMELINE_HEIGHT = 420;
-  const [dimensions, setDimensions] = useState({ width: 0, height: TIMELINE_HEIGHT });
+  const svgRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const rowHeight = 28;
+  const margin = { top: 20, right: 56, bottom: 8, left: 120 };
+  const height = margin.top + margin.bottom + assessed.length * rowHeight;
 
   useEffect(() => {
-    const updateDimensions = () => {
-      if (containerRef.current) {
-        const w = containerRef.current.offsetWidth;
-        setDimensions({ width: w, height: TIMELINE_HEIGHT });
-      }
-    };
-    updateDimensions();
-    window.addEventListener('resize', updateDimensions);
-    const t1 = setTimeout(updateDimensions, 0);
-    const t2 = setTimeout(updateDimensions, 150);
-    return () => {
-      window.removeEventListener('resize', updateDimensions);
-      clearTimeout(t1);
-      clearTimeout(t2);
-    };
+    if (!containerRef.current) return;
+    const el = containerRef.current;
+    const update = () => setWidth(el.offsetWidth);
+    update();
+    const ro = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(update) : null;
+    if (ro) ro.observe(el);
+    return () => { if (ro) ro.disconnect(); };
   }, []);
 
   useEffect(() => {
-    if (!svgRef.current || dimensions.width === 0) return;
-
+    if (!svgRef.current || width === 0) return;
     const svg = select(svgRef.current);
     svg.selectAll('*').remove();
-
-    const isSmallScreen = dimensions.width < 768;
-    const margin = {
-      top: 24,
-      right: isSmallScreen ? 24 : 40,
-      bottom: isSmallScreen ? 120 : 100,
-      left: isSmallScreen ? 44 : 52
-    };
-    const width = dimensions.width - margin.left - margin.right;
-    const height = dimensions.height - margin.top - margin.bottom;
-
+    const innerWidth = width - margin.left - margin.right;
+    const maxDeals = Math.max(thresholds.redDeals + 3, ...assessed.map((sa) => sa.deals));
+    const x = scaleLinear().domain([0, maxDeals]).range([0, innerWidth]);
     const g = svg.append('g').attr('transform', `translate(${margin.left}, ${margin.top})`);
-    const xScale = scaleLinear().domain([0, maxDays]).range([0, width]);
-    const yScale = scaleLinear().domain([0, 100]).range([height, 0]);
 
-    // Curve data: exponential value over days 0–maxDays
-    const curveData = [];
-    for (let d = 0; d <= maxDays; d += (maxDays <= 30 ? 0.5 : 1)) {
-      curveData.push({ day: d, value: valueAtDay(d, maxDays) });
-    }
+    assessed.forEach((sa, i) => {
+      const y = i * rowHeight;
+      const color = colors[CAPACITY_LEVELS[sa.level].colorKey];
+      g.append('text')
+        .attr('x', -8).attr('y', y + rowHeight / 2).attr('dy', '0.35em')
+        .attr('text-anchor', 'end').attr('font-size', '12px').attr('fill', colors.text)
+        .text(sa.name.length > 16 ? `${sa.name.slice(0, 15)}…` : sa.name);
+      g.append('rect')
+        .attr('x', 0).attr('y', y + 5)
+        .attr('width', x(sa.deals)).attr('height', rowHeight - 10)
+        .attr('rx', 4)
+        .attr('fill', color);
+      g.append('text')
+        .attr('x', x(sa.deals) + 6).attr('y', y + rowHeight / 2).attr('dy', '0.35em')
+        .attr('font-size', '11px').attr('fill', colors.textMuted)
+        .text(`${sa.deals} • ${sa.pipelinePct}%`);
+    });
 
-    const lineGen = line()
-      .x(d => xScale(d.day))
-      .y(d => yScale(d.value))
-      .curve(curveMonotoneX);
+    [['yellowDeals', colors.warning], ['redDeals', colors.danger]].forEach(([key, color]) => {
+      const xPos = x(thresholds[key]);
+      g.append('line')
+        .attr('x1', xPos).attr('x2', xPos)
+        .attr('y1', -6).attr('y2', assessed.length * rowHeight)
+        .attr('stroke', color).attr('stroke-width', 1.5).attr('stroke-dasharray', '4 3');
+      g.append('text')
+        .attr('x', xPos).attr('y', -8)
+        .attr('text-anchor', 'middle').attr('font-size', '10px').attr('font-weight', '600').attr('fill', color)
+        .text(thresholds[key]);
+    });
+  }, [assessed, thresholds, width, height, colors]);
 
-    // Y-axis: value key as 1x, 2x, 3x, etc. (no numeric count)
-    const yTickValues = [20, 40, 60, 80, 100];
-    const yAxis = axisLeft(yScale)
-      .tickValues(yTickValues)
-      .tickFormat((_, i) => `${i + 1}x`)
-      .tickSizeInner(-width)
-      .tickSizeOuter(0);
-    g.append('g')
-      .attr('class', 'axis axis-y')
-      .call(yAxis)
-      .selectAll('.tick line')
-      .attr('stroke', colors.borderLight)
-      .attr('stroke-opacity', 0.5);
-    g.select('.axis-y').selectAll('text').attr('fill', colors.textMuted).attr('font-size', '11px');
-    g.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2)
-      .attr('y', -margin.left + 16)
-      .attr('text-anchor', 'middle')
-      .attr('fill', colors.textMuted)
-      .attr('font-size', '11px')
-      .attr('font-weight', '600')
-      .text('Value');
+  const summary = assessed.map((sa) => `${sa.name}: ${sa.deals} deals, ${sa.pipelinePct}% of average pipeline, ${CAPACITY_LEVELS[sa.level].label}`).join('; ');
+  return (
+    <div ref={containerRef} style={{ width: '100%' }}>
+      <svg ref={svgRef} width={width} height={height} role="img" aria-label={`Deals per SA with thresholds at ${thresholds.yellowDeals} and ${thresholds.redDeals}. ${summary}`} style={{ display: 'block' }} />
+    </div>
+  );
+};
 
-    // X-axis (Days)
-    const xTickValues = maxDays <= 30 ? [0, 5, 10, 15, 20, 25, 30] : [0, 15, 30, 45, 60, 75, 90];
-    const xAxis = axisBottom(xScale)
-      .ticks(7)
-      .tickValues(xTickValues)
-      .tickSizeInner(-height)
-      .tickSizeOuter(0);
-    g.append('g')
-      .attr('class', 'axis axis-x')
-      .attr('transform', `translate(0, ${height})`)
-      .call(xAxis)
-      .selectAll('.tick line')
-      .attr('stroke', colors.borderLight)
-      .attr('stroke-opacity', 0.5);
-    g.select('.axis-x').selectAll('text').attr('fill', colors.textMuted).attr('font-size', '11px');
-    g.append('text')
-      .attr('x', width / 2)
-      .attr('y', height + margin.bottom - 12)
-      .attr('text-anchor', 'middle')
-      .attr('fill', colors.textMuted)
-      .attr('font-size', '11px')
-      .attr('font-weight', '600')
-      .text('Days');
+// Capacity tab: thresholds, roster (stage counts and pipeline per SA), per-SA bar chart and a stage heatmap
+const SaCapacityDashboard = ({ capacity, setCapacity }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const { thresholds, roster } = capacity;
+  const assessed = useMemo(() => assessSaCapacity(capacity), [capacity]);
+  const maxStageCount = Math.max(1, ...roster.flatMap((sa) => DEAL_STAGES.map((stage) => Number(sa.stages?.[stage.id]) || 0)));
+  const counts = Object.fromEntries(Object.keys(CAPACITY_LEVELS).map((level) => [level, assessed.filter((sa) => sa.level === level).length]));
+
+  const updateThreshold = (key, value) => setCapacity({ ...capacity, thresholds: { ...thresholds, [key]: Math.max(0, Number(value) || 0) } });
+  const updateSa = (index, changes) => setCapacity({ ...capacity, roster: roster.map((sa, i) => (i === index ? { ...sa, ...changes } : sa)) });
+  const updateStage = (index, stageId, value) => updateSa(index, { stages: { ...roster[index].stages, [stageId]: Math.max(0, parseInt(value, 10) || 0) } });
+  const addSa = () => setCapacity({
+    ...capacity,
+    roster: [...roster, { id: newCapacitySaId(), name: 'New SA', pipeline: 0, stages: Object.fromEntries(DEAL_STAGES.map((stage) => [stage.id, 0])) }]
+  });
+  const deleteSa = (index) => setCapacity({ ...capacity, roster: roster.filter((_, i) => i !== index) });
+
+  const fieldStyle = { fontSize: '12px', fontFamily: 'inherit', color: colors.text, padding: '2px 6px', border: `1px solid ${colors.border}`, borderRadius: '6px', backgroundColor: colors.card, width: '64px' };
+  const cellStyle = { padding: '8px', borderBottom: `1px solid ${colors.borderLight}`, textAlign: 'left', fontSize: '13px' };
+  const headStyle = { ...cellStyle, fontSize: '11px', fontWeight: '600', color: colors.textMuted, textTransform: 'uppercase', letterSpacing: '0.04em' };
+  const levelBadge = (level) => {
+    const color = colors[CAPACITY_LEVELS[level].colorKey];
+    return <span style={{ fontSize: '11px', fontWeight: '600', padding: '2px 8px', borderRadius: '4px', color, backgroundColor: color + '18', whiteSpace: 'nowrap' }}>{CAPACITY_LEVELS[level].label}</span>;
+  };
+  const thresholdInput = (key, suffix, label) => (isEditMode
+    ? <input type="number" min="0" value={thresholds[key]} onChange={(e) => updateThreshold(key, e.target.value)} aria-label={label} style={{ ...fieldStyle, width: '56px' }} />
+    : <strong>{thresholds[key]}{suffix}</strong>);
 
-    // Draw curve in three segments (one per phase) with phase colors
-    const segmentRanges = maxDays <= 30
-      ? [[0, 10], [10, 20], [20, 30]]
-      : [[0, 30], [30, 60], [60, 90]];
-    segmentRanges.forEach(([start, end], i) => {
-      const segmentData = curveData.filter(d => d.day >= start && d.day <= end);
-      if (segmentData.length === 0) return;
-      const phase = phases[i];
-      const isActive = i === activePhase;
-      const isPast = i < activePhase;
-      g.append('path')
-        .attr('d', lineGen(segmentData))
-        .attr('fill', 'none')
-        .attr('stroke', phase.color)
-        .attr('stroke-width', isActive ? 4 : isPast ? 3 : 2)
-        .attr('stroke-linecap', 'round')
-        .attr('stroke-linejoin', 'round')
-        .attr('opacity', isActive ? 1 : (maxDays > 30 ? 0.9 : (isPast ? 0.85 : 0.5)))
-        .style('cursor', 'pointer')
-        .style('filter', isActive ? 'drop-shadow(0 2px 4px rgba(0,0,0,0.1))' : 'none')
-        .on('click', () => setActivePhase(i));
-    });
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+      <Card>
+        <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', alignItems: 'center', fontSize: '13px', color: colors.textSecondary }}>
+          <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '50%', backgroundColor: colors.warning }} />
+            Yellow at {thresholdInput('yellowDeals', '', 'Yellow deal threshold')}+ deals or {thresholdInput('yellowPipelinePct', '%', 'Yellow pipeline threshold (% of average)')} of average pipeline
+          </span>
+          <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '50%', backgroundColor: colors.danger }} />
+            Red at {thresholdInput('redDeals', '', 'Red deal threshold')}+ deals or {thresholdInput('redPipelinePct', '%', 'Red pipeline threshold (% of average)')}
+          </span>
+          <span style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+            {Object.keys(CAPACITY_LEVELS).map((level) => <span key={level}>{levelBadge(level)} {counts[level]}</span>)}
+          </span>
+        </div>
+      </Card>
 
-    // Phase nodes on the curve (mid-phase); ensure we have a day for each phase
-    const nodeDays = maxDays <= 30 ? [5, 15, 25] : [15, 45, 75];
-    (phases || []).forEach((phase, i) => {
-      const day = nodeDays[i] != null ? nodeDays[i] : (i + 0.5) * (maxDays / (phases.length || 1));
-      const x = xScale(day);
-      const y = yScale(valueAtDay(day, maxDays));
-      const isActive = i === activePhase;
-      const isPast = i < activePhase;
-      const circleRadius = isActive ? 16 : isPast ? 14 : 12;
-      const labelY = y - circleRadius - 44;
-      const titleY = y - circleRadius - 24;
-      const textAnchor = i === 0 ? 'start' : i === phases.length - 1 ? 'end' : 'middle';
+      <Card style={{ overflowX: 'auto' }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Roster</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th scope="col" style={headStyle}>SA</th>
+              {DEAL_STAGES.map((stage) => <th key={stage.id} scope="col" style={headStyle}>{stage.label}</th>)}
+              <th scope="col" style={headStyle}>Deals</th>
+              <th scope="col" style={headStyle}>Weighted pipeline</th>
+              <th scope="col" style={headStyle}>% of avg</th>
+              <th scope="col" style={headStyle}>Status</th>
+              {isEditMode && <th scope="col" style={headStyle}><span style={VISUALLY_HIDDEN_STYLE}>Actions</span></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {assessed.map((sa, i) => (
+              <tr key={sa.id}>
+                <th scope="row" style={{ ...cellStyle, fontWeight: '500' }}>
+                  <EditableText value={sa.name} onChange={(v) => updateSa(i, { name: v })} style={{ fontSize: '13px', fontWeight: '500', color: colors.text }} />
+                </th>
+                {DEAL_STAGES.map((stage) => (
+                  <td key={stage.id} style={cellStyle}>
+                    {isEditMode
+                      ? <input type="number" min="0" value={sa.stages?.[stage.id] ?? 0} onChange={(e) => updateStage(i, stage.id, e.target.value)} aria-label={`${sa.name} ${stage.label} deals`} style={fieldStyle} />
+                      : sa.stages?.[stage.id] ?? 0}
+                  </td>
+                ))}
+                <td style={{ ...cellStyle, fontWeight: '600' }}>{sa.deals}</td>
+                <td style={cellStyle}>
+                  {isEditMode
+                    ? <input type="number" min="0" step="10000" value={sa.pipeline} onChange={(e) => updateSa(i, { pipeline: Math.max(0, Number(e.target.value) || 0) })} aria-label={`${sa.name} weighted pipeline`} style={{ ...fieldStyle, width: '110px' }} />
+                    : formatPipeline(sa.pipeline)}
+                </td>
+                <td style={cellStyle}>{sa.pipelinePct}%</td>
+                <td style={cellStyle}>{levelBadge(sa.level)}</td>
+                {isEditMode && (
+                  <td style={cellStyle}>
+                    <button aria-label={`Remove ${sa.name}`} onClick={() => deleteSa(i)} style={{ background: 'none', border: 'none', color: colors.danger, cursor: 'pointer', fontSize: '16px', opacity: 0.6 }}>×</button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {isEditMode && <AddItemButton onClick={addSa} label="Add SA" />}
+      </Card>
 
-      if (isActive || isPast) {
-        g.append('circle')
-          .attr('cx', x).attr('cy', y).attr('r', 20)
-          .attr('fill', 'none').attr('stroke', phase.color).attr('stroke-width', 2).attr('opacity', 0.3)
-          .style('filter', 'blur(4px)');
-      }
-      g.append('circle')
-        .attr('cx', x).attr('cy', y)
-        .attr('r', circleRadius)
-        .attr('fill', isActive ? phase.color : (isPast ? phase.color : (phase.color + '30')))
-        .attr('stroke', phase.color)
-        .attr('stroke-width', isActive ? 3 : 2)
-        .style('cursor', 'pointer')
-        .style('transition', 'all 0.3s')
-        .on('click', () => setActivePhase(i))
-        .on('mouseenter', function() {
-          select(this).transition().duration(200).attr('r', isActive ? 18 : 16);
-        })
-        .on('mouseleave', function() {
-          select(this).transition().duration(200).attr('r', circleRadius);
-        });
-      if (isActive || isPast) {
-        g.append('circle')
-          .attr('cx', x).attr('cy', y).attr('r', 6).attr('fill', 'white')
-          .style('pointer-events', 'none');
-      }
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '16px' }}>
+        <Card>
+          <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Deals per SA</h3>
+          {assessed.length === 0
+            ? <p style={{ fontSize: '13px', color: colors.textMuted }}>Add SAs to the roster to see the chart.</p>
+            : <CapacityBarChart assessed={assessed} thresholds={thresholds} />}
+          <p style={{ fontSize: '11px', color: colors.textMuted, marginTop: '8px' }}>Labels show deals • % of average weighted pipeline.</p>
+        </Card>
+        <Card>
+          <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Stage heatmap</h3>
+          <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '3px' }}>
+            <thead>
+              <tr>
+                <th scope="col" style={{ ...headStyle, borderBottom: 'none' }}>SA</th>
+                {DEAL_STAGES.map((stage) => <th key={stage.id} scope="col" style={{ ...headStyle, borderBottom: 'none', textAlign: 'center' }}>{stage.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {assessed.map((sa) => (
+                <tr key={sa.id}>
+                  <th scope="row" style={{ fontSize: '12px', fontWeight: '500', color: colors.text, textAlign: 'left', paddingRight: '8px' }}>{sa.name}</th>
+                  {DEAL_STAGES.map((stage) => {
+                    const count = Number(sa.stages?.[stage.id]) || 0;
+                    // Alpha from 0x10 to 0xff with the count, so the busiest stage on the team is solid
+                    const alpha = Math.round(16 + (count / maxStageCount) * 239).toString(16).padStart(2, '0');
+                    return (
+                      <td key={stage.id} style={{ textAlign: 'center', padding: '8px 4px', borderRadius: '4px', fontSize: '12px', fontWeight: '600', backgroundColor: colors.accent + alpha, color: count / maxStageCount > 0.5 ? colors.bg : colors.text }}>
+                        {count}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      </div>
+    </div>
+  );
+};
 
-      g.append('text')
-        .attr('x', x).attr('y', labelY)
-        .attr('text-anchor', textAnchor).attr('font-size', '11px')
-        .attr('font-weight', isActive ? '700' : '600')
-        .attr('fill', isActive ? phase.color : colors.textMuted)
-        .text(phase.days)
-        .style('cursor', 'pointer')
-        .on('click', () => setActivePhase(i));
+// SA/AE pod board: AEs and the capacity roster's SAs grouped into pods, in a "current" and a "proposed" layout.
+// { targetAesPerSa, aes: [{ id, name }], layouts: { current: { pods }, proposed: { pods } } }, where each pod is
+// { id, name, members: [SA or AE id] }; anyone in no pod is unassigned. SAs removed from the roster drop out.
+const POD_LAYOUTS = [
+  { id: 'current', label: 'Current' },
+  { id: 'proposed', label: 'Proposed' }
+];
 
-      const [line1, line2] = splitPhaseTitle(phase.title);
-      g.append('text')
-        .attr('x', x).attr('y', titleY)
-        .attr('text-anchor', textAnchor).attr('font-size', '12px')
-        .attr('font-weight', isActive ? '700' : '500')
-        .attr('fill', isActive ? colors.text : colors.textMuted)
-        .text(line1)
-        .style('cursor', 'pointer')
-        .on('click', () => setActivePhase(i));
-      if (line2) {
-        g.append('text')
-          .attr('x', x).attr('y', titleY + 16)
-          .attr('text-anchor', textAnchor).attr('font-size', '12px')
-          .attr('font-weight', isActive ? '700' : '500')
-          .attr('fill', isActive ? colors.text : colors.textMuted)
-          .text(line2)
-          .style('cursor', 'pointer')
-          .on('click', () => setActivePhase(i));
-      }
+const newPodId = () => `pod-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+const newAeId = () => `ae-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
 
-      const checkmarkAnchor = i === 0 ? 'start' : i === phases.length - 1 ? 'end' : 'middle';
-      if (isPast) {
-        g.append('text')
-          .attr('x', x)
-          .attr('y', labelY - 18)
-          .attr('text-anchor', checkmarkAnchor)
-          .attr('font-size', '18px')
-          .text('✓')
-          .attr('fill', phase.color)
-          .style('pointer-events', 'none');
+const aeIds = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `ae-${from + i}`);
+
+const defaultPodBoard = {
+  targetAesPerSa: 3,
+  aes: aeIds(1, 15).map((id, i) => ({ id, name: `AE ${i + 1}` })),
+  layouts: {
+    current: {
+      pods: [
+        { id: 'pod-enterprise', name: 'Enterprise (round-robin)', members: ['sa-1', 'sa-2', 'sa-3', ...aeIds(1, 5)] },
+        { id: 'pod-commercial', name: 'Commercial', members: ['sa-4', 'sa-5', ...aeIds(6, 15)] }
+      ]
+    },
+    proposed: {
+      pods: [
+        { id: 'pod-1', name: 'Pod 1', members: ['sa-1', ...aeIds(1, 3)] },
+        { id: 'pod-2', name: 'Pod 2', members: ['sa-2', ...aeIds(4, 6)] },
+        { id: 'pod-3', name: 'Pod 3', members: ['sa-3', ...aeIds(7, 9)] },
+        { id: 'pod-4', name: 'Pod 4', members: ['sa-4', ...aeIds(10, 12)] },
+        { id: 'pod-5', name: 'Pod 5', members: ['sa-5', ...aeIds(13, 15)] }
+      ]
+    }
+  }
+};
+
+// Takes memberId out of whichever pod holds it and appends it to podId (null = unassigned)
+const movePodMember = (layout, memberId, podId) => ({
+  ...layout,
+  pods: layout.pods.map((pod) => {
+    const members = pod.members.filter((id) => id !== memberId);
+    return { ...pod, members: pod.id === podId ? [...members, memberId] : members };
+  })
+});
+
+// People lookup for a board: id → { id, name, role: 'SA' | 'AE', sa? } with the SA's capacity assessment
+const podPeople = (podBoard, capacity) => new Map([
+  ...assessSaCapacity(capacity).map((sa) => [sa.id, { id: sa.id, name: sa.name, role: 'SA', sa }]),
+  ...podBoard.aes.map((ae) => [ae.id, { id: ae.id, name: ae.name, role: 'AE' }])
+]);
+
+// Ratio, combined capacity and flags for one pod. Capacity is what the pod's SAs can carry before turning
+// yellow (SAs × yellow deal threshold); flags cover a ratio off target and any SA already in red.
+const assessPod = (pod, people, targetAesPerSa, thresholds) => {
+  const members = pod.members.map((id) => people.get(id)).filter(Boolean);
+  const sas = members.filter((m) => m.role === 'SA');
+  const aes = members.filter((m) => m.role === 'AE');
+  const deals = sas.reduce((sum, m) => sum + m.sa.deals, 0);
+  const dealCapacity = sas.length * thresholds.yellowDeals;
+  const flags = [];
+  if (aes.length > 0 && sas.length === 0) flags.push('No SA in this pod');
+  else if (sas.length > 0 && aes.length !== sas.length * targetAesPerSa) {
+    flags.push(`${aes.length}:${sas.length} AE:SA is off the ${targetAesPerSa}:1 target`);
+  }
+  sas.filter((m) => m.sa.level === 'red').forEach((m) => flags.push(`${m.name} is already over capacity`));
+  return { members, sas, aes, deals, dealCapacity, flags };
+};
+
+const podRatioLabel = (aeCount, saCount) => (saCount === 0 ? `${aeCount}:0` : `${Number((aeCount / saCount).toFixed(1))}:1`);
+
+// One layout's board. Edit mode: drag people between pods and the unassigned tray, or focus a person and use
+// ←/→ to move them to the previous / next pod
+const PodBoard = ({ layoutId, layout, onChange, people, targetAesPerSa, thresholds }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const [dropTarget, setDropTarget] = useState(undefined);
+  const [announcement, setAnnouncement] = useState('');
+  const chipRefs = useRef({});
+  const pendingFocusRef = useRef(null);
+
+  useEffect(() => {
+    const id = pendingFocusRef.current;
+    if (!id) return;
+    pendingFocusRef.current = null;
+    if (chipRefs.current[id]) chipRefs.current[id].focus();
+  });
+
+  const assigned = new Set(layout.pods.flatMap((pod) => pod.members));
+  const unassigned = [...people.values()].filter((person) => !assigned.has(person.id));
+  const targets = [null, ...layout.pods.map((pod) => pod.id)];
+  const targetName = (podId) => (podId === null ? 'Unassigned' : layout.pods.find((pod) => pod.id === podId).name);
+
+  const move = (memberId, podId) => {
+    onChange(movePodMember(layout, memberId, podId));
+    setAnnouncement(`${people.get(memberId).name} moved to ${targetName(podId)}`);
+  };
+
+  const handleChipKeyDown = (e, memberId, podId) => {
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const next = targets[targets.indexOf(podId) + step];
+    if (next === undefined) return;
+    pendingFocusRef.current = memberId;
+    move(memberId, next);
+  };
+
+  const dropZoneProps = (podId) => (isEditMode ? {
+    onDragOver: (e) => { e.preventDefault(); setDropTarget(podId); },
+    onDragLeave: () => setDropTarget(undefined),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(undefined);
+      // Anything dragged in from another app or tab is ignored unless it's one of this board's chips
+      let data = null;
+      try {
+        data = JSON.parse(e.dataTransfer.getData('application/json') || 'null');
+      } catch {
+        return;
       }
-    });
+      if (!data || typeof data !== 'object' || typeof data.memberId !== 'string') return;
+      if (data.layoutId === layoutId && people.has(data.memberId)) move(data.memberId, podId);
+    }
+  } : {});
+
+  const chip = (person, podId) => {
+    const levelColor = person.sa ? colors[CAPACITY_LEVELS[person.sa.level].colorKey] : colors.textMuted;
+    return (
+      <div
+        key={person.id}
+        ref={(el) => { chipRefs.current[person.id] = el; }}
+        draggable={isEditMode}
+        tabIndex={isEditMode ? 0 : undefined}
+        role={isEditMode ? 'button' : undefined}
+        aria-label={isEditMode ? `${person.role} ${person.name} in ${targetName(podId)}; use left and right arrows to move between pods` : undefined}
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('application/json', JSON.stringify({ layoutId, memberId: person.id }));
+        }}
+        onKeyDown={isEditMode ? (e) => handleChipKeyDown(e, person.id, podId) : undefined}
+        title={person.sa ? `${person.sa.deals} deals • ${person.sa.pipelinePct}% of average pipeline • ${CAPACITY_LEVELS[person.sa.level].label}` : undefined}
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '6px',
+          padding: '4px 10px',
+          borderRadius: '999px',
+          fontSize: '12px',
+          fontWeight: person.role === 'SA' ? '600' : '400',
+          color: colors.text,
+          backgroundColor: person.role === 'SA' ? levelColor + '22' : colors.surface,
+          border: `1px solid ${person.role === 'SA' ? levelColor : colors.border}`,
+          cursor: isEditMode ? 'grab' : 'default'
+        }}
+      >
+        <span style={{ fontSize: '10px', fontWeight: '700', color: person.role === 'SA' ? levelColor : colors.textMuted }}>{person.role}</span>
+        {person.name}
+      </div>
+    );
+  };
 
-  }, [phases, activePhase, dimensions, maxDays]);
+  const zoneStyle = (podId) => ({
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    minHeight: '36px',
+    padding: '8px',
+    borderRadius: '8px',
+    border: `1px dashed ${dropTarget === podId ? colors.accent : 'transparent'}`,
+    backgroundColor: dropTarget === podId ? colors.accent + '12' : 'transparent'
+  });
 
   return (
-    <div ref={containerRef} style={{ width: '100%', marginBottom: '32px' }}>
-      <svg ref={svgRef} width={dimensions.width} height={dimensions.height} />
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <span aria-live="polite" style={VISUALLY_HIDDEN_STYLE}>{announcement}</span>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: '12px' }}>
+        {layout.pods.map((pod) => {
+          const assessed = assessPod(pod, people, targetAesPerSa, thresholds);
+          const hasFlags = assessed.flags.length > 0;
+          return (
+            <div key={pod.id} style={{ padding: '12px', borderRadius: '10px', backgroundColor: colors.card, border: `1px solid ${hasFlags ? colors.danger : colors.border}` }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+                <EditableText
+                  value={pod.name}
+                  onChange={(v) => onChange({ ...layout, pods: layout.pods.map((p) => (p.id === pod.id ? { ...p, name: v } : p)) })}
+                  style={{ fontSize: '14px', fontWeight: '600', color: colors.text, flex: 1 }}
+                />
+                {isEditMode && (
+                  <button
+                    aria-label={`Delete pod ${pod.name}`}
+                    title="Delete pod (members become unassigned)"
+                    onClick={() => onChange({ ...layout, pods: layout.pods.filter((p) => p.id !== pod.id) })}
+                    style={{ background: 'none', border: 'none', color: colors.danger, cursor: 'pointer', fontSize: '16px', opacity: 0.6 }}
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
+              <div style={{ display: 'flex', gap: '12px', fontSize: '12px', color: colors.textMuted, marginBottom: '6px' }}>
+                <span>AE:SA <strong style={{ color: colors.text }}>{podRatioLabel(assessed.aes.length, assessed.sas.length)}</strong></span>
+                <span>Deals <strong style={{ color: colors.text }}>{assessed.deals}</strong> / {assessed.dealCapacity}</span>
+              </div>
+              <div {...dropZoneProps(pod.id)} style={zoneStyle(pod.id)}>
+                {assessed.members.length === 0 && <span style={{ fontSize: '12px', color: colors.textMuted }}>{isEditMode ? 'Drag people here' : 'Empty pod'}</span>}
+                {assessed.members.map((person) => chip(person, pod.id))}
+              </div>
+              {hasFlags && (
+                <ul style={{ margin: '8px 0 0', paddingLeft: '16px', fontSize: '12px', color: colors.danger }}>
+                  {assessed.flags.map((flag) => <li key={flag}>{flag}</li>)}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ padding: '8px 12px', borderRadius: '10px', backgroundColor: colors.surface }}>
+        <div style={{ fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '4px' }}>Unassigned ({unassigned.length})</div>
+        <div {...dropZoneProps(null)} style={zoneStyle(null)}>
+          {unassigned.length === 0 && <span style={{ fontSize: '12px', color: colors.textMuted }}>Everyone is in a pod</span>}
+          {unassigned.map((person) => chip(person, null))}
+        </div>
+      </div>
+      {isEditMode && (
+        <AddItemButton
+          onClick={() => onChange({ ...layout, pods: [...layout.pods, { id: newPodId(), name: `Pod ${layout.pods.length + 1}`, members: [] }] })}
+          label="Add pod"
+        />
+      )}
     </div>
   );
 };
 
-// First 30 Days Section (10 / 20 / 30 day focus)
-const First30DaysSection = () => {
-  const { isEditMode } = useContext(EditModeContext);
-  const [activePhase, setActivePhase] = useState(0);
-  const [timelineTitle, setTimelineTitle] = useLocalStorage('leadershipPlaybook_timelineTitle', '30-60-90 Timeline');
+// People whose pod differs between the current and proposed layouts, e.g. "AE 4: Enterprise → Pod 2"
+const podLayoutChanges = (podBoard, people) => {
+  const podOf = (layout, id) => (layout.pods.find((pod) => pod.members.includes(id)) || { name: 'Unassigned' }).name;
+  return [...people.values()]
+    .map((person) => ({ person, from: podOf(podBoard.layouts.current, person.id), to: podOf(podBoard.layouts.proposed, person.id) }))
+    .filter(({ from, to }) => from !== to);
+};
 
-  const [first30PhaseSummary, setFirst30PhaseSummary] = useLocalStorage('leadershipPlaybook_first30PhaseSummary', {
-    days: 'Days 1-30',
-    title: 'Discovery, Design & Launch',
-    goal: 'Establish baseline for the SA Strat West team, design pilots, and operationalize rhythms so Day 30 outcomes are measurable and repeatable.',
-    pillars: [
-      'Baseline: Strat West team structure, key activities, capacity, retention',
-      'Pilots & prescriptive assets (differentiation, capacity, replication)',
-      'Rhythms: accountability and replication in motion'
-    ]
+// Pods tab: pick a layout or compare both side by side; AEs and the target ratio are edited here, SAs in SA Capacity
+const PodBoardPanel = ({ podBoard, setPodBoard, capacity }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const [view, setView] = useState('compare');
+  const people = useMemo(() => podPeople(podBoard, capacity), [podBoard, capacity]);
+  const changes = podLayoutChanges(podBoard, people);
+  const shownLayouts = view === 'compare' ? POD_LAYOUTS : POD_LAYOUTS.filter((layout) => layout.id === view);
+  const setLayout = (layoutId, layout) => setPodBoard({ ...podBoard, layouts: { ...podBoard.layouts, [layoutId]: layout } });
+  const removeAe = (aeId) => setPodBoard({
+    ...podBoard,
+    aes: podBoard.aes.filter((ae) => ae.id !== aeId),
+    layouts: Object.fromEntries(Object.entries(podBoard.layouts).map(([id, layout]) => [id, movePodMember(layout, aeId, null)]))
+  });
+  const fieldStyle = { fontSize: '12px', fontFamily: 'inherit', color: colors.text, padding: '2px 6px', border: `1px solid ${colors.border}`, borderRadius: '6px', backgroundColor: colors.card };
+  const viewButtonStyle = (id) => ({
+    padding: '6px 12px',
+    borderRadius: '6px',
+    border: `1px solid ${view === id ? colors.accent : colors.border}`,
+    backgroundColor: view === id ? colors.accent : colors.card,
+    color: view === id ? 'white' : colors.text,
+    fontSize: '13px',
+    cursor: 'pointer'
   });
 
-  const defaultPhases30 = [
-    {
-      days: 'Days 1-10',
-      title: 'Discovery & Baseline',
-      color: colors.accent,
-      goal: 'Map current state across Strat West team structure, key activities of value, competitive positioning, capacity, and retention—establish baseline for action',
-      priorities: [
-        'Deal flow: Audit deal sources and velocity; interview 3–5 Strat West SAs on friction points; document workflow and handoffs; pull deal-velocity data',
-        'Accountability: Create Strat West engagement scorecard—discovery calls, pipeline, deals closed; define expectations and success criteria',
-        'Differentiation: Conduct 5 competitive-learning interviews (where "just use ChatGPT" influenced outcomes); audit sales collateral; build competitive matrix: Writer vs. ChatGPT Enterprise vs. Claude vs. Gemini',
-        'Capacity: Build SA Capacity Dashboard for Strat West—deal count per SA, weighted pipeline, deal stage distribution; set yellow (18+ deals or 120% avg pipeline) and red (21+ or 140%) thresholds',
-        'Retention: Confidential 1:1s with each Strat West SA—what would make you stay 2 years? What energizes vs. drains? Map retention focus and career aspirations',
-        'Replication: Shadow or interview top-performing Strat West SAs; review win/loss and deal-velocity data; document 3–5 repeatable patterns and draft "how the best SAs work" for playbook'
-      ],
-      risks: [
-        'Trying to address everything at once without baseline clarity',
-        'Strat West SAs not surfacing key themes in interviews',
-        'Dashboard built on incomplete or stale data',
-        'Overpromising timelines before discovery complete'
-      ],
-      assumptions: [
-        'Leadership supports 30-day discovery before major process changes',
-        'Sales data available in Salesforce or equivalent',
-        'Strat West team willing to participate in 1:1s and interviews',
-        'Current structure stable enough to run parallel discovery'
-      ],
-      keyDeliverables: [
-        'Deal flow and workflow documentation',
-        'Strat West engagement scorecard and expectations',
-        'Competitive matrix and lost-deal summary',
-        'SA Capacity Dashboard for Strat West (yellow/red thresholds)',
-        'Retention 1:1 summary and retention-focus map',
-        'Key activities of value summary; 3–5 repeatable patterns documented'
-      ]
-    },
-    {
-      days: 'Days 11-20',
-      title: 'Pilot Design & Build',
-      color: colors.purple,
-      goal: 'Design pilots and prescriptive assets, differentiation playbook, capacity rules, and retention programs—actionable by Day 30',
-      priorities: [
-        'Pilot: Select region or segment for 60-day pilot; document roles and handoffs (who owns solution, who owns customer relationship); create shared deal rooms and channels',
-        'Enablement: Build pitch kits for top 5 use cases—2-min pitch, proof points, discovery questions, demo script; create "Why Writer vs. DIY" one-pager',
-        'Differentiation: Develop Objection Handling Playbook—talk tracks for "just use ChatGPT," "we\'ll build ourselves," "Gemini free with Workspace"; create 3 vertical "Why Writer Wins" narratives; document TCO/time-to-value angles',
-        'Capacity: Audit SA-to-AE mappings vs. actual deal flow; identify mismatches; propose rebalancing by geography, vertical, deal velocity; draft Deal Assignment Rules and escalation path when capacity constrained',
-        'Retention: Define Lighthouse Deal program—2–3 strategic accounts/quarter with executive touchpoints; design SA Innovation Sprint (2-day net-new build, present to leadership); implement Executive Shadow',
-        'Replication: Turn key activities into templates or playbooks (discovery, demo, exit gates, handoffs); define replication cadence for Strat West (enablement, coaching, content); pilot with 1–2 SAs and iterate'
-      ],
-      risks: [
-        'Pilot design scope—opportunity to launch in 60 days',
-        'Pitch kits—opportunity to tailor for adoption',
-        'Objection playbook not grounded in real deal language',
-        'Rebalancing triggers political pushback'
-      ],
-      assumptions: [
-        'Pilot region or segment has buy-in',
-        'Content/Enablement can support pitch kits and playbook',
-        'AE alignment changes can be socialized with Sales leadership',
-        'Executive Shadow and Lighthouse criteria are agreed'
-      ],
-      keyDeliverables: [
-        'Pilot plan with roles and shared channels',
-        'Pitch kits (top 5 use cases) and Why Writer vs. DIY one-pager',
-        'Objection Handling Playbook and vertical narratives',
-        'Deal Assignment Rules and rebalancing proposal',
-        'Lighthouse Deal and Innovation Sprint program docs',
-        'Strat West SA playbook draft (key activities); replication process outline and pilot plan'
-      ]
-    },
-    {
-      days: 'Days 21-30',
-      title: 'Operationalize & Rhythm',
-      color: colors.warning,
-      goal: 'Launch pilots and accountability rhythms, enable SAs on differentiation and replication process, operationalize capacity and recognition—so Day 30 outcomes are measurable and repeatable',
-      priorities: [
-        'Pilot: Launch pilot with success metrics (deal velocity, customer satisfaction, SA utilization); run weekly retro; build business case for broader rollout from pilot data',
-        'Accountability: Launch monthly Strat West team business reviews with scorecard; require key account planning (named accounts, owner, next action, commit date); define escalation path when below minimums; build Salesforce dashboard for Strat West engagement visible to leadership',
-        'Differentiation: Run 90-minute Strat West SA enablement on Objection Handling Playbook; start "Win Story of the Week" in Slack; create Seismic/Highspot collection for competitive situations; establish quarterly competitive intel refresh',
-        'Capacity: Add weekly 15-min capacity check-in to Strat West team standup (dashboard review, flag imbalances); document flex-capacity protocol when SA hits red threshold (redistribution steps, AE communication); define strategic-deal criteria',
-        'Retention: Launch monthly Impact Spotlight (Strat West SA presents innovative solution to team + leadership); document path-to-Lead (deals closed, enablement contribution, peer feedback, lighthouse participation); schedule quarterly career development conversations (separate from performance reviews)',
-        'Replication: Roll out playbook and replication cadence for Strat West (enablement, coaching checkpoints, content); build feedback loop so wins and gaps continuously update the process; establish "key activities of value" as a standing team topic'
-      ],
-      risks: [
-        'Pilot metrics—opportunity to track and demonstrate value',
-        'Reviews—opportunity to build real accountability',
-        'Enablement one-and-done—no reinforcement',
-        'Capacity protocol not used when pressure hits'
-      ],
-      assumptions: [
-        'Pilot has clear success criteria and owner',
-        'Salesforce/Tableau can support engagement and capacity dashboards',
-        'Leadership attends Impact Spotlight or equivalent',
-        'Career development conversations are protected time'
-      ],
-      keyDeliverables: [
-        'Pilot launched with metrics and weekly retro cadence',
-        'Strat West team business review and account planning in motion; engagement dashboard live',
-        'Strat West SA differentiation enablement complete; competitive content in Seismic/Highspot',
-        'Weekly capacity check-in and flex-capacity protocol documented',
-        'Impact Spotlight and path-to-Lead doc live; career conversations scheduled',
-        'Playbook in use; replication cadence and feedback loop established for Strat West'
-      ]
-    }
-  ];
-
-  const [phases, setPhases] = useLocalStorage('leadershipPlaybook_phases', defaultPhases30);
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <div role="group" aria-label="Layout" style={{ display: 'flex', gap: '6px' }}>
+          {[...POD_LAYOUTS, { id: 'compare', label: 'Compare' }].map((option) => (
+            <button key={option.id} type="button" aria-pressed={view === option.id} onClick={() => setView(option.id)} style={viewButtonStyle(option.id)}>
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <span style={{ marginLeft: 'auto', fontSize: '13px', color: colors.textSecondary, display: 'flex', alignItems: 'center', gap: '6px' }}>
+          Target AE:SA
+          {isEditMode
+            ? <input type="number" min="1" value={podBoard.targetAesPerSa} onChange={(e) => setPodBoard({ ...podBoard, targetAesPerSa: Math.max(1, parseInt(e.target.value, 10) || 1) })} aria-label="Target AEs per SA" style={{ ...fieldStyle, width: '48px' }} />
+            : <strong>{podBoard.targetAesPerSa}</strong>}
+          :1
+        </span>
+        {isEditMode && (
+          <ToolButton onClick={() => setLayout('proposed', podBoard.layouts.current)} title="Replace the proposed layout with a copy of the current one">
+            Copy current → proposed
+          </ToolButton>
+        )}
+      </div>
 
-  // One-time migration: if saved phases still have old partner-SA-specific goals, update to SA-general goals
-  useEffect(() => {
-    setPhases(prev => {
-      if (!Array.isArray(prev) || prev.length < 3) return prev;
-      if (!prev[0]?.goal?.includes('Partner SA integration')) return prev;
-      const newGoals = [
-        'Map current state across team structure, key activities of value, competitive positioning, capacity, and retention—establish baseline for action',
-        'Design pilots and prescriptive assets, differentiation playbook, capacity rules, and retention programs—actionable by Day 30',
-        'Launch pilots and accountability rhythms, enable SAs on differentiation and replication process, operationalize capacity and recognition—so Day 30 outcomes are measurable and repeatable'
-      ];
-      return prev.map((p, i) => ({ ...p, goal: newGoals[i] ?? p.goal }));
-    });
-  }, []);
+      <div style={{ display: 'grid', gridTemplateColumns: `repeat(${shownLayouts.length}, minmax(0, 1fr))`, gap: '16px' }}>
+        {shownLayouts.map((layout) => (
+          <Card key={layout.id}>
+            <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>{layout.label}</h3>
+            <PodBoard
+              layoutId={layout.id}
+              layout={podBoard.layouts[layout.id]}
+              onChange={(updated) => setLayout(layout.id, updated)}
+              people={people}
+              targetAesPerSa={podBoard.targetAesPerSa}
+              thresholds={capacity.thresholds}
+            />
+          </Card>
+        ))}
+      </div>
 
-  const [keyOutcomesTitle, setKeyOutcomesTitle] = useLocalStorage('leadershipPlaybook_keyOutcomesTitle', 'Key Actions');
-  const [keyOutcomes, setKeyOutcomes] = useLocalStorage('leadershipPlaybook_keyOutcomes', [
-    'Audit deal flow & Strat West SA capacity; build Capacity Dashboard with yellow/red thresholds',
-    'Launch pilot with success metrics; document Strat West engagement and accountability',
-    'Deliver Objection Handling Playbook and differentiation enablement; Win Story of the Week',
-    'Launch Impact Spotlight and path-to-Lead; schedule career conversations',
-    'Document key activities of value and replication playbook for Strat West; establish enablement cadence'
-  ]);
+      {view === 'compare' && (
+        <Card>
+          <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}>Current → proposed ({changes.length} move{changes.length === 1 ? '' : 's'})</h3>
+          {changes.length === 0 ? (
+            <p style={{ fontSize: '13px', color: colors.textMuted }}>The two layouts are the same.</p>
+          ) : (
+            <ul style={{ margin: 0, paddingLeft: '18px', fontSize: '13px', color: colors.textSecondary, columns: '2 240px' }}>
+              {changes.map(({ person, from, to }) => <li key={person.id}><strong>{person.name}</strong>: {from} → {to}</li>)}
+            </ul>
+          )}
+        </Card>
+      )}
 
-  const [generalSADescription, setGeneralSADescription] = useLocalStorage('leadershipPlaybook_generalSADescription',
-    'The first 30 days should establish a baseline for the SA Strat West team: identify which activities drive the most value (wins, velocity, customer outcomes) and create repeatable process so the team can scale what works instead of relying on hero effort.'
+      {isEditMode && (
+        <Card>
+          <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}>AEs</h3>
+          <p style={{ fontSize: '12px', color: colors.textMuted, marginBottom: '8px' }}>SAs come from the SA Capacity roster.</p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+            {podBoard.aes.map((ae) => (
+              <span key={ae.id} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', padding: '2px 4px 2px 10px', borderRadius: '999px', border: `1px solid ${colors.border}` }}>
+                <EditableText
+                  value={ae.name}
+                  onChange={(v) => setPodBoard({ ...podBoard, aes: podBoard.aes.map((a) => (a.id === ae.id ? { ...a, name: v } : a)) })}
+                  style={{ fontSize: '12px', color: colors.text }}
+                />
+                <button aria-label={`Remove ${ae.name}`} onClick={() => removeAe(ae.id)} style={{ background: 'none', border: 'none', color: colors.danger, cursor: 'pointer', fontSize: '14px', opacity: 0.6 }}>×</button>
+              </span>
+            ))}
+          </div>
+          <AddItemButton onClick={() => setPodBoard({ ...podBoard, aes: [...podBoard.aes, { id: newAeId(), name: `AE ${podBoard.aes.length + 1}` }] })} label="Add AE" />
+        </Card>
+      )}
+    </div>
   );
-  const [generalSAIdentifying, setGeneralSAIdentifying] = useLocalStorage('leadershipPlaybook_generalSAIdentifying', [
-    'Shadow or interview top Strat West performers to pinpoint what they do that drives wins (discovery, demos, follow-up, handoffs)',
-    'Review win/loss and deal-velocity data to tie activities to outcomes',
-    'Document 3–5 repeatable patterns (e.g. discovery questions that unlock expansion, demo flows that convert)',
-    'Capture "how the best SAs work" in a draft that can become the Strat West playbook'
-  ]);
-  const [generalSAReplication, setGeneralSAReplication] = useLocalStorage('leadershipPlaybook_generalSAReplication', [
-    'Turn key activities into templates or playbooks (discovery, demo, exit gates, handoffs)',
-    'Define a replication cadence for Strat West: enablement sessions, coaching checkpoints, content in Seismic/Highspot',
-    'Pilot with 1–2 Strat West SAs and iterate before rolling out to the full team',
-    'Build feedback loop so wins and gaps continuously update the process'
-  ]);
+};
 
-  const defaultPhases60_90 = [
-    {
-      days: 'Days 31–60',
-      title: 'Scale & Refine',
-      color: colors.success,
-      goal: 'Scale pilot, refine playbooks and capacity, deepen Strat West team accountability and retention.',
-      pillars: [
-        'Pilot retros and business case for broader rollout',
-        'Monthly Strat West business reviews and account planning standard',
-        'Capacity and retention rhythms embedded'
-      ],
-      keyActivities: [
-        'Run pilot weekly retros; document learnings and build rollout case',
-        'Monthly Strat West team reviews with scorecard; key account planning; escalation path live',
-        'Second round Objection Playbook enablement; Win Story of the Week and competitive content',
-        'Weekly capacity check-in and flex-capacity protocol; strategic-deal criteria set',
-        'Impact Spotlight monthly; path-to-Lead and career conversations in motion'
-      ]
-    },
-    {
-      days: 'Days 61–90',
-      title: 'Broaden & Embed',
-      color: colors.info,
-      goal: 'Broaden rollout, embed rhythms and playbooks, lock in Strat West talent and culture.',
-      pillars: [
-        'Pilot rollout (if validated); Strat West team model refined',
-        'Scorecard and reviews embedded; pipeline and accountability visible',
-        'Playbooks and retention programs part of Strat West team rhythm'
-      ],
-      keyActivities: [
-        'Broader rollout; shared channels and handoffs consistent; velocity and satisfaction tracked',
-        'Strat West engagement scorecard and expectations embedded; reviews and planning standard',
-        'Objection Playbook in every deal; Strat West SA confidence on Why Writer Wins',
-        'Capacity dashboard and flex protocol standard; rebalancing as needed',
-        'Impact Spotlight and path-to-Lead live; career conversations and retention tracked'
-      ]
-    }
-  ];
+// Team cadences: { type, focus, frequency, day, week, time, durationMinutes, startDate, attendees: { sas, others }, note }.
+// `day` is a weekday (0 = Sunday). Monthly and quarterly cadences fall on the `week`-th such day of the month (5 = last),
+// quarterly every third month counted from startDate's; biweekly counts weeks from startDate's. Nothing is scheduled
+// before startDate. attendees.sas is 'all' or SA ids from the SA Capacity roster; attendees.others is free text.
+const CADENCE_FREQUENCIES = [
+  { id: 'weekly', label: 'Weekly', perWeek: 1, colorKey: 'purple' },
+  { id: 'biweekly', label: 'Every 2 weeks', perWeek: 1 / 2, colorKey: 'info' },
+  { id: 'monthly', label: 'Monthly', perWeek: 12 / 52, colorKey: 'accent' },
+  { id: 'quarterly', label: 'Quarterly', perWeek: 4 / 52, colorKey: 'success' },
+  { id: 'asNeeded', label: 'As needed', perWeek: 0, colorKey: 'textMuted' }
+];
 
-  const [phases60_90, setPhases60_90] = useLocalStorage('leadershipPlaybook_phases60_90', defaultPhases60_90);
+const CADENCE_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-  const updatePhaseByIndex = (phaseIndex, field, value) => {
-    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [field]: value } : p));
-  };
-  const updatePhaseListItemByIndex = (phaseIndex, listKey, itemIndex, value) => {
-    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [listKey]: p[listKey].map((item, idx) => idx === itemIndex ? value : item) } : p));
-  };
-  const deletePhaseListItemByIndex = (phaseIndex, listKey, itemIndex) => {
-    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [listKey]: p[listKey].filter((_, idx) => idx !== itemIndex) } : p));
-  };
-  const addPhaseListItemByIndex = (phaseIndex, listKey) => {
-    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [listKey]: [...(p[listKey] || []), 'New item - click to edit'] } : p));
-  };
+const CADENCE_WEEK_ORDINALS = [
+  { id: 1, label: '1st' },
+  { id: 2, label: '2nd' },
+  { id: 3, label: '3rd' },
+  { id: 4, label: '4th' },
+  { id: 5, label: 'Last' }
+];
 
-  const updatePhase60_90Field = (phaseIndex, field, value) => {
-    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [field]: value } : p));
-  };
-  const updatePhase60_90Activity = (phaseIndex, itemIndex, value) => {
-    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, keyActivities: p.keyActivities.map((item, idx) => idx === itemIndex ? value : item) } : p));
-  };
-  const deletePhase60_90Activity = (phaseIndex, itemIndex) => {
-    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, keyActivities: p.keyActivities.filter((_, idx) => idx !== itemIndex) } : p));
-  };
-  const addPhase60_90Activity = (phaseIndex) => {
-    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, keyActivities: [...p.keyActivities, 'New item - click to edit'] } : p));
-  };
-  const updatePhase60_90Pillar = (phaseIndex, pillarIndex, value) => {
-    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, pillars: (p.pillars || []).map((pp, j) => j === pillarIndex ? value : pp) } : p));
-  };
-  const addPhase60_90Pillar = (phaseIndex) => {
-    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, pillars: [...(p.pillars || []), 'New pillar - click to edit'] } : p));
-  };
-  const deletePhase60_90Pillar = (phaseIndex, pillarIndex) => {
-    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, pillars: (p.pillars || []).filter((_, j) => j !== pillarIndex) } : p));
-  };
+const MONTH_SHORT_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "Preserve 40-hour max": an SA's meetings are checked against the whole week, and flagged once they take half of it
+const SA_WEEK_HOURS = 40;
+const CADENCE_LOAD_WATCH_HOURS = SA_WEEK_HOURS / 2;
+
+const cadenceFrequency = (id) => CADENCE_FREQUENCIES.find((frequency) => frequency.id === id) || CADENCE_FREQUENCIES[CADENCE_FREQUENCIES.length - 1];
+
+// Calendar days are local midnights; weeks run Monday to Sunday
+const parseIsoDay = (iso) => new Date(`${iso}T00:00:00`);
+const isoDay = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+const isNthWeekdayOfMonth = (date, week) => (week === 5
+  ? addDays(date, 7).getMonth() !== date.getMonth()
+  : Math.ceil(date.getDate() / 7) === week);
+
+const cadenceOccursOn = (cadence, date) => {
+  if (cadence.frequency === 'asNeeded' || date.getDay() !== cadence.day) return false;
+  if (cadence.startDate && isoDay(date) < cadence.startDate) return false;
+  const start = cadence.startDate ? parseIsoDay(cadence.startDate) : date;
+  if (cadence.frequency === 'weekly') return true;
+  if (cadence.frequency === 'biweekly') return Math.round((startOfWeek(date) - startOfWeek(start)) / (7 * 86400000)) % 2 === 0;
+  if (!isNthWeekdayOfMonth(date, cadence.week)) return false;
+  if (cadence.frequency === 'monthly') return true;
+  return ((date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth()) % 3 === 0;
+};
 
-  // 30-60-90 timeline phases (for timeline + cards in detail view)
-  const timelinePhases306090 = [
-    { ...first30PhaseSummary, color: colors.accent },
-    phases60_90[0],
-    phases60_90[1]
-  ];
+const cadencesOn = (cadences, date) => cadences
+  .filter((cadence) => cadenceOccursOn(cadence, date))
+  .sort((a, b) => a.time.localeCompare(b.time));
 
-  const updateFirst30PhaseSummary = (field, value) => setFirst30PhaseSummary(prev => ({ ...prev, [field]: value }));
-  const updateFirst30Pillar = (i, v) => setFirst30PhaseSummary(prev => ({ ...prev, pillars: (prev.pillars || []).map((p, j) => j === i ? v : p) }));
-  const addFirst30Pillar = () => setFirst30PhaseSummary(prev => ({ ...prev, pillars: [...(prev.pillars || []), 'New pillar - click to edit'] }));
-  const deleteFirst30Pillar = (i) => setFirst30PhaseSummary(prev => ({ ...prev, pillars: (prev.pillars || []).filter((_, j) => j !== i) }));
+const cadenceTimeRange = ({ time, durationMinutes }) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const end = (hours * 60 + minutes + durationMinutes) % (24 * 60);
+  return `${time}–${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+};
 
-  // Update functions for phase data (kept for any legacy use; primary editing now via updatePhaseByIndex etc.)
-  const updatePhaseField = (field, value) => {
-    setPhases(prev => prev.map((phase, i) => 
-      i === activePhase ? { ...phase, [field]: value } : phase
-    ));
-  };
+const formatCadenceHours = (hours) => `${Number(hours.toFixed(1))}h`;
+
+// e.g. "Every 2 weeks · Mondays 09:00–10:00", "Quarterly · 2nd Tuesday of Jan/Apr/Jul/Oct 13:00–16:00"
+const describeCadenceSchedule = (cadence) => {
+  const frequency = cadenceFrequency(cadence.frequency);
+  if (frequency.id === 'asNeeded') return `${frequency.label} · ${cadence.durationMinutes} min`;
+  const weekday = CADENCE_WEEKDAYS[cadence.day];
+  const ordinal = (CADENCE_WEEK_ORDINALS.find((option) => option.id === cadence.week) || CADENCE_WEEK_ORDINALS[0]).label;
+  const startMonth = cadence.startDate ? parseIsoDay(cadence.startDate).getMonth() : 0;
+  const quarterMonths = [0, 3, 6, 9].map((offset) => (startMonth + offset) % 12).sort((a, b) => a - b).map((month) => MONTH_SHORT_NAMES[month]).join('/');
+  const when = frequency.id === 'monthly' ? `${ordinal} ${weekday}`
+    : frequency.id === 'quarterly' ? `${ordinal} ${weekday} of ${quarterMonths}`
+      : `${weekday}s`;
+  return `${frequency.label} · ${when} ${cadenceTimeRange(cadence)}`;
+};
 
-  const updatePhaseListItem = (listKey, index, value) => {
-    setPhases(prev => prev.map((phase, i) => 
-      i === activePhase ? {
-        ...phase,
-        [listKey]: phase[listKey].map((item, idx) => idx === index ? value : item)
-      } : phase
-    ));
-  };
+const cadenceIncludesSa = (cadence, saId) => {
+  const sas = cadence.attendees?.sas;
+  return sas === 'all' || (Array.isArray(sas) && sas.includes(saId));
+};
 
-  const deletePhaseListItem = (listKey, index) => {
-    setPhases(prev => prev.map((phase, i) => 
-      i === activePhase ? {
-        ...phase,
-        [listKey]: phase[listKey].filter((_, idx) => idx !== index)
-      } : phase
-    ));
+const cadenceAttendeesLabel = (cadence, roster) => {
+  const sas = cadence.attendees?.sas;
+  const saLabel = sas === 'all' ? 'All SAs' : roster.filter((sa) => cadenceIncludesSa(cadence, sa.id)).map((sa) => sa.name).join(', ');
+  return [saLabel, cadence.attendees?.others].filter(Boolean).join(' + ') || 'No attendees';
+};
+
+// Hours of cadence meetings per SA in the week starting weekStart (Monday), next to the long-run weekly average
+const cadenceMeetingLoad = (cadences, roster, weekStart) => roster.map((sa) => {
+  const attended = cadences.filter((cadence) => cadenceIncludesSa(cadence, sa.id));
+  const weekHours = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i))
+    .reduce((sum, date) => sum + cadencesOn(attended, date).reduce((daySum, cadence) => daySum + cadence.durationMinutes / 60, 0), 0);
+  const averageHours = attended.reduce((sum, cadence) => sum + cadenceFrequency(cadence.frequency).perWeek * (cadence.durationMinutes / 60), 0);
+  const level = weekHours > SA_WEEK_HOURS ? 'red' : weekHours >= CADENCE_LOAD_WATCH_HOURS ? 'yellow' : 'green';
+  return { sa, weekHours, averageHours, level };
+});
+
+const newCadence = () => ({
+  type: 'New cadence',
+  focus: 'TBD',
+  frequency: 'weekly',
+  day: 1,
+  week: 1,
+  time: '10:00',
+  durationMinutes: 60,
+  startDate: isoDay(startOfWeek(new Date())),
+  attendees: { sas: 'all', others: '' },
+  note: ''
+});
+
+// Pre-structured saves had only a free-text frequency ("Every Monday", "Weekly with each SA"). The recurrence and
+// weekday are read from the wording, "with <someone>" other than each SA or the team becomes the other attendees,
+// and any wording beyond a plain frequency moves into the note so nothing typed is lost.
+const structureLegacyCadence = (cadence) => {
+  if (!cadence || cadence.durationMinutes !== undefined) return cadence;
+  const text = String(cadence.frequency ?? '').trim();
+  const frequency = /as needed|ad[\s-]?hoc/i.test(text) ? 'asNeeded'
+    : /quarter/i.test(text) ? 'quarterly'
+      : /month/i.test(text) ? 'monthly'
+        : /bi-?weekly|fortnight|every (other|two|2) weeks?/i.test(text) ? 'biweekly'
+          : /week|every\s+\w+day/i.test(text) ? 'weekly'
+            : 'asNeeded';
+  const day = CADENCE_WEEKDAYS.findIndex((weekday) => new RegExp(`\\b${weekday}`, 'i').test(text));
+  const withWhom = (text.match(/\bwith\s+(.+)$/i) || [])[1] || '';
+  const others = withWhom && !/^(each|every|all|the)?\s*(sas?|team)\b/i.test(withWhom) ? withWhom : '';
+  const isPlainFrequency = /^(every\s+(other\s+)?)?(\w+day|week|month|quarter|weekly|bi-?weekly|monthly|quarterly)s?$/i.test(text);
+  return {
+    type: cadence.type,
+    focus: cadence.focus,
+    frequency,
+    day: day === -1 ? 1 : day,
+    week: 1,
+    time: '10:00',
+    durationMinutes: 60,
+    startDate: '2026-01-05',
+    attendees: { sas: others ? [] : 'all', others },
+    note: isPlainFrequency ? '' : text
   };
+};
 
-  const addPhaseListItem = (listKey) => {
-    setPhases(prev => prev.map((phase, i) => 
-      i === activePhase ? {
-        ...phase,
-        [listKey]: [...phase[listKey], 'New item - click to edit']
-      } : phase
-    ));
+// Week (Mon–Fri, plus the weekend when a cadence falls on it) or month grid of every scheduled cadence
+const CadenceCalendar = ({ cadences, view, focusDate }) => {
+  const colors = useColors();
+  const showWeekend = cadences.some((cadence) => cadence.frequency !== 'asNeeded' && (cadence.day === 0 || cadence.day === 6));
+  const weekdayOffsets = showWeekend ? [0, 1, 2, 3, 4, 5, 6] : [0, 1, 2, 3, 4];
+  const monthStart = new Date(focusDate.getFullYear(), focusDate.getMonth(), 1);
+  const weekStarts = view === 'week'
+    ? [startOfWeek(focusDate)]
+    : Array.from({ length: 6 }, (_, i) => addDays(startOfWeek(monthStart), i * 7)).filter((weekStart, i) => i === 0 || weekStart.getMonth() === monthStart.getMonth());
+  const today = isoDay(new Date());
+  const headStyle = { fontSize: '11px', fontWeight: '600', color: colors.textMuted, textTransform: 'uppercase', letterSpacing: '0.04em', padding: '6px', textAlign: 'left', borderBottom: `1px solid ${colors.borderLight}` };
+
+  const renderEvent = (cadence, i) => {
+    const color = colors[cadenceFrequency(cadence.frequency).colorKey];
+    return view === 'week' ? (
+      <div key={i} style={{ borderLeft: `3px solid ${color}`, backgroundColor: color + '14', borderRadius: '4px', padding: '4px 6px', marginBottom: '4px' }}>
+        <div style={{ fontSize: '12px', fontWeight: '600', color: colors.text }}>{cadence.type}</div>
+        <div style={{ fontSize: '11px', color: colors.textMuted }}>{cadenceTimeRange(cadence)}</div>
+      </div>
+    ) : (
+      <div key={i} title={`${cadence.type} ${cadenceTimeRange(cadence)}`} style={{ fontSize: '11px', color: colors.text, borderLeft: `3px solid ${color}`, paddingLeft: '4px', marginBottom: '2px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+        {cadence.time} {cadence.type}
+      </div>
+    );
   };
 
   return (
-    <div>
-      {/* 30-60-90 Timeline */}
-      <Card style={{ marginBottom: '24px', padding: '24px', backgroundColor: 'white', borderLeft: `4px solid ${colors.accent}` }}>
-        <div style={{ marginBottom: '24px', textAlign: 'center' }}>
-          <EditableText
-            value={timelineTitle}
-            onChange={(v) => setTimelineTitle(v)}
-            style={{ fontSize: '18px', fontWeight: '600', color: colors.text }}
-          />
-        </div>
-        <InteractiveTimeline
-          phases={timelinePhases306090}
-          activePhase={activePhase}
-          setActivePhase={setActivePhase}
-          maxDays={90}
-        />
-      </Card>
+    <table style={{ width: '100%', borderCollapse: 'collapse', tableLayout: 'fixed' }}>
+      <thead>
+        <tr>
+          {weekdayOffsets.map((offset) => <th key={offset} scope="col" style={headStyle}>{CADENCE_WEEKDAYS[(offset + 1) % 7].slice(0, 3)}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {weekStarts.map((weekStart) => (
+          <tr key={isoDay(weekStart)}>
+            {weekdayOffsets.map((offset) => {
+              const date = addDays(weekStart, offset);
+              const inMonth = view === 'week' || date.getMonth() === monthStart.getMonth();
+              const events = cadencesOn(cadences, date);
+              return (
+                <td
+                  key={offset}
+                  aria-label={`${date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}: ${events.length === 0 ? 'no cadences' : events.map((cadence) => `${cadence.type} ${cadenceTimeRange(cadence)}`).join(', ')}`}
+                  style={{
+                    verticalAlign: 'top',
+                    padding: '6px',
+                    height: view === 'week' ? '120px' : '72px',
+                    border: `1px solid ${colors.borderLight}`,
+                    backgroundColor: inMonth ? colors.card : colors.surface,
+                    opacity: inMonth ? 1 : 0.6
+                  }}
+                >
+                  <div style={{ fontSize: '12px', fontWeight: isoDay(date) === today ? '700' : '500', color: isoDay(date) === today ? colors.accent : colors.textSecondary, marginBottom: '4px' }}>
+                    {view === 'week' ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : date.getDate()}
+                  </div>
+                  {events.map(renderEvent)}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
 
-      {/* Detail card for selected segment: Pillars + Key Actions only */}
-      {activePhase === 0 && (
-        <Card style={{ marginBottom: '24px', padding: '24px', borderLeft: `4px solid ${colors.accent}` }}>
-          <div style={{ marginBottom: '16px' }}>
-            <div style={{ fontSize: '12px', fontWeight: '700', color: colors.accent, letterSpacing: '0.04em', marginBottom: '4px' }}>{first30PhaseSummary.days}</div>
-            <EditableText value={first30PhaseSummary.title} onChange={(v) => updateFirst30PhaseSummary('title', v)} style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0 }} />
-            <EditableText value={first30PhaseSummary.goal} onChange={(v) => updateFirst30PhaseSummary('goal', v)} style={{ fontSize: '13px', color: colors.textSecondary, marginTop: '8px', display: 'block' }} />
-          </div>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
-            <div>
-              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key pillars</div>
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                {(first30PhaseSummary.pillars || []).map((p, i) => (
-                  <EditableListItem key={i} value={p} onChange={(v) => updateFirst30Pillar(i, v)} onDelete={() => deleteFirst30Pillar(i)} color={colors.accent} />
-                ))}
-                <AddItemButton onClick={addFirst30Pillar} label="Add pillar" />
-              </div>
-            </div>
-            <div>
-              <EditableText value={keyOutcomesTitle} onChange={(v) => setKeyOutcomesTitle(v)} style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px', display: 'block' }} />
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                {keyOutcomes.map((item, i) => (
-                  <EditableListItem key={i} value={item} onChange={(v) => { const n = [...keyOutcomes]; n[i] = v; setKeyOutcomes(n); }} onDelete={() => setKeyOutcomes(keyOutcomes.filter((_, idx) => idx !== i))} color={colors.accent} />
-                ))}
-                <AddItemButton onClick={() => setKeyOutcomes([...keyOutcomes, 'New action - click to edit'])} label="Add action" />
-              </div>
-            </div>
-          </div>
-        </Card>
-      )}
+// Team Cadences tab: the cadence list (recurrence and attendees edited inline), a week / month calendar
+// and each SA's meeting hours for the week shown, against the 40-hour week. SAs come from SA Capacity.
+// Snapshot previews and restored or imported values can still be free text, so cadences are structured here too.
+const TeamCadencesPanel = ({ cadences: storedCadences, setCadences, roster }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const [view, setView] = useState('week');
+  const [focusDate, setFocusDate] = useState(() => addDays(new Date(), 0));
+  const cadences = useMemo(() => storedCadences.map(structureLegacyCadence), [storedCadences]);
+  const weekStart = startOfWeek(focusDate);
+  const weekKey = isoDay(weekStart);
+  const load = useMemo(() => cadenceMeetingLoad(cadences, roster, parseIsoDay(weekKey)), [cadences, roster, weekKey]);
+  const asNeeded = cadences.filter((cadence) => cadence.frequency === 'asNeeded');
+
+  const updateCadence = (index, changes) => setCadences(cadences.map((cadence, i) => (i === index ? { ...cadence, ...changes } : cadence)));
+  const toggleSa = (index, saId) => {
+    const cadence = cadences[index];
+    const sas = cadence.attendees.sas === 'all' ? roster.map((sa) => sa.id) : cadence.attendees.sas;
+    updateCadence(index, { attendees: { ...cadence.attendees, sas: sas.includes(saId) ? sas.filter((id) => id !== saId) : [...sas, saId] } });
+  };
+  const step = (direction) => setFocusDate(view === 'week'
+    ? addDays(focusDate, direction * 7)
+    : new Date(focusDate.getFullYear(), focusDate.getMonth() + direction, 1));
+  const periodLabel = view === 'week'
+    ? `Week of ${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : focusDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  const fieldStyle = { fontSize: '12px', fontFamily: 'inherit', color: colors.text, padding: '2px 6px', border: `1px solid ${colors.border}`, borderRadius: '6px', backgroundColor: colors.card };
+  const labelStyle = { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: colors.textMuted };
+  const cellStyle = { padding: '8px', borderBottom: `1px solid ${colors.borderLight}`, textAlign: 'left', fontSize: '13px' };
+  const headStyle = { ...cellStyle, fontSize: '11px', fontWeight: '600', color: colors.textMuted, textTransform: 'uppercase', letterSpacing: '0.04em' };
+  const viewButtonStyle = (id) => ({
+    padding: '6px 12px',
+    borderRadius: '6px',
+    border: `1px solid ${view === id ? colors.purple : colors.border}`,
+    backgroundColor: view === id ? colors.purple : colors.card,
+    color: view === id ? 'white' : colors.text,
+    fontSize: '13px',
+    cursor: 'pointer'
+  });
 
-      {activePhase === 1 && phases60_90[0] && (
-        <Card style={{ marginBottom: '24px', padding: '24px', borderLeft: `4px solid ${phases60_90[0].color}` }}>
-          <div style={{ marginBottom: '16px' }}>
-            <div style={{ fontSize: '12px', fontWeight: '700', color: phases60_90[0].color, letterSpacing: '0.04em', marginBottom: '4px' }}>{phases60_90[0].days}</div>
-            <EditableText value={phases60_90[0].title} onChange={(v) => updatePhase60_90Field(0, 'title', v)} style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0 }} />
-            <EditableText value={phases60_90[0].goal} onChange={(v) => updatePhase60_90Field(0, 'goal', v)} style={{ fontSize: '13px', color: colors.textSecondary, marginTop: '8px', display: 'block' }} />
-          </div>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
-            <div>
-              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key pillars</div>
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                {(phases60_90[0].pillars || []).map((p, i) => (
-                  <EditableListItem key={i} value={p} onChange={(v) => updatePhase60_90Pillar(0, i, v)} onDelete={() => deletePhase60_90Pillar(0, i)} color={phases60_90[0].color} />
-                ))}
-                <AddItemButton onClick={() => addPhase60_90Pillar(0)} label="Add pillar" />
-              </div>
-            </div>
-            <div>
-              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key actions</div>
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                {(phases60_90[0].keyActivities || []).map((item, i) => (
-                  <EditableListItem key={i} value={item} onChange={(v) => updatePhase60_90Activity(0, i, v)} onDelete={() => deletePhase60_90Activity(0, i)} color={phases60_90[0].color} />
-                ))}
-                <AddItemButton onClick={() => addPhase60_90Activity(0)} label="Add action" />
-              </div>
-            </div>
-          </div>
-        </Card>
+  const renderScheduleFields = (cadence, i) => (
+    <div style={{ gridColumn: '1 / -1', display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center' }}>
+      <label style={labelStyle}>
+        Repeats
+        <select value={cadence.frequency} onChange={(e) => updateCadence(i, { frequency: e.target.value })} style={fieldStyle}>
+          {CADENCE_FREQUENCIES.map((frequency) => <option key={frequency.id} value={frequency.id}>{frequency.label}</option>)}
+        </select>
+      </label>
+      {(cadence.frequency === 'monthly' || cadence.frequency === 'quarterly') && (
+        <label style={labelStyle}>
+          Week
+          <select value={cadence.week} onChange={(e) => updateCadence(i, { week: Number(e.target.value) })} style={fieldStyle}>
+            {CADENCE_WEEK_ORDINALS.map((option) => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+        </label>
+      )}
+      {cadence.frequency !== 'asNeeded' && (
+        <>
+          <label style={labelStyle}>
+            Day
+            <select value={cadence.day} onChange={(e) => updateCadence(i, { day: Number(e.target.value) })} style={fieldStyle}>
+              {[1, 2, 3, 4, 5, 6, 0].map((day) => <option key={day} value={day}>{CADENCE_WEEKDAYS[day]}</option>)}
+            </select>
+          </label>
+          <label style={labelStyle}>
+            At
+            <input type="time" value={cadence.time} onChange={(e) => updateCadence(i, { time: e.target.value || cadence.time })} style={fieldStyle} />
+          </label>
+        </>
       )}
+      <label style={labelStyle}>
+        Minutes
+        <input type="number" min="5" step="5" value={cadence.durationMinutes} onChange={(e) => updateCadence(i, { durationMinutes: Math.max(5, parseInt(e.target.value, 10) || 5) })} style={{ ...fieldStyle, width: '64px' }} />
+      </label>
+      {cadence.frequency !== 'asNeeded' && (
+        <label style={labelStyle}>
+          From
+          <input type="date" value={cadence.startDate} onChange={(e) => updateCadence(i, { startDate: e.target.value || cadence.startDate })} style={fieldStyle} />
+        </label>
+      )}
+      <fieldset style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', border: 'none', padding: 0, margin: 0 }}>
+        <legend style={{ ...labelStyle, float: 'left', marginRight: '4px' }}>SAs</legend>
+        <label style={labelStyle}>
+          <input
+            type="checkbox"
+            checked={cadence.attendees.sas === 'all'}
+            onChange={(e) => updateCadence(i, { attendees: { ...cadence.attendees, sas: e.target.checked ? 'all' : roster.map((sa) => sa.id) } })}
+          />
+          All
+        </label>
+        {cadence.attendees.sas !== 'all' && roster.map((sa) => (
+          <label key={sa.id} style={labelStyle}>
+            <input type="checkbox" checked={cadenceIncludesSa(cadence, sa.id)} onChange={() => toggleSa(i, sa.id)} />
+            {sa.name}
+          </label>
+        ))}
+      </fieldset>
+      <label style={labelStyle}>
+        Others
+        <input type="text" value={cadence.attendees.others} onChange={(e) => updateCadence(i, { attendees: { ...cadence.attendees, others: e.target.value } })} placeholder="e.g. Sales leadership" style={{ ...fieldStyle, width: '160px' }} />
+      </label>
+    </div>
+  );
 
-      {activePhase === 2 && phases60_90[1] && (
-        <Card style={{ marginBottom: '24px', padding: '24px', borderLeft: `4px solid ${phases60_90[1].color}` }}>
-          <div style={{ marginBottom: '16px' }}>
-            <div style={{ fontSize: '12px', fontWeight: '700', color: phases60_90[1].color, letterSpacing: '0.04em', marginBottom: '4px' }}>{phases60_90[1].days}</div>
-            <EditableText value={phases60_90[1].title} onChange={(v) => updatePhase60_90Field(1, 'title', v)} style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0 }} />
-            <EditableText value={phases60_90[1].goal} onChange={(v) => updatePhase60_90Field(1, 'goal', v)} style={{ fontSize: '13px', color: colors.textSecondary, marginTop: '8px', display: 'block' }} />
-          </div>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
-            <div>
-              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key pillars</div>
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                {(phases60_90[1].pillars || []).map((p, i) => (
-                  <EditableListItem key={i} value={p} onChange={(v) => updatePhase60_90Pillar(1, i, v)} onDelete={() => deletePhase60_90Pillar(1, i)} color={phases60_90[1].color} />
-                ))}
-                <AddItemButton onClick={() => addPhase60_90Pillar(1)} label="Add pillar" />
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+      <Card>
+        <h3 style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>Team Cadences</h3>
+        <div style={{ display: 'grid', gap: '12px' }}>
+          {cadences.map((cadence, i) => (
+            <div key={i} style={{
+              display: 'grid',
+              gridTemplateColumns: '200px 260px 1fr auto',
+              gap: '8px 16px',
+              padding: '12px',
+              backgroundColor: i % 2 === 0 ? colors.card : colors.surface,
+              borderRadius: '8px',
+              alignItems: 'center'
+            }}>
+              <EditableText
+                value={cadence.type}
+                onChange={(v) => updateCadence(i, { type: v })}
+                style={{ fontSize: '14px', fontWeight: '600', color: colors.text }}
+              />
+              <div>
+                <div style={{ fontSize: '13px', color: colors.textMuted }}>{describeCadenceSchedule(cadence)}</div>
+                <div style={{ fontSize: '12px', color: colors.textMuted }}>{cadenceAttendeesLabel(cadence, roster)}</div>
               </div>
-            </div>
-            <div>
-              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key actions</div>
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                {(phases60_90[1].keyActivities || []).map((item, i) => (
-                  <EditableListItem key={i} value={item} onChange={(v) => updatePhase60_90Activity(1, i, v)} onDelete={() => deletePhase60_90Activity(1, i)} color={phases60_90[1].color} />
-                ))}
-                <AddItemButton onClick={() => addPhase60_90Activity(1)} label="Add action" />
+              <div>
+                <EditableText
+                  value={cadence.focus}
+                  onChange={(v) => updateCadence(i, { focus: v })}
+                  style={{ fontSize: '13px', color: colors.textSecondary }}
+                />
+                {(cadence.note || isEditMode) && (
+                  <EditableText
+                    value={cadence.note}
+                    onChange={(v) => updateCadence(i, { note: v })}
+                    placeholder="Note"
+                    style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
+                  />
+                )}
               </div>
+              {isEditMode && (
+                <button
+                  aria-label={`Delete ${cadence.type}`}
+                  onClick={() => setCadences(cadences.filter((_, idx) => idx !== i))}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    color: colors.danger,
+                    cursor: 'pointer',
+                    padding: '0 4px',
+                    fontSize: '16px',
+                    opacity: 0.6
+                  }}
+                >
+                  ×
+                </button>
+              )}
+              {isEditMode && renderScheduleFields(cadence, i)}
             </div>
-          </div>
-        </Card>
-      )}
+          ))}
+        </div>
+        {isEditMode && (
+          <button
+            onClick={() => setCadences([...cadences, newCadence()])}
+            style={{
+              marginTop: '12px',
+              padding: '8px 12px',
+              border: `1px dashed ${colors.purple}`,
+              borderRadius: '8px',
+              backgroundColor: 'transparent',
+              color: colors.purple,
+              fontSize: '12px',
+              fontWeight: '500',
+              cursor: 'pointer',
+              transition: 'all 0.2s'
+            }}
+          >
+            + Add cadence
+          </button>
+        )}
+      </Card>
 
-      {/* SA Strat West Team: Key Activities of Value & Replication */}
-      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.info}` }}>
-        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
-          <div style={{
-            width: '20px',
-            height: '20px',
-            borderRadius: '4px',
-            backgroundColor: colors.info + '20',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            fontSize: '12px'
-          }}>
-            🔄
+      <Card style={{ overflowX: 'auto' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+          <h3 aria-live="polite" style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginRight: 'auto' }}>{periodLabel}</h3>
+          <div role="group" aria-label="Calendar view" style={{ display: 'flex', gap: '6px' }}>
+            {[{ id: 'week', label: 'Week' }, { id: 'month', label: 'Month' }].map((option) => (
+              <button key={option.id} type="button" aria-pressed={view === option.id} onClick={() => setView(option.id)} style={viewButtonStyle(option.id)}>
+                {option.label}
+              </button>
+            ))}
           </div>
-          <h5 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, margin: 0 }}>SA Strat West Team: Key Activities of Value & Replication</h5>
+          <ToolButton onClick={() => step(-1)} title={`Previous ${view}`}>‹</ToolButton>
+          <ToolButton onClick={() => setFocusDate(addDays(new Date(), 0))}>Today</ToolButton>
+          <ToolButton onClick={() => step(1)} title={`Next ${view}`}>›</ToolButton>
         </div>
-        <p style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6, marginBottom: '20px' }}>
-          <EditableText
-            value={generalSADescription}
-            onChange={setGeneralSADescription}
-            style={{ fontSize: '14px', color: colors.textSecondary }}
-            multiline
-          />
-        </p>
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
-          <div>
-            <h6 style={{ fontSize: '13px', fontWeight: '600', color: colors.info, marginBottom: '10px' }}>Identifying key activities of value (Strat West)</h6>
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-              {generalSAIdentifying.map((item, i) => (
-                <EditableListItem
-                  key={i}
-                  value={item}
-                  onChange={(v) => setGeneralSAIdentifying(prev => prev.map((x, idx) => idx === i ? v : x))}
-                  onDelete={() => setGeneralSAIdentifying(prev => prev.filter((_, idx) => idx !== i))}
-                  color={colors.info}
-                />
-              ))}
-            </div>
-            <AddItemButton
-              onClick={() => setGeneralSAIdentifying(prev => [...prev, 'New item - click to edit'])}
-              label="Add item"
-            />
-          </div>
-          <div>
-            <h6 style={{ fontSize: '13px', fontWeight: '600', color: colors.info, marginBottom: '10px' }}>Creating process to replicate (Strat West)</h6>
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-              {generalSAReplication.map((item, i) => (
-                <EditableListItem
-                  key={i}
-                  value={item}
-                  onChange={(v) => setGeneralSAReplication(prev => prev.map((x, idx) => idx === i ? v : x))}
-                  onDelete={() => setGeneralSAReplication(prev => prev.filter((_, idx) => idx !== i))}
-                  color={colors.info}
-                />
-              ))}
-            </div>
-            <AddItemButton
-              onClick={() => setGeneralSAReplication(prev => [...prev, 'New item - click to edit'])}
-              label="Add item"
-            />
-          </div>
+        <CadenceCalendar cadences={cadences} view={view} focusDate={focusDate} />
+        <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginTop: '8px', fontSize: '11px', color: colors.textMuted }}>
+          {CADENCE_FREQUENCIES.filter((frequency) => frequency.id !== 'asNeeded').map((frequency) => (
+            <span key={frequency.id} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <span style={{ width: '10px', height: '10px', borderRadius: '2px', backgroundColor: colors[frequency.colorKey] }} />
+              {frequency.label}
+            </span>
+          ))}
+          {asNeeded.length > 0 && <span>Not on the calendar (as needed): {asNeeded.map((cadence) => cadence.type).join(', ')}</span>}
         </div>
       </Card>
+
+      <Card style={{ overflowX: 'auto' }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '4px' }}>Meeting load per SA</h3>
+        <p style={{ fontSize: '12px', color: colors.textMuted, marginBottom: '12px' }}>
+          Cadence hours in the week of {weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} against the {SA_WEEK_HOURS}-hour week; flagged at {CADENCE_LOAD_WATCH_HOURS}h. As-needed cadences aren&apos;t counted.
+        </p>
+        {roster.length === 0 ? (
+          <p style={{ fontSize: '13px', color: colors.textMuted }}>Add SAs in SA Capacity to see their meeting load.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th scope="col" style={headStyle}>SA</th>
+                <th scope="col" style={headStyle}>This week</th>
+                <th scope="col" style={headStyle}>Average week</th>
+                <th scope="col" style={{ ...headStyle, width: '40%' }}>Share of {SA_WEEK_HOURS}h</th>
+                <th scope="col" style={headStyle}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {load.map(({ sa, weekHours, averageHours, level }) => {
+                const color = colors[CAPACITY_LEVELS[level].colorKey];
+                const share = Math.round((weekHours / SA_WEEK_HOURS) * 100);
+                return (
+                  <tr key={sa.id}>
+                    <th scope="row" style={{ ...cellStyle, fontWeight: '500', color: colors.text }}>{sa.name}</th>
+                    <td style={{ ...cellStyle, fontWeight: '600' }}>{formatCadenceHours(weekHours)}</td>
+                    <td style={cellStyle}>{formatCadenceHours(averageHours)}</td>
+                    <td style={cellStyle}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <div style={{ flex: 1, height: '8px', borderRadius: '4px', backgroundColor: colors.borderLight, overflow: 'hidden' }}>
+                          <div style={{ width: `${Math.min(100, share)}%`, height: '100%', backgroundColor: color }} />
+                        </div>
+                        <span style={{ fontSize: '12px', color: colors.textMuted, minWidth: '36px' }}>{share}%</span>
+                      </div>
+                    </td>
+                    <td style={cellStyle}>
+                      <span style={{ fontSize: '11px', fontWeight: '600', padding: '2px 8px', borderRadius: '4px', color, backgroundColor: color + '18', whiteSpace: 'nowrap' }}>{CAPACITY_LEVELS[level].label}</span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </Card>
     </div>
   );
 };
 
-// Masonry Items Component - Using D3 for proper masonry layout
-const MasonryItems = ({ items, columnCount, gap, expandedCards, toggleCard, getCategoryColor, formatDate, isLongContent }) => {
-  const containerRef = useRef(null);
-  const [positions, setPositions] = useState([]);
-  const [containerWidth, setContainerWidth] = useState(1000);
-  const itemRefs = useRef({});
-  
-  // Create variety in card sizes
-  const sizeVariation = [240, 280, 300, 320, 260, 290, 310, 270];
-  
-  useEffect(() => {
-    const updateWidth = () => {
-      if (containerRef.current) {
-        setContainerWidth(containerRef.current.offsetWidth);
-      }
-    };
-    updateWidth();
-    window.addEventListener('resize', updateWidth);
-    return () => window.removeEventListener('resize', updateWidth);
-  }, []);
+// Operating & Coaching Model Section
+const OperatingCoachingSection = () => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const [activeTab, setActiveTab] = useSectionTab('operating');
+  const { isPrinting, showTab, tabButtonStyle, tabListProps, tabProps, tabPanelProps } = useTabPanels(activeTab, 'operating', setActiveTab);
 
-  useEffect(() => {
-    const calculateLayout = () => {
-      if (!containerRef.current) return;
-      
-      const container = containerRef.current;
-      const containerWidth = container.offsetWidth;
-      if (containerWidth === 0) return;
-      
-      const columnWidth = (containerWidth - (gap * (columnCount - 1))) / columnCount;
-      const columnHeights = new Array(columnCount).fill(0);
-      const newPositions = [];
-      
-      items.forEach((item, index) => {
-        const itemRef = itemRefs.current[item.id];
-        let itemHeight;
-        
-        if (itemRef) {
-          itemHeight = itemRef.offsetHeight || itemRef.getBoundingClientRect().height;
-        }
-        
-        // If ref not ready or height is 0, use estimated height
-        if (!itemHeight || itemHeight === 0) {
-          const isExpanded = expandedCards.has(item.id);
-          const baseHeight = sizeVariation[index % sizeVariation.length];
-          itemHeight = isExpanded ? Math.max(350, item.content.length * 0.7) : baseHeight;
-        }
-        
-        const shortestColumn = columnHeights.indexOf(Math.min(...columnHeights));
-        
-        newPositions.push({
-          left: shortestColumn * (columnWidth + gap),
-          top: columnHeights[shortestColumn],
-          width: columnWidth
-        });
-        
-        columnHeights[shortestColumn] += itemHeight + gap;
-      });
-      
-      setPositions(newPositions);
-      if (containerRef.current) {
-        containerRef.current.style.height = `${Math.max(...columnHeights, 400)}px`;
-      }
-    };
-    
-    // Calculate immediately with estimated heights
-    calculateLayout();
-    
-    // Recalculate after delays to get actual heights
-    const timeoutId = setTimeout(calculateLayout, 100);
-    const timeoutId2 = setTimeout(calculateLayout, 300);
-    const timeoutId3 = setTimeout(calculateLayout, 500);
-    
-    window.addEventListener('resize', calculateLayout);
-    
-    return () => {
-      clearTimeout(timeoutId);
-      clearTimeout(timeoutId2);
-      clearTimeout(timeoutId3);
-      window.removeEventListener('resize', calculateLayout);
-    };
-  }, [items, columnCount, gap, expandedCards, containerWidth]);
+  const [metrics, setMetrics] = useLocalStorage('leadershipPlaybook_metrics', defaultMetrics);
+
+  const [capacity, setCapacity] = useLocalStorage('leadershipPlaybook_saCapacity', defaultSaCapacity);
+
+  const [podBoard, setPodBoard] = useLocalStorage('leadershipPlaybook_podBoard', defaultPodBoard);
+
+  const [cadences, setCadences] = useLocalStorage('leadershipPlaybook_cadences', defaultCadences);
+
+  const [coachingModel, setCoachingModel] = useLocalStorage('leadershipPlaybook_coachingModel', defaultCoachingModel);
 
   return (
-    <div
-      ref={containerRef}
-      style={{
-        position: 'relative',
-        width: '100%',
-        minHeight: '400px'
-      }}
-    >
-      {items.map((anecdote, index) => {
-        const categoryColor = getCategoryColor(anecdote.category);
-        const isExpanded = expandedCards.has(anecdote.id);
-        const isLong = isLongContent(anecdote.content);
-        const position = positions[index];
-        const baseCollapsedHeight = sizeVariation[index % sizeVariation.length];
-        
-        // Fallback position if not calculated yet - use simple grid for initial render
-        const columnWidth = (containerWidth - (gap * (columnCount - 1))) / columnCount;
-        const fallbackPosition = {
-          left: (index % columnCount) * (columnWidth + gap),
-          top: Math.floor(index / columnCount) * 300,
-          width: columnWidth
-        };
-        
-        const currentPosition = position || fallbackPosition;
-        
-        return (
-          <div
-            key={anecdote.id}
-            ref={el => { 
-              if (el) itemRefs.current[anecdote.id] = el;
-            }}
+    <div>
+      {/* Tabs */}
+      <div {...tabListProps} aria-label="Operating & Coaching" style={{ display: isPrinting ? 'none' : 'flex', gap: '8px', marginBottom: '24px', flexWrap: 'wrap' }}>
+        {[
+          { id: 'metrics', label: 'Metrics', color: colors.accent },
+          { id: 'capacity', label: 'SA Capacity', color: colors.warning },
+          { id: 'pods', label: 'Pods', color: colors.info },
+          { id: 'cadences', label: 'Team Cadences', color: colors.purple },
+          { id: 'coaching', label: 'Coaching Model', color: colors.success }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            {...tabProps(tab.id)}
+            onClick={() => setActiveTab(tab.id)}
             style={{
-              position: 'absolute',
-              left: `${currentPosition.left}px`,
-              top: `${currentPosition.top}px`,
-              width: `${currentPosition.width}px`,
-              backgroundColor: 'white',
-              borderRadius: '16px',
-              border: `1px solid ${colors.border}`,
-              overflow: 'hidden',
-              display: 'flex',
-              flexDirection: 'column',
-              transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
+              ...tabButtonStyle(tab.id),
+              padding: '10px 20px',
+              borderRadius: '8px',
+              border: `1px solid ${activeTab === tab.id ? tab.color : colors.border}`,
+              backgroundColor: activeTab === tab.id ? tab.color : colors.card,
+              color: activeTab === tab.id ? 'white' : colors.text,
+              fontSize: '14px',
+              fontWeight: activeTab === tab.id ? '600' : '500',
               cursor: 'pointer',
-              animation: `fadeIn 0.5s ease-out ${index * 0.05}s both`,
-              boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
-              minHeight: isExpanded ? 'auto' : `${baseCollapsedHeight}px`
-            }}
-            onMouseEnter={(e) => {
-              e.currentTarget.style.transform = 'translateY(-6px) scale(1.01)';
-              e.currentTarget.style.boxShadow = '0 12px 32px rgba(0,0,0,0.15)';
-              e.currentTarget.style.zIndex = '10';
-            }}
-            onMouseLeave={(e) => {
-              e.currentTarget.style.transform = 'translateY(0) scale(1)';
-              e.currentTarget.style.boxShadow = '0 2px 8px rgba(0,0,0,0.08)';
-              e.currentTarget.style.zIndex = '1';
+              transition: 'all 0.2s ease',
+              boxShadow: activeTab === tab.id ? '0 2px 4px rgba(0, 0, 0, 0.1)' : 'none'
             }}
           >
-            {/* Header with category color bar */}
-            <div style={{
-              height: '4px',
-              backgroundColor: categoryColor,
-              width: '100%'
-            }} />
-            
-            {/* Card Content */}
-            <div style={{ padding: '20px', flex: 1, display: 'flex', flexDirection: 'column' }}>
-              {/* Sender and Date */}
-              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
-                <div style={{
-                  width: '36px',
-                  height: '36px',
-                  borderRadius: '50%',
-                  backgroundColor: categoryColor + '20',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  fontSize: '16px',
-                  fontWeight: '600',
-                  color: categoryColor,
-                  flexShrink: 0
-                }}>
-                  {anecdote.sender.charAt(0)}
-                </div>
-                <div style={{ flex: 1, minWidth: 0 }}>
-                  <div style={{ 
-                    fontSize: '14px', 
-                    fontWeight: '600', 
-                    color: colors.text,
-                    whiteSpace: 'nowrap',
-                    overflow: 'hidden',
-                    textOverflow: 'ellipsis'
-                  }}>
-                    {anecdote.sender}
-                  </div>
-                  <div style={{ fontSize: '11px', color: colors.textMuted }}>
-                    {formatDate(anecdote.date)}
-                  </div>
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <PrintTabHeading sectionId="operating" tabId="metrics" />
+      {showTab('metrics') && (
+        <div {...tabPanelProps('metrics')}>
+          {isEditMode && (
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '12px' }}>
+              <MetricsCsvImportControls metrics={metrics} onImport={setMetrics} />
+            </div>
+          )}
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
+            {[
+              { key: 'leading', title: 'Leading Indicators' },
+              { key: 'lagging', title: 'Lagging Indicators' }
+            ].map(({ key, title }) => (
+              <Card key={key}>
+                <h3 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, marginBottom: '12px' }}>{title}</h3>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                  {metrics[key].map((m, i) => (
+                    <MetricCard
+                      key={i}
+                      metric={m}
+                      onChange={(updated) => setMetrics({ ...metrics, [key]: metrics[key].map((existing, idx) => (idx === i ? updated : existing)) })}
+                      onDelete={() => setMetrics({ ...metrics, [key]: metrics[key].filter((_, idx) => idx !== i) })}
+                      deleteLabel={`Delete ${key} metric`}
+                    />
+                  ))}
                 </div>
-              </div>
+                {isEditMode && (
+                  <button
+                    onClick={() => {
+                      setMetrics({ ...metrics, [key]: [...metrics[key], { name: 'New metric', unit: '', baseline: null, target: null, direction: 'higher', actuals: [] }] });
+                    }}
+                    style={{
+                      marginTop: '8px',
+                      padding: '8px 12px',
+                      border: `1px dashed ${colors.accent}`,
+                      borderRadius: '8px',
+                      backgroundColor: 'transparent',
+                      color: colors.accent,
+                      fontSize: '12px',
+                      fontWeight: '500',
+                      cursor: 'pointer',
+                      transition: 'all 0.2s'
+                    }}
+                  >
+                    + Add metric
+                  </button>
+                )}
+              </Card>
+            ))}
+          </div>
+        </div>
+      )}
 
-              {/* Highlight Badge */}
-              <div style={{
-                display: 'inline-block',
-                padding: '6px 12px',
-                borderRadius: '20px',
-                backgroundColor: categoryColor + '12',
-                color: categoryColor,
-                fontSize: '11px',
-                fontWeight: '600',
-                marginBottom: '14px',
-                width: 'fit-content'
-              }}>
-                {anecdote.highlight}
-              </div>
+      <PrintTabHeading sectionId="operating" tabId="capacity" />
+      {showTab('capacity') && (
+        <div {...tabPanelProps('capacity')}>
+          <SaCapacityDashboard capacity={capacity} setCapacity={setCapacity} />
+        </div>
+      )}
 
-              {/* Content - truncated when collapsed, full when expanded */}
-              <div style={{ 
-                fontSize: '13px', 
-                color: colors.textSecondary, 
-                lineHeight: '1.6',
-                marginBottom: isLong && !isExpanded ? '12px' : '16px',
-                flex: 1,
-                ...(isLong && !isExpanded ? {
-                  display: '-webkit-box',
-                  WebkitLineClamp: Math.floor((baseCollapsedHeight - 180) / 22),
-                  WebkitBoxOrient: 'vertical',
-                  overflow: 'hidden',
-                  textOverflow: 'ellipsis'
-                } : {})
-              }}>
-                {anecdote.content}
-              </div>
+      <PrintTabHeading sectionId="operating" tabId="pods" />
+      {showTab('pods') && (
+        <div {...tabPanelProps('pods')}>
+          <PodBoardPanel podBoard={podBoard} setPodBoard={setPodBoard} capacity={capacity} />
+        </div>
+      )}
 
-              {/* Expand/Collapse Button for long content */}
-              {isLong && (
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    toggleCard(anecdote.id);
-                  }}
-                  style={{
-                    alignSelf: 'flex-start',
-                    padding: '6px 12px',
-                    marginBottom: '12px',
-                    backgroundColor: 'transparent',
-                    border: `1px solid ${categoryColor}`,
-                    borderRadius: '20px',
-                    color: categoryColor,
-                    fontSize: '12px',
-                    fontWeight: '600',
-                    cursor: 'pointer',
-                    transition: 'all 0.2s',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '4px'
-                  }}
-                  onMouseEnter={(e) => {
-                    e.currentTarget.style.backgroundColor = categoryColor + '15';
-                  }}
-                  onMouseLeave={(e) => {
-                    e.currentTarget.style.backgroundColor = 'transparent';
-                  }}
-                >
-                  {isExpanded ? (
-                    <>
-                      <span>Show less</span>
-                      <span>▲</span>
-                    </>
-                  ) : (
-                    <>
-                      <span>Read more</span>
-                      <span>▼</span>
-                    </>
-                  )}
-                </button>
-              )}
+      <PrintTabHeading sectionId="operating" tabId="cadences" />
+      {showTab('cadences') && (
+        <div {...tabPanelProps('cadences')}>
+          <TeamCadencesPanel cadences={cadences} setCadences={setCadences} roster={capacity.roster} />
+        </div>
+      )}
 
-              {/* Reactions Footer */}
-              <div style={{ 
-                display: 'flex', 
-                gap: '8px', 
-                alignItems: 'center',
-                flexWrap: 'wrap',
-                paddingTop: '12px',
-                borderTop: `1px solid ${colors.borderLight}`,
-                marginTop: 'auto'
-              }}>
-                {Object.entries(anecdote.reactions).slice(0, 4).map(([emoji, count]) => {
-                  const emojiMap = {
-                    'clap': '👏',
-                    'heart': '❤️',
-                    'fire': '🔥',
-                    'think': '🤔',
-                    'beer': '🍺',
-                    'mindblown': '🤯',
-                    'pray': '🙏',
-                    'w': 'W'
-                  };
-                  return (
-                    <div key={emoji} style={{
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '4px',
-                      padding: '4px 8px',
-                      backgroundColor: colors.surface,
-                      borderRadius: '12px',
-                      fontSize: '12px'
-                    }}>
-                      <span>{emojiMap[emoji] || '👍'}</span>
-                      <span style={{ color: colors.textMuted, fontWeight: '500' }}>{count}</span>
-                    </div>
-                  );
-                })}
-                {Object.keys(anecdote.reactions).length > 4 && (
-                  <span style={{ 
-                    fontSize: '12px', 
-                    color: colors.textMuted,
-                    marginLeft: '4px'
-                  }}>
-                    +{Object.keys(anecdote.reactions).length - 4}
-                  </span>
-                )}
-              </div>
-            </div>
+      <PrintTabHeading sectionId="operating" tabId="coaching" />
+      {showTab('coaching') && (
+        <div {...tabPanelProps('coaching')}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px' }}>
+            {Object.entries(coachingModel).map(([key, items], idx) => {
+              const colors_map = [colors.accent, colors.purple, colors.success];
+              return (
+                <Card key={key} style={{ borderLeft: `4px solid ${colors_map[idx]}` }}>
+                  <h4 style={{ fontSize: '14px', fontWeight: '600', color: colors.text, marginBottom: '12px', textTransform: 'capitalize' }}>
+                    {key.replace(/([A-Z])/g, ' $1').trim()}
+                  </h4>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                    {items.map((item, i) => (
+                      <div key={i} style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
+                        <div style={{ 
+                          width: '5px', 
+                          height: '5px', 
+                          borderRadius: '50%', 
+                          backgroundColor: colors_map[idx],
+                          marginTop: '6px',
+                          flexShrink: 0
+                        }} />
+                        <EditableText
+                          value={item}
+                          onChange={(v) => {
+                            const newItems = [...items];
+                            newItems[i] = v;
+                            setCoachingModel({ ...coachingModel, [key]: newItems });
+                          }}
+                          style={{ fontSize: '13px', color: colors.textSecondary, flex: 1 }}
+                        />
+                        {isEditMode && (
+                          <button
+                            aria-label="Delete item"
+                            onClick={() => {
+                              const newItems = items.filter((_, idx) => idx !== i);
+                              setCoachingModel({ ...coachingModel, [key]: newItems });
+                            }}
+                            style={{
+                              background: 'none',
+                              border: 'none',
+                              color: colors.danger,
+                              cursor: 'pointer',
+                              padding: '0 4px',
+                              fontSize: '16px',
+                              opacity: 0.6,
+                              transition: 'opacity 0.2s'
+                            }}
+                            onMouseEnter={(e) => e.currentTarget.style.opacity = '1'}
+                            onMouseLeave={(e) => e.currentTarget.style.opacity = '0.6'}
+                          >
+                            ×
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  {isEditMode && (
+                    <button
+                      onClick={() => {
+                        setCoachingModel({ ...coachingModel, [key]: [...items, 'New item - click to edit'] });
+                      }}
+                      style={{
+                        marginTop: '8px',
+                        padding: '8px 12px',
+                        border: `1px dashed ${colors_map[idx]}`,
+                        borderRadius: '8px',
+                        backgroundColor: 'transparent',
+                        color: colors_map[idx],
+                        fontSize: '12px',
+                        fontWeight: '500',
+                        cursor: 'pointer',
+                        transition: 'all 0.2s'
+                      }}
+                      onMouseEnter={(e) => {
+                        e.currentTarget.style.backgroundColor = colors_map[idx] + '10';
+                        e.currentTarget.style.borderStyle = 'solid';
+                      }}
+                      onMouseLeave={(e) => {
+                        e.currentTarget.style.backgroundColor = 'transparent';
+                        e.currentTarget.style.borderStyle = 'dashed';
+                      }}
+                    >
+                      + Add item
+                    </button>
+                  )}
+                </Card>
+              );
+            })}
           </div>
-        );
-      })}
+        </div>
+      )}
     </div>
   );
 };
 
-// From the Field Section — three main dropdowns with general summary + cards inside
-const FromTheFieldSection = () => {
-  const { isEditMode } = useContext(EditModeContext);
-  const [expandedCategories, setExpandedCategories] = useState({ collaboration: false, sales: false, agent: false });
-  const toggleCategory = (key) => setExpandedCategories(prev => ({ ...prev, [key]: !prev[key] }));
-  const isCategoryExpanded = (key) => expandedCategories[key] !== false;
+// Interactive D3 Timeline Component
+// Split phase title into two lines to reduce horizontal overlap (at " & " or near middle)
+const splitPhaseTitle = (title) => {
+  const atAmp = title.indexOf(' & ');
+  if (atAmp > 0) {
+    return [title.substring(0, atAmp), title.substring(atAmp + 3)];
+  }
+  const mid = Math.floor(title.length / 2);
+  const spaceIndex = title.lastIndexOf(' ', mid);
+  if (spaceIndex > 0) {
+    return [title.substring(0, spaceIndex), title.substring(spaceIndex + 1)];
+  }
+  return [title, ''];
+};
 
-  const [collaborationSummary, setCollaborationSummary] = useLocalStorage('leadershipPlaybook_collaborationSummary',
-    'Field feedback points to opportunities for consistent SA/AE pairings, role clarity (demo execution vs. strategic partnership), and pod structures with clearer guidelines on when to engage SAs.'
-  );
-  const [salesProcessSummary, setSalesProcessSummary] = useLocalStorage('leadershipPlaybook_salesProcessSummary',
-    'Feedback highlights opportunities in use case alignment, POC process focus areas, pre-sales/post-sales connection, and standardized handoffs—information exists but isn\'t accessible or followed.'
-  );
-  const [agentPositioningSummary, setAgentPositioningSummary] = useLocalStorage('leadershipPlaybook_agentPositioningSummary',
-    'Internal messaging positions Writer Agent as replacement rather than additional tool; opportunity to highlight interconnectivity and improve demo loading/performance and differentiation story.'
-  );
+// Exponential growth curve: flat at start, steep at end (0 → 100 over 30 days)
+const valueAtDay = (day, maxDays = 30) => 100 * (Math.exp(3 * day / maxDays) - 1) / (Math.exp(3) - 1);
 
-  const [collaborationGaps, setCollaborationGaps] = useLocalStorage('leadershipPlaybook_collaborationGaps', [
-    {
-      category: 'Opportunity: Structured Partnerships',
-      description: 'The West team operates mostly on round-robin assignment rather than consistent SA/AE pairings. Success cases involve sustained multi-deal relationships, and we can systematize this.',
-      source: 'Field Observations',
-      issues: [
-        'West Coast opportunity for pod structures pairing SAs with specific AEs',
-        'Historical theme: "pre-sales built custom agents that post-sales team rebuilt from scratch"',
-        'Opportunity to reduce duplicate work cycles for customers'
-      ],
-      recommendations: [
-        'Implement pod structures with consistent SA/AE pairings',
-        'Systematize multi-deal relationships that have proven successful'
-      ]
-    },
-    {
-      category: 'Role Clarity and Perception',
-      description: 'SAs need "more strategic partnership vs. demo execution." There\'s an opportunity to close the gap between technical demo work and holistic ROI storytelling.',
-      source: 'Natalie/Thomas, Maureen (SVP Partnerships)',
-      issues: [
-        'Opportunity for SAs to move from reactive to "proactive partnership vs \'demo monkey\' approach"',
-        'Opportunity for pod structure—consistent AE/SA pairings support relationship building',
-        'Product so easy AEs can demo themselves, creating confusion about when to engage SAs',
-        'Gap between technical demo work and holistic ROI storytelling'
-      ],
-      recommendations: [
-        'Develop strategic partnership capabilities beyond demo execution',
-        'Create clear guidelines on when AEs should engage SAs',
-        'Build ROI storytelling skills alongside technical capabilities'
-      ]
-    },
-    {
-      category: 'Partnership Quality Opportunities',
-      description: 'Best SA partnerships bring "knowledge, thought leadership, credibility building." Opportunities include coaching for new hires and more proactive SA engagement.',
-      source: 'Haley (Strat AE)',
-      issues: [
-        'New hires "thrown into role as tech support" without coaching—opportunity to add structured onboarding',
-        'SAs not "proactive in deal communication/strategy"—opportunity to grow',
-        'Bandwidth considerations for strategic partnership',
-        'Opportunity for "strategic ownership vs. transactional support"',
-        'Opportunity for "continuous account engagement beyond scheduled meetings"'
-      ],
-      recommendations: [
-        'Better onboarding for new SA hires with business acumen alongside technical skills',
-        'Develop proactive communication and strategic thinking',
-        'Create capacity for strategic partnership vs. transactional support'
-      ]
-    },
-    {
-      category: 'Working Style Variations',
-      description: 'Individual working styles vary significantly—"some SAs are technical builders, others more business-forward"—requiring different development paths.',
-      source: 'Garrett (RVP Central)',
-      issues: [
-        '"Reactive SA involvement vs strategic inclusion from opportunity start"',
-        '"You do X, I do Y" mentality vs collaborative account approach',
-        'Different SAs need different development paths based on their strengths'
-      ],
-      recommendations: [
-        'Recognize and develop different SA profiles (technical builders vs. business-forward)',
-        'Foster collaborative account approach vs. siloed responsibilities',
-        'Include SAs strategically from opportunity start, not reactively'
-      ]
-    }
-  ]);
+// Day range of each phase's curve segment, and the day its node sits on (mid-phase)
+const timelineSegmentRanges = (maxDays) => (maxDays <= 30 ? [[0, 10], [10, 20], [20, 30]] : [[0, 30], [30, 60], [60, 90]]);
+const timelineNodeDay = (i, phaseCount, maxDays) => {
+  const range = timelineSegmentRanges(maxDays)[i];
+  return range ? (range[0] + range[1]) / 2 : (i + 0.5) * (maxDays / (phaseCount || 1));
+};
 
-  const [salesProcessIssues, setSalesProcessIssues] = useLocalStorage('leadershipPlaybook_salesProcessIssues', [
-    {
-      category: 'Use Case Selection Alignment',
-      description: 'AEs "accept any use case for leverage, not necessarily Writer\'s best fit." Opportunity to improve validation success and compelling value story.',
-      source: 'Laura (VP of SA)',
-      issues: [
-        'Horizontal platform messaging—opportunity to clarify differentiation from ChatGPT/Copilot',
-        'Use case qualification—opportunity to improve validation success rate',
-        'Opportunity to strengthen compelling value story'
-      ],
-      recommendations: [
-        'Develop clearer use case qualification criteria',
-        'Improve differentiation messaging vs. ChatGPT/Copilot',
-        'Focus on Writer\'s best-fit use cases'
-      ]
-    },
-    {
-      category: 'POC Process Opportunities',
-      description: 'Technical team "spends significant time on complex POCs." Content supply chain demos are "impressive." Opportunity to improve scalability and implementability.',
-      source: 'Laura (VP of SA), Thomas (RVP West)',
-      issues: [
-        'Opportunity to align POC scope with production use',
-        'Content supply chain demos impressive—opportunity to scale and implement',
-        'Evaluations: Bangkok Bank (1+ year), Microsoft Copilot Studio—opportunity to clarify urgency',
-        'Opportunity for executive sponsor alignment',
-        'Opportunity for clear success criteria definition',
-        'Opportunity for post-POC path agreement before starting'
-      ],
-      recommendations: [
-        'Require executive sponsor alignment, clear success criteria, and post-POC path agreement before starting evaluations',
-        'Create more prescriptive, compartmentalized POC approaches',
-        'Focus on scalable, implementable solutions vs. impressive but impractical demos'
-      ]
-    },
-    {
-      category: 'Pre-sales/Post-sales Disconnect',
-      description: 'CSM team "transitioning from support to driving adoption/implementation" but "professional services underutilized." Recent deals lacking clear post-signature plan.',
-      source: 'Thomas (RVP West)',
-      issues: [
-        'Recent Intel deal—opportunity for clear post-signature plan',
-        'Previous deals like Geisinger and Clorox were "wheelhouse use cases"—opportunity for guardrails on what scales in post-sales vs. custom builds',
-        'Professional services—opportunity to increase utilization',
-        'CSM team transitioning—opportunity to align with pre-sales'
-      ],
-      recommendations: [
-        'Establish guardrails for what scales in post-sales vs. custom builds',
-        'Create clear post-signature plans for all deals',
-        'Better alignment between pre-sales and post-sales teams',
-        'Utilize professional services more effectively'
-      ]
-    },
-    {
-      category: 'No Standardized Processes',
-      description: '"No standardized handoff processes between AEs and SAs. Information exists but not accessible/followed by reps."',
-      source: 'Garrett (RVP Central)',
-      issues: [
-        'Exit gates and tactics documented—opportunity to make them referenced and accessible',
-        'Opportunity to build muscle memory for successful deal closure process',
-        'Product-market fit volatility affects go-to-market and product roadmap',
-        'Information exists—opportunity to make it accessible and followed by reps'
-      ],
-      recommendations: [
-        'Create standardized handoff processes between AEs and SAs',
-        'Make exit gates and tactics easily accessible and referenced',
-        'Build muscle memory for successful deal closure process',
-        'Develop systematic content sharing (weekly demo highlights by industry/vertical)'
-      ]
-    }
-  ]);
+// Same scale as the chart's y-axis, where each 20 points of value is one "x"
+const formatTimelineValue = (day, maxDays) => `${(valueAtDay(day, maxDays) / 20).toFixed(1)}x`;
 
-  const [agentPositioning, setAgentPositioning] = useLocalStorage('leadershipPlaybook_agentPositioning', [
-    {
-      category: 'Internal Messaging Focus Areas',
-      description: 'Opportunity to position Writer Agent as additional tool vs. replacement.',
-      source: 'Haley (Strat AE)',
-      issues: [
-        'Opportunity to position as additional tool, not replacement',
-        'Opportunity to highlight "interconnectivity between Writer tools"',
-        'Opportunity to improve loading/performance during demos',
-        'Opportunity for clear differentiation story vs. competitors'
-      ],
-      recommendations: [
-        'Reposition Writer Agent as additional tool, not replacement',
-        'Highlight interconnectivity between Writer tools',
-        'Improve loading/performance during demos',
-        'Develop clear differentiation story vs. competitors'
-      ]
-    }
-  ]);
+const InteractiveTimeline = ({ phases, activePhase, setActivePhase, maxDays = 30, title = 'Value over time' }) => {
+  const colors = useColors();
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+  const focusPhaseRef = useRef(null);
+  const svgTitleId = useId();
+  const svgDescId = useId();
+  const TIMELINE_HEIGHT = 420;
+  const [dimensions, setDimensions] = useState({ width: 0, height: TIMELINE_HEIGHT });
+  const segmentRanges = timelineSegmentRanges(maxDays);
 
-  const updateGapItem = (index, field, value) => {
-    setCollaborationGaps(prev => prev.map((item, i) => 
-      i === index ? { ...item, [field]: value } : item
-    ));
-  };
+  useEffect(() => {
+    const updateDimensions = () => {
+      if (containerRef.current) {
+        const w = containerRef.current.offsetWidth;
+        setDimensions({ width: w, height: TIMELINE_HEIGHT });
+      }
+    };
+    updateDimensions();
+    window.addEventListener('resize', updateDimensions);
+    const t1 = setTimeout(updateDimensions, 0);
+    const t2 = setTimeout(updateDimensions, 150);
+    return () => {
+      window.removeEventListener('resize', updateDimensions);
+      clearTimeout(t1);
+      clearTimeout(t2);
+    };
+  }, []);
 
-  const updateGapListItem = (index, listKey, itemIndex, value) => {
-    setCollaborationGaps(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: item[listKey].map((listItem, idx) => idx === itemIndex ? value : listItem)
-      } : item
-    ));
-  };
+  useEffect(() => {
+    if (!svgRef.current || dimensions.width === 0) return;
 
-  const deleteGapListItem = (index, listKey, itemIndex) => {
-    setCollaborationGaps(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: item[listKey].filter((_, idx) => idx !== itemIndex)
-      } : item
-    ));
-  };
+    const svg = select(svgRef.current);
+    svg.selectAll('*').remove();
 
-  const addGapListItem = (index, listKey) => {
-    setCollaborationGaps(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: [...item[listKey], 'New item - click to edit']
-      } : item
-    ));
-  };
+    // Phase nodes form a radio group: one tab stop, arrow keys move the selection (see the node keydown handler)
+    svg.attr('role', 'radiogroup').attr('aria-labelledby', svgTitleId).attr('aria-describedby', svgDescId);
+    svg.append('title').attr('id', svgTitleId).text(title);
+    svg.append('desc').attr('id', svgDescId)
+      .text(`Value curve over ${maxDays} days, rising slowly at first and steeply at the end. Use the arrow keys to move between phases.`);
 
-  const addGapItem = () => {
-    setCollaborationGaps(prev => [...prev, {
-      category: 'New Category',
-      description: 'New description',
-      source: 'Source',
-      issues: [],
-      recommendations: []
-    }]);
-  };
+    const isSmallScreen = dimensions.width < 768;
+    const margin = {
+      top: 24,
+      right: isSmallScreen ? 24 : 40,
+      bottom: isSmallScreen ? 120 : 100,
+      left: isSmallScreen ? 44 : 52
+    };
+    const width = dimensions.width - margin.left - margin.right;
+    const height = dimensions.height - margin.top - margin.bottom;
 
-  const deleteGapItem = (index) => {
-    setCollaborationGaps(prev => prev.filter((_, i) => i !== index));
-  };
+    const g = svg.append('g').attr('transform', `translate(${margin.left}, ${margin.top})`);
+    const xScale = scaleLinear().domain([0, maxDays]).range([0, width]);
+    const yScale = scaleLinear().domain([0, 100]).range([height, 0]);
 
-  // Similar functions for salesProcessIssues and agentPositioning
-  const updateSalesIssueItem = (index, field, value) => {
-    setSalesProcessIssues(prev => prev.map((item, i) => 
-      i === index ? { ...item, [field]: value } : item
-    ));
-  };
+    // Curve data: exponential value over days 0–maxDays
+    const curveData = [];
+    for (let d = 0; d <= maxDays; d += (maxDays <= 30 ? 0.5 : 1)) {
+      curveData.push({ day: d, value: valueAtDay(d, maxDays) });
+    }
 
-  const updateSalesIssueListItem = (index, listKey, itemIndex, value) => {
-    setSalesProcessIssues(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: item[listKey].map((listItem, idx) => idx === itemIndex ? value : listItem)
-      } : item
-    ));
-  };
+    const lineGen = line()
+      .x(d => xScale(d.day))
+      .y(d => yScale(d.value))
+      .curve(curveMonotoneX);
 
-  const deleteSalesIssueListItem = (index, listKey, itemIndex) => {
-    setSalesProcessIssues(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: item[listKey].filter((_, idx) => idx !== itemIndex)
-      } : item
-    ));
-  };
+    // Y-axis: value key as 1x, 2x, 3x, etc. (no numeric count)
+    const yTickValues = [20, 40, 60, 80, 100];
+    const yAxis = axisLeft(yScale)
+      .tickValues(yTickValues)
+      .tickFormat((_, i) => `${i + 1}x`)
+      .tickSizeInner(-width)
+      .tickSizeOuter(0);
+    g.append('g')
+      .attr('class', 'axis axis-y')
+      .attr('aria-hidden', 'true')
+      .call(yAxis)
+      .selectAll('.tick line')
+      .attr('stroke', colors.borderLight)
+      .attr('stroke-opacity', 0.5);
+    g.select('.axis-y').selectAll('text').attr('fill', colors.textMuted).attr('font-size', '11px');
+    g.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -height / 2)
+      .attr('y', -margin.left + 16)
+      .attr('text-anchor', 'middle')
+      .attr('fill', colors.textMuted)
+      .attr('font-size', '11px')
+      .attr('font-weight', '600')
+      .attr('aria-hidden', 'true')
+      .text('Value');
 
-  const addSalesIssueListItem = (index, listKey) => {
-    setSalesProcessIssues(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: [...item[listKey], 'New item - click to edit']
-      } : item
-    ));
-  };
+    // X-axis (Days)
+    const xTickValues = maxDays <= 30 ? [0, 5, 10, 15, 20, 25, 30] : [0, 15, 30, 45, 60, 75, 90];
+    const xAxis = axisBottom(xScale)
+      .ticks(7)
+      .tickValues(xTickValues)
+      .tickSizeInner(-height)
+      .tickSizeOuter(0);
+    g.append('g')
+      .attr('class', 'axis axis-x')
+      .attr('aria-hidden', 'true')
+      .attr('transform', `translate(0, ${height})`)
+      .call(xAxis)
+      .selectAll('.tick line')
+      .attr('stroke', colors.borderLight)
+      .attr('stroke-opacity', 0.5);
+    g.select('.axis-x').selectAll('text').attr('fill', colors.textMuted).attr('font-size', '11px');
+    g.append('text')
+      .attr('x', width / 2)
+      .attr('y', height + margin.bottom - 12)
+      .attr('text-anchor', 'middle')
+      .attr('fill', colors.textMuted)
+      .attr('font-size', '11px')
+      .attr('font-weight', '600')
+      .attr('aria-hidden', 'true')
+      .text('Days');
 
-  const addSalesIssueItem = () => {
-    setSalesProcessIssues(prev => [...prev, {
-      category: 'New Category',
-      description: 'New description',
-      source: 'Source',
-      issues: [],
-      recommendations: []
-    }]);
-  };
+    // Draw curve in three segments (one per phase) with phase colors
+    segmentRanges.forEach(([start, end], i) => {
+      const segmentData = curveData.filter(d => d.day >= start && d.day <= end);
+      if (segmentData.length === 0) return;
+      const phase = phases[i];
+      const isActive = i === activePhase;
+      const isPast = i < activePhase;
+      g.append('path')
+        .attr('d', lineGen(segmentData))
+        .attr('fill', 'none')
+        .attr('stroke', phase.color)
+        .attr('stroke-width', isActive ? 4 : isPast ? 3 : 2)
+        .attr('stroke-linecap', 'round')
+        .attr('stroke-linejoin', 'round')
+        .attr('aria-hidden', 'true')
+        .attr('opacity', isActive ? 1 : (maxDays > 30 ? 0.9 : (isPast ? 0.85 : 0.5)))
+        .style('cursor', 'pointer')
+        .style('filter', isActive ? 'drop-shadow(0 2px 4px rgba(0,0,0,0.1))' : 'none')
+        .on('click', () => setActivePhase(i));
+    });
 
-  const deleteSalesIssueItem = (index) => {
-    setSalesProcessIssues(prev => prev.filter((_, i) => i !== index));
-  };
+    // Phase nodes on the curve (mid-phase); each is a focusable radio holding its circle and labels
+    // Only a change of phase redraws, so only then is there a focus to carry over
+    const selectPhase = (i) => {
+      if (i === activePhase) return;
+      focusPhaseRef.current = i;
+      setActivePhase(i);
+    };
+    (phases || []).forEach((phase, i) => {
+      const day = timelineNodeDay(i, phases.length, maxDays);
+      const x = xScale(day);
+      const y = yScale(valueAtDay(day, maxDays));
+      const isActive = i === activePhase;
+      const isPast = i < activePhase;
+      const circleRadius = isActive ? 16 : isPast ? 14 : 12;
+      const labelY = y - circleRadius - 44;
+      const titleY = y - circleRadius - 24;
+      const textAnchor = i === 0 ? 'start' : i === phases.length - 1 ? 'end' : 'middle';
 
-  const updateAgentItem = (index, field, value) => {
-    setAgentPositioning(prev => prev.map((item, i) => 
-      i === index ? { ...item, [field]: value } : item
-    ));
-  };
+      const node = g.append('g')
+        .attr('class', 'phase-node')
+        .attr('role', 'radio')
+        .attr('tabindex', isActive ? 0 : -1)
+        .attr('aria-checked', String(isActive))
+        .attr('aria-label', `${phase.days}: ${phase.title}. Value ${formatTimelineValue(day, maxDays)} at day ${day}${isPast ? ', complete' : ''}`)
+        .attr('aria-posinset', i + 1)
+        .attr('aria-setsize', phases.length)
+        .style('cursor', 'pointer')
+        .on('click', () => selectPhase(i))
+        .on('keydown', (event) => {
+          const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+          let next = null;
+          if (step) next = (i + step + phases.length) % phases.length;
+          else if (event.key === 'Home') next = 0;
+          else if (event.key === 'End') next = phases.length - 1;
+          else if (event.key === 'Enter' || event.key === ' ') next = i;
+          if (next === null) return;
+          event.preventDefault();
+          selectPhase(next);
+        });
 
-  const updateAgentListItem = (index, listKey, itemIndex, value) => {
-    setAgentPositioning(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: item[listKey].map((listItem, idx) => idx === itemIndex ? value : listItem)
-      } : item
-    ));
-  };
+      if (isActive || isPast) {
+        node.append('circle')
+          .attr('cx', x).attr('cy', y).attr('r', 20)
+          .attr('fill', 'none').attr('stroke', phase.color).attr('stroke-width', 2).attr('opacity', 0.3)
+          .style('filter', 'blur(4px)');
+      }
+      node.append('circle')
+        .attr('cx', x).attr('cy', y)
+        .attr('r', circleRadius)
+        .attr('fill', isActive ? phase.color : (isPast ? phase.color : (phase.color + '30')))
+        .attr('stroke', phase.color)
+        .attr('stroke-width', isActive ? 3 : 2)
+        .style('transition', 'all 0.3s')
+        .on('mouseenter', function() {
+          select(this).transition().duration(200).attr('r', isActive ? 18 : 16);
+        })
+        .on('mouseleave', function() {
+          select(this).transition().duration(200).attr('r', circleRadius);
+        });
+      if (isActive || isPast) {
+        node.append('circle')
+          .attr('cx', x).attr('cy', y).attr('r', 6).attr('fill', colors.card)
+          .style('pointer-events', 'none');
+      }
 
-  const deleteAgentListItem = (index, listKey, itemIndex) => {
-    setAgentPositioning(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: item[listKey].filter((_, idx) => idx !== itemIndex)
-      } : item
-    ));
-  };
+      node.append('text')
+        .attr('x', x).attr('y', labelY)
+        .attr('text-anchor', textAnchor).attr('font-size', '11px')
+        .attr('font-weight', isActive ? '700' : '600')
+        .attr('fill', isActive ? phase.color : colors.textMuted)
+        .text(phase.days);
 
-  const addAgentListItem = (index, listKey) => {
-    setAgentPositioning(prev => prev.map((item, i) => 
-      i === index ? {
-        ...item,
-        [listKey]: [...item[listKey], 'New item - click to edit']
-      } : item
-    ));
-  };
+      const [line1, line2] = splitPhaseTitle(phase.title);
+      node.append('text')
+        .attr('x', x).attr('y', titleY)
+        .attr('text-anchor', textAnchor).attr('font-size', '12px')
+        .attr('font-weight', isActive ? '700' : '500')
+        .attr('fill', isActive ? colors.text : colors.textMuted)
+        .text(line1);
+      if (line2) {
+        node.append('text')
+          .attr('x', x).attr('y', titleY + 16)
+          .attr('text-anchor', textAnchor).attr('font-size', '12px')
+          .attr('font-weight', isActive ? '700' : '500')
+          .attr('fill', isActive ? colors.text : colors.textMuted)
+          .text(line2);
+      }
+
+      const checkmarkAnchor = i === 0 ? 'start' : i === phases.length - 1 ? 'end' : 'middle';
+      if (isPast) {
+        node.append('text')
+          .attr('x', x)
+          .attr('y', labelY - 18)
+          .attr('text-anchor', checkmarkAnchor)
+          .attr('font-size', '18px')
+          .text('✓')
+          .attr('fill', phase.color)
+          .style('pointer-events', 'none');
+      }
+
+      // The redraw replaced the node that had focus, so hand focus to its replacement
+      if (focusPhaseRef.current === i) {
+        focusPhaseRef.current = null;
+        node.node().focus();
+      }
+    });
+
+  }, [phases, activePhase, dimensions, maxDays, title, colors]);
 
   return (
-    <div>
-      {/* SA/AE Collaboration Gaps — dropdown category */}
-      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.accent}` }}>
-        <button
-          type="button"
-          onClick={() => toggleCategory('collaboration')}
-          style={{
-            width: '100%',
-            display: 'flex',
-            alignItems: 'flex-start',
-            justifyContent: 'space-between',
-            gap: '12px',
-            padding: 0,
-            border: 'none',
-            background: 'none',
-            cursor: 'pointer',
-            textAlign: 'left'
-          }}
-        >
-          <div style={{ flex: 1, minWidth: 0 }}>
-            <h3 style={{ fontSize: '24px', fontWeight: '600', color: colors.text, margin: 0 }}>SA/AE Collaboration Gaps</h3>
-            {!isCategoryExpanded('collaboration') && collaborationSummary && (
-              <p style={{ fontSize: '14px', color: colors.textSecondary, marginTop: '10px', marginBottom: 0, lineHeight: 1.5 }}>
-                {collaborationSummary}
-              </p>
-            )}
-          </div>
-          <span style={{ fontSize: '14px', color: colors.textMuted, flexShrink: 0 }}>{isCategoryExpanded('collaboration') ? '▲' : '▼'}</span>
-        </button>
-        {isEditMode && (
-          <div style={{ marginTop: '12px' }}>
-            <button
-              onClick={addGapItem}
-              style={{
-                padding: '8px 16px',
-                backgroundColor: colors.accent,
-                color: 'white',
-                border: 'none',
-                borderRadius: '8px',
-                fontSize: '13px',
-                fontWeight: '500',
-                cursor: 'pointer'
-              }}
-            >
-              + Add Category
-            </button>
-          </div>
-        )}
-        {isCategoryExpanded('collaboration') && (
-          <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: `1px solid ${colors.borderLight}` }}>
-            <div style={{ marginBottom: '24px', padding: '16px', backgroundColor: colors.gray50, borderRadius: '8px', border: `1px solid ${colors.borderLight}` }}>
-              <div style={{ fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Summary of sentiment</div>
-              <EditableText
-                value={collaborationSummary}
-                onChange={setCollaborationSummary}
+    <div ref={containerRef} style={{ width: '100%', marginBottom: '32px' }}>
+      <svg ref={svgRef} width={dimensions.width} height={dimensions.height} />
+      <table style={VISUALLY_HIDDEN_STYLE}>
+        <caption>{title}: value by phase over {maxDays} days (1x is 20% of full value)</caption>
+        <thead>
+          <tr>
+            <th scope="col">Phase</th>
+            <th scope="col">Days</th>
+            <th scope="col">Value at start</th>
+            <th scope="col">Value at end</th>
+            <th scope="col">Goal</th>
+          </tr>
+        </thead>
+        <tbody>
+          {(phases || []).map((phase, i) => {
+            const [start, end] = segmentRanges[i] || [0, maxDays];
+            return (
+              <tr key={i}>
+                <th scope="row">{phase.title}{i === activePhase ? ' (selected)' : ''}</th>
+                <td>{phase.days}</td>
+                <td>{formatTimelineValue(start, maxDays)}</td>
+                <td>{formatTimelineValue(end, maxDays)}</td>
+                <td>{phase.goal}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const defaultPhases30 = [
+  {
+    days: 'Days 1-10',
+    title: 'Discovery & Baseline',
+    color: colors.accent,
+    goal: 'Map current state across Strat West team structure, key activities of value, competitive positioning, capacity, and retention—establish baseline for action',
+    priorities: [
+      'Deal flow: Audit deal sources and velocity; interview 3–5 Strat West SAs on friction points; document workflow and handoffs; pull deal-velocity data',
+      'Accountability: Create Strat West engagement scorecard—discovery calls, pipeline, deals closed; define expectations and success criteria',
+      'Differentiation: Conduct 5 competitive-learning interviews (where "just use ChatGPT" influenced outcomes); audit sales collateral; build competitive matrix: Writer vs. ChatGPT Enterprise vs. Claude vs. Gemini',
+      'Capacity: Build SA Capacity Dashboard for Strat West—deal count per SA, weighted pipeline, deal stage distribution; set yellow (18+ deals or 120% avg pipeline) and red (21+ or 140%) thresholds',
+      'Retention: Confidential 1:1s with each Strat West SA—what would make you stay 2 years? What energizes vs. drains? Map retention focus and career aspirations',
+      'Replication: Shadow or interview top-performing Strat West SAs; review win/loss and deal-velocity data; document 3–5 repeatable patterns and draft "how the best SAs work" for playbook'
+    ],
+    risks: [
+      'Trying to address everything at once without baseline clarity',
+      'Strat West SAs not surfacing key themes in interviews',
+      'Dashboard built on incomplete or stale data',
+      'Overpromising timelines before discovery complete'
+    ],
+    assumptions: [
+      'Leadership supports 30-day discovery before major process changes',
+      'Sales data available in Salesforce or equivalent',
+      'Strat West team willing to participate in 1:1s and interviews',
+      'Current structure stable enough to run parallel discovery'
+    ],
+    keyDeliverables: [
+      'Deal flow and workflow documentation',
+      'Strat West engagement scorecard and expectations',
+      'Competitive matrix and lost-deal summary',
+      'SA Capacity Dashboard for Strat West (yellow/red thresholds)',
+      'Retention 1:1 summary and retention-focus map',
+      'Key activities of value summary; 3–5 repeatable patterns documented'
+    ]
+  },
+  {
+    days: 'Days 11-20',
+    title: 'Pilot Design & Build',
+    color: colors.purple,
+    goal: 'Design pilots and prescriptive assets, differentiation playbook, capacity rules, and retention programs—actionable by Day 30',
+    priorities: [
+      'Pilot: Select region or segment for 60-day pilot; document roles and handoffs (who owns solution, who owns customer relationship); create shared deal rooms and channels',
+      'Enablement: Build pitch kits for top 5 use cases—2-min pitch, proof points, discovery questions, demo script; create "Why Writer vs. DIY" one-pager',
+      'Differentiation: Develop Objection Handling Playbook—talk tracks for "just use ChatGPT," "we\'ll build ourselves," "Gemini free with Workspace"; create 3 vertical "Why Writer Wins" narratives; document TCO/time-to-value angles',
+      'Capacity: Audit SA-to-AE mappings vs. actual deal flow; identify mismatches; propose rebalancing by geography, vertical, deal velocity; draft Deal Assignment Rules and escalation path when capacity constrained',
+      'Retention: Define Lighthouse Deal program—2–3 strategic accounts/quarter with executive touchpoints; design SA Innovation Sprint (2-day net-new build, present to leadership); implement Executive Shadow',
+      'Replication: Turn key activities into templates or playbooks (discovery, demo, exit gates, handoffs); define replication cadence for Strat West (enablement, coaching, content); pilot with 1–2 SAs and iterate'
+    ],
+    risks: [
+      'Pilot design scope—opportunity to launch in 60 days',
+      'Pitch kits—opportunity to tailor for adoption',
+      'Objection playbook not grounded in real deal language',
+      'Rebalancing triggers political pushback'
+    ],
+    assumptions: [
+      'Pilot region or segment has buy-in',
+      'Content/Enablement can support pitch kits and playbook',
+      'AE alignment changes can be socialized with Sales leadership',
+      'Executive Shadow and Lighthouse criteria are agreed'
+    ],
+    keyDeliverables: [
+      'Pilot plan with roles and shared channels',
+      'Pitch kits (top 5 use cases) and Why Writer vs. DIY one-pager',
+      'Objection Handling Playbook and vertical narratives',
+      'Deal Assignment Rules and rebalancing proposal',
+      'Lighthouse Deal and Innovation Sprint program docs',
+      'Strat West SA playbook draft (key activities); replication process outline and pilot plan'
+    ]
+  },
+  {
+    days: 'Days 21-30',
+    title: 'Operationalize & Rhythm',
+    color: colors.warning,
+    goal: 'Launch pilots and accountability rhythms, enable SAs on differentiation and replication process, operationalize capacity and recognition—so Day 30 outcomes are measurable and repeatable',
+    priorities: [
+      'Pilot: Launch pilot with success metrics (deal velocity, customer satisfaction, SA utilization); run weekly retro; build business case for broader rollout from pilot data',
+      'Accountability: Launch monthly Strat West team business reviews with scorecard; require key account planning (named accounts, owner, next action, commit date); define escalation path when below minimums; build Salesforce dashboard for Strat West engagement visible to leadership',
+      'Differentiation: Run 90-minute Strat West SA enablement on Objection Handling Playbook; start "Win Story of the Week" in Slack; create Seismic/Highspot collection for competitive situations; establish quarterly competitive intel refresh',
+      'Capacity: Add weekly 15-min capacity check-in to Strat West team standup (dashboard review, flag imbalances); document flex-capacity protocol when SA hits red threshold (redistribution steps, AE communication); define strategic-deal criteria',
+      'Retention: Launch monthly Impact Spotlight (Strat West SA presents innovative solution to team + leadership); document path-to-Lead (deals closed, enablement contribution, peer feedback, lighthouse participation); schedule quarterly career development conversations (separate from performance reviews)',
+      'Replication: Roll out playbook and replication cadence for Strat West (enablement, coaching checkpoints, content); build feedback loop so wins and gaps continuously update the process; establish "key activities of value" as a standing team topic'
+    ],
+    risks: [
+      'Pilot metrics—opportunity to track and demonstrate value',
+      'Reviews—opportunity to build real accountability',
+      'Enablement one-and-done—no reinforcement',
+      'Capacity protocol not used when pressure hits'
+    ],
+    assumptions: [
+      'Pilot has clear success criteria and owner',
+      'Salesforce/Tableau can support engagement and capacity dashboards',
+      'Leadership attends Impact Spotlight or equivalent',
+      'Career development conversations are protected time'
+    ],
+    keyDeliverables: [
+      'Pilot launched with metrics and weekly retro cadence',
+      'Strat West team business review and account planning in motion; engagement dashboard live',
+      'Strat West SA differentiation enablement complete; competitive content in Seismic/Highspot',
+      'Weekly capacity check-in and flex-capacity protocol documented',
+      'Impact Spotlight and path-to-Lead doc live; career conversations scheduled',
+      'Playbook in use; replication cadence and feedback loop established for Strat West'
+    ]
+  }
+];
+
+const defaultPhases60_90 = [
+  {
+    days: 'Days 31–60',
+    title: 'Scale & Refine',
+    color: colors.success,
+    goal: 'Scale pilot, refine playbooks and capacity, deepen Strat West team accountability and retention.',
+    pillars: [
+      'Pilot retros and business case for broader rollout',
+      'Monthly Strat West business reviews and account planning standard',
+      'Capacity and retention rhythms embedded'
+    ],
+    keyActivities: [
+      'Run pilot weekly retros; document learnings and build rollout case',
+      'Monthly Strat West team reviews with scorecard; key account planning; escalation path live',
+      'Second round Objection Playbook enablement; Win Story of the Week and competitive content',
+      'Weekly capacity check-in and flex-capacity protocol; strategic-deal criteria set',
+      'Impact Spotlight monthly; path-to-Lead and career conversations in motion'
+    ]
+  },
+  {
+    days: 'Days 61–90',
+    title: 'Broaden & Embed',
+    color: colors.info,
+    goal: 'Broaden rollout, embed rhythms and playbooks, lock in Strat West talent and culture.',
+    pillars: [
+      'Pilot rollout (if validated); Strat West team model refined',
+      'Scorecard and reviews embedded; pipeline and accountability visible',
+      'Playbooks and retention programs part of Strat West team rhythm'
+    ],
+    keyActivities: [
+      'Broader rollout; shared channels and handoffs consistent; velocity and satisfaction tracked',
+      'Strat West engagement scorecard and expectations embedded; reviews and planning standard',
+      'Objection Playbook in every deal; Strat West SA confidence on Why Writer Wins',
+      'Capacity dashboard and flex protocol standard; rebalancing as needed',
+      'Impact Spotlight and path-to-Lead live; career conversations and retention tracked'
+    ]
+  }
+];
+
+const defaultTimelineTitle = '30-60-90 Timeline';
+
+const defaultFirst30PhaseSummary = {
+  days: 'Days 1-30',
+  title: 'Discovery, Design & Launch',
+  goal: 'Establish baseline for the SA Strat West team, design pilots, and operationalize rhythms so Day 30 outcomes are measurable and repeatable.',
+  pillars: [
+    'Baseline: Strat West team structure, key activities, capacity, retention',
+    'Pilots & prescriptive assets (differentiation, capacity, replication)',
+    'Rhythms: accountability and replication in motion'
+  ]
+};
+
+const defaultKeyOutcomesTitle = 'Key Actions';
+
+const defaultKeyOutcomes = [
+  'Audit deal flow & Strat West SA capacity; build Capacity Dashboard with yellow/red thresholds',
+  'Launch pilot with success metrics; document Strat West engagement and accountability',
+  'Deliver Objection Handling Playbook and differentiation enablement; Win Story of the Week',
+  'Launch Impact Spotlight and path-to-Lead; schedule career conversations',
+  'Document key activities of value and replication playbook for Strat West; establish enablement cadence'
+];
+
+const defaultGeneralSADescription = 'The first 30 days should establish a baseline for the SA Strat West team: identify which activities drive the most value (wins, velocity, customer outcomes) and create repeatable process so the team can scale what works instead of relying on hero effort.';
+
+const defaultGeneralSAIdentifying = [
+  'Shadow or interview top Strat West performers to pinpoint what they do that drives wins (discovery, demos, follow-up, handoffs)',
+  'Review win/loss and deal-velocity data to tie activities to outcomes',
+  'Document 3–5 repeatable patterns (e.g. discovery questions that unlock expansion, demo flows that convert)',
+  'Capture "how the best SAs work" in a draft that can become the Strat West playbook'
+];
+
+const defaultGeneralSAReplication = [
+  'Turn key activities into templates or playbooks (discovery, demo, exit gates, handoffs)',
+  'Define a replication cadence for Strat West: enablement sessions, coaching checkpoints, content in Seismic/Highspot',
+  'Pilot with 1–2 Strat West SAs and iterate before rolling out to the full team',
+  'Build feedback loop so wins and gaps continuously update the process'
+];
+
+// First 30 Days Section (10 / 20 / 30 day focus)
+const First30DaysSection = () => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const [routePhase, setActivePhase] = useRouteParam('phase', 0, ROUTE_INDEX_PARAM);
+  const activePhase = Math.min(routePhase, 2); // three segments: days 1-30, 31-60, 61-90
+  const { isPrinting } = useContext(PrintContext);
+  const showPhase = (index) => isPrinting || activePhase === index;
+  const [timelineTitle, setTimelineTitle] = useLocalStorage('leadershipPlaybook_timelineTitle', defaultTimelineTitle);
+
+  const [first30PhaseSummary, setFirst30PhaseSummary] = useLocalStorage('leadershipPlaybook_first30PhaseSummary', defaultFirst30PhaseSummary);
+
+
+  const [phases, setPhases] = useLocalStorage('leadershipPlaybook_phases', defaultPhases30);
+
+  const [keyOutcomesTitle, setKeyOutcomesTitle] = useLocalStorage('leadershipPlaybook_keyOutcomesTitle', defaultKeyOutcomesTitle);
+  const [keyOutcomes, setKeyOutcomes] = useLocalStorage('leadershipPlaybook_keyOutcomes', defaultKeyOutcomes);
+
+  const [generalSADescription, setGeneralSADescription] = useLocalStorage('leadershipPlaybook_generalSADescription', defaultGeneralSADescription);
+  const [generalSAIdentifying, setGeneralSAIdentifying] = useLocalStorage('leadershipPlaybook_generalSAIdentifying', defaultGeneralSAIdentifying);
+  const [generalSAReplication, setGeneralSAReplication] = useLocalStorage('leadershipPlaybook_generalSAReplication', defaultGeneralSAReplication);
+
+
+  const [phases60_90, setPhases60_90] = useLocalStorage('leadershipPlaybook_phases60_90', defaultPhases60_90);
+
+  const updatePhaseByIndex = (phaseIndex, field, value) => {
+    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [field]: value } : p));
+  };
+  const updatePhaseListItemByIndex = (phaseIndex, listKey, itemIndex, value) => {
+    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [listKey]: p[listKey].map((item, idx) => idx === itemIndex ? value : item) } : p));
+  };
+  const deletePhaseListItemByIndex = (phaseIndex, listKey, itemIndex) => {
+    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [listKey]: p[listKey].filter((_, idx) => idx !== itemIndex) } : p));
+  };
+  const addPhaseListItemByIndex = (phaseIndex, listKey) => {
+    setPhases(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [listKey]: [...(p[listKey] || []), 'New item - click to edit'] } : p));
+  };
+
+  const updatePhase60_90Field = (phaseIndex, field, value) => {
+    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, [field]: value } : p));
+  };
+  const updatePhase60_90Activity = (phaseIndex, itemIndex, value) => {
+    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, keyActivities: p.keyActivities.map((item, idx) => idx === itemIndex ? value : item) } : p));
+  };
+  const deletePhase60_90Activity = (phaseIndex, itemIndex) => {
+    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, keyActivities: p.keyActivities.filter((_, idx) => idx !== itemIndex) } : p));
+  };
+  const addPhase60_90Activity = (phaseIndex) => {
+    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, keyActivities: [...p.keyActivities, 'New item - click to edit'] } : p));
+  };
+  const updatePhase60_90Pillar = (phaseIndex, pillarIndex, value) => {
+    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, pillars: (p.pillars || []).map((pp, j) => j === pillarIndex ? value : pp) } : p));
+  };
+  const addPhase60_90Pillar = (phaseIndex) => {
+    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, pillars: [...(p.pillars || []), 'New pillar - click to edit'] } : p));
+  };
+  const deletePhase60_90Pillar = (phaseIndex, pillarIndex) => {
+    setPhases60_90(prev => prev.map((p, i) => i === phaseIndex ? { ...p, pillars: (p.pillars || []).filter((_, j) => j !== pillarIndex) } : p));
+  };
+
+  // 30-60-90 timeline phases (for timeline + cards in detail view)
+  const phase60_90Colors = phases60_90.map((phase) => themedColor(phase.color, colors));
+  const timelinePhases306090 = [
+    { ...first30PhaseSummary, color: colors.accent },
+    { ...phases60_90[0], color: phase60_90Colors[0] },
+    { ...phases60_90[1], color: phase60_90Colors[1] }
+  ];
+
+  const updateFirst30PhaseSummary = (field, value) => setFirst30PhaseSummary(prev => ({ ...prev, [field]: value }));
+  const updateFirst30Pillar = (i, v) => setFirst30PhaseSummary(prev => ({ ...prev, pillars: (prev.pillars || []).map((p, j) => j === i ? v : p) }));
+  const addFirst30Pillar = () => setFirst30PhaseSummary(prev => ({ ...prev, pillars: [...(prev.pillars || []), 'New pillar - click to edit'] }));
+  const deleteFirst30Pillar = (i) => setFirst30PhaseSummary(prev => ({ ...prev, pillars: (prev.pillars || []).filter((_, j) => j !== i) }));
+
+  // Update functions for phase data (kept for any legacy use; primary editing now via updatePhaseByIndex etc.)
+  const updatePhaseField = (field, value) => {
+    setPhases(prev => prev.map((phase, i) => 
+      i === activePhase ? { ...phase, [field]: value } : phase
+    ));
+  };
+
+  const updatePhaseListItem = (listKey, index, value) => {
+    setPhases(prev => prev.map((phase, i) => 
+      i === activePhase ? {
+        ...phase,
+        [listKey]: phase[listKey].map((item, idx) => idx === index ? value : item)
+      } : phase
+    ));
+  };
+
+  const deletePhaseListItem = (listKey, index) => {
+    setPhases(prev => prev.map((phase, i) => 
+      i === activePhase ? {
+        ...phase,
+        [listKey]: phase[listKey].filter((_, idx) => idx !== index)
+      } : phase
+    ));
+  };
+
+  const addPhaseListItem = (listKey) => {
+    setPhases(prev => prev.map((phase, i) => 
+      i === activePhase ? {
+        ...phase,
+        [listKey]: [...phase[listKey], 'New item - click to edit']
+      } : phase
+    ));
+  };
+
+  return (
+    <div>
+      {/* 30-60-90 Timeline */}
+      <Card style={{ marginBottom: '24px', padding: '24px', backgroundColor: colors.card, borderLeft: `4px solid ${colors.accent}` }}>
+        <div style={{ marginBottom: '24px', textAlign: 'center' }}>
+          <EditableText
+            value={timelineTitle}
+            onChange={(v) => setTimelineTitle(v)}
+            style={{ fontSize: '18px', fontWeight: '600', color: colors.text }}
+          />
+        </div>
+        <InteractiveTimeline
+          phases={timelinePhases306090}
+          activePhase={activePhase}
+          setActivePhase={setActivePhase}
+          maxDays={90}
+          title={timelineTitle}
+        />
+      </Card>
+
+      {/* Detail card for selected segment: Pillars + Key Actions only */}
+      {showPhase(0) && (
+        <Card style={{ marginBottom: '24px', padding: '24px', borderLeft: `4px solid ${colors.accent}` }}>
+          <div style={{ marginBottom: '16px' }}>
+            <div style={{ fontSize: '12px', fontWeight: '700', color: colors.accent, letterSpacing: '0.04em', marginBottom: '4px' }}>{first30PhaseSummary.days}</div>
+            <EditableText value={first30PhaseSummary.title} onChange={(v) => updateFirst30PhaseSummary('title', v)} style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0 }} />
+            <EditableText value={first30PhaseSummary.goal} onChange={(v) => updateFirst30PhaseSummary('goal', v)} style={{ fontSize: '13px', color: colors.textSecondary, marginTop: '8px', display: 'block' }} />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key pillars</div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {(first30PhaseSummary.pillars || []).map((p, i) => (
+                  <EditableListItem key={i} value={p} onChange={(v) => updateFirst30Pillar(i, v)} onDelete={() => deleteFirst30Pillar(i)} color={colors.accent} />
+                ))}
+                <AddItemButton onClick={addFirst30Pillar} label="Add pillar" />
+              </div>
+            </div>
+            <div>
+              <EditableText value={keyOutcomesTitle} onChange={(v) => setKeyOutcomesTitle(v)} style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px', display: 'block' }} />
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {keyOutcomes.map((item, i) => (
+                  <EditableListItem key={i} value={item} onChange={(v) => { const n = [...keyOutcomes]; n[i] = v; setKeyOutcomes(n); }} onDelete={() => setKeyOutcomes(keyOutcomes.filter((_, idx) => idx !== i))} color={colors.accent} />
+                ))}
+                <AddItemButton onClick={() => setKeyOutcomes([...keyOutcomes, 'New action - click to edit'])} label="Add action" />
+              </div>
+            </div>
+          </div>
+          <SpeakerNotes value={first30PhaseSummary.notes} onChange={(v) => updateFirst30PhaseSummary('notes', v)} />
+        </Card>
+      )}
+
+      {showPhase(1) && phases60_90[0] && (
+        <Card style={{ marginBottom: '24px', padding: '24px', borderLeft: `4px solid ${phase60_90Colors[0]}` }}>
+          <div style={{ marginBottom: '16px' }}>
+            <div style={{ fontSize: '12px', fontWeight: '700', color: phase60_90Colors[0], letterSpacing: '0.04em', marginBottom: '4px' }}>{phases60_90[0].days}</div>
+            <EditableText value={phases60_90[0].title} onChange={(v) => updatePhase60_90Field(0, 'title', v)} style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0 }} />
+            <EditableText value={phases60_90[0].goal} onChange={(v) => updatePhase60_90Field(0, 'goal', v)} style={{ fontSize: '13px', color: colors.textSecondary, marginTop: '8px', display: 'block' }} />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key pillars</div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {(phases60_90[0].pillars || []).map((p, i) => (
+                  <EditableListItem key={i} value={p} onChange={(v) => updatePhase60_90Pillar(0, i, v)} onDelete={() => deletePhase60_90Pillar(0, i)} color={phase60_90Colors[0]} />
+                ))}
+                <AddItemButton onClick={() => addPhase60_90Pillar(0)} label="Add pillar" />
+              </div>
+            </div>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key actions</div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {(phases60_90[0].keyActivities || []).map((item, i) => (
+                  <EditableListItem key={i} value={item} onChange={(v) => updatePhase60_90Activity(0, i, v)} onDelete={() => deletePhase60_90Activity(0, i)} color={phase60_90Colors[0]} />
+                ))}
+                <AddItemButton onClick={() => addPhase60_90Activity(0)} label="Add action" />
+              </div>
+            </div>
+          </div>
+          <SpeakerNotes value={phases60_90[0].notes} onChange={(v) => updatePhase60_90Field(0, 'notes', v)} />
+        </Card>
+      )}
+
+      {showPhase(2) && phases60_90[1] && (
+        <Card style={{ marginBottom: '24px', padding: '24px', borderLeft: `4px solid ${phase60_90Colors[1]}` }}>
+          <div style={{ marginBottom: '16px' }}>
+            <div style={{ fontSize: '12px', fontWeight: '700', color: phase60_90Colors[1], letterSpacing: '0.04em', marginBottom: '4px' }}>{phases60_90[1].days}</div>
+            <EditableText value={phases60_90[1].title} onChange={(v) => updatePhase60_90Field(1, 'title', v)} style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0 }} />
+            <EditableText value={phases60_90[1].goal} onChange={(v) => updatePhase60_90Field(1, 'goal', v)} style={{ fontSize: '13px', color: colors.textSecondary, marginTop: '8px', display: 'block' }} />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key pillars</div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {(phases60_90[1].pillars || []).map((p, i) => (
+                  <EditableListItem key={i} value={p} onChange={(v) => updatePhase60_90Pillar(1, i, v)} onDelete={() => deletePhase60_90Pillar(1, i)} color={phase60_90Colors[1]} />
+                ))}
+                <AddItemButton onClick={() => addPhase60_90Pillar(1)} label="Add pillar" />
+              </div>
+            </div>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: '600', color: colors.textMuted, marginBottom: '10px' }}>Key actions</div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {(phases60_90[1].keyActivities || []).map((item, i) => (
+                  <EditableListItem key={i} value={item} onChange={(v) => updatePhase60_90Activity(1, i, v)} onDelete={() => deletePhase60_90Activity(1, i)} color={phase60_90Colors[1]} />
+                ))}
+                <AddItemButton onClick={() => addPhase60_90Activity(1)} label="Add action" />
+              </div>
+            </div>
+          </div>
+          <SpeakerNotes value={phases60_90[1].notes} onChange={(v) => updatePhase60_90Field(1, 'notes', v)} />
+        </Card>
+      )}
+
+      {/* SA Strat West Team: Key Activities of Value & Replication */}
+      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.info}` }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+          <div style={{
+            width: '20px',
+            height: '20px',
+            borderRadius: '4px',
+            backgroundColor: colors.info + '20',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '12px'
+          }}>
+            🔄
+          </div>
+          <h5 style={{ fontSize: '16px', fontWeight: '600', color: colors.text, margin: 0 }}>SA Strat West Team: Key Activities of Value & Replication</h5>
+        </div>
+        <p style={{ fontSize: '14px', color: colors.textSecondary, lineHeight: 1.6, marginBottom: '20px' }}>
+          <EditableText
+            value={generalSADescription}
+            onChange={setGeneralSADescription}
+            style={{ fontSize: '14px', color: colors.textSecondary }}
+            multiline
+          />
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+          <div>
+            <h6 style={{ fontSize: '13px', fontWeight: '600', color: colors.info, marginBottom: '10px' }}>Identifying key activities of value (Strat West)</h6>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {generalSAIdentifying.map((item, i) => (
+                <EditableListItem
+                  key={i}
+                  value={item}
+                  onChange={(v) => setGeneralSAIdentifying(prev => prev.map((x, idx) => idx === i ? v : x))}
+                  onDelete={() => setGeneralSAIdentifying(prev => prev.filter((_, idx) => idx !== i))}
+                  color={colors.info}
+                />
+              ))}
+            </div>
+            <AddItemButton
+              onClick={() => setGeneralSAIdentifying(prev => [...prev, 'New item - click to edit'])}
+              label="Add item"
+            />
+          </div>
+          <div>
+            <h6 style={{ fontSize: '13px', fontWeight: '600', color: colors.info, marginBottom: '10px' }}>Creating process to replicate (Strat West)</h6>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {generalSAReplication.map((item, i) => (
+                <EditableListItem
+                  key={i}
+                  value={item}
+                  onChange={(v) => setGeneralSAReplication(prev => prev.map((x, idx) => idx === i ? v : x))}
+                  onDelete={() => setGeneralSAReplication(prev => prev.filter((_, idx) => idx !== i))}
+                  color={colors.info}
+                />
+              ))}
+            </div>
+            <AddItemButton
+              onClick={() => setGeneralSAReplication(prev => [...prev, 'New item - click to edit'])}
+              label="Add item"
+            />
+          </div>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+// Slack reaction names shown on anecdote cards; unknown names fall back to 👍
+const ANECDOTE_REACTIONS = {
+  'clap': '👏',
+  'heart': '❤️',
+  'fire': '🔥',
+  'think': '🤔',
+  'beer': '🍺',
+  'mindblown': '🤯',
+  'pray': '🙏',
+  'w': 'W'
+};
+
+const anecdoteFieldStyle = (colors) => ({
+  fontSize: '12px',
+  fontFamily: 'inherit',
+  color: colors.text,
+  padding: '2px 6px',
+  border: `1px solid ${colors.border}`,
+  borderRadius: '6px',
+  backgroundColor: colors.card
+});
+
+// Edit-mode reaction counts for one anecdote: change a count, remove a reaction or add an unused one
+const AnecdoteReactionsEditor = ({ reactions, onChange }) => {
+  const colors = useColors();
+  const unused = Object.keys(ANECDOTE_REACTIONS).filter((name) => !(name in reactions));
+  const setCount = (name, value) => onChange({ ...reactions, [name]: Math.max(0, parseInt(value, 10) || 0) });
+  const removeReaction = (name) => {
+    const next = { ...reactions };
+    delete next[name];
+    onChange(next);
+  };
+
+  return (
+    <>
+      {Object.entries(reactions).map(([name, count]) => (
+        <div key={name} style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '4px 8px', backgroundColor: colors.surface, borderRadius: '12px', fontSize: '12px' }}>
+          <span>{ANECDOTE_REACTIONS[name] || '👍'}</span>
+          <input
+            type="number"
+            min="0"
+            value={count}
+            onChange={(e) => setCount(name, e.target.value)}
+            style={{ ...anecdoteFieldStyle(colors), width: '52px' }}
+            aria-label={`${name} reactions`}
+          />
+          <button
+            aria-label="Remove reaction"
+            onClick={() => removeReaction(name)}
+            style={{ background: 'none', border: 'none', color: colors.danger, cursor: 'pointer', padding: '0 2px', fontSize: '14px', opacity: 0.6 }}
+            title="Remove reaction"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      {unused.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && setCount(e.target.value, 1)}
+          style={anecdoteFieldStyle(colors)}
+          aria-label="Add reaction"
+        >
+          <option value="">+ Reaction</option>
+          {unused.map((name) => (
+            <option key={name} value={name}>{ANECDOTE_REACTIONS[name]} {name}</option>
+          ))}
+        </select>
+      )}
+    </>
+  );
+};
+
+// Masonry Items Component - Using D3 for proper masonry layout
+const MasonryItems = ({ items, columnCount, gap, expandedCards, toggleCard, getCategoryColor, formatDate, isLongContent, updateAnecdote, deleteAnecdote }) => {
+  const colors = useColors();
+  const { isPrinting } = useContext(PrintContext);
+  const { isEditMode } = useContext(EditModeContext);
+  const containerRef = useRef(null);
+  const [positions, setPositions] = useState([]);
+  const [containerWidth, setContainerWidth] = useState(1000);
+  const itemRefs = useRef({});
+  
+  // Create variety in card sizes
+  const sizeVariation = [240, 280, 300, 320, 260, 290, 310, 270];
+  
+  useEffect(() => {
+    const updateWidth = () => {
+      if (containerRef.current) {
+        setContainerWidth(containerRef.current.offsetWidth);
+      }
+    };
+    updateWidth();
+    window.addEventListener('resize', updateWidth);
+    return () => window.removeEventListener('resize', updateWidth);
+  }, []);
+
+  useEffect(() => {
+    // Print uses CSS columns instead of absolute positions, so cards flow across pages
+    if (isPrinting) {
+      if (containerRef.current) containerRef.current.style.height = 'auto';
+      return;
+    }
+
+    const calculateLayout = () => {
+      if (!containerRef.current) return;
+      
+      const container = containerRef.current;
+      const containerWidth = container.offsetWidth;
+      if (containerWidth === 0) return;
+      
+      const columnWidth = (containerWidth - (gap * (columnCount - 1))) / columnCount;
+      const columnHeights = new Array(columnCount).fill(0);
+      const newPositions = [];
+      
+      items.forEach((item, index) => {
+        const itemRef = itemRefs.current[item.id];
+        let itemHeight;
+        
+        if (itemRef) {
+          itemHeight = itemRef.offsetHeight || itemRef.getBoundingClientRect().height;
+        }
+        
+        // If ref not ready or height is 0, use estimated height
+        if (!itemHeight || itemHeight === 0) {
+          const isExpanded = expandedCards.has(item.id);
+          const baseHeight = sizeVariation[index % sizeVariation.length];
+          itemHeight = isExpanded ? Math.max(350, item.content.length * 0.7) : baseHeight;
+        }
+        
+        const shortestColumn = columnHeights.indexOf(Math.min(...columnHeights));
+        
+        newPositions.push({
+          left: shortestColumn * (columnWidth + gap),
+          top: columnHeights[shortestColumn],
+          width: columnWidth
+        });
+        
+        columnHeights[shortestColumn] += itemHeight + gap;
+      });
+      
+      setPositions(newPositions);
+      if (containerRef.current) {
+        containerRef.current.style.height = `${Math.max(...columnHeights, 400)}px`;
+      }
+    };
+    
+    // Calculate immediately with estimated heights
+    calculateLayout();
+    
+    // Recalculate after delays to get actual heights
+    const timeoutId = setTimeout(calculateLayout, 100);
+    const timeoutId2 = setTimeout(calculateLayout, 300);
+    const timeoutId3 = setTimeout(calculateLayout, 500);
+    
+    window.addEventListener('resize', calculateLayout);
+
+    // Cards grow while their text is being edited; re-pack so they don't overlap
+    const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(calculateLayout);
+    if (resizeObserver) {
+      items.forEach((item) => itemRefs.current[item.id] && resizeObserver.observe(itemRefs.current[item.id]));
+    }
+    
+    return () => {
+      clearTimeout(timeoutId);
+      clearTimeout(timeoutId2);
+      clearTimeout(timeoutId3);
+      window.removeEventListener('resize', calculateLayout);
+      if (resizeObserver) resizeObserver.disconnect();
+    };
+  }, [items, columnCount, gap, expandedCards, containerWidth, isPrinting, isEditMode]);
+
+  return (
+    <div
+      ref={containerRef}
+      style={isPrinting ? {
+        columnCount: 2,
+        columnGap: `${gap}px`
+      } : {
+        position: 'relative',
+        width: '100%',
+        minHeight: '400px'
+      }}
+    >
+      {items.map((anecdote, index) => {
+        const categoryColor = getCategoryColor(anecdote.category);
+        const isExpanded = isPrinting || isEditMode || expandedCards.has(anecdote.id);
+        const isLong = isLongContent(anecdote.content);
+        const position = positions[index];
+        const baseCollapsedHeight = sizeVariation[index % sizeVariation.length];
+        
+        // Fallback position if not calculated yet - use simple grid for initial render
+        const columnWidth = (containerWidth - (gap * (columnCount - 1))) / columnCount;
+        const fallbackPosition = {
+          left: (index % columnCount) * (columnWidth + gap),
+          top: Math.floor(index / columnCount) * 300,
+          width: columnWidth
+        };
+        
+        const currentPosition = position || fallbackPosition;
+        
+        return (
+          <div
+            key={anecdote.id}
+            ref={el => { 
+              if (el) itemRefs.current[anecdote.id] = el;
+            }}
+            style={{
+              ...(isPrinting ? {
+                breakInside: 'avoid',
+                marginBottom: `${gap}px`
+              } : {
+                position: 'absolute',
+                left: `${currentPosition.left}px`,
+                top: `${currentPosition.top}px`,
+                width: `${currentPosition.width}px`,
+                animation: `fadeIn 0.5s ease-out ${index * 0.05}s both`
+              }),
+              backgroundColor: colors.card,
+              borderRadius: '16px',
+              border: `1px solid ${colors.border}`,
+              overflow: 'hidden',
+              display: 'flex',
+              flexDirection: 'column',
+              transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
+              cursor: 'pointer',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+              minHeight: isExpanded ? 'auto' : `${baseCollapsedHeight}px`
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.transform = 'translateY(-6px) scale(1.01)';
+              e.currentTarget.style.boxShadow = '0 12px 32px rgba(0,0,0,0.15)';
+              e.currentTarget.style.zIndex = '10';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.transform = 'translateY(0) scale(1)';
+              e.currentTarget.style.boxShadow = '0 2px 8px rgba(0,0,0,0.08)';
+              e.currentTarget.style.zIndex = '1';
+            }}
+          >
+            {/* Header with category color bar */}
+            <div style={{
+              height: '4px',
+              backgroundColor: categoryColor,
+              width: '100%'
+            }} />
+            
+            {/* Card Content */}
+            <div style={{ padding: '20px', flex: 1, display: 'flex', flexDirection: 'column' }}>
+              {/* Sender and Date */}
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
+                <div style={{
+                  width: '36px',
+                  height: '36px',
+                  borderRadius: '50%',
+                  backgroundColor: categoryColor + '20',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontSize: '16px',
+                  fontWeight: '600',
+                  color: categoryColor,
+                  flexShrink: 0
+                }}>
+                  {anecdote.sender.charAt(0)}
+                </div>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ 
+                    fontSize: '14px', 
+                    fontWeight: '600', 
+                    color: colors.text,
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis'
+                  }}>
+                    <EditableText value={anecdote.sender} onChange={(v) => updateAnecdote(anecdote.id, 'sender', v)} />
+                  </div>
+                  <div style={{ fontSize: '11px', color: colors.textMuted }}>
+                    {isEditMode ? (
+                      <input
+                        type="date"
+                        value={anecdote.date}
+                        onChange={(e) => e.target.value && updateAnecdote(anecdote.id, 'date', e.target.value)}
+                        style={anecdoteFieldStyle(colors)}
+                      />
+                    ) : formatDate(anecdote.date)}
+                  </div>
+                </div>
+                {isEditMode && (
+                  <button
+                    aria-label="Delete anecdote"
+                    onClick={() => deleteAnecdote(anecdote.id)}
+                    style={{
+                      background: 'none',
+                      border: 'none',
+                      color: colors.danger,
+                      cursor: 'pointer',
+                      padding: '0 4px',
+                      fontSize: '16px',
+                      opacity: 0.6,
+                      alignSelf: 'flex-start'
+                    }}
+                    title="Delete anecdote"
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
+
+              {/* Highlight Badge */}
+              <div style={{
+                display: 'inline-block',
+                padding: '6px 12px',
+                borderRadius: '20px',
+                backgroundColor: categoryColor + '12',
+                color: categoryColor,
+                fontSize: '11px',
+                fontWeight: '600',
+                marginBottom: isEditMode ? '8px' : '14px',
+                width: 'fit-content'
+              }}>
+                <EditableText value={anecdote.highlight} onChange={(v) => updateAnecdote(anecdote.id, 'highlight', v)} />
+              </div>
+              {isEditMode && (
+                <select
+                  value={anecdote.category}
+                  onChange={(e) => updateAnecdote(anecdote.id, 'category', e.target.value)}
+                  style={{ ...anecdoteFieldStyle(colors), marginBottom: '14px', width: 'fit-content' }}
+                  aria-label="Category"
+                >
+                  {ANECDOTE_CATEGORIES.filter(cat => cat.id !== 'all').map(cat => (
+                    <option key={cat.id} value={cat.id}>{cat.icon} {cat.label}</option>
+                  ))}
+                </select>
+              )}
+
+              {/* Content - truncated when collapsed, full when expanded */}
+              <div style={{ 
+                fontSize: '13px', 
+                color: colors.textSecondary, 
+                lineHeight: '1.6',
+                marginBottom: isLong && !isExpanded ? '12px' : '16px',
+                flex: 1,
+                ...(isLong && !isExpanded ? {
+                  display: '-webkit-box',
+                  WebkitLineClamp: Math.floor((baseCollapsedHeight - 180) / 22),
+                  WebkitBoxOrient: 'vertical',
+                  overflow: 'hidden',
+                  textOverflow: 'ellipsis'
+                } : {})
+              }}>
+                <EditableText value={anecdote.content} onChange={(v) => updateAnecdote(anecdote.id, 'content', v)} multiline />
+              </div>
+
+              {/* Expand/Collapse Button for long content */}
+              {isLong && !isPrinting && !isEditMode && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleCard(anecdote.id);
+                  }}
+                  style={{
+                    alignSelf: 'flex-start',
+                    padding: '6px 12px',
+                    marginBottom: '12px',
+                    backgroundColor: 'transparent',
+                    border: `1px solid ${categoryColor}`,
+                    borderRadius: '20px',
+                    color: categoryColor,
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    transition: 'all 0.2s',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '4px'
+                  }}
+                  onMouseEnter={(e) => {
+                    e.currentTarget.style.backgroundColor = categoryColor + '15';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.currentTarget.style.backgroundColor = 'transparent';
+                  }}
+                >
+                  {isExpanded ? (
+                    <>
+                      <span>Show less</span>
+                      <span>▲</span>
+                    </>
+                  ) : (
+                    <>
+                      <span>Read more</span>
+                      <span>▼</span>
+                    </>
+                  )}
+                </button>
+              )}
+
+              {/* Reactions Footer */}
+              <div style={{ 
+                display: 'flex', 
+                gap: '8px', 
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                paddingTop: '12px',
+                borderTop: `1px solid ${colors.borderLight}`,
+                marginTop: 'auto'
+              }}>
+                {isEditMode ? (
+                  <AnecdoteReactionsEditor
+                    reactions={anecdote.reactions}
+                    onChange={(reactions) => updateAnecdote(anecdote.id, 'reactions', reactions)}
+                  />
+                ) : Object.entries(anecdote.reactions).slice(0, 4).map(([emoji, count]) => {
+                  return (
+                    <div key={emoji} style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '4px',
+                      padding: '4px 8px',
+                      backgroundColor: colors.surface,
+                      borderRadius: '12px',
+                      fontSize: '12px'
+                    }}>
+                      <span>{ANECDOTE_REACTIONS[emoji] || '👍'}</span>
+                      <span style={{ color: colors.textMuted, fontWeight: '500' }}>{count}</span>
+                    </div>
+                  );
+                })}
+                {!isEditMode && Object.keys(anecdote.reactions).length > 4 && (
+                  <span style={{ 
+                    fontSize: '12px', 
+                    color: colors.textMuted,
+                    marginLeft: '4px'
+                  }}>
+                    +{Object.keys(anecdote.reactions).length - 4}
+                  </span>
+                )}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const defaultCollaborationSummary = 'Field feedback points to opportunities for consistent SA/AE pairings, role clarity (demo execution vs. strategic partnership), and pod structures with clearer guidelines on when to engage SAs.';
+
+const defaultSalesProcessSummary = 'Feedback highlights opportunities in use case alignment, POC process focus areas, pre-sales/post-sales connection, and standardized handoffs—information exists but isn\'t accessible or followed.';
+
+const defaultAgentPositioningSummary = 'Internal messaging positions Writer Agent as replacement rather than additional tool; opportunity to highlight interconnectivity and improve demo loading/performance and differentiation story.';
+
+const defaultCollaborationGaps = [
+  {
+    category: 'Opportunity: Structured Partnerships',
+    description: 'The West team operates mostly on round-robin assignment rather than consistent SA/AE pairings. Success cases involve sustained multi-deal relationships, and we can systematize this.',
+    source: 'Field Observations',
+    issues: [
+      'West Coast opportunity for pod structures pairing SAs with specific AEs',
+      'Historical theme: "pre-sales built custom agents that post-sales team rebuilt from scratch"',
+      'Opportunity to reduce duplicate work cycles for customers'
+    ],
+    recommendations: [
+      'Implement pod structures with consistent SA/AE pairings',
+      'Systematize multi-deal relationships that have proven successful'
+    ]
+  },
+  {
+    category: 'Role Clarity and Perception',
+    description: 'SAs need "more strategic partnership vs. demo execution." There\'s an opportunity to close the gap between technical demo work and holistic ROI storytelling.',
+    source: 'Natalie/Thomas, Maureen (SVP Partnerships)',
+    issues: [
+      'Opportunity for SAs to move from reactive to "proactive partnership vs \'demo monkey\' approach"',
+      'Opportunity for pod structure—consistent AE/SA pairings support relationship building',
+      'Product so easy AEs can demo themselves, creating confusion about when to engage SAs',
+      'Gap between technical demo work and holistic ROI storytelling'
+    ],
+    recommendations: [
+      'Develop strategic partnership capabilities beyond demo execution',
+      'Create clear guidelines on when AEs should engage SAs',
+      'Build ROI storytelling skills alongside technical capabilities'
+    ]
+  },
+  {
+    category: 'Partnership Quality Opportunities',
+    description: 'Best SA partnerships bring "knowledge, thought leadership, credibility building." Opportunities include coaching for new hires and more proactive SA engagement.',
+    source: 'Haley (Strat AE)',
+    issues: [
+      'New hires "thrown into role as tech support" without coaching—opportunity to add structured onboarding',
+      'SAs not "proactive in deal communication/strategy"—opportunity to grow',
+      'Bandwidth considerations for strategic partnership',
+      'Opportunity for "strategic ownership vs. transactional support"',
+      'Opportunity for "continuous account engagement beyond scheduled meetings"'
+    ],
+    recommendations: [
+      'Better onboarding for new SA hires with business acumen alongside technical skills',
+      'Develop proactive communication and strategic thinking',
+      'Create capacity for strategic partnership vs. transactional support'
+    ]
+  },
+  {
+    category: 'Working Style Variations',
+    description: 'Individual working styles vary significantly—"some SAs are technical builders, others more business-forward"—requiring different development paths.',
+    source: 'Garrett (RVP Central)',
+    issues: [
+      '"Reactive SA involvement vs strategic inclusion from opportunity start"',
+      '"You do X, I do Y" mentality vs collaborative account approach',
+      'Different SAs need different development paths based on their strengths'
+    ],
+    recommendations: [
+      'Recognize and develop different SA profiles (technical builders vs. business-forward)',
+      'Foster collaborative account approach vs. siloed responsibilities',
+      'Include SAs strategically from opportunity start, not reactively'
+    ]
+  }
+];
+
+const defaultSalesProcessIssues = [
+  {
+    category: 'Use Case Selection Alignment',
+    description: 'AEs "accept any use case for leverage, not necessarily Writer\'s best fit." Opportunity to improve validation success and compelling value story.',
+    source: 'Laura (VP of SA)',
+    issues: [
+      'Horizontal platform messaging—opportunity to clarify differentiation from ChatGPT/Copilot',
+      'Use case qualification—opportunity to improve validation success rate',
+      'Opportunity to strengthen compelling value story'
+    ],
+    recommendations: [
+      'Develop clearer use case qualification criteria',
+      'Improve differentiation messaging vs. ChatGPT/Copilot',
+      'Focus on Writer\'s best-fit use cases'
+    ]
+  },
+  {
+    category: 'POC Process Opportunities',
+    description: 'Technical team "spends significant time on complex POCs." Content supply chain demos are "impressive." Opportunity to improve scalability and implementability.',
+    source: 'Laura (VP of SA), Thomas (RVP West)',
+    issues: [
+      'Opportunity to align POC scope with production use',
+      'Content supply chain demos impressive—opportunity to scale and implement',
+      'Evaluations: Bangkok Bank (1+ year), Microsoft Copilot Studio—opportunity to clarify urgency',
+      'Opportunity for executive sponsor alignment',
+      'Opportunity for clear success criteria definition',
+      'Opportunity for post-POC path agreement before starting'
+    ],
+    recommendations: [
+      'Require executive sponsor alignment, clear success criteria, and post-POC path agreement before starting evaluations',
+      'Create more prescriptive, compartmentalized POC approaches',
+      'Focus on scalable, implementable solutions vs. impressive but impractical demos'
+    ]
+  },
+  {
+    category: 'Pre-sales/Post-sales Disconnect',
+    description: 'CSM team "transitioning from support to driving adoption/implementation" but "professional services underutilized." Recent deals lacking clear post-signature plan.',
+    source: 'Thomas (RVP West)',
+    issues: [
+      'Recent Intel deal—opportunity for clear post-signature plan',
+      'Previous deals like Geisinger and Clorox were "wheelhouse use cases"—opportunity for guardrails on what scales in post-sales vs. custom builds',
+      'Professional services—opportunity to increase utilization',
+      'CSM team transitioning—opportunity to align with pre-sales'
+    ],
+    recommendations: [
+      'Establish guardrails for what scales in post-sales vs. custom builds',
+      'Create clear post-signature plans for all deals',
+      'Better alignment between pre-sales and post-sales teams',
+      'Utilize professional services more effectively'
+    ]
+  },
+  {
+    category: 'No Standardized Processes',
+    description: '"No standardized handoff processes between AEs and SAs. Information exists but not accessible/followed by reps."',
+    source: 'Garrett (RVP Central)',
+    issues: [
+      'Exit gates and tactics documented—opportunity to make them referenced and accessible',
+      'Opportunity to build muscle memory for successful deal closure process',
+      'Product-market fit volatility affects go-to-market and product roadmap',
+      'Information exists—opportunity to make it accessible and followed by reps'
+    ],
+    recommendations: [
+      'Create standardized handoff processes between AEs and SAs',
+      'Make exit gates and tactics easily accessible and referenced',
+      'Build muscle memory for successful deal closure process',
+      'Develop systematic content sharing (weekly demo highlights by industry/vertical)'
+    ]
+  }
+];
+
+const defaultAgentPositioning = [
+  {
+    category: 'Internal Messaging Focus Areas',
+    description: 'Opportunity to position Writer Agent as additional tool vs. replacement.',
+    source: 'Haley (Strat AE)',
+    issues: [
+      'Opportunity to position as additional tool, not replacement',
+      'Opportunity to highlight "interconnectivity between Writer tools"',
+      'Opportunity to improve loading/performance during demos',
+      'Opportunity for clear differentiation story vs. competitors'
+    ],
+    recommendations: [
+      'Reposition Writer Agent as additional tool, not replacement',
+      'Highlight interconnectivity between Writer tools',
+      'Improve loading/performance during demos',
+      'Develop clear differentiation story vs. competitors'
+    ]
+  }
+];
+
+// From the Field Section — three main dropdowns with general summary + cards inside
+const FromTheFieldSection = () => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const [expandedCategories, setExpandedCategories] = useState({ collaboration: false, sales: false, agent: false });
+  const { isPrinting } = useContext(PrintContext);
+  // ?category= (search results, shared links) opens that dropdown; collapsing it drops the param
+  const [routeCategory, setRouteCategory] = useRouteParam('category', null);
+  useEffect(() => {
+    if (routeCategory) setExpandedCategories(prev => ({ ...prev, [routeCategory]: true }));
+  }, [routeCategory]);
+  const toggleCategory = (key) => {
+    if (key === routeCategory) setRouteCategory(null, { replace: true });
+    setExpandedCategories(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+  const isCategoryExpanded = (key) => isPrinting || expandedCategories[key] !== false;
+
+  const [collaborationSummary, setCollaborationSummary] = useLocalStorage('leadershipPlaybook_collaborationSummary', defaultCollaborationSummary);
+  const [salesProcessSummary, setSalesProcessSummary] = useLocalStorage('leadershipPlaybook_salesProcessSummary', defaultSalesProcessSummary);
+  const [agentPositioningSummary, setAgentPositioningSummary] = useLocalStorage('leadershipPlaybook_agentPositioningSummary', defaultAgentPositioningSummary);
+
+  const [collaborationGaps, setCollaborationGaps] = useLocalStorage('leadershipPlaybook_collaborationGaps', defaultCollaborationGaps);
+
+  const [salesProcessIssues, setSalesProcessIssues] = useLocalStorage('leadershipPlaybook_salesProcessIssues', defaultSalesProcessIssues);
+
+  const [agentPositioning, setAgentPositioning] = useLocalStorage('leadershipPlaybook_agentPositioning', defaultAgentPositioning);
+
+  const updateGapItem = (index, field, value) => {
+    setCollaborationGaps(prev => prev.map((item, i) => 
+      i === index ? { ...item, [field]: value } : item
+    ));
+  };
+
+  const updateGapListItem = (index, listKey, itemIndex, value) => {
+    setCollaborationGaps(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: item[listKey].map((listItem, idx) => idx === itemIndex ? value : listItem)
+      } : item
+    ));
+  };
+
+  const deleteGapListItem = (index, listKey, itemIndex) => {
+    setCollaborationGaps(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: item[listKey].filter((_, idx) => idx !== itemIndex)
+      } : item
+    ));
+  };
+
+  const addGapListItem = (index, listKey) => {
+    setCollaborationGaps(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: [...item[listKey], 'New item - click to edit']
+      } : item
+    ));
+  };
+
+  const addGapItem = () => {
+    setCollaborationGaps(prev => [...prev, {
+      category: 'New Category',
+      description: 'New description',
+      source: 'Source',
+      issues: [],
+      recommendations: []
+    }]);
+  };
+
+  const deleteGapItem = (index) => {
+    setCollaborationGaps(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Similar functions for salesProcessIssues and agentPositioning
+  const updateSalesIssueItem = (index, field, value) => {
+    setSalesProcessIssues(prev => prev.map((item, i) => 
+      i === index ? { ...item, [field]: value } : item
+    ));
+  };
+
+  const updateSalesIssueListItem = (index, listKey, itemIndex, value) => {
+    setSalesProcessIssues(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: item[listKey].map((listItem, idx) => idx === itemIndex ? value : listItem)
+      } : item
+    ));
+  };
+
+  const deleteSalesIssueListItem = (index, listKey, itemIndex) => {
+    setSalesProcessIssues(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: item[listKey].filter((_, idx) => idx !== itemIndex)
+      } : item
+    ));
+  };
+
+  const addSalesIssueListItem = (index, listKey) => {
+    setSalesProcessIssues(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: [...item[listKey], 'New item - click to edit']
+      } : item
+    ));
+  };
+
+  const addSalesIssueItem = () => {
+    setSalesProcessIssues(prev => [...prev, {
+      category: 'New Category',
+      description: 'New description',
+      source: 'Source',
+      issues: [],
+      recommendations: []
+    }]);
+  };
+
+  const deleteSalesIssueItem = (index) => {
+    setSalesProcessIssues(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const updateAgentItem = (index, field, value) => {
+    setAgentPositioning(prev => prev.map((item, i) => 
+      i === index ? { ...item, [field]: value } : item
+    ));
+  };
+
+  const updateAgentListItem = (index, listKey, itemIndex, value) => {
+    setAgentPositioning(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: item[listKey].map((listItem, idx) => idx === itemIndex ? value : listItem)
+      } : item
+    ));
+  };
+
+  const deleteAgentListItem = (index, listKey, itemIndex) => {
+    setAgentPositioning(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: item[listKey].filter((_, idx) => idx !== itemIndex)
+      } : item
+    ));
+  };
+
+  const addAgentListItem = (index, listKey) => {
+    setAgentPositioning(prev => prev.map((item, i) => 
+      i === index ? {
+        ...item,
+        [listKey]: [...item[listKey], 'New item - click to edit']
+      } : item
+    ));
+  };
+
+  return (
+    <div>
+      {/* SA/AE Collaboration Gaps — dropdown category */}
+      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.accent}` }}>
+        <button
+          type="button"
+          onClick={() => toggleCategory('collaboration')}
+          style={{
+            width: '100%',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'space-between',
+            gap: '12px',
+            padding: 0,
+            border: 'none',
+            background: 'none',
+            cursor: 'pointer',
+            textAlign: 'left'
+          }}
+        >
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <h3 style={{ fontSize: '24px', fontWeight: '600', color: colors.text, margin: 0 }}>SA/AE Collaboration Gaps</h3>
+            {!isCategoryExpanded('collaboration') && collaborationSummary && (
+              <p style={{ fontSize: '14px', color: colors.textSecondary, marginTop: '10px', marginBottom: 0, lineHeight: 1.5 }}>
+                {collaborationSummary}
+              </p>
+            )}
+          </div>
+          <span style={{ fontSize: '14px', color: colors.textMuted, flexShrink: 0 }}>{isCategoryExpanded('collaboration') ? '▲' : '▼'}</span>
+        </button>
+        {isEditMode && (
+          <div style={{ marginTop: '12px' }}>
+            <button
+              onClick={addGapItem}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: colors.accent,
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontSize: '13px',
+                fontWeight: '500',
+                cursor: 'pointer'
+              }}
+            >
+              + Add Category
+            </button>
+          </div>
+        )}
+        {isCategoryExpanded('collaboration') && (
+          <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: `1px solid ${colors.borderLight}` }}>
+            <div style={{ marginBottom: '24px', padding: '16px', backgroundColor: colors.gray50, borderRadius: '8px', border: `1px solid ${colors.borderLight}` }}>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Summary of sentiment</div>
+              <EditableText
+                value={collaborationSummary}
+                onChange={setCollaborationSummary}
+                style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.6 }}
+                multiline
+              />
+            </div>
+            {collaborationGaps.map((gap, index) => (
+              <Card key={index} style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.accent}` }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+                  <div style={{ flex: 1 }}>
+                    <EditableText
+                      value={gap.category}
+                      onChange={(v) => updateGapItem(index, 'category', v)}
+                      style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}
+                    />
+                    <EditableText
+                      value={gap.description}
+                      onChange={(v) => updateGapItem(index, 'description', v)}
+                      style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: '8px' }}
+                      multiline
+                    />
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+                      <span style={{ fontSize: '12px', color: colors.textMuted }}>Source:</span>
+                      <EditableText
+                        value={gap.source}
+                        onChange={(v) => updateGapItem(index, 'source', v)}
+                        style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
+                      />
+                    </div>
+                  </div>
+                  {isEditMode && (
+                    <button
+                      aria-label="Delete item"
+                      onClick={() => deleteGapItem(index)}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: colors.danger,
+                        cursor: 'pointer',
+                        padding: '4px 8px',
+                        fontSize: '16px'
+                      }}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+                  <div>
+                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '12px' }}>Opportunities</h5>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      {gap.issues.map((item, i) => (
+                        <EditableListItem
+                          key={i}
+                          value={item}
+                          onChange={(v) => updateGapListItem(index, 'issues', i, v)}
+                          onDelete={() => deleteGapListItem(index, 'issues', i)}
+                          color={colors.danger}
+                        />
+                      ))}
+                    </div>
+                    <AddItemButton onClick={() => addGapListItem(index, 'issues')} label="Add opportunity" />
+                  </div>
+                  <div>
+                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '12px' }}>Recommendations</h5>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      {gap.recommendations.map((item, i) => (
+                        <EditableListItem
+                          key={i}
+                          value={item}
+                          onChange={(v) => updateGapListItem(index, 'recommendations', i, v)}
+                          onDelete={() => deleteGapListItem(index, 'recommendations', i)}
+                          color={colors.success}
+                        />
+                      ))}
+                    </div>
+                    <AddItemButton onClick={() => addGapListItem(index, 'recommendations')} label="Add recommendation" />
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      {/* Sales Process Opportunities — dropdown category */}
+      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.warning}` }}>
+        <button
+          type="button"
+          onClick={() => toggleCategory('sales')}
+          style={{
+            width: '100%',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'space-between',
+            gap: '12px',
+            padding: 0,
+            border: 'none',
+            background: 'none',
+            cursor: 'pointer',
+            textAlign: 'left'
+          }}
+        >
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <h3 style={{ fontSize: '24px', fontWeight: '600', color: colors.text, margin: 0 }}>Sales Process Opportunities</h3>
+            {!isCategoryExpanded('sales') && salesProcessSummary && (
+              <p style={{ fontSize: '14px', color: colors.textSecondary, marginTop: '10px', marginBottom: 0, lineHeight: 1.5 }}>
+                {salesProcessSummary}
+              </p>
+            )}
+          </div>
+          <span style={{ fontSize: '14px', color: colors.textMuted, flexShrink: 0 }}>{isCategoryExpanded('sales') ? '▲' : '▼'}</span>
+        </button>
+        {isEditMode && (
+          <div style={{ marginTop: '12px' }}>
+            <button
+              onClick={addSalesIssueItem}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: colors.accent,
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontSize: '13px',
+                fontWeight: '500',
+                cursor: 'pointer'
+              }}
+            >
+              + Add Category
+            </button>
+          </div>
+        )}
+        {isCategoryExpanded('sales') && (
+          <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: `1px solid ${colors.borderLight}` }}>
+            <div style={{ marginBottom: '24px', padding: '16px', backgroundColor: colors.gray50, borderRadius: '8px', border: `1px solid ${colors.borderLight}` }}>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Summary of sentiment</div>
+              <EditableText
+                value={salesProcessSummary}
+                onChange={setSalesProcessSummary}
+                style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.6 }}
+                multiline
+              />
+            </div>
+            {salesProcessIssues.map((issue, index) => (
+              <Card key={index} style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.warning}` }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+                  <div style={{ flex: 1 }}>
+                    <EditableText
+                      value={issue.category}
+                      onChange={(v) => updateSalesIssueItem(index, 'category', v)}
+                      style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}
+                    />
+                    <EditableText
+                      value={issue.description}
+                      onChange={(v) => updateSalesIssueItem(index, 'description', v)}
+                      style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: '8px' }}
+                      multiline
+                    />
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+                      <span style={{ fontSize: '12px', color: colors.textMuted }}>Source:</span>
+                      <EditableText
+                        value={issue.source}
+                        onChange={(v) => updateSalesIssueItem(index, 'source', v)}
+                        style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
+                      />
+                    </div>
+                  </div>
+                  {isEditMode && (
+                    <button
+                      aria-label="Delete item"
+                      onClick={() => deleteSalesIssueItem(index)}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: colors.danger,
+                        cursor: 'pointer',
+                        padding: '4px 8px',
+                        fontSize: '16px'
+                      }}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+                  <div>
+                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '12px' }}>Opportunities</h5>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      {issue.issues.map((item, i) => (
+                        <EditableListItem
+                          key={i}
+                          value={item}
+                          onChange={(v) => updateSalesIssueListItem(index, 'issues', i, v)}
+                          onDelete={() => deleteSalesIssueListItem(index, 'issues', i)}
+                          color={colors.danger}
+                        />
+                      ))}
+                    </div>
+                    <AddItemButton onClick={() => addSalesIssueListItem(index, 'issues')} label="Add opportunity" />
+                  </div>
+                  <div>
+                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '12px' }}>Recommendations</h5>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      {issue.recommendations.map((item, i) => (
+                        <EditableListItem
+                          key={i}
+                          value={item}
+                          onChange={(v) => updateSalesIssueListItem(index, 'recommendations', i, v)}
+                          onDelete={() => deleteSalesIssueListItem(index, 'recommendations', i)}
+                          color={colors.success}
+                        />
+                      ))}
+                    </div>
+                    <AddItemButton onClick={() => addSalesIssueListItem(index, 'recommendations')} label="Add recommendation" />
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      {/* Writer Agent Positioning Challenges — dropdown category */}
+      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.purple}` }}>
+        <button
+          type="button"
+          onClick={() => toggleCategory('agent')}
+          style={{
+            width: '100%',
+            display: 'flex',
+            alignItems: 'flex-start',
+            justifyContent: 'space-between',
+            gap: '12px',
+            padding: 0,
+            border: 'none',
+            background: 'none',
+            cursor: 'pointer',
+            textAlign: 'left'
+          }}
+        >
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <h3 style={{ fontSize: '24px', fontWeight: '600', color: colors.text, margin: 0 }}>Writer Agent Positioning Challenges</h3>
+            {!isCategoryExpanded('agent') && agentPositioningSummary && (
+              <p style={{ fontSize: '14px', color: colors.textSecondary, marginTop: '10px', marginBottom: 0, lineHeight: 1.5 }}>
+                {agentPositioningSummary}
+              </p>
+            )}
+          </div>
+          <span style={{ fontSize: '14px', color: colors.textMuted, flexShrink: 0 }}>{isCategoryExpanded('agent') ? '▲' : '▼'}</span>
+        </button>
+        {isCategoryExpanded('agent') && (
+          <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: `1px solid ${colors.borderLight}` }}>
+            <div style={{ marginBottom: '24px', padding: '16px', backgroundColor: colors.gray50, borderRadius: '8px', border: `1px solid ${colors.borderLight}` }}>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Summary of sentiment</div>
+              <EditableText
+                value={agentPositioningSummary}
+                onChange={setAgentPositioningSummary}
                 style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.6 }}
                 multiline
               />
             </div>
-            {collaborationGaps.map((gap, index) => (
-              <Card key={index} style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.accent}` }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
-                  <div style={{ flex: 1 }}>
-                    <EditableText
-                      value={gap.category}
-                      onChange={(v) => updateGapItem(index, 'category', v)}
-                      style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}
-                    />
-                    <EditableText
-                      value={gap.description}
-                      onChange={(v) => updateGapItem(index, 'description', v)}
-                      style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: '8px' }}
-                      multiline
-                    />
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
-                      <span style={{ fontSize: '12px', color: colors.textMuted }}>Source:</span>
-                      <EditableText
-                        value={gap.source}
-                        onChange={(v) => updateGapItem(index, 'source', v)}
-                        style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
-                      />
-                    </div>
-                  </div>
-                  {isEditMode && (
-                    <button
-                      onClick={() => deleteGapItem(index)}
-                      style={{
-                        background: 'none',
-                        border: 'none',
-                        color: colors.danger,
-                        cursor: 'pointer',
-                        padding: '4px 8px',
-                        fontSize: '16px'
-                      }}
-                    >
-                      ×
-                    </button>
-                  )}
-                </div>
-                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
-                  <div>
-                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '12px' }}>Opportunities</h5>
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                      {gap.issues.map((item, i) => (
-                        <EditableListItem
-                          key={i}
-                          value={item}
-                          onChange={(v) => updateGapListItem(index, 'issues', i, v)}
-                          onDelete={() => deleteGapListItem(index, 'issues', i)}
-                          color={colors.danger}
-                        />
-                      ))}
-                    </div>
-                    <AddItemButton onClick={() => addGapListItem(index, 'issues')} label="Add opportunity" />
+            {agentPositioning.map((item, index) => (
+              <Card key={index} style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.purple}` }}>
+                <div style={{ marginBottom: '16px' }}>
+                  <EditableText
+                    value={item.category}
+                    onChange={(v) => updateAgentItem(index, 'category', v)}
+                    style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}
+                  />
+                  <EditableText
+                    value={item.description}
+                    onChange={(v) => updateAgentItem(index, 'description', v)}
+                    style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: '8px' }}
+                    multiline
+                  />
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+                    <span style={{ fontSize: '12px', color: colors.textMuted }}>Source:</span>
+                    <EditableText
+                      value={item.source}
+                      onChange={(v) => updateAgentItem(index, 'source', v)}
+                      style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
+                    />
+                  </div>
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+                  <div>
+                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '12px' }}>Opportunities</h5>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      {item.issues.map((issueItem, i) => (
+                        <EditableListItem
+                          key={i}
+                          value={issueItem}
+                          onChange={(v) => updateAgentListItem(index, 'issues', i, v)}
+                          onDelete={() => deleteAgentListItem(index, 'issues', i)}
+                          color={colors.danger}
+                        />
+                      ))}
+                    </div>
+                    <AddItemButton onClick={() => addAgentListItem(index, 'issues')} label="Add opportunity" />
+                  </div>
+                  <div>
+                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '12px' }}>Recommendations</h5>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                      {item.recommendations.map((recItem, i) => (
+                        <EditableListItem
+                          key={i}
+                          value={recItem}
+                          onChange={(v) => updateAgentListItem(index, 'recommendations', i, v)}
+                          onDelete={() => deleteAgentListItem(index, 'recommendations', i)}
+                          color={colors.success}
+                        />
+                      ))}
+                    </div>
+                    <AddItemButton onClick={() => addAgentListItem(index, 'recommendations')} label="Add recommendation" />
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const defaultAnecdotes = [
+  {
+    id: 1,
+    date: '2025-05-27',
+    sender: 'Ho Joon Cha',
+    content: 'Shoutout to @thai for all of the things that he takes ownership of on the SA team. He\'s the go-to Partner SA, supports our APJ region, and does this all with a full plate of US-based deals. He took a 3am call this morning to talk through our Adobe partnership due to his expertise on the integration. We\'re so lucky to have you!!',
+    reactions: { clap: 15, heart: 8 },
+    category: 'leadership',
+    highlight: 'Ownership & Dedication'
+  },
+  {
+    id: 2,
+    date: '2024-12-13',
+    sender: 'Kait Groezinger',
+    content: 'SHOUTOUT to @thai and @miller for a really important call today with Ally Bank. After a loooong uphill battle to gain approval with their risk team, we totally nailed a last-minute meeting with risk partner Carlos. Verbal approval for Ally to use our Creative model (and likely 004!). This is BIG - unlocks key use cases and sets us apart in their risk teams eyes where skepticism around AI runs high. Ally\'s risk team said "Writer is the best" and credited our approach for "making their jobs easier." Miller and Thai, you didn\'t just earn trust...you laid the foundation for a deeper partnership with Ally.',
+    reactions: { clap: 43, heart: 27, think: 7 },
+    category: 'client-success',
+    highlight: 'Risk Team Approval & Trust Building'
+  },
+  {
+    id: 3,
+    date: '2024-11-19',
+    sender: 'Mark Wilkinson',
+    content: 'Huge shoutout to @thai and @Chris Wheeler for jumping in late this evening to support a Content Supply Chain blueprint that PwC was scheduled to present to 20+ Conagra executives tomorrow morning at 9am. They resolved multiple agents that needed attention due to some LLM considerations. They both put their heads together and got it done. Thank you both so much - love seeing our SA team in action 🙌',
+    reactions: { clap: 12, fire: 8 },
+    category: 'problem-solving',
+    highlight: 'Critical Issue Resolution'
+  },
+  {
+    id: 4,
+    date: '2024-10-14',
+    sender: 'Danielle Baeza',
+    content: 'Shouting out @thai for spending time with me today (and a couple times before) to help me build no-code apps in AI Studio and show off incredible, relevant examples - I feel ready and eager to share the knowledge w/ our People & Talent team this week at our offsite! You da best Thai!',
+    reactions: { heart: 15, fire: 14 },
+    category: 'mentorship',
+    highlight: 'Enablement & Knowledge Sharing'
+  },
+  {
+    id: 5,
+    date: '2024-09-25',
+    sender: 'Ted Brookes',
+    content: 'Just want to give a huge shoutout to @thai for his work on Capital Group. He\'s been amazing to work with through a demanding POC period. Not only are we supporting the customer with trainings, product, and technical deep dives, but he\'s doing the same with KPMG who are embedded deeply with the customer. 🤠',
+    reactions: { clap: 28, beer: 15 },
+    category: 'client-success',
+    highlight: 'POC Excellence & Partner Support'
+  },
+  {
+    id: 6,
+    date: '2024-09-19',
+    sender: 'Garrett Schmenk',
+    content: 'Shoutout to @thai for waking up at 5a PT to enable some ACN Ops folks on AI Studio / Framework. I also really liked the way he quickly and effectively walked thru the front end for business users, answered a lot of really good questions, etc. This is a good gong to check out (just ignore us as half asleep)! @thai you da truth!',
+    reactions: { fire: 25, mindblown: 9 },
+    category: 'enablement',
+    highlight: 'Early Morning Enablement'
+  },
+  {
+    id: 7,
+    date: '2024-09-19',
+    sender: 'Darragh Fitzpatrick',
+    content: 'It\'s a busy week for @thai as he also deserves a big shout out for his patience and partnership in working with ACN to get a pitch in front of Volvo. He\'s gone over and above to try get the demo to a point the team is happy with. Thank you',
+    reactions: { heart: 5 },
+    category: 'client-success',
+    highlight: 'Patience & Partnership'
+  },
+  {
+    id: 8,
+    date: '2024-08-22',
+    sender: 'Diego Lomanto',
+    content: 'Special shoutout to @thai for running the demos and awesome Q&A.',
+    reactions: { clap: 8 },
+    category: 'enablement',
+    highlight: 'Webinar Excellence'
+  },
+  {
+    id: 9,
+    date: '2024-08-19',
+    sender: 'Sunny Patel',
+    content: 'Shoutout to @thai! Thai has been the SA on complex deals and has been crushing it. Most recently, we had a full day onsite with the Founder/CEO/CTO/CPO of Vanilla (very complex estate planning solution). Thai had very little to work off of, came into the meeting with a custom app built, and ran the entire day like a boss. True example of someone that cares not only about his success, but mine and the overall business. Absolute pleasure to collab/work with. I owe you big time bud 🙌',
+    reactions: { clap: 12 },
+    category: 'client-success',
+    highlight: 'Complex Deal Execution'
+  },
+  {
+    id: 10,
+    date: '2024-05-13',
+    sender: 'Garrett Schmenk',
+    content: 'Neeeeed to give a shoutout to some freakin\' badass CS/implementation teams working on big (and by big I mean #5, #6 and #55 on Fortune500), hairy accounts that have A LOT of moving pieces and a lot of requirements... and lets be honest, are just damn needy. @thai thanks for all your help building out apps for IR team and media, and @Yaseen as of late. We are meeting with their PWM and asset management executives on Thurs. ELA is on the horizon!',
+    reactions: { fire: 18 },
+    category: 'client-success',
+    highlight: 'Fortune 500 Account Support'
+  },
+  {
+    id: 11,
+    date: '2024-05-01',
+    sender: 'Jillian Freidus',
+    content: 'Amazing @Harry Liu excited to learn more. And I imagine @thai has been an awesome coach.',
+    reactions: { heart: 1 },
+    category: 'mentorship',
+    highlight: 'Coaching Recognition'
+  },
+  {
+    id: 12,
+    date: '2024-04-28',
+    sender: 'Nick Opderbeck',
+    content: 'Big shoutout to @Paul Giudice and @Tom Pokorney for leading a packed NVIDIA crew for their Digital Marketing offsite. Over 50 people in person and 100+ online. @thai guest appearance resulted in some great discussion. NVIDIA crew was engaged the entire time and will even be demonstrating some Writer-built apps during their internal hackathon. These guys are primed for big expansion this year.',
+    reactions: { clap: 10 },
+    category: 'enablement',
+    highlight: 'Large-Scale Enablement'
+  },
+  {
+    id: 13,
+    date: '2024-04-08',
+    sender: 'Lauren Gil',
+    content: 'wanted to give a HUGE shoutout to the incredible duo @Ugo @thai for all their hard work on our agentic launch this Thursday. They\'ve been hustling on our launch demos (beyond normal day-to-day work) and when I asked them for their help, they probably had *no idea* what they were *really* signing up for 😄 all of their work will be critical in showing the world that we have *real* agents for mission critical use cases! here\'s a peek behind the scenes! 🎬',
+    reactions: { clap: 15 },
+    category: 'product',
+    highlight: 'Product Launch Support'
+  },
+  {
+    id: 14,
+    date: '2024-03-14',
+    sender: 'Jillian Freidus',
+    content: 'When Uber told us they were moving forward with us for the expansion opportunity (vs the alternative solutions they were exploring), the first reason they stated was their desire for a true *partner* as they navigate their genAI journey, and the Writer team demonstrated that throughout the evaluation process. @thai was at the center of this, working closely with Uber (and ACN on top of it) to iterate, actively listen to Uber to understand their objectives and concerns that needed to be addressed, and showing them the art of the possible to help expand their thinking. He was one with their team and they felt it! Way to go.',
+    reactions: { pray: 1 },
+    category: 'client-success',
+    highlight: 'True Partnership & Expansion'
+  },
+  {
+    id: 15,
+    date: '2024-03-14',
+    sender: 'Jillian Freidus',
+    content: 'Shoutout to **@thai** who\'s quickly become invaluable to the partner sales convos/process and (in the team\'s words) is an excellent seller to top it off 😉. We\'re grateful to be working with you, **@thai**.',
+    reactions: { fire: 30, w: 16 },
+    category: 'sales',
+    highlight: 'Partner Sales Excellence'
+  },
+  {
+    id: 16,
+    date: '2024-02-01',
+    sender: 'Kevin Wei',
+    content: 'Shout out to @thai who is on his 9th (single digits???) day as a Solutions Architect. In this short time, Thai has built + demoed 8 custom apps to both Uber and Goldman Sachs today. All unique use cases: canned replies for Uber support agents, GS media summaries, etc. Well received with rave reviews. The speed at which he\'s onboarded and executed is absolutely incredible. Already had a massive impact on some of our most important deals. So happy to have you join the team and excited for what you\'ll do next. P.S. i don\'t think any of these apps were hardcoded either 😉',
+    reactions: { fire: 20, clap: 15 },
+    category: 'onboarding',
+    highlight: 'Rapid Onboarding & Impact'
+  },
+  {
+    id: 17,
+    date: '2025-01-27',
+    sender: 'Cameron Becker',
+    content: 'Thank you for all the hard work over the past 2 weeks in preparation for the meeting with Aman this morning. The feedback from the meeting was overwhelmingly positive. @thai, @Anant, @Kevin, @Yusuf, and @Andy Wong did an incredible job iterating on the custom apps (architected by the incomparable @DZY). Aman appreciated how deeply we understood the State Street business drivers and customized a solution to "fill the gap."',
+    reactions: { clap: 12 },
+    category: 'client-success',
+    highlight: 'Custom Solution Development'
+  },
+  {
+    id: 18,
+    date: '2025-09-25',
+    sender: 'Maureen Little',
+    content: 'Massive shoutout to our brand new Partner Enablement team for building and delivering our first ever Technical Enablement program to Perficient. None of this would be possible without all of the sharing of content and support from our CSM team, our SAs (@thai @Steve Hwang @Kevin and more) and the amazing CAs that are helping in the sessions and with content 💪',
+    reactions: { clap: 25, heart: 15 },
+    category: 'enablement',
+    highlight: 'Partner Enablement Program'
+  }
+];
+
+const ANECDOTE_CATEGORIES = [
+  { id: 'all', label: 'All Feedback', icon: '💬' },
+  { id: 'leadership', label: 'Leadership', icon: '👔' },
+  { id: 'client-success', label: 'Client Success', icon: '🎯' },
+  { id: 'mentorship', label: 'Mentorship', icon: '🤝' },
+  { id: 'enablement', label: 'Enablement', icon: '📚' },
+  { id: 'problem-solving', label: 'Problem Solving', icon: '🔧' },
+  { id: 'sales', label: 'Sales', icon: '💼' },
+  { id: 'product', label: 'Product', icon: '🚀' },
+  { id: 'onboarding', label: 'Onboarding', icon: '🌟' }
+];
+
+// Slack import: reads a workspace export zip in the browser (nothing is uploaded). Entries are stored or
+// deflated; DecompressionStream inflates them. ZIP64 archives aren't supported (Slack exports don't need it).
+const readZipEntries = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const view = new DataView(buffer);
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('File is not a zip archive.');
+
+  const entries = new Map();
+  const decoder = new TextDecoder();
+  let offset = view.getUint32(end + 16, true);
+  for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Zip archive is damaged.');
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const headerOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    if (name.endsWith('/')) continue;
+
+    const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+    const bytes = new Uint8Array(buffer, dataStart, size);
+    entries.set(name, async () => {
+      if (method === 0) return decoder.decode(bytes);
+      if (method !== 8) throw new Error(`Unsupported compression in ${name}.`);
+      return new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+    });
+  }
+  return entries;
+};
+
+// Slack reaction names → keys of ANECDOTE_REACTIONS; skin tones ("clap::skin-tone-3") count as the base emoji
+// Slack reaction names → ANECDOTE_REACTIONS keys; reactions the cards can't show are dropped on import
+const SLACK_REACTION_NAMES = {
+  clap: 'clap',
+  raised_hands: 'clap',
+  heart: 'heart',
+  heart_eyes: 'heart',
+  fire: 'fire',
+  thinking_face: 'think',
+  beer: 'beer',
+  beers: 'beer',
+  exploding_head: 'mindblown',
+  pray: 'pray',
+  w: 'w'
+};
+
+const SLACK_MENTION_PATTERN = /<@([A-Z0-9]+)(?:\|[^>]*)?>/g;
+
+const slackUserName = (user) =>
+  (user && (user.real_name || user.profile?.real_name || user.profile?.display_name || user.name)) || '';
+
+// <@U1> → @Name, <#C1|general> → #general, <https://x|label> → [label](https://x) for RichText, plus Slack's HTML escapes
+const formatSlackText = (text, users) => text
+  .replace(SLACK_MENTION_PATTERN, (_, id) => `@${users.get(id) || id}`)
+  .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+  .replace(/<!(here|channel|everyone)>/g, '@$1')
+  .replace(/<(https?:\/\/[^\s>|)]+)\|([^>\]\n]+)>/g, '[$2]($1)')
+  .replace(/<([^>|]+)\|([^>]+)>/g, '$2')
+  .replace(/<([^>]+)>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const slackReactionCounts = (reactions = []) => reactions.reduce((counts, { name, count }) => {
+  const key = SLACK_REACTION_NAMES[name.split('::')[0]];
+  return key ? { ...counts, [key]: (counts[key] || 0) + (count || 0) } : counts;
+}, {});
+
+// Channel files are "<channel>/<YYYY-MM-DD>.json"; users.json (optional) names the authors and mentions
+const parseSlackExport = async (entries) => {
+  const users = new Map();
+  if (entries.has('users.json')) {
+    JSON.parse(await entries.get('users.json')()).forEach((user) => users.set(user.id, slackUserName(user) || user.id));
+  }
+
+  const messages = [];
+  for (const [name, read] of entries) {
+    const match = name.match(/(?:^|\/)([^/]+)\/\d{4}-\d{2}-\d{2}\.json$/);
+    if (!match) continue;
+    let dayMessages;
+    try {
+      dayMessages = JSON.parse(await read());
+    } catch {
+      throw new Error(`${name} is not valid JSON.`);
+    }
+    if (!Array.isArray(dayMessages)) continue;
+    dayMessages.forEach((message) => {
+      if (message.type !== 'message' || !message.text || (message.subtype && message.subtype !== 'thread_broadcast')) return;
+      const profileName = slackUserName(message.user_profile);
+      if (message.user && profileName && !users.has(message.user)) users.set(message.user, profileName);
+      messages.push({
+        slackId: `${match[1]}/${message.ts}`,
+        channel: match[1],
+        ts: message.ts,
+        user: message.user,
+        text: message.text,
+        reactions: message.reactions
+      });
+    });
+  }
+  if (messages.length === 0) throw new Error('No channel messages found. Choose the zip from Slack\'s "Export data" page.');
+
+  const mentionCounts = new Map();
+  messages.forEach((message) => {
+    new Set([...message.text.matchAll(SLACK_MENTION_PATTERN)].map((m) => m[1])).forEach((id) => {
+      mentionCounts.set(id, (mentionCounts.get(id) || 0) + 1);
+    });
+  });
+  return { users, messages, mentionCounts };
+};
+
+// Messages mentioning userId, newest first, shaped like anecdotes (plus slackId to skip re-imports)
+const slackMessagesMentioning = ({ users, messages }, userId) => messages
+  .filter((message) => [...message.text.matchAll(SLACK_MENTION_PATTERN)].some((m) => m[1] === userId))
+  .sort((a, b) => parseFloat(b.ts) - parseFloat(a.ts))
+  .map((message) => ({
+    slackId: message.slackId,
+    channel: message.channel,
+    date: new Date(parseFloat(message.ts) * 1000).toISOString().slice(0, 10),
+    sender: users.get(message.user) || message.user || 'Unknown',
+    content: formatSlackText(message.text, users),
+    reactions: slackReactionCounts(message.reactions)
+  }));
+
+// Import from Slack (edit mode): choose the export zip, the person being recognised, then review each message
+const SlackImportControls = ({ anecdotes, onImport }) => {
+  const colors = useColors();
+  const fileInputRef = useRef(null);
+  const [slackExport, setSlackExport] = useState(null);
+  const [error, setError] = useState(null);
+  const [userId, setUserId] = useState('');
+  const [reviews, setReviews] = useState({});
+
+  const importedIds = new Set(anecdotes.map((a) => a.slackId).filter(Boolean));
+  const candidates = slackExport && userId ? slackMessagesMentioning(slackExport, userId) : [];
+  const reviewFor = (slackId) => reviews[slackId] || { include: !importedIds.has(slackId), category: 'leadership', highlight: '' };
+  const updateReview = (slackId, field, value) => setReviews((prev) => ({ ...prev, [slackId]: { ...reviewFor(slackId), [field]: value } }));
+  const selected = candidates.filter((c) => !importedIds.has(c.slackId) && reviewFor(c.slackId).include);
+  const missingHighlight = selected.some((c) => !reviewFor(c.slackId).highlight.trim());
+
+  const close = () => {
+    setSlackExport(null);
+    setUserId('');
+    setReviews({});
+  };
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = await parseSlackExport(await readZipEntries(file));
+      const mostMentioned = [...parsed.mentionCounts].sort((a, b) => b[1] - a[1])[0];
+      setSlackExport({ ...parsed, fileName: file.name });
+      setUserId(mostMentioned ? mostMentioned[0] : '');
+    } catch (err) {
+      setError({ fileName: file.name, message: err.message });
+    }
+  };
+
+  const handleImport = () => {
+    onImport(selected.map(({ slackId, date, sender, content, reactions }) => {
+      const review = reviewFor(slackId);
+      return { slackId, date, sender, content, reactions, category: review.category, highlight: review.highlight.trim() };
+    }));
+    close();
+  };
+
+  return (
+    <>
+      <ToolButton onClick={() => fileInputRef.current && fileInputRef.current.click()} title="Pick shoutouts from a Slack workspace export (.zip)">
+        Import from Slack
+      </ToolButton>
+      <input ref={fileInputRef} type="file" accept=".zip,application/zip" onChange={handleFileChosen} style={{ display: 'none' }} />
+
+      {error && (
+        <ModalShell
+          title="Can't read Slack export"
+          onClose={() => setError(null)}
+          footer={<ToolButton onClick={() => setError(null)}>Close</ToolButton>}
+        >
+          <p style={{ fontSize: '13px', color: colors.textMuted, marginBottom: '12px' }}>{error.fileName}</p>
+          <p style={{ fontSize: '14px', color: colors.danger }}>{error.message}</p>
+        </ModalShell>
+      )}
+
+      {slackExport && (
+        <ModalShell
+          title="Import from Slack"
+          onClose={close}
+          maxWidth="760px"
+          footer={
+            <>
+              <ToolButton onClick={close}>Cancel</ToolButton>
+              <ToolButton primary onClick={handleImport} disabled={selected.length === 0 || missingHighlight}>
+                {missingHighlight
+                  ? 'Add a highlight to each selected message'
+                  : `Import ${selected.length} anecdote${selected.length === 1 ? '' : 's'}`}
+              </ToolButton>
+            </>
+          }
+        >
+          <p style={{ fontSize: '13px', color: colors.textMuted, marginBottom: '12px' }}>
+            {slackExport.fileName} • {slackExport.messages.length} messages
+          </p>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', marginBottom: '16px' }}>
+            Messages that mention
+            <select value={userId} onChange={(e) => setUserId(e.target.value)} style={{ ...anecdoteFieldStyle(colors), fontSize: '14px' }}>
+              {[...slackExport.mentionCounts]
+                .sort((a, b) => (slackExport.users.get(a[0]) || a[0]).localeCompare(slackExport.users.get(b[0]) || b[0]))
+                .map(([id, count]) => (
+                  <option key={id} value={id}>@{slackExport.users.get(id) || id} ({count})</option>
+                ))}
+            </select>
+          </label>
+          {candidates.length === 0 ? (
+            <p style={{ fontSize: '14px', color: colors.textSecondary }}>Nobody is mentioned in this export.</p>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+              {candidates.map((c) => {
+                const review = reviewFor(c.slackId);
+                const isImported = importedIds.has(c.slackId);
+                return (
+                  <div key={c.slackId} style={{ padding: '12px', borderRadius: '8px', backgroundColor: colors.surface, opacity: isImported || !review.include ? 0.6 : 1 }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', fontWeight: '600', marginBottom: '6px' }}>
+                      <input
+                        type="checkbox"
+                        checked={!isImported && review.include}
+                        disabled={isImported}
+                        onChange={(e) => updateReview(c.slackId, 'include', e.target.checked)}
+                      />
+                      {c.sender}
+                      <span style={{ fontWeight: '400', color: colors.textMuted }}>• {c.date} • #{c.channel}</span>
+                      {isImported && <span style={{ fontWeight: '400', color: colors.textMuted }}>• already imported</span>}
+                    </label>
+                    <p style={{ fontSize: '13px', color: colors.textSecondary, margin: '0 0 8px' }}><RichText text={c.content} /></p>
+                    {!isImported && review.include && (
+                      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                        <select
+                          value={review.category}
+                          onChange={(e) => updateReview(c.slackId, 'category', e.target.value)}
+                          style={anecdoteFieldStyle(colors)}
+                          aria-label="Category"
+                        >
+                          {ANECDOTE_CATEGORIES.filter((cat) => cat.id !== 'all').map((cat) => (
+                            <option key={cat.id} value={cat.id}>{cat.icon} {cat.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={review.highlight}
+                          onChange={(e) => updateReview(c.slackId, 'highlight', e.target.value)}
+                          placeholder="Highlight, e.g. Ownership & Dedication"
+                          style={{ ...anecdoteFieldStyle(colors), flex: 1, minWidth: '200px' }}
+                          aria-label="Highlight"
+                        />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </ModalShell>
+      )}
+    </>
+  );
+};
+
+// Team Anecdotes Section
+const TeamAnecdotesSection = () => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const { isPrinting } = useContext(PrintContext);
+  const [filter, setFilter] = useState('all');
+  const [expandedCards, setExpandedCards] = useState(new Set());
+  const containerRef = useRef(null);
+  const [columnCount, setColumnCount] = useState(3);
+
+  const [anecdotes, setAnecdotes] = useLocalStorage('leadershipPlaybook_anecdotes', defaultAnecdotes);
+  const updateAnecdote = (id, field, value) =>
+    setAnecdotes(prev => prev.map(a => (a.id === id ? { ...a, [field]: value } : a)));
+  const deleteAnecdote = (id) => setAnecdotes(prev => prev.filter(a => a.id !== id));
+  const importAnecdotes = (imported) => setAnecdotes(prev => {
+    const nextId = prev.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+    return [...prev, ...imported.map((a, i) => ({ ...a, id: nextId + i }))];
+  });
+  const addAnecdote = () => setAnecdotes(prev => [
+    ...prev,
+    {
+      id: prev.reduce((max, a) => Math.max(max, a.id), 0) + 1,
+      date: new Date().toISOString().slice(0, 10),
+      sender: 'New colleague',
+      content: 'New shoutout - click to edit',
+      reactions: {},
+      category: filter === 'all' ? 'leadership' : filter,
+      highlight: 'New highlight'
+    }
+  ]);
+
+  const filteredAnecdotes = anecdotes.filter(anecdote => {
+    return isPrinting || filter === 'all' || anecdote.category === filter;
+  }).sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const getCategoryColor = (category) => {
+    const colorMap = {
+      'leadership': colors.accent,
+      'client-success': colors.success,
+      'mentorship': colors.purple,
+      'enablement': colors.info,
+      'problem-solving': colors.warning,
+      'sales': colors.orange,
+      'product': colors.pink,
+      'onboarding': colors.success
+    };
+    return colorMap[category] || colors.textMuted;
+  };
+
+  const totalReactions = (reactions) => {
+    return Object.values(reactions).reduce((sum, count) => sum + count, 0);
+  };
+
+  const toggleCard = (cardId) => {
+    setExpandedCards(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(cardId)) {
+        newSet.delete(cardId);
+      } else {
+        newSet.add(cardId);
+      }
+      return newSet;
+    });
+  };
+
+  const isLongContent = (content) => {
+    return content.length > 300;
+  };
+
+  // Calculate column count based on container width
+  useEffect(() => {
+    const updateColumnCount = () => {
+      if (containerRef.current) {
+        const width = containerRef.current.offsetWidth;
+        if (width >= 1200) setColumnCount(4);
+        else if (width >= 900) setColumnCount(3);
+        else if (width >= 600) setColumnCount(2);
+        else setColumnCount(1);
+      }
+    };
+    
+    updateColumnCount();
+    window.addEventListener('resize', updateColumnCount);
+    return () => window.removeEventListener('resize', updateColumnCount);
+  }, []);
+
+
+  return (
+    <div>
+      {/* Category Filters */}
+      <div style={{ marginBottom: '24px', display: isPrinting ? 'none' : 'block' }}>
+        <div role="group" aria-label="Filter anecdotes by category" style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          {ANECDOTE_CATEGORIES.map(cat => (
+            <button
+              key={cat.id}
+              type="button"
+              aria-pressed={filter === cat.id}
+              onClick={() => setFilter(cat.id)}
+              style={{
+                padding: '8px 16px',
+                borderRadius: '8px',
+                border: `1px solid ${filter === cat.id ? getCategoryColor(cat.id === 'all' ? 'leadership' : cat.id) : colors.border}`,
+                backgroundColor: filter === cat.id ? getCategoryColor(cat.id === 'all' ? 'leadership' : cat.id) + '15' : colors.card,
+                color: filter === cat.id ? getCategoryColor(cat.id === 'all' ? 'leadership' : cat.id) : colors.text,
+                fontSize: '13px',
+                fontWeight: filter === cat.id ? '600' : '500',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                transition: 'all 0.2s ease',
+                boxShadow: filter === cat.id ? '0 2px 4px rgba(0, 0, 0, 0.08)' : 'none'
+              }}
+            >
+              <span aria-hidden="true">{cat.icon}</span>
+              <span>{cat.label}</span>
+              {filter === cat.id && cat.id !== 'all' && (
+                <span style={{ 
+                  fontSize: '11px', 
+                  backgroundColor: getCategoryColor(cat.id) + '20',
+                  color: getCategoryColor(cat.id),
+                  padding: '2px 6px',
+                  borderRadius: '10px',
+                  marginLeft: '4px',
+                  fontWeight: '600'
+                }}>
+                  {anecdotes.filter(a => a.category === cat.id).length}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+        {isEditMode && (
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: '8px' }}>
+            <AddItemButton onClick={addAnecdote} label="Add anecdote" />
+            <SlackImportControls anecdotes={anecdotes} onImport={importAnecdotes} />
+          </div>
+        )}
+      </div>
+
+      {/* True Masonry Layout */}
+      <div 
+        ref={containerRef}
+        style={{ 
+          marginBottom: '32px',
+          position: 'relative',
+          minHeight: '400px'
+        }}
+      >
+        {filteredAnecdotes.length === 0 ? (
+          <Card style={{ textAlign: 'center', padding: '32px' }}>
+            <div style={{ fontSize: '48px', marginBottom: '12px' }}>🔍</div>
+            <p style={{ fontSize: '16px', color: colors.textMuted }}>No feedback found in this category.</p>
+          </Card>
+        ) : (
+          <MasonryItems 
+            items={filteredAnecdotes}
+            columnCount={columnCount}
+            gap={24}
+            expandedCards={expandedCards}
+            toggleCard={toggleCard}
+            getCategoryColor={getCategoryColor}
+            formatDate={formatDate}
+            isLongContent={isLongContent}
+            updateAnecdote={updateAnecdote}
+            deleteAnecdote={deleteAnecdote}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Custom sections: created from Navigation in edit mode and stored whole (content included) in
+// leadershipPlaybook_sections. Built-in sections are known by id; custom ones carry a template id.
+const CUSTOM_SECTION_TEMPLATES = [
+  {
+    id: 'richText',
+    label: 'Rich text',
+    description: 'Free-form text with **bold**, *italic*, links, @mentions and • bullets.',
+    content: () => ({ text: 'Click to write. Start lines with • for bullets.' })
+  },
+  {
+    id: 'listGrid',
+    label: 'List grid',
+    description: 'Titled cards of bullet points, like the Overview.',
+    content: () => ({ cards: [{ title: 'New list', items: ['New item - click to edit'] }, { title: 'New list', items: ['New item - click to edit'] }] })
+  },
+  {
+    id: 'cardBoard',
+    label: 'Card board',
+    description: 'Cards with a description, source, opportunities and recommendations, like From the Field.',
+    content: () => ({ cards: [newBoardCard()] })
+  }
+];
+
+const newBoardCard = () => ({
+  category: 'New card',
+  description: 'New description',
+  source: 'Source',
+  issues: ['New item - click to edit'],
+  recommendations: ['New item - click to edit']
+});
+
+const isCustomSection = (section) => Boolean(section.template);
+
+const newCustomSectionId = () => `custom-${Date.now().toString(36)}`;
+
+const createCustomSection = (templateId) => {
+  const template = CUSTOM_SECTION_TEMPLATES.find((t) => t.id === templateId);
+  return {
+    id: newCustomSectionId(),
+    label: 'New section',
+    title: 'New section',
+    subtitle: 'Click to add a subtitle',
+    template: template.id,
+    content: template.content()
+  };
+};
+
+// Built-in content lives in its own storage keys, so a copy of a built-in section becomes a custom section in
+// the closest template: From the Field as a card board, Overview as a list grid, the rest as rich text.
+const builtInSectionContent = (section) => {
+  flushPendingSaves();
+  if (section.id === 'field') {
+    const cards = [
+      ...readPlaybookValue('collaborationGaps', defaultCollaborationGaps),
+      ...readPlaybookValue('salesProcessIssues', defaultSalesProcessIssues),
+      ...readPlaybookValue('agentPositioning', defaultAgentPositioning)
+    ];
+    return { template: 'cardBoard', content: { cards } };
+  }
+  if (section.id === 'overview') {
+    const overview = readPlaybookValue('overviewContent', defaultOverviewContent);
+    return {
+      template: 'listGrid',
+      content: {
+        cards: [
+          { title: 'Current State', items: overview.context || [] },
+          { title: 'Strategic Bets', items: overview.strategicBets || [] },
+          { title: 'Upleveling SAs', items: overview.strategicPriorities || [] }
+        ]
+      }
+    };
+  }
+  const build = MARKDOWN_SECTION_BUILDERS[section.id];
+  const text = build ? build().filter(Boolean).join('\n\n').replace(/^#{1,6}\s+(.*)$/gm, '**$1**') : '';
+  return { template: 'richText', content: { text } };
+};
+
+const duplicateSection = (section) => {
+  const copy = isCustomSection(section)
+    ? { template: section.template, content: JSON.parse(JSON.stringify(section.content || {})) }
+    : builtInSectionContent(section);
+  return {
+    id: newCustomSectionId(),
+    label: `${section.label} (copy)`,
+    title: `${section.title || section.label} (copy)`,
+    subtitle: section.subtitle || 'Click to add a subtitle',
+    ...(section.notes ? { notes: section.notes } : {}),
+    ...copy
+  };
+};
+
+// Body of a custom section; every change goes back through onChange(content) into the sections list
+const CustomSectionContent = ({ section, onChange }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const content = section.content || {};
+
+  if (section.template === 'richText') {
+    return (
+      <Card>
+        <EditableText
+          value={content.text || ''}
+          onChange={(text) => onChange({ ...content, text })}
+          style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.7, display: 'block' }}
+          multiline
+        />
+      </Card>
+    );
+  }
+
+  const cards = content.cards || [];
+  const setCards = (next) => onChange({ ...content, cards: next });
+  const updateCard = (index, field, value) => setCards(cards.map((card, i) => (i === index ? { ...card, [field]: value } : card)));
+  const updateCardListItem = (index, field, itemIndex, value) =>
+    updateCard(index, field, (cards[index][field] || []).map((item, i) => (i === itemIndex ? value : item)));
+  const deleteCardListItem = (index, field, itemIndex) =>
+    updateCard(index, field, (cards[index][field] || []).filter((_, i) => i !== itemIndex));
+  const addCardListItem = (index, field) => updateCard(index, field, [...(cards[index][field] || []), 'New item - click to edit']);
+  const deleteCard = (index) => setCards(cards.filter((_, i) => i !== index));
+
+  const deleteCardButton = (index) => isEditMode && (
+    <button
+      aria-label="Delete card"
+      onClick={() => deleteCard(index)}
+      style={{ background: 'none', border: 'none', color: colors.danger, cursor: 'pointer', padding: '4px 8px', fontSize: '16px' }}
+      title="Delete card"
+    >
+      ×
+    </button>
+  );
+
+  if (section.template === 'listGrid') {
+    const listGridColors = [colors.info, colors.accent, colors.success, colors.purple, colors.warning];
+    return (
+      <>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '24px' }}>
+          {cards.map((card, index) => {
+            const cardColor = listGridColors[index % listGridColors.length];
+            return (
+              <div key={index} style={{
+                borderRadius: '16px',
+                overflow: 'hidden',
+                border: `2px solid ${cardColor}30`,
+                backgroundColor: colors.bg,
+                boxShadow: '0 4px 20px rgba(0,0,0,0.06), 0 0 0 1px rgba(0,0,0,0.02)',
+                display: 'flex',
+                flexDirection: 'column',
+                breakInside: 'avoid'
+              }}>
+                <div style={{
+                  padding: '20px 24px',
+                  background: `linear-gradient(135deg, ${cardColor}18 0%, ${cardColor}08 100%)`,
+                  borderBottom: `3px solid ${cardColor}`,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: '14px'
+                }}>
+                  <EditableText
+                    value={card.title}
+                    onChange={(v) => updateCard(index, 'title', v)}
+                    style={{ fontSize: '20px', fontWeight: '700', color: colors.text, letterSpacing: '-0.02em' }}
+                  />
+                  {deleteCardButton(index)}
+                </div>
+                <div style={{ padding: '20px 24px', flex: 1, display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                  {(card.items || []).map((item, i) => (
+                    <EditableListItem
+                      key={i}
+                      value={item}
+                      onChange={(v) => updateCardListItem(index, 'items', i, v)}
+                      onDelete={() => deleteCardListItem(index, 'items', i)}
+                      color={cardColor}
+                    />
+                  ))}
+                  <AddItemButton onClick={() => addCardListItem(index, 'items')} label="Add item" />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <AddItemButton onClick={() => setCards([...cards, { title: 'New list', items: [] }])} label="Add list" />
+      </>
+    );
+  }
+
+  return (
+    <>
+      {cards.map((card, index) => (
+        <Card key={index} style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.accent}` }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+            <div style={{ flex: 1 }}>
+              <EditableText
+                value={card.category}
+                onChange={(v) => updateCard(index, 'category', v)}
+                style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px', display: 'block' }}
+              />
+              <EditableText
+                value={card.description}
+                onChange={(v) => updateCard(index, 'description', v)}
+                style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: '8px', display: 'block' }}
+                multiline
+              />
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+                <span style={{ fontSize: '12px', color: colors.textMuted }}>Source:</span>
+                <EditableText
+                  value={card.source}
+                  onChange={(v) => updateCard(index, 'source', v)}
+                  style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
+                />
+              </div>
+            </div>
+            {deleteCardButton(index)}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+            {[['issues', 'Opportunities', colors.danger, 'Add opportunity'], ['recommendations', 'Recommendations', colors.success, 'Add recommendation']].map(([field, heading, color, addLabel]) => (
+              <div key={field}>
+                <h5 style={{ fontSize: '14px', fontWeight: '600', color, marginBottom: '12px' }}>{heading}</h5>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                  {(card[field] || []).map((item, i) => (
+                    <EditableListItem
+                      key={i}
+                      value={item}
+                      onChange={(v) => updateCardListItem(index, field, i, v)}
+                      onDelete={() => deleteCardListItem(index, field, i)}
+                      color={color}
+                    />
+                  ))}
+                </div>
+                <AddItemButton onClick={() => addCardListItem(index, field)} label={addLabel} />
+              </div>
+            ))}
+          </div>
+        </Card>
+      ))}
+      <AddItemButton onClick={() => setCards([...cards, newBoardCard()])} label="Add card" />
+    </>
+  );
+};
+
+// Edit-mode template picker for Navigation's "Add section"
+const AddSectionDialog = ({ onAdd, onClose }) => {
+  const colors = useColors();
+  return (
+    <ModalShell title="Add a section" onClose={onClose} footer={<ToolButton onClick={onClose}>Cancel</ToolButton>}>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {CUSTOM_SECTION_TEMPLATES.map((template) => (
+          <button
+            key={template.id}
+            type="button"
+            onClick={() => onAdd(template.id)}
+            style={{
+              textAlign: 'left',
+              padding: '12px 16px',
+              borderRadius: '8px',
+              border: `1px solid ${colors.border}`,
+              backgroundColor: colors.card,
+              cursor: 'pointer',
+              fontFamily: 'inherit'
+            }}
+          >
+            <div style={{ fontSize: '14px', fontWeight: '600', color: colors.text, marginBottom: '2px' }}>{template.label}</div>
+            <div style={{ fontSize: '13px', color: colors.textMuted }}>{template.description}</div>
+          </button>
+        ))}
+      </div>
+    </ModalShell>
+  );
+};
+
+// Audience presets: named views of the playbook ({ id, name, sections: [ids in order], tabs: { sectionId: [tab ids] } }),
+// chosen in the header and carried in the URL as ?audience=<id> so a link opens the right view. A section
+// without a tabs entry shows all of its tabs.
+const newAudiencePreset = (sections) => ({
+  id: `audience-${Date.now().toString(36)}`,
+  name: 'New audience',
+  sections: sections.filter((s) => !s.hidden).map((s) => s.id),
+  tabs: {}
+});
+
+// View-mode switcher in the Navigation bar
+const AudienceSwitcher = ({ presets, activeId, onSelect }) => {
+  const colors = useColors();
+  return (
+    <select
+      value={activeId || ''}
+      onChange={(e) => onSelect(e.target.value || null)}
+      title="Show the playbook for an audience"
+      style={{
+        padding: '6px 8px',
+        borderRadius: '6px',
+        border: `1px solid ${colors.border}`,
+        backgroundColor: colors.card,
+        fontSize: '13px',
+        color: colors.textSecondary,
+        fontFamily: 'inherit',
+        cursor: 'pointer',
+        maxWidth: '200px'
+      }}
+    >
+      <option value="">All sections</option>
+      {presets.map((preset) => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+    </select>
+  );
+};
+
+// Edit-mode editor: pick a preset, then its name, sections (checked = shown, arrows = order) and tabs per section
+const AudiencePresetsDialog = ({ presets, setPresets, sections, onClose }) => {
+  const colors = useColors();
+  const [selectedId, setSelectedId] = useState(presets.length > 0 ? presets[0].id : null);
+  const preset = presets.find((p) => p.id === selectedId) || null;
+
+  const updatePreset = (changes) => setPresets(presets.map((p) => (p.id === selectedId ? { ...p, ...changes } : p)));
+
+  const addPreset = () => {
+    const created = newAudiencePreset(sections);
+    setPresets([...presets, created]);
+    setSelectedId(created.id);
+  };
+
+  const deletePreset = () => {
+    const remaining = presets.filter((p) => p.id !== selectedId);
+    setPresets(remaining);
+    setSelectedId(remaining.length > 0 ? remaining[0].id : null);
+  };
+
+  const sectionById = (id) => sections.find((s) => s.id === id);
+  const includedIds = preset ? preset.sections.filter(sectionById) : [];
+  const excluded = sections.filter((s) => !includedIds.includes(s.id));
+
+  // At least one section stays in, and every shown section keeps at least one tab
+  const toggleSection = (id) => {
+    if (includedIds.includes(id)) {
+      if (includedIds.length > 1) updatePreset({ sections: includedIds.filter((sid) => sid !== id) });
+    } else {
+      updatePreset({ sections: [...includedIds, id] });
+    }
+  };
+
+  const presetTabIds = (sectionId) => audienceSectionTabs(sectionId, preset).map((tab) => tab.id);
+  const setTabIds = (sectionId, tabIds) => updatePreset({ tabs: { ...(preset.tabs || {}), [sectionId]: tabIds } });
+  const toggleTab = (sectionId, tabId) => {
+    const tabIds = presetTabIds(sectionId);
+    if (tabIds.includes(tabId)) {
+      if (tabIds.length > 1) setTabIds(sectionId, tabIds.filter((id) => id !== tabId));
+    } else {
+      setTabIds(sectionId, [...tabIds, tabId]);
+    }
+  };
+
+  const arrowStyle = (enabled) => ({
+    background: 'none',
+    border: 'none',
+    color: enabled ? colors.textSecondary : colors.gray300,
+    cursor: enabled ? 'pointer' : 'default',
+    padding: '0 4px',
+    fontSize: '13px'
+  });
+  const rowStyle = { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', color: colors.text };
+
+  return (
+    <ModalShell
+      title="Audience presets"
+      onClose={onClose}
+      maxWidth="640px"
+      footer={<ToolButton onClick={onClose} primary>Done</ToolButton>}
+    >
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px', flexWrap: 'wrap' }}>
+        {presets.map((p) => (
+          <ToolButton key={p.id} onClick={() => setSelectedId(p.id)} primary={p.id === selectedId}>{p.name}</ToolButton>
+        ))}
+        <ToolButton onClick={addPreset}>+ New preset</ToolButton>
+      </div>
+
+      {!preset ? (
+        <p style={{ fontSize: '14px', color: colors.textMuted, margin: 0 }}>No presets yet. Add one to choose which sections and tabs an audience sees.</p>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+            <div style={{ flex: 1 }}>
+              <EditableText
+                value={preset.name}
+                onChange={(name) => updatePreset({ name })}
+                style={{ fontSize: '16px', fontWeight: '600', color: colors.text }}
+              />
+            </div>
+            <ToolButton onClick={deletePreset} title="Delete this preset">Delete</ToolButton>
+          </div>
+          <p style={{ fontSize: '12px', color: colors.textMuted, margin: '0 0 12px' }}>
+            Link: <code>#/?audience={preset.id}</code>
+          </p>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {includedIds.map((id, index) => {
+              const section = sectionById(id);
+              const tabIds = presetTabIds(id);
+              return (
+                <div key={id}>
+                  <div style={rowStyle}>
+                    <input type="checkbox" checked onChange={() => toggleSection(id)} disabled={includedIds.length === 1} aria-label={`Show ${section.label}`} />
+                    <span style={{ flex: 1 }}>{section.label}</span>
+                    <button type="button" onClick={() => updatePreset({ sections: moveItem(includedIds, index, -1) })} disabled={index === 0} style={arrowStyle(index > 0)} title="Move up" aria-label={`Move ${section.label} up`}>↑</button>
+                    <button type="button" onClick={() => updatePreset({ sections: moveItem(includedIds, index, 1) })} disabled={index === includedIds.length - 1} style={arrowStyle(index < includedIds.length - 1)} title="Move down" aria-label={`Move ${section.label} down`}>↓</button>
                   </div>
-                  <div>
-                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '12px' }}>Recommendations</h5>
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                      {gap.recommendations.map((item, i) => (
-                        <EditableListItem
-                          key={i}
-                          value={item}
-                          onChange={(v) => updateGapListItem(index, 'recommendations', i, v)}
-                          onDelete={() => deleteGapListItem(index, 'recommendations', i)}
-                          color={colors.success}
-                        />
-                      ))}
+                  {SECTION_TABS[id] && (
+                    <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', margin: '6px 0 0 28px' }}>
+                      {[...tabIds, ...SECTION_TABS[id].map((tab) => tab.id).filter((tabId) => !tabIds.includes(tabId))].map((tabId) => {
+                        const tabIndex = tabIds.indexOf(tabId);
+                        const shown = tabIndex !== -1;
+                        return (
+                          <span key={tabId} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: shown ? colors.textSecondary : colors.textMuted }}>
+                            <input type="checkbox" checked={shown} onChange={() => toggleTab(id, tabId)} disabled={shown && tabIds.length === 1} />
+                            {tabLabel(id, tabId)}
+                            {shown && (
+                              <>
+                                <button type="button" onClick={() => setTabIds(id, moveItem(tabIds, tabIndex, -1))} disabled={tabIndex === 0} style={arrowStyle(tabIndex > 0)} title="Move left" aria-label={`Move ${tabLabel(id, tabId)} left`}>←</button>
+                                <button type="button" onClick={() => setTabIds(id, moveItem(tabIds, tabIndex, 1))} disabled={tabIndex === tabIds.length - 1} style={arrowStyle(tabIndex < tabIds.length - 1)} title="Move right" aria-label={`Move ${tabLabel(id, tabId)} right`}>→</button>
+                              </>
+                            )}
+                          </span>
+                        );
+                      })}
                     </div>
-                    <AddItemButton onClick={() => addGapListItem(index, 'recommendations')} label="Add recommendation" />
-                  </div>
+                  )}
                 </div>
-              </Card>
+              );
+            })}
+            {excluded.map((section) => (
+              <div key={section.id} style={{ ...rowStyle, color: colors.textMuted }}>
+                <input type="checkbox" checked={false} onChange={() => toggleSection(section.id)} aria-label={`Show ${section.label}`} />
+                <span>{section.label}</span>
+              </div>
             ))}
           </div>
-        )}
-      </Card>
+        </>
+      )}
+    </ModalShell>
+  );
+};
 
-      {/* Sales Process Opportunities — dropdown category */}
-      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.warning}` }}>
-        <button
-          type="button"
-          onClick={() => toggleCategory('sales')}
-          style={{
-            width: '100%',
-            display: 'flex',
-            alignItems: 'flex-start',
-            justifyContent: 'space-between',
-            gap: '12px',
-            padding: 0,
-            border: 'none',
-            background: 'none',
-            cursor: 'pointer',
-            textAlign: 'left'
-          }}
-        >
-          <div style={{ flex: 1, minWidth: 0 }}>
-            <h3 style={{ fontSize: '24px', fontWeight: '600', color: colors.text, margin: 0 }}>Sales Process Opportunities</h3>
-            {!isCategoryExpanded('sales') && salesProcessSummary && (
-              <p style={{ fontSize: '14px', color: colors.textSecondary, marginTop: '10px', marginBottom: 0, lineHeight: 1.5 }}>
-                {salesProcessSummary}
-              </p>
+// Navigation
+const Navigation = ({ activeSection, setActiveSection, sections, setSections, visibleSections, audiencePresets, setAudiencePresets, activeAudienceId, setActiveAudience }) => {
+  const colors = useColors();
+  const { isEditMode } = useContext(EditModeContext);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [isAddingSection, setIsAddingSection] = useState(false);
+  const [isEditingAudiences, setIsEditingAudiences] = useState(false);
+  const [reorderAnnouncement, setReorderAnnouncement] = useState('');
+  const reorderHintId = useId();
+  const handleRefs = useRef({});
+  const pendingHandleFocusRef = useRef(null);
+
+  // Moving a focused node in the DOM can drop focus, so the moved section's handle takes it back after render
+  useEffect(() => {
+    const id = pendingHandleFocusRef.current;
+    if (!id) return;
+    pendingHandleFocusRef.current = null;
+    if (handleRefs.current[id]) handleRefs.current[id].focus();
+  });
+
+  // Keyboard alternative to dragging: arrows move the focused section one place, Home / End to either end
+  const handleReorderKeyDown = (e, index) => {
+    const last = sections.length - 1;
+    let target = null;
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') target = index - 1;
+    else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') target = index + 1;
+    else if (e.key === 'Home') target = 0;
+    else if (e.key === 'End') target = last;
+    if (target === null) return;
+    e.preventDefault();
+    if (target < 0 || target > last || target === index) return;
+    const newSections = [...sections];
+    const [moved] = newSections.splice(index, 1);
+    newSections.splice(target, 0, moved);
+    pendingHandleFocusRef.current = moved.id;
+    setSections(newSections);
+    setReorderAnnouncement(`${moved.label} moved to position ${target + 1} of ${sections.length}`);
+  };
+
+  const addSection = (templateId) => {
+    const section = createCustomSection(templateId);
+    setSections([...sections, section]);
+    setIsAddingSection(false);
+    setActiveSection(section.id);
+  };
+
+  const copySection = (index) => {
+    const copy = duplicateSection(sections[index]);
+    const newSections = [...sections];
+    newSections.splice(index + 1, 0, copy);
+    setSections(newSections);
+    setActiveSection(copy.id);
+  };
+
+  const toggleSectionHidden = (index) => {
+    const newSections = [...sections];
+    const { hidden, ...section } = newSections[index];
+    newSections[index] = hidden ? section : { ...section, hidden: true };
+    setSections(newSections);
+  };
+
+  // Only custom sections can be deleted; built-ins are hidden instead (both undoable)
+  const deleteSection = (index) => {
+    setSections(sections.filter((_, i) => i !== index));
+  };
+
+  const sectionActionStyle = {
+    background: 'none',
+    border: 'none',
+    color: colors.textMuted,
+    cursor: 'pointer',
+    padding: '2px 4px',
+    fontSize: '12px',
+    flexShrink: 0
+  };
+
+  const handleDragStart = (e, index) => {
+    setDraggedIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/html', e.target.outerHTML);
+    e.target.style.opacity = '0.5';
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverIndex(index);
+  };
+
+  const handleDragLeave = () => {
+    setDragOverIndex(null);
+  };
+
+  const handleDrop = (e, dropIndex) => {
+    e.preventDefault();
+    setDragOverIndex(null);
+    
+    if (draggedIndex === null || draggedIndex === dropIndex) {
+      setDraggedIndex(null);
+      return;
+    }
+
+    const newSections = [...sections];
+    const draggedSection = newSections[draggedIndex];
+    newSections.splice(draggedIndex, 1);
+    newSections.splice(dropIndex, 0, draggedSection);
+    setSections(newSections);
+    setDraggedIndex(null);
+  };
+
+  const handleDragEnd = (e) => {
+    e.target.style.opacity = '1';
+    setDraggedIndex(null);
+    setDragOverIndex(null);
+  };
+
+  return (
+    <nav aria-label="Playbook sections" style={{ 
+      position: 'sticky', 
+      top: 0, 
+      backgroundColor: colors.bgTranslucent,
+      backdropFilter: 'blur(10px)',
+      borderBottom: `1px solid ${colors.border}`, 
+      zIndex: 100, 
+      width: '100%',
+      overflow: 'hidden',
+      boxShadow: '0 1px 0 rgba(0, 0, 0, 0.05)'
+    }}>
+      <div style={{ 
+        maxWidth: '1200px', 
+        width: '100%',
+        margin: '0 auto',
+        padding: '0 32px',
+        boxSizing: 'border-box'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+          <div style={{ 
+            display: 'flex', 
+            gap: '4px', 
+            flex: 1,
+            minWidth: 0,
+            overflowX: 'auto',
+            overflowY: 'hidden',
+            scrollbarWidth: 'none', // Firefox
+            msOverflowStyle: 'none', // IE/Edge
+            WebkitOverflowScrolling: 'touch'
+          }}>
+            {isEditMode && (
+              <>
+                <span id={reorderHintId} style={VISUALLY_HIDDEN_STYLE}>Use the arrow keys to move this section, Home or End to move it to either end.</span>
+                <span aria-live="polite" style={VISUALLY_HIDDEN_STYLE}>{reorderAnnouncement}</span>
+              </>
+            )}
+            <style>{`
+              nav div div::-webkit-scrollbar {
+                display: none; /* Chrome, Safari, Opera */
+              }
+            `}</style>
+            {/* View mode lists what's shown (audience preset applied); edit mode lists every section, hidden ones dimmed */}
+            {(isEditMode ? sections : visibleSections).map((s, index) => (
+              <div 
+                key={s.id} 
+                style={{ 
+                  display: 'flex', 
+                  alignItems: 'center', 
+                  gap: '4px', 
+                  position: 'relative',
+                  opacity: draggedIndex === index ? 0.5 : s.hidden ? 0.45 : 1,
+                  transform: dragOverIndex === index && draggedIndex !== index ? 'translateX(4px)' : 'translateX(0)',
+                  transition: 'all 0.2s ease'
+                }}
+                draggable={isEditMode}
+                onDragStart={(e) => handleDragStart(e, index)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDragLeave={handleDragLeave}
+                onDrop={(e) => handleDrop(e, index)}
+                onDragEnd={handleDragEnd}
+              >
+                {isEditMode && (
+                  <div 
+                    style={{ 
+                      width: '6px',
+                      height: '24px',
+                      backgroundColor: draggedIndex === index ? colors.accent : colors.border,
+                      borderRadius: '3px',
+                      cursor: 'grab',
+                      flexShrink: 0,
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      transition: 'all 0.2s ease'
+                    }}
+                    title="Drag to reorder"
+                    role="button"
+                    tabIndex={0}
+                    ref={(el) => { handleRefs.current[s.id] = el; }}
+                    aria-label={`Reorder ${s.label}, position ${index + 1} of ${sections.length}`}
+                    aria-describedby={reorderHintId}
+                    onKeyDown={(e) => handleReorderKeyDown(e, index)}
+                    onMouseDown={(e) => e.stopPropagation()}
+                  >
+                    <div style={{
+                      width: '2px',
+                      height: '12px',
+                      backgroundColor: draggedIndex === index ? 'white' : colors.textMuted,
+                      borderRadius: '1px',
+                      opacity: 0.6
+                    }} />
+                  </div>
+                )}
+                <button
+                  onClick={() => !isEditMode && setActiveSection(s.id)}
+                  aria-current={activeSection === s.id ? 'page' : undefined}
+                  style={{
+                    padding: '16px 16px',
+                    border: 'none',
+                    backgroundColor: 'transparent',
+                    borderBottom: activeSection === s.id ? `2px solid ${colors.accent}` : '2px solid transparent',
+                    marginBottom: '-1px',
+                    fontSize: '14px',
+                    fontWeight: activeSection === s.id ? '600' : '400',
+                    color: activeSection === s.id ? colors.text : colors.textMuted,
+                    cursor: isEditMode ? 'grab' : 'pointer',
+                    whiteSpace: 'nowrap',
+                    flexShrink: 0,
+                    transition: 'all 0.2s ease',
+                    letterSpacing: '-0.01em',
+                    borderLeft: dragOverIndex === index && draggedIndex !== index ? `2px solid ${colors.accent}` : 'none',
+                    paddingLeft: dragOverIndex === index && draggedIndex !== index ? '14px' : '16px'
+                  }}
+                >
+                  <EditableText
+                    value={s.label}
+                    onChange={(v) => {
+                      const newSections = [...sections];
+                      newSections[index] = { ...newSections[index], label: v };
+                      setSections(newSections);
+                    }}
+                    style={{
+                      fontSize: '14px',
+                      fontWeight: activeSection === s.id ? '600' : '400',
+                      color: activeSection === s.id ? colors.text : colors.textMuted
+                    }}
+                  />
+                </button>
+                {isEditMode && (
+                  <>
+                    <button type="button" onClick={() => copySection(index)} style={sectionActionStyle} title="Duplicate section" aria-label={`Duplicate ${s.label}`}>⧉</button>
+                    <button type="button" onClick={() => toggleSectionHidden(index)} style={sectionActionStyle} title={s.hidden ? 'Show section' : 'Hide section'} aria-label={`${s.hidden ? 'Show' : 'Hide'} ${s.label}`}>
+                      {s.hidden ? 'Show' : 'Hide'}
+                    </button>
+                    {isCustomSection(s) && (
+                      <button type="button" onClick={() => deleteSection(index)} style={{ ...sectionActionStyle, color: colors.danger, fontSize: '16px' }} title="Delete section" aria-label={`Delete ${s.label}`}>×</button>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+            {isEditMode && (
+              <button
+                type="button"
+                onClick={() => setIsAddingSection(true)}
+                style={{
+                  padding: '16px 16px',
+                  border: 'none',
+                  backgroundColor: 'transparent',
+                  fontSize: '14px',
+                  color: colors.accent,
+                  cursor: 'pointer',
+                  whiteSpace: 'nowrap',
+                  flexShrink: 0
+                }}
+              >
+                + Add section
+              </button>
             )}
           </div>
-          <span style={{ fontSize: '14px', color: colors.textMuted, flexShrink: 0 }}>{isCategoryExpanded('sales') ? '▲' : '▼'}</span>
-        </button>
-        {isEditMode && (
-          <div style={{ marginTop: '12px' }}>
-            <button
-              onClick={addSalesIssueItem}
-              style={{
-                padding: '8px 16px',
-                backgroundColor: colors.accent,
-                color: 'white',
-                border: 'none',
-                borderRadius: '8px',
-                fontSize: '13px',
-                fontWeight: '500',
-                cursor: 'pointer'
-              }}
-            >
-              + Add Category
-            </button>
+          {isEditMode ? (
+            <ToolButton onClick={() => setIsEditingAudiences(true)} title="Choose which sections and tabs each audience sees">Audiences</ToolButton>
+          ) : audiencePresets.length > 0 && (
+            <AudienceSwitcher presets={audiencePresets} activeId={activeAudienceId} onSelect={setActiveAudience} />
+          )}
+        </div>
+      </div>
+      {isAddingSection && <AddSectionDialog onAdd={addSection} onClose={() => setIsAddingSection(false)} />}
+      {isEditingAudiences && (
+        <AudiencePresetsDialog
+          presets={audiencePresets}
+          setPresets={setAudiencePresets}
+          sections={sections}
+          onClose={() => setIsEditingAudiences(false)}
+        />
+      )}
+    </nav>
+  );
+};
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal dialog behaviour: focus moves inside on open (an autoFocus field keeps it), Tab and Shift+Tab cycle
+// within the dialog, Escape closes, and focus returns to whatever had it before. Spread the props on the dialog box.
+const useDialog = (onClose, titleId) => {
+  const dialogRef = useRef(null);
+  // Read during render: an autoFocus child takes focus before effects run
+  const [opener] = useState(() => (typeof document === 'undefined' ? null : document.activeElement));
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (dialog && !dialog.contains(document.activeElement)) {
+      const first = dialog.querySelector(FOCUSABLE_SELECTOR);
+      (first || dialog).focus();
+    }
+    return () => {
+      if (opener && typeof opener.focus === 'function' && document.contains(opener)) opener.focus();
+    };
+  }, [opener]);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      // Nested dialogs: only the innermost closes
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab' || !dialogRef.current) return;
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR)].filter((el) => el.offsetParent !== null);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return { ref: dialogRef, role: 'dialog', 'aria-modal': true, 'aria-labelledby': titleId, tabIndex: -1, onKeyDown };
+};
+
+// Generic modal — same centered card + blurred backdrop as the principle modal (portal to body)
+const ModalShell = ({ title, onClose, children, footer, maxWidth = '560px' }) => {
+  const colors = useColors();
+  const titleId = useId();
+  const dialogProps = useDialog(onClose, titleId);
+  if (typeof document === 'undefined') return null;
+  const appFont = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+  return createPortal(
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        zIndex: 10000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '24px',
+        backgroundColor: 'rgba(0,0,0,0.35)',
+        backdropFilter: 'blur(6px)',
+        WebkitBackdropFilter: 'blur(6px)',
+        fontFamily: appFont,
+        color: colors.text,
+        lineHeight: 1.6,
+        fontSize: '14px'
+      }}
+      onClick={onClose}
+    >
+      <div
+        {...dialogProps}
+        style={{
+          backgroundColor: colors.bg,
+          borderRadius: '12px',
+          maxWidth,
+          width: '100%',
+          maxHeight: '85vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.05), 0 24px 48px rgba(0,0,0,0.15)',
+          border: `1px solid ${colors.border}`,
+          position: 'relative',
+          outline: 'none'
+        }}
+        onClick={e => e.stopPropagation()}
+      >
+        <div style={{ padding: '20px 20px 0', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '16px' }}>
+          <h3 id={titleId} style={{ fontSize: '18px', fontWeight: '600', color: colors.text, margin: 0 }}>{title}</h3>
+          <button
+            aria-label="Close"
+            type="button"
+            onClick={onClose}
+            style={{
+              width: '32px',
+              height: '32px',
+              flexShrink: 0,
+              borderRadius: '8px',
+              border: 'none',
+              backgroundColor: colors.surface,
+              color: colors.textMuted,
+              fontSize: '18px',
+              cursor: 'pointer',
+              lineHeight: 1
+            }}
+          >
+            ×
+          </button>
+        </div>
+        <div style={{ padding: '16px 20px 20px', overflow: 'auto', flex: 1 }}>{children}</div>
+        {footer && (
+          <div style={{ padding: '12px 20px', borderTop: `1px solid ${colors.borderLight}`, display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+            {footer}
           </div>
         )}
-        {isCategoryExpanded('sales') && (
-          <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: `1px solid ${colors.borderLight}` }}>
-            <div style={{ marginBottom: '24px', padding: '16px', backgroundColor: colors.gray50, borderRadius: '8px', border: `1px solid ${colors.borderLight}` }}>
-              <div style={{ fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Summary of sentiment</div>
-              <EditableText
-                value={salesProcessSummary}
-                onChange={setSalesProcessSummary}
-                style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.6 }}
-                multiline
-              />
-            </div>
-            {salesProcessIssues.map((issue, index) => (
-              <Card key={index} style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.warning}` }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
-                  <div style={{ flex: 1 }}>
-                    <EditableText
-                      value={issue.category}
-                      onChange={(v) => updateSalesIssueItem(index, 'category', v)}
-                      style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}
-                    />
-                    <EditableText
-                      value={issue.description}
-                      onChange={(v) => updateSalesIssueItem(index, 'description', v)}
-                      style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: '8px' }}
-                      multiline
-                    />
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
-                      <span style={{ fontSize: '12px', color: colors.textMuted }}>Source:</span>
-                      <EditableText
-                        value={issue.source}
-                        onChange={(v) => updateSalesIssueItem(index, 'source', v)}
-                        style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
-                      />
-                    </div>
-                  </div>
-                  {isEditMode && (
-                    <button
-                      onClick={() => deleteSalesIssueItem(index)}
-                      style={{
-                        background: 'none',
-                        border: 'none',
-                        color: colors.danger,
-                        cursor: 'pointer',
-                        padding: '4px 8px',
-                        fontSize: '16px'
-                      }}
-                    >
-                      ×
-                    </button>
-                  )}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+// Small text button used for footer tools and modal actions
+const ToolButton = ({ onClick, children, primary = false, disabled = false, title }) => {
+  const colors = useColors();
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      style={{
+        padding: '8px 14px',
+        borderRadius: '8px',
+        border: `1px solid ${primary ? colors.accent : colors.border}`,
+        backgroundColor: primary ? colors.accent : colors.card,
+        color: primary ? 'white' : colors.textSecondary,
+        fontSize: '13px',
+        fontWeight: '500',
+        cursor: disabled ? 'not-allowed' : 'pointer',
+        opacity: disabled ? 0.5 : 1,
+        transition: 'all 0.2s'
+      }}
+    >
+      {children}
+    </button>
+  );
+};
+
+const BUNDLE_DIFF_STYLES = {
+  changed: { label: 'Overwritten', colorKey: 'warning' },
+  added: { label: 'Added', colorKey: 'success' },
+  removed: { label: 'Reset to default', colorKey: 'danger' },
+  unchanged: { label: 'Unchanged', colorKey: 'textMuted' }
+};
+
+// Export / Import playbook: one JSON file with every saved edit; import previews a per-section diff before applying
+const PlaybookBundleControls = () => {
+  const colors = useColors();
+  const fileInputRef = useRef(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importErrors, setImportErrors] = useState(null);
+
+  const handleExport = () => {
+    const bundle = buildPlaybookBundle();
+    const date = bundle.exportedAt.slice(0, 10);
+    downloadFile(`leadership-playbook-${date}.json`, JSON.stringify(bundle, null, 2));
+  };
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch {
+      setImportErrors({ fileName: file.name, errors: ['File is not valid JSON.'] });
+      return;
+    }
+    const errors = validatePlaybookBundle(bundle);
+    if (errors.length > 0) {
+      setImportErrors({ fileName: file.name, errors });
+      return;
+    }
+    setPendingImport({ fileName: file.name, bundle, diff: diffPlaybookBundle(bundle) });
+  };
+
+  const handleApply = () => {
+    applyPlaybookBundle(pendingImport.bundle);
+    window.location.reload();
+  };
+
+  const affected = pendingImport ? pendingImport.diff.filter((d) => d.status !== 'unchanged') : [];
+  const unchangedCount = pendingImport ? pendingImport.diff.length - affected.length : 0;
+
+  return (
+    <>
+      <ToolButton onClick={handleExport} title="Download every saved edit as one JSON file">Export playbook</ToolButton>
+      <ToolButton onClick={() => fileInputRef.current && fileInputRef.current.click()} title="Load a playbook JSON file">Import playbook</ToolButton>
+      <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFileChosen} style={{ display: 'none' }} />
+
+      {importErrors && (
+        <ModalShell
+          title="Can't import playbook"
+          onClose={() => setImportErrors(null)}
+          footer={<ToolButton onClick={() => setImportErrors(null)}>Close</ToolButton>}
+        >
+          <p style={{ fontSize: '13px', color: colors.textMuted, marginBottom: '12px' }}>{importErrors.fileName}</p>
+          <ul style={{ paddingLeft: '20px', color: colors.danger, fontSize: '14px' }}>
+            {importErrors.errors.map((err, i) => <li key={i} style={{ marginBottom: '6px' }}>{err}</li>)}
+          </ul>
+        </ModalShell>
+      )}
+
+      {pendingImport && (
+        <ModalShell
+          title="Import playbook"
+          onClose={() => setPendingImport(null)}
+          footer={
+            <>
+              <ToolButton onClick={() => setPendingImport(null)}>Cancel</ToolButton>
+              <ToolButton primary onClick={handleApply} disabled={affected.length === 0}>
+                {affected.length === 0 ? 'Nothing to import' : `Apply ${affected.length} change${affected.length === 1 ? '' : 's'}`}
+              </ToolButton>
+            </>
+          }
+        >
+          <p style={{ fontSize: '13px', color: colors.textMuted, marginBottom: '16px' }}>
+            {pendingImport.fileName}
+            {pendingImport.bundle.exportedAt && ` • exported ${new Date(pendingImport.bundle.exportedAt).toLocaleString()}`}
+          </p>
+          {affected.length === 0 ? (
+            <p style={{ fontSize: '14px', color: colors.textSecondary }}>This file matches the playbook saved in this browser.</p>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {affected.map(({ name, status }) => (
+                <div key={name} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', padding: '8px 12px', borderRadius: '8px', backgroundColor: colors.surface }}>
+                  <span style={{ fontSize: '14px', color: colors.text }}>{formatStorageKeyLabel(name)}</span>
+                  <span style={{ fontSize: '11px', fontWeight: '600', padding: '2px 8px', borderRadius: '4px', color: colors[BUNDLE_DIFF_STYLES[status].colorKey], backgroundColor: colors[BUNDLE_DIFF_STYLES[status].colorKey] + '18' }}>
+                    {BUNDLE_DIFF_STYLES[status].label}
+                  </span>
                 </div>
-                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
-                  <div>
-                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '12px' }}>Opportunities</h5>
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                      {issue.issues.map((item, i) => (
-                        <EditableListItem
-                          key={i}
-                          value={item}
-                          onChange={(v) => updateSalesIssueListItem(index, 'issues', i, v)}
-                          onDelete={() => deleteSalesIssueListItem(index, 'issues', i)}
-                          color={colors.danger}
-                        />
-                      ))}
+              ))}
+            </div>
+          )}
+          {unchangedCount > 0 && (
+            <p style={{ fontSize: '12px', color: colors.textMuted, marginTop: '12px' }}>{unchangedCount} section{unchangedCount === 1 ? '' : 's'} unchanged.</p>
+          )}
+          <p style={{ fontSize: '12px', color: colors.textMuted, marginTop: '12px' }}>Applying replaces the playbook saved in this browser and reloads the page.</p>
+        </ModalShell>
+      )}
+    </>
+  );
+};
+
+// Markdown export: every section's saved content (or its default) in the current section order,
+// for pasting into docs and chat. Speaker notes stay out; the snapshot being previewed is exported as shown.
+const readPlaybookValue = (name, defaultValue) => {
+  if (snapshotPreview) return readSnapshotValue(snapshotPreview, name, defaultValue);
+  const key = STORAGE_PREFIX + name;
+  if (!hasStoredValue(key)) return defaultValue;
+  return runStorageMigrations(key, loadFromStorage(key, defaultValue), defaultValue);
+};
+
+// "• " bullets typed into multiline fields become Markdown list items
+const markdownText = (text) => String(text ?? '').trim().replace(/^\s*•\s*/gm, '- ');
+
+const markdownList = (items) => (items || []).filter((item) => String(item ?? '').trim()).map((item) => `- ${markdownText(item)}`).join('\n');
+
+const markdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+
+const markdownTable = (headers, rows) => [
+  `| ${headers.map(markdownCell).join(' | ')} |`,
+  `| ${headers.map(() => '---').join(' | ')} |`,
+  ...rows.map((row) => `| ${row.map(markdownCell).join(' | ')} |`)
+].join('\n');
+
+// Heading followed by a list, skipped entirely when the list is empty
+const markdownListBlock = (heading, items) => ((items || []).length > 0 ? [heading, markdownList(items)] : []);
+
+const podBoardMarkdown = (podBoard, capacity) => {
+  const people = podPeople(podBoard, capacity);
+  return POD_LAYOUTS.flatMap(({ id, label }) => [
+    `#### ${label}`,
+    markdownTable(
+      ['Pod', 'Members', 'AE:SA', 'Deals / capacity', 'Flags'],
+      podBoard.layouts[id].pods.map((pod) => {
+        const assessed = assessPod(pod, people, podBoard.targetAesPerSa, capacity.thresholds);
+        return [
+          pod.name,
+          assessed.members.map((person) => `${person.name} (${person.role})`).join(', '),
+          podRatioLabel(assessed.aes.length, assessed.sas.length),
+          `${assessed.deals} / ${assessed.dealCapacity}`,
+          assessed.flags.join('; ')
+        ];
+      })
+    )
+  ]);
+};
+
+const capacityMarkdown = (capacity) => {
+  const { thresholds } = capacity;
+  return [
+    `Yellow at ${thresholds.yellowDeals}+ deals or ${thresholds.yellowPipelinePct}% of average pipeline; red at ${thresholds.redDeals}+ or ${thresholds.redPipelinePct}%.`,
+    markdownTable(
+      ['SA', ...DEAL_STAGES.map((stage) => stage.label), 'Deals', 'Weighted pipeline', '% of avg', 'Status'],
+      assessSaCapacity(capacity).map((sa) => [
+        sa.name,
+        ...DEAL_STAGES.map((stage) => sa.stages?.[stage.id] ?? 0),
+        sa.deals,
+        formatPipeline(sa.pipeline),
+        `${sa.pipelinePct}%`,
+        CAPACITY_LEVELS[sa.level].label
+      ])
+    )
+  ];
+};
+
+// Cadences with their schedule, then each SA's average weekly meeting hours (the calendar's week-by-week view stays in the app)
+const cadencesMarkdown = (cadences, capacity) => {
+  const structured = cadences.map(structureLegacyCadence);
+  return [
+    markdownTable(
+      ['Cadence', 'Schedule', 'Attendees', 'Focus'],
+      structured.map((c) => [c.type, describeCadenceSchedule(c), cadenceAttendeesLabel(c, capacity.roster), [c.focus, c.note].filter(Boolean).join(' · ')])
+    ),
+    `Average weekly meeting load per SA against the ${SA_WEEK_HOURS}-hour week:`,
+    markdownTable(
+      ['SA', 'Average week', `Share of ${SA_WEEK_HOURS}h`],
+      cadenceMeetingLoad(structured, capacity.roster, startOfWeek(new Date())).map(({ sa, averageHours }) => [
+        sa.name,
+        formatCadenceHours(averageHours),
+        `${Math.round((averageHours / SA_WEEK_HOURS) * 100)}%`
+      ])
+    )
+  ];
+};
+
+const markdownFieldCards = (cards) => (cards || []).flatMap((card) => [
+  `#### ${card.category}`,
+  markdownText(card.description),
+  card.source ? `_Source: ${card.source}_` : '',
+  ...markdownListBlock('**Opportunities**', card.issues),
+  ...markdownListBlock('**Recommendations**', card.recommendations)
+]);
+
+const COACHING_MODEL_LABELS = { newSAs: 'New SAs', tenuredSAs: 'Tenured SAs', continuousLearning: 'Continuous Learning' };
+
+// One builder per built-in section id; each returns the blocks under the section heading
+const MARKDOWN_SECTION_BUILDERS = {
+  overview: () => {
+    const overview = readPlaybookValue('overviewContent', defaultOverviewContent);
+    return [
+      markdownText(overview.description),
+      ...markdownListBlock('### Current State', overview.context),
+      ...markdownListBlock('### Strategic Bets', overview.strategicBets),
+      ...markdownListBlock('### Upleveling SAs', overview.strategicPriorities),
+      '### From experience to SA Leadership',
+      markdownText(overview.saLeadershipLens ?? DEFAULT_SA_LEADERSHIP_LENS)
+    ];
+  },
+  leadership: () => {
+    const principles = readPlaybookValue('principles', defaultPrinciples);
+    const rules = readPlaybookValue('partnerSARules', defaultPartnerSARules);
+    return [
+      `### ${SECTION_TABS.leadership[0].label}`,
+      '**Leadership Philosophy**',
+      markdownText(readPlaybookValue('philosophy', defaultPhilosophy)),
+      ...principles.flatMap((principle) => [
+        `#### ${principle.title}`,
+        markdownText(principle.description),
+        principle.example ? `_Example: ${markdownText(principle.example)}_` : '',
+        ...(principle.framework ? [`**${principle.framework}** — ${principle.frameworkSub}`] : []),
+        markdownText(principle.frameworkDesc),
+        ...markdownListBlock('**Examples in practice**', principle.examplesInPractice),
+        ...markdownListBlock('**Guidelines**', principle.guidelines)
+      ]),
+      ...markdownListBlock('#### Feedback I\'ve Received', readPlaybookValue('feedback', defaultFeedback)),
+      `### ${SECTION_TABS.leadership[1].label}`,
+      '#### Partner SA Rules of Engagement',
+      '**Core Mission**',
+      markdownText(rules.coreMission),
+      '**Four Strategic Pillars**',
+      markdownText(rules.fourPillars),
+      '**Partner Ecosystem Structure**',
+      markdownText(rules.ecosystemStructure),
+      '#### Three-Tier Partner Classification',
+      ...markdownListBlock('**Tier 1 (Strategic)**', rules.tier1),
+      ...markdownListBlock('**Tier 2 (Qualified)**', rules.tier2),
+      ...markdownListBlock('**Tier 3 (Evaluation)**', rules.tier3),
+      '#### Engagement Options',
+      ...markdownListBlock('**Incubation**', rules.incubationDeliverables),
+      ...markdownListBlock('**Co-sell**', rules.cosellDeliverables),
+      ...markdownListBlock('**Hyperscaler-specific**', rules.hyperscalerDeliverables),
+      ...markdownListBlock('**Tech partnership**', rules.techPartnershipDeliverables),
+      ...markdownListBlock('**Partner SA Owns**', rules.partnerSAOwns),
+      ...markdownListBlock('**Partner Managers Own**', rules.partnerManagersOwn),
+      ...markdownListBlock('**Considerations**', rules.currentConstraints),
+      ...markdownListBlock('**Guard Rails—What SA Won\'t Support**', rules.guardRails)
+    ];
+  },
+  field: () => [
+    '### SA/AE Collaboration Gaps',
+    markdownText(readPlaybookValue('collaborationSummary', defaultCollaborationSummary)),
+    ...markdownFieldCards(readPlaybookValue('collaborationGaps', defaultCollaborationGaps)),
+    '### Sales Process Opportunities',
+    markdownText(readPlaybookValue('salesProcessSummary', defaultSalesProcessSummary)),
+    ...markdownFieldCards(readPlaybookValue('salesProcessIssues', defaultSalesProcessIssues)),
+    '### Writer Agent Positioning Challenges',
+    markdownText(readPlaybookValue('agentPositioningSummary', defaultAgentPositioningSummary)),
+    ...markdownFieldCards(readPlaybookValue('agentPositioning', defaultAgentPositioning))
+  ],
+  gtm: () => {
+    const adaptation = readPlaybookValue('strategyAdaptation', defaultStrategyAdaptation);
+    return [
+      `### ${SECTION_TABS.gtm[0].label}`,
+      markdownText(readPlaybookValue('presaleIntro', defaultPresaleIntro)),
+      markdownList(readPlaybookValue('presaleImpact', defaultPresaleImpact)),
+      `### ${SECTION_TABS.gtm[1].label}`,
+      markdownText(readPlaybookValue('postsaleIntro', defaultPostsaleIntro)),
+      markdownList(readPlaybookValue('postsaleImpact', defaultPostsaleImpact)),
+      `### ${SECTION_TABS.gtm[2].label}`,
+      markdownText(readPlaybookValue('adaptationIntro', defaultAdaptationIntro)),
+      ...markdownListBlock('#### Product and motion shifts (e.g. Agent Builder → Applications)', adaptation.agentFirst),
+      ...markdownListBlock('#### Hands-on validation and enablement (security, engagement)', adaptation.handsOnValidation),
+      ...markdownListBlock('#### Product roadmap and orchestration alignment', adaptation.productShifts)
+    ];
+  },
+  first30: () => {
+    const summary = readPlaybookValue('first30PhaseSummary', defaultFirst30PhaseSummary);
+    return [
+      `### ${readPlaybookValue('timelineTitle', defaultTimelineTitle)}`,
+      `#### ${summary.days} — ${summary.title}`,
+      markdownText(summary.goal),
+      ...markdownListBlock('**Key pillars**', summary.pillars),
+      ...readPlaybookValue('phases', defaultPhases30).flatMap((phase) => [
+        `**${phase.days}: ${phase.title}**`,
+        markdownText(phase.goal),
+        ...markdownListBlock('_Priorities_', phase.priorities),
+        ...markdownListBlock('_Key deliverables_', phase.keyDeliverables),
+        ...markdownListBlock('_Risks_', phase.risks),
+        ...markdownListBlock('_Assumptions_', phase.assumptions)
+      ]),
+      ...readPlaybookValue('phases60_90', defaultPhases60_90).flatMap((phase) => [
+        `#### ${phase.days} — ${phase.title}`,
+        markdownText(phase.goal),
+        ...markdownListBlock('**Key pillars**', phase.pillars),
+        ...markdownListBlock('**Key actions**', phase.keyActivities)
+      ]),
+      ...markdownListBlock(`### ${readPlaybookValue('keyOutcomesTitle', defaultKeyOutcomesTitle)}`, readPlaybookValue('keyOutcomes', defaultKeyOutcomes)),
+      '### SA Strat West Team: Key Activities of Value & Replication',
+      markdownText(readPlaybookValue('generalSADescription', defaultGeneralSADescription)),
+      ...markdownListBlock('#### Identifying key activities of value (Strat West)', readPlaybookValue('generalSAIdentifying', defaultGeneralSAIdentifying)),
+      ...markdownListBlock('#### Creating process to replicate (Strat West)', readPlaybookValue('generalSAReplication', defaultGeneralSAReplication))
+    ];
+  },
+  hiring: () => {
+    const profile = readPlaybookValue('saProfile', defaultSaProfile);
+    const hiring = readPlaybookValue('internalVsExternal', defaultInternalVsExternal);
+    const culture = readPlaybookValue('maintainingCulture', defaultMaintainingCulture);
+    return [
+      `### ${SECTION_TABS.hiring[0].label}`,
+      ...markdownListBlock('#### Technical Depth', profile.technicalDepth),
+      ...markdownListBlock('#### GTM Experience', profile.gtmImpact),
+      ...markdownListBlock('#### Business Acumen and Persona for Success', profile.growthPotential),
+      `### ${SECTION_TABS.hiring[1].label}`,
+      readPlaybookValue('hireFastSteps', defaultHireFastSteps).map((step, i) => `${i + 1}. **${markdownText(step.title)}** — ${markdownText(step.description)}`).join('\n'),
+      `### ${SECTION_TABS.hiring[2].label}`,
+      markdownText(readPlaybookValue('balance', defaultBalance)),
+      `### ${SECTION_TABS.hiring[3].label}`,
+      ...markdownListBlock('#### Internal Progression', hiring.internal),
+      ...markdownListBlock('#### External Hiring', hiring.external),
+      `### ${SECTION_TABS.hiring[4].label}`,
+      ...markdownListBlock('#### Current Team', culture.currentTeam),
+      ...markdownListBlock('#### Scaling Culture', culture.scalingCulture),
+      ...markdownListBlock('#### Onboarding', culture.onboarding),
+      ...markdownListBlock('#### Team Values', culture.teamValues)
+    ];
+  },
+  operating: () => {
+    const metrics = readPlaybookValue('metrics', defaultMetrics);
+    const metricColumns = ['Metric', 'Baseline', 'Target', 'Direction', 'Latest', 'Status', 'Note'];
+    const metricRows = (list) => (list || []).map(structureLegacyMetric).map((m) => {
+      const actuals = sortedMetricActuals(m);
+      const latest = actuals[actuals.length - 1];
+      return [
+        m.name,
+        formatMetricValue(m.baseline, m.unit),
+        formatMetricValue(m.target, m.unit),
+        m.direction === 'lower' ? 'Lower is better' : 'Higher is better',
+        latest ? `${formatMetricValue(latest.value, m.unit)} (${latest.date})` : '—',
+        METRIC_STATUS_LABELS[metricStatus(m)],
+        m.note
+      ];
+    });
+    return [
+      `### ${tabLabel('operating', 'metrics')}`,
+      '#### Leading Indicators',
+      markdownTable(metricColumns, metricRows(metrics.leading)),
+      '#### Lagging Indicators',
+      markdownTable(metricColumns, metricRows(metrics.lagging)),
+      `### ${tabLabel('operating', 'capacity')}`,
+      ...capacityMarkdown(readPlaybookValue('saCapacity', defaultSaCapacity)),
+      `### ${tabLabel('operating', 'pods')}`,
+      ...podBoardMarkdown(readPlaybookValue('podBoard', defaultPodBoard), readPlaybookValue('saCapacity', defaultSaCapacity)),
+      `### ${tabLabel('operating', 'cadences')}`,
+      ...cadencesMarkdown(readPlaybookValue('cadences', defaultCadences), readPlaybookValue('saCapacity', defaultSaCapacity)),
+      `### ${tabLabel('operating', 'coaching')}`,
+      ...Object.entries(readPlaybookValue('coachingModel', defaultCoachingModel)).flatMap(([key, items]) =>
+        markdownListBlock(`#### ${COACHING_MODEL_LABELS[key] || formatStorageKeyLabel(key)}`, items)
+      )
+    ];
+  },
+  anecdotes: () => [...readPlaybookValue('anecdotes', defaultAnecdotes)].sort((a, b) => new Date(b.date) - new Date(a.date)).flatMap((anecdote) => [
+    `#### ${anecdote.highlight}`,
+    `_${anecdote.sender}, ${anecdote.date}_`,
+    markdownText(anecdote.content).split('\n').map((line) => `> ${line}`).join('\n')
+  ])
+};
+
+// Custom sections carry their content; list grids become headed lists, card boards the same cards as From the Field
+const customSectionMarkdown = (section) => {
+  const content = section.content || {};
+  if (section.template === 'richText') return [markdownText(content.text)];
+  if (section.template === 'listGrid') return (content.cards || []).flatMap((card) => markdownListBlock(`### ${card.title}`, card.items));
+  if (section.template === 'cardBoard') return markdownFieldCards(content.cards);
+  return [];
+};
+
+const buildPlaybookMarkdown = (sections) => {
+  flushPendingSaves();
+  const overview = readPlaybookValue('overviewContent', defaultOverviewContent);
+  const blocks = [`# ${overview.title}`, overview.subtitle ? `_${overview.subtitle}_` : ''];
+  sections.forEach((section) => {
+    const build = MARKDOWN_SECTION_BUILDERS[section.id];
+    blocks.push(`## ${section.title || section.label}`);
+    if (section.subtitle) blocks.push(`_${markdownText(section.subtitle)}_`);
+    if (isCustomSection(section)) blocks.push(...customSectionMarkdown(section));
+    else if (build) blocks.push(...build());
+  });
+  return blocks.filter((block) => block && block.trim()).join('\n\n') + '\n';
+};
+
+// Export Markdown: download a .md file or copy it for pasting into Docs, Notion or Slack
+const MarkdownExportControls = ({ sections }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleDownload = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`leadership-playbook-${date}.md`, buildPlaybookMarkdown(sections), 'text/markdown');
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(buildPlaybookMarkdown(sections));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying Markdown:', error);
+    }
+  };
+
+  return (
+    <>
+      <ToolButton onClick={handleDownload} title="Download every section as one Markdown document">Export Markdown</ToolButton>
+      <ToolButton onClick={handleCopy} title="Copy every section as Markdown to the clipboard">{copied ? 'Copied' : 'Copy Markdown'}</ToolButton>
+    </>
+  );
+};
+
+// Snapshots: save the whole playbook under a name, preview it read-only, restore all of it or one section
+const PlaybookSnapshotControls = () => {
+  const colors = useColors();
+  const [isOpen, setIsOpen] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotError, setSnapshotError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [restoring, setRestoring] = useState(null);
+  const [restoredGroups, setRestoredGroups] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSnapshots(await listSnapshots());
+      setSnapshotError(null);
+    } catch (error) {
+      setSnapshotError(error.message || String(error));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  const handleSave = async () => {
+    const name = newName.trim() || `Snapshot ${new Date().toLocaleString()}`;
+    setIsSaving(true);
+    try {
+      await createSnapshot(name);
+      setNewName('');
+      await refresh();
+    } catch (error) {
+      setSnapshotError(error.message || String(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteSnapshot(id);
+      await refresh();
+    } catch (error) {
+      setSnapshotError(error.message || String(error));
+    }
+  };
+
+  const handlePreview = (snapshot) => {
+    setIsOpen(false);
+    setSnapshotPreview(snapshot);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const openRestore = (snapshot) => {
+    setRestoredGroups([]);
+    setRestoring({ snapshot, diff: diffPlaybookBundle(snapshot) });
+  };
+
+  const handleRestoreAll = () => {
+    setSnapshotPreview(null);
+    applyPlaybookBundle(restoring.snapshot);
+    window.location.reload();
+  };
+
+  // A section's keys go through the undo history as one step so Cmd/Ctrl+Z takes the whole restore back;
+  // keys the snapshot never saved are removed, so they fall back to their defaults
+  const handleRestoreSection = (group) => {
+    const { snapshot } = restoring;
+    const undoGroup = { snapshot: snapshot.id, section: group.id };
+    group.names.forEach((name) => {
+      const key = STORAGE_PREFIX + name;
+      const value = name in snapshot.data ? readSnapshotValue(snapshot, name, PLAYBOOK_STORAGE_DEFAULTS[name]) : UNSET_STORAGE_VALUE;
+      recordEdit(key, currentStorageValue(key), value, undoGroup);
+      writeHistoryValue(key, value);
+      if (value !== UNSET_STORAGE_VALUE && STORAGE_MIGRATIONS[key]) setStoredSchemaVersion(key, currentSchemaVersion(key));
+    });
+    setRestoredGroups((prev) => [...prev, group.id]);
+  };
+
+  const versionsName = SCHEMA_VERSIONS_KEY.slice(STORAGE_PREFIX.length);
+  const affected = restoring ? groupBundleDiffBySection(restoring.diff.filter((d) => d.status !== 'unchanged')) : [];
+
+  return (
+    <>
+      <ToolButton onClick={() => setIsOpen(true)} title="Save, preview and restore named versions of the playbook">Snapshots</ToolButton>
+
+      {isOpen && !restoring && (
+        <ModalShell
+          title="Snapshots"
+          onClose={() => setIsOpen(false)}
+          footer={<ToolButton onClick={() => setIsOpen(false)}>Close</ToolButton>}
+        >
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter' && !isSaving) handleSave(); }}
+              placeholder="Name, e.g. Version I presented"
+              style={{ flex: 1, padding: '8px 12px', fontSize: '14px', border: `1px solid ${colors.border}`, borderRadius: '8px', outline: 'none', fontFamily: 'inherit', color: colors.text }}
+            />
+            <ToolButton primary onClick={handleSave} disabled={isSaving}>{isSaving ? 'Saving…' : 'Save snapshot'}</ToolButton>
+          </div>
+          {snapshotError && (
+            <p style={{ fontSize: '13px', color: colors.danger, marginBottom: '12px' }}>{snapshotError}</p>
+          )}
+          {snapshots.length === 0 ? (
+            <p style={{ fontSize: '14px', color: colors.textSecondary }}>No snapshots yet. Saving one keeps a copy of every edit in this browser.</p>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {snapshots.map((snapshot) => (
+                <div key={snapshot.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', padding: '10px 12px', borderRadius: '8px', backgroundColor: colors.surface }}>
+                  <div style={{ minWidth: 0 }}>
+                    <div style={{ fontSize: '14px', fontWeight: '500', color: colors.text, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{snapshot.name}</div>
+                    <div style={{ fontSize: '12px', color: colors.textMuted }}>
+                      {new Date(snapshot.createdAt).toLocaleString()} • {Object.keys(snapshot.data).length} saved section{Object.keys(snapshot.data).length === 1 ? '' : 's'}
                     </div>
-                    <AddItemButton onClick={() => addSalesIssueListItem(index, 'issues')} label="Add opportunity" />
                   </div>
-                  <div>
-                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '12px' }}>Recommendations</h5>
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                      {issue.recommendations.map((item, i) => (
-                        <EditableListItem
-                          key={i}
-                          value={item}
-                          onChange={(v) => updateSalesIssueListItem(index, 'recommendations', i, v)}
-                          onDelete={() => deleteSalesIssueListItem(index, 'recommendations', i)}
-                          color={colors.success}
-                        />
-                      ))}
-                    </div>
-                    <AddItemButton onClick={() => addSalesIssueListItem(index, 'recommendations')} label="Add recommendation" />
+                  <div style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+                    <ToolButton onClick={() => handlePreview(snapshot)} title="View this snapshot read-only">Preview</ToolButton>
+                    <ToolButton onClick={() => openRestore(snapshot)}>Restore…</ToolButton>
+                    <ToolButton onClick={() => handleDelete(snapshot.id)} title="Delete snapshot">Delete</ToolButton>
                   </div>
                 </div>
-              </Card>
-            ))}
-          </div>
-        )}
-      </Card>
+              ))}
+            </div>
+          )}
+        </ModalShell>
+      )}
 
-      {/* Writer Agent Positioning Challenges — dropdown category */}
-      <Card style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.purple}` }}>
-        <button
-          type="button"
-          onClick={() => toggleCategory('agent')}
-          style={{
-            width: '100%',
-            display: 'flex',
-            alignItems: 'flex-start',
-            justifyContent: 'space-between',
-            gap: '12px',
-            padding: 0,
-            border: 'none',
-            background: 'none',
-            cursor: 'pointer',
-            textAlign: 'left'
-          }}
+      {restoring && (
+        <ModalShell
+          title={`Restore “${restoring.snapshot.name}”`}
+          onClose={() => setRestoring(null)}
+          footer={
+            <>
+              <ToolButton onClick={() => setRestoring(null)}>Back</ToolButton>
+              <ToolButton primary onClick={handleRestoreAll} disabled={affected.length === 0}>Restore everything</ToolButton>
+            </>
+          }
         >
-          <div style={{ flex: 1, minWidth: 0 }}>
-            <h3 style={{ fontSize: '24px', fontWeight: '600', color: colors.text, margin: 0 }}>Writer Agent Positioning Challenges</h3>
-            {!isCategoryExpanded('agent') && agentPositioningSummary && (
-              <p style={{ fontSize: '14px', color: colors.textSecondary, marginTop: '10px', marginBottom: 0, lineHeight: 1.5 }}>
-                {agentPositioningSummary}
-              </p>
-            )}
-          </div>
-          <span style={{ fontSize: '14px', color: colors.textMuted, flexShrink: 0 }}>{isCategoryExpanded('agent') ? '▲' : '▼'}</span>
-        </button>
-        {isCategoryExpanded('agent') && (
-          <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: `1px solid ${colors.borderLight}` }}>
-            <div style={{ marginBottom: '24px', padding: '16px', backgroundColor: colors.gray50, borderRadius: '8px', border: `1px solid ${colors.borderLight}` }}>
-              <div style={{ fontSize: '12px', fontWeight: '600', color: colors.textMuted, marginBottom: '8px', textTransform: 'uppercase', letterSpacing: '0.05em' }}>Summary of sentiment</div>
-              <EditableText
-                value={agentPositioningSummary}
-                onChange={setAgentPositioningSummary}
-                style={{ fontSize: '15px', color: colors.textSecondary, lineHeight: 1.6 }}
-                multiline
-              />
-            </div>
-            {agentPositioning.map((item, index) => (
-              <Card key={index} style={{ marginBottom: '24px', borderLeft: `4px solid ${colors.purple}` }}>
-                <div style={{ marginBottom: '16px' }}>
-                  <EditableText
-                    value={item.category}
-                    onChange={(v) => updateAgentItem(index, 'category', v)}
-                    style={{ fontSize: '18px', fontWeight: '600', color: colors.text, marginBottom: '8px' }}
-                  />
-                  <EditableText
-                    value={item.description}
-                    onChange={(v) => updateAgentItem(index, 'description', v)}
-                    style={{ fontSize: '14px', color: colors.textSecondary, marginBottom: '8px' }}
-                    multiline
-                  />
-                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
-                    <span style={{ fontSize: '12px', color: colors.textMuted }}>Source:</span>
-                    <EditableText
-                      value={item.source}
-                      onChange={(v) => updateAgentItem(index, 'source', v)}
-                      style={{ fontSize: '12px', color: colors.textMuted, fontStyle: 'italic' }}
-                    />
-                  </div>
-                </div>
-                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
-                  <div>
-                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.danger, marginBottom: '12px' }}>Opportunities</h5>
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                      {item.issues.map((issueItem, i) => (
-                        <EditableListItem
-                          key={i}
-                          value={issueItem}
-                          onChange={(v) => updateAgentListItem(index, 'issues', i, v)}
-                          onDelete={() => deleteAgentListItem(index, 'issues', i)}
-                          color={colors.danger}
-                        />
-                      ))}
-                    </div>
-                    <AddItemButton onClick={() => addAgentListItem(index, 'issues')} label="Add opportunity" />
-                  </div>
-                  <div>
-                    <h5 style={{ fontSize: '14px', fontWeight: '600', color: colors.success, marginBottom: '12px' }}>Recommendations</h5>
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                      {item.recommendations.map((recItem, i) => (
-                        <EditableListItem
-                          key={i}
-                          value={recItem}
-                          onChange={(v) => updateAgentListItem(index, 'recommendations', i, v)}
-                          onDelete={() => deleteAgentListItem(index, 'recommendations', i)}
-                          color={colors.success}
-                        />
-                      ))}
+          <p style={{ fontSize: '13px', color: colors.textMuted, marginBottom: '16px' }}>
+            Saved {new Date(restoring.snapshot.createdAt).toLocaleString()}
+          </p>
+          {affected.length === 0 ? (
+            <p style={{ fontSize: '14px', color: colors.textSecondary }}>This snapshot matches the playbook saved in this browser.</p>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {affected.map((group) => {
+                const { id, label, status } = group;
+                const isRestored = restoredGroups.includes(id);
+                const canRestoreAlone = id !== versionsName;
+                return (
+                  <div key={id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', padding: '8px 12px', borderRadius: '8px', backgroundColor: colors.surface }}>
+                    <span style={{ fontSize: '14px', color: colors.text }}>{label}</span>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexShrink: 0 }}>
+                      <span style={{ fontSize: '11px', fontWeight: '600', padding: '2px 8px', borderRadius: '4px', color: colors[BUNDLE_DIFF_STYLES[status].colorKey], backgroundColor: colors[BUNDLE_DIFF_STYLES[status].colorKey] + '18' }}>
+                        {BUNDLE_DIFF_STYLES[status].label}
+                      </span>
+                      {canRestoreAlone && (
+                        <ToolButton onClick={() => handleRestoreSection(group)} disabled={isRestored}>{isRestored ? 'Restored' : 'Restore'}</ToolButton>
+                      )}
                     </div>
-                    <AddItemButton onClick={() => addAgentListItem(index, 'recommendations')} label="Add recommendation" />
                   </div>
-                </div>
-              </Card>
-            ))}
-          </div>
-        )}
-      </Card>
+                );
+              })}
+            </div>
+          )}
+          <p style={{ fontSize: '12px', color: colors.textMuted, marginTop: '12px' }}>
+            Restoring one section applies immediately and can be undone. Restoring everything replaces the playbook saved in this browser and reloads the page.
+          </p>
+        </ModalShell>
+      )}
+    </>
+  );
+};
+
+// Shown instead of the edit banner while a snapshot is being previewed
+const SnapshotPreviewBanner = ({ snapshot }) => {
+  const colors = useColors();
+  return (
+    <div style={{
+      backgroundColor: colors.warning,
+      color: 'white',
+      padding: '12px 32px',
+      fontSize: '13px',
+      fontWeight: '500',
+      textAlign: 'center',
+      boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+      position: 'sticky',
+      top: 0,
+      zIndex: 101,
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      gap: '16px',
+      flexWrap: 'wrap'
+    }}>
+      <span>👁 Previewing snapshot “{snapshot.name}” ({new Date(snapshot.createdAt).toLocaleString()}) — read-only</span>
+      <button
+        type="button"
+        onClick={() => setSnapshotPreview(null)}
+        style={{ padding: '4px 12px', borderRadius: '6px', border: '1px solid rgba(255,255,255,0.7)', backgroundColor: 'transparent', color: 'white', fontSize: '13px', fontWeight: '500', cursor: 'pointer' }}
+      >
+        Exit preview
+      </button>
     </div>
   );
 };
 
-// Team Anecdotes Section
-const TeamAnecdotesSection = () => {
-  const { isEditMode } = useContext(EditModeContext);
-  const [filter, setFilter] = useState('all');
-  const [expandedCards, setExpandedCards] = useState(new Set());
-  const containerRef = useRef(null);
-  const [columnCount, setColumnCount] = useState(3);
+// Mode Toggle Component
+const ModeToggle = ({ isEditMode, setIsEditMode }) => {
+  const colors = useColors();
+  const [isHovered, setIsHovered] = useState(false);
+  
+  return (
+    <div 
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        padding: isHovered ? '8px 16px' : '8px 12px',
+        backgroundColor: colors.bgTranslucent,
+        borderRadius: '12px',
+        boxShadow: isHovered ? '0 4px 12px rgba(0,0,0,0.15)' : '0 2px 8px rgba(0,0,0,0.1)',
+        border: `1px solid ${isHovered ? colors.border : colors.border}`,
+        transition: 'all 0.3s ease',
+        opacity: isHovered ? 1 : 0.5,
+        transform: isHovered ? 'scale(1)' : 'scale(0.9)',
+        transformOrigin: 'right center',
+      }}>
+      {isHovered && (
+        <span style={{ 
+          fontSize: '12px', 
+          fontWeight: '500',
+          color: !isEditMode ? colors.text : colors.textMuted 
+        }}>
+          {isEditMode ? 'Edit' : 'View'}
+        </span>
+      )}
+      <button
+        onClick={() => setIsEditMode(!isEditMode)}
+        style={{
+          position: 'relative',
+          width: '36px',
+          height: '20px',
+          borderRadius: '10px',
+          border: 'none',
+          backgroundColor: isEditMode ? colors.accent : colors.border,
+          cursor: 'pointer',
+          transition: 'all 0.3s',
+          padding: 0,
+        }}
+      >
+        <div style={{
+          position: 'absolute',
+          top: '2px',
+          left: isEditMode ? '18px' : '2px',
+          width: '16px',
+          height: '16px',
+          borderRadius: '50%',
+          backgroundColor: 'white',
+          transition: 'all 0.3s',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.2)',
+        }} />
+      </button>
+      {isHovered && (
+        <span style={{ 
+          fontSize: '11px', 
+          color: colors.textMuted 
+        }}>
+          {isEditMode ? '✏️' : '👁️'}
+        </span>
+      )}
+    </div>
+  );
+};
+
+// Theme picker (sits next to ModeToggle); "Auto" follows the OS and shows which palette it resolved to
+const ThemeToggle = ({ preference, setPreference }) => {
+  const { themeName, colors } = useContext(ThemeContext);
+  const resolvedLabel = THEME_OPTIONS.find((option) => option.id === themeName).label;
+
+  return (
+    <select
+      value={preference}
+      onChange={(e) => setPreference(e.target.value)}
+      aria-label="Color theme"
+      title="Color theme"
+      style={{
+        padding: '8px 10px',
+        borderRadius: '12px',
+        border: `1px solid ${colors.border}`,
+        backgroundColor: colors.card,
+        color: colors.textSecondary,
+        fontSize: '13px',
+        fontWeight: '500',
+        fontFamily: 'inherit',
+        cursor: 'pointer',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+      }}
+    >
+      {THEME_OPTIONS.map((option) => (
+        <option key={option.id} value={option.id}>
+          {option.id === 'system' ? `${option.label} (${resolvedLabel})` : option.label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+// Undo / Redo buttons (edit mode only); shortcuts are bound in App
+const UndoRedoControls = () => {
+  const colors = useColors();
+  const { canUndo, canRedo } = useEditHistory();
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+  const mod = isMac ? '⌘' : 'Ctrl+';
+  const buttonStyle = (enabled) => ({
+    width: '32px',
+    height: '32px',
+    borderRadius: '8px',
+    border: `1px solid ${colors.border}`,
+    backgroundColor: colors.card,
+    color: enabled ? colors.text : colors.gray400,
+    fontSize: '16px',
+    cursor: enabled ? 'pointer' : 'default',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+    opacity: enabled ? 1 : 0.6,
+    transition: 'all 0.2s'
+  });
+  return (
+    <div style={{ display: 'flex', gap: '6px' }}>
+      <button type="button" onClick={undoEdit} disabled={!canUndo} style={buttonStyle(canUndo)} title={`Undo (${mod}Z)`}>↶</button>
+      <button type="button" onClick={redoEdit} disabled={!canRedo} style={buttonStyle(canRedo)} title={`Redo (${isMac ? '⇧⌘' : 'Ctrl+Shift+'}Z)`}>↷</button>
+    </div>
+  );
+};
+
+// Bottom-right cluster: ModeToggle plus controls that sit beside it
+const FloatingControls = ({ children }) => (
+  <div style={{
+    position: 'fixed',
+    bottom: '16px',
+    right: '16px',
+    zIndex: 1000,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px'
+  }}>
+    {children}
+  </div>
+);
 
-  const anecdotes = [
-    {
-      id: 1,
-      date: '2025-05-27',
-      sender: 'Ho Joon Cha',
-      content: 'Shoutout to @thai for all of the things that he takes ownership of on the SA team. He\'s the go-to Partner SA, supports our APJ region, and does this all with a full plate of US-based deals. He took a 3am call this morning to talk through our Adobe partnership due to his expertise on the integration. We\'re so lucky to have you!!',
-      reactions: { clap: 15, heart: 8 },
-      category: 'leadership',
-      highlight: 'Ownership & Dedication'
-    },
-    {
-      id: 2,
-      date: '2024-12-13',
-      sender: 'Kait Groezinger',
-      content: 'SHOUTOUT to @thai and @miller for a really important call today with Ally Bank. After a loooong uphill battle to gain approval with their risk team, we totally nailed a last-minute meeting with risk partner Carlos. Verbal approval for Ally to use our Creative model (and likely 004!). This is BIG - unlocks key use cases and sets us apart in their risk teams eyes where skepticism around AI runs high. Ally\'s risk team said "Writer is the best" and credited our approach for "making their jobs easier." Miller and Thai, you didn\'t just earn trust...you laid the foundation for a deeper partnership with Ally.',
-      reactions: { clap: 43, heart: 27, think: 7 },
-      category: 'client-success',
-      highlight: 'Risk Team Approval & Trust Building'
-    },
-    {
-      id: 3,
-      date: '2024-11-19',
-      sender: 'Mark Wilkinson',
-      content: 'Huge shoutout to @thai and @Chris Wheeler for jumping in late this evening to support a Content Supply Chain blueprint that PwC was scheduled to present to 20+ Conagra executives tomorrow morning at 9am. They resolved multiple agents that needed attention due to some LLM considerations. They both put their heads together and got it done. Thank you both so much - love seeing our SA team in action 🙌',
-      reactions: { clap: 12, fire: 8 },
-      category: 'problem-solving',
-      highlight: 'Critical Issue Resolution'
-    },
-    {
-      id: 4,
-      date: '2024-10-14',
-      sender: 'Danielle Baeza',
-      content: 'Shouting out @thai for spending time with me today (and a couple times before) to help me build no-code apps in AI Studio and show off incredible, relevant examples - I feel ready and eager to share the knowledge w/ our People & Talent team this week at our offsite! You da best Thai!',
-      reactions: { heart: 15, fire: 14 },
-      category: 'mentorship',
-      highlight: 'Enablement & Knowledge Sharing'
-    },
-    {
-      id: 5,
-      date: '2024-09-25',
-      sender: 'Ted Brookes',
-      content: 'Just want to give a huge shoutout to @thai for his work on Capital Group. He\'s been amazing to work with through a demanding POC period. Not only are we supporting the customer with trainings, product, and technical deep dives, but he\'s doing the same with KPMG who are embedded deeply with the customer. 🤠',
-      reactions: { clap: 28, beer: 15 },
-      category: 'client-success',
-      highlight: 'POC Excellence & Partner Support'
-    },
-    {
-      id: 6,
-      date: '2024-09-19',
-      sender: 'Garrett Schmenk',
-      content: 'Shoutout to @thai for waking up at 5a PT to enable some ACN Ops folks on AI Studio / Framework. I also really liked the way he quickly and effectively walked thru the front end for business users, answered a lot of really good questions, etc. This is a good gong to check out (just ignore us as half asleep)! @thai you da truth!',
-      reactions: { fire: 25, mindblown: 9 },
-      category: 'enablement',
-      highlight: 'Early Morning Enablement'
-    },
-    {
-      id: 7,
-      date: '2024-09-19',
-      sender: 'Darragh Fitzpatrick',
-      content: 'It\'s a busy week for @thai as he also deserves a big shout out for his patience and partnership in working with ACN to get a pitch in front of Volvo. He\'s gone over and above to try get the demo to a point the team is happy with. Thank you',
-      reactions: { heart: 5 },
-      category: 'client-success',
-      highlight: 'Patience & Partnership'
-    },
-    {
-      id: 8,
-      date: '2024-08-22',
-      sender: 'Diego Lomanto',
-      content: 'Special shoutout to @thai for running the demos and awesome Q&A.',
-      reactions: { clap: 8 },
-      category: 'enablement',
-      highlight: 'Webinar Excellence'
-    },
-    {
-      id: 9,
-      date: '2024-08-19',
-      sender: 'Sunny Patel',
-      content: 'Shoutout to @thai! Thai has been the SA on complex deals and has been crushing it. Most recently, we had a full day onsite with the Founder/CEO/CTO/CPO of Vanilla (very complex estate planning solution). Thai had very little to work off of, came into the meeting with a custom app built, and ran the entire day like a boss. True example of someone that cares not only about his success, but mine and the overall business. Absolute pleasure to collab/work with. I owe you big time bud 🙌',
-      reactions: { clap: 12 },
-      category: 'client-success',
-      highlight: 'Complex Deal Execution'
-    },
-    {
-      id: 10,
-      date: '2024-05-13',
-      sender: 'Garrett Schmenk',
-      content: 'Neeeeed to give a shoutout to some freakin\' badass CS/implementation teams working on big (and by big I mean #5, #6 and #55 on Fortune500), hairy accounts that have A LOT of moving pieces and a lot of requirements... and lets be honest, are just damn needy. @thai thanks for all your help building out apps for IR team and media, and @Yaseen as of late. We are meeting with their PWM and asset management executives on Thurs. ELA is on the horizon!',
-      reactions: { fire: 18 },
-      category: 'client-success',
-      highlight: 'Fortune 500 Account Support'
-    },
-    {
-      id: 11,
-      date: '2024-05-01',
-      sender: 'Jillian Freidus',
-      content: 'Amazing @Harry Liu excited to learn more. And I imagine @thai has been an awesome coach.',
-      reactions: { heart: 1 },
-      category: 'mentorship',
-      highlight: 'Coaching Recognition'
-    },
-    {
-      id: 12,
-      date: '2024-04-28',
-      sender: 'Nick Opderbeck',
-      content: 'Big shoutout to @Paul Giudice and @Tom Pokorney for leading a packed NVIDIA crew for their Digital Marketing offsite. Over 50 people in person and 100+ online. @thai guest appearance resulted in some great discussion. NVIDIA crew was engaged the entire time and will even be demonstrating some Writer-built apps during their internal hackathon. These guys are primed for big expansion this year.',
-      reactions: { clap: 10 },
-      category: 'enablement',
-      highlight: 'Large-Scale Enablement'
-    },
-    {
-      id: 13,
-      date: '2024-04-08',
-      sender: 'Lauren Gil',
-      content: 'wanted to give a HUGE shoutout to the incredible duo @Ugo @thai for all their hard work on our agentic launch this Thursday. They\'ve been hustling on our launch demos (beyond normal day-to-day work) and when I asked them for their help, they probably had *no idea* what they were *really* signing up for 😄 all of their work will be critical in showing the world that we have *real* agents for mission critical use cases! here\'s a peek behind the scenes! 🎬',
-      reactions: { clap: 15 },
-      category: 'product',
-      highlight: 'Product Launch Support'
-    },
-    {
-      id: 14,
-      date: '2024-03-14',
-      sender: 'Jillian Freidus',
-      content: 'When Uber told us they were moving forward with us for the expansion opportunity (vs the alternative solutions they were exploring), the first reason they stated was their desire for a true *partner* as they navigate their genAI journey, and the Writer team demonstrated that throughout the evaluation process. @thai was at the center of this, working closely with Uber (and ACN on top of it) to iterate, actively listen to Uber to understand their objectives and concerns that needed to be addressed, and showing them the art of the possible to help expand their thinking. He was one with their team and they felt it! Way to go.',
-      reactions: { pray: 1 },
-      category: 'client-success',
-      highlight: 'True Partnership & Expansion'
-    },
-    {
-      id: 15,
-      date: '2024-03-14',
-      sender: 'Jillian Freidus',
-      content: 'Shoutout to **@thai** who\'s quickly become invaluable to the partner sales convos/process and (in the team\'s words) is an excellent seller to top it off 😉. We\'re grateful to be working with you, **@thai**.',
-      reactions: { fire: 30, w: 16 },
-      category: 'sales',
-      highlight: 'Partner Sales Excellence'
-    },
-    {
-      id: 16,
-      date: '2024-02-01',
-      sender: 'Kevin Wei',
-      content: 'Shout out to @thai who is on his 9th (single digits???) day as a Solutions Architect. In this short time, Thai has built + demoed 8 custom apps to both Uber and Goldman Sachs today. All unique use cases: canned replies for Uber support agents, GS media summaries, etc. Well received with rave reviews. The speed at which he\'s onboarded and executed is absolutely incredible. Already had a massive impact on some of our most important deals. So happy to have you join the team and excited for what you\'ll do next. P.S. i don\'t think any of these apps were hardcoded either 😉',
-      reactions: { fire: 20, clap: 15 },
-      category: 'onboarding',
-      highlight: 'Rapid Onboarding & Impact'
-    },
-    {
-      id: 17,
-      date: '2025-01-27',
-      sender: 'Cameron Becker',
-      content: 'Thank you for all the hard work over the past 2 weeks in preparation for the meeting with Aman this morning. The feedback from the meeting was overwhelmingly positive. @thai, @Anant, @Kevin, @Yusuf, and @Andy Wong did an incredible job iterating on the custom apps (architected by the incomparable @DZY). Aman appreciated how deeply we understood the State Street business drivers and customized a solution to "fill the gap."',
-      reactions: { clap: 12 },
-      category: 'client-success',
-      highlight: 'Custom Solution Development'
-    },
-    {
-      id: 18,
-      date: '2025-09-25',
-      sender: 'Maureen Little',
-      content: 'Massive shoutout to our brand new Partner Enablement team for building and delivering our first ever Technical Enablement program to Perficient. None of this would be possible without all of the sharing of content and support from our CSM team, our SAs (@thai @Steve Hwang @Kevin and more) and the amazing CAs that are helping in the sessions and with content 💪',
-      reactions: { clap: 25, heart: 15 },
-      category: 'enablement',
-      highlight: 'Partner Enablement Program'
-    }
-  ];
+// Global search (Cmd/Ctrl+K): a flat index of every stored string, tagged with the route that shows it.
+// Entries are { sectionId, context, params, text }; params are hash-route params (tab, principle, phase, category).
+const SEARCH_RESULT_LIMIT = 50;
+const SEARCH_HIGHLIGHT_NAME = 'playbook-search';
+const SEARCH_HIGHLIGHT_MS = 4000;
+const SEARCH_HIGHLIGHT_CSS = `::highlight(${SEARCH_HIGHLIGHT_NAME}) { background-color: #fde68a; color: #000000; }`;
+
+// Every string inside a value (lists, nested objects); callers pick fields when objects carry colors or ids
+const searchStrings = (value) => {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(searchStrings);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(searchStrings);
+  return [];
+};
 
-  const categories = [
-    { id: 'all', label: 'All Feedback', icon: '💬' },
-    { id: 'leadership', label: 'Leadership', icon: '👔' },
-    { id: 'client-success', label: 'Client Success', icon: '🎯' },
-    { id: 'mentorship', label: 'Mentorship', icon: '🤝' },
-    { id: 'enablement', label: 'Enablement', icon: '📚' },
-    { id: 'problem-solving', label: 'Problem Solving', icon: '🔧' },
-    { id: 'sales', label: 'Sales', icon: '💼' },
-    { id: 'product', label: 'Product', icon: '🚀' },
-    { id: 'onboarding', label: 'Onboarding', icon: '🌟' }
-  ];
+const tabLabel = (sectionId, tabId) => (SECTION_TABS[sectionId].find((tab) => tab.id === tabId) || {}).label;
 
-  const filteredAnecdotes = anecdotes.filter(anecdote => {
-    return filter === 'all' || anecdote.category === filter;
-  }).sort((a, b) => new Date(b.date) - new Date(a.date));
+const pickFields = (items, fields) => (items || []).map((item) => fields.map((field) => item[field]));
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-  };
+// One builder per built-in section id: add(values, params, context)
+const SEARCH_SECTION_BUILDERS = {
+  overview: (add) => {
+    const { title, subtitle, description, context, strategicBets, strategicPriorities, saLeadershipLens } = readPlaybookValue('overviewContent', defaultOverviewContent);
+    add([title, subtitle, description]);
+    add(context, {}, 'Current State');
+    add(strategicBets, {}, 'Strategic Bets');
+    add(strategicPriorities, {}, 'Upleveling SAs');
+    add(saLeadershipLens ?? DEFAULT_SA_LEADERSHIP_LENS, {}, 'From experience to SA Leadership');
+  },
+  leadership: (add) => {
+    const principlesTab = { tab: 'principles' };
+    const principlesLabel = tabLabel('leadership', 'principles');
+    add(readPlaybookValue('philosophy', defaultPhilosophy), principlesTab, principlesLabel);
+    readPlaybookValue('principles', defaultPrinciples).forEach((principle, i) => {
+      const context = `${principlesLabel} › ${principle.title}`;
+      add([principle.title, principle.description, principle.example], principlesTab, context);
+      add(pickFields([principle], ['framework', 'frameworkSub', 'frameworkDesc', 'guidelines', 'examplesInPractice']), { ...principlesTab, principle: String(i + 1) }, context);
+    });
+    add(readPlaybookValue('feedback', defaultFeedback), principlesTab, `${principlesLabel} › Feedback I've Received`);
+    add(readPlaybookValue('partnerSARules', defaultPartnerSARules), { tab: 'partnerships' }, tabLabel('leadership', 'partnerships'));
+  },
+  field: (add) => {
+    [
+      ['collaboration', 'SA/AE Collaboration Gaps', 'collaborationSummary', defaultCollaborationSummary, 'collaborationGaps', defaultCollaborationGaps],
+      ['sales', 'Sales Process Opportunities', 'salesProcessSummary', defaultSalesProcessSummary, 'salesProcessIssues', defaultSalesProcessIssues],
+      ['agent', 'Writer Agent Positioning Challenges', 'agentPositioningSummary', defaultAgentPositioningSummary, 'agentPositioning', defaultAgentPositioning]
+    ].forEach(([category, context, summaryKey, summaryDefault, cardsKey, cardsDefault]) => {
+      add(readPlaybookValue(summaryKey, summaryDefault), { category }, context);
+      add(readPlaybookValue(cardsKey, cardsDefault), { category }, context);
+    });
+  },
+  gtm: (add) => {
+    add([readPlaybookValue('presaleIntro', defaultPresaleIntro), readPlaybookValue('presaleImpact', defaultPresaleImpact)], { tab: 'presale' }, tabLabel('gtm', 'presale'));
+    add([readPlaybookValue('postsaleIntro', defaultPostsaleIntro), readPlaybookValue('postsaleImpact', defaultPostsaleImpact)], { tab: 'postsale' }, tabLabel('gtm', 'postsale'));
+    add([readPlaybookValue('adaptationIntro', defaultAdaptationIntro), readPlaybookValue('strategyAdaptation', defaultStrategyAdaptation)], { tab: 'adaptation' }, tabLabel('gtm', 'adaptation'));
+  },
+  first30: (add) => {
+    const summary = readPlaybookValue('first30PhaseSummary', defaultFirst30PhaseSummary);
+    add(readPlaybookValue('timelineTitle', defaultTimelineTitle));
+    add([summary.days, summary.title, summary.goal, summary.pillars], { phase: '1' }, summary.days);
+    readPlaybookValue('phases60_90', defaultPhases60_90).forEach((phase, i) => {
+      add(pickFields([phase], ['days', 'title', 'goal', 'pillars', 'keyActivities']), { phase: String(i + 2) }, phase.days);
+    });
+    add([readPlaybookValue('keyOutcomesTitle', defaultKeyOutcomesTitle), readPlaybookValue('keyOutcomes', defaultKeyOutcomes)]);
+    add([
+      readPlaybookValue('generalSADescription', defaultGeneralSADescription),
+      readPlaybookValue('generalSAIdentifying', defaultGeneralSAIdentifying),
+      readPlaybookValue('generalSAReplication', defaultGeneralSAReplication)
+    ], {}, 'Key Activities of Value & Replication');
+  },
+  hiring: (add) => {
+    add(readPlaybookValue('saProfile', defaultSaProfile), { tab: 'profile' }, tabLabel('hiring', 'profile'));
+    add(readPlaybookValue('hireFastSteps', defaultHireFastSteps), { tab: 'hireFast' }, tabLabel('hiring', 'hireFast'));
+    add(readPlaybookValue('balance', defaultBalance), { tab: 'balance' }, tabLabel('hiring', 'balance'));
+    add(readPlaybookValue('internalVsExternal', defaultInternalVsExternal), { tab: 'hiring' }, tabLabel('hiring', 'hiring'));
+    add(readPlaybookValue('maintainingCulture', defaultMaintainingCulture), { tab: 'culture' }, tabLabel('hiring', 'culture'));
+  },
+  operating: (add) => {
+    const metrics = readPlaybookValue('metrics', defaultMetrics);
+    add(pickFields([...(metrics.leading || []), ...(metrics.lagging || [])], ['name', 'unit', 'note']), { tab: 'metrics' }, tabLabel('operating', 'metrics'));
+    add(readPlaybookValue('saCapacity', defaultSaCapacity).roster.map((sa) => sa.name), { tab: 'capacity' }, tabLabel('operating', 'capacity'));
+    const podBoard = readPlaybookValue('podBoard', defaultPodBoard);
+    add([...podBoard.aes.map((ae) => ae.name), ...Object.values(podBoard.layouts).flatMap((layout) => layout.pods.map((pod) => pod.name))], { tab: 'pods' }, tabLabel('operating', 'pods'));
+    add(readPlaybookValue('cadences', defaultCadences).map(structureLegacyCadence).flatMap((c) => [c.type, c.focus, c.note, c.attendees.others]), { tab: 'cadences' }, tabLabel('operating', 'cadences'));
+    add(readPlaybookValue('coachingModel', defaultCoachingModel), { tab: 'coaching' }, tabLabel('operating', 'coaching'));
+  },
+  anecdotes: (add) => {
+    readPlaybookValue('anecdotes', defaultAnecdotes).forEach((anecdote) => {
+      add([anecdote.highlight, anecdote.content, anecdote.sender], {}, `${anecdote.sender} • ${anecdote.highlight}`);
+    });
+  }
+};
 
-  const getCategoryColor = (category) => {
-    const colorMap = {
-      'leadership': colors.accent,
-      'client-success': colors.success,
-      'mentorship': colors.purple,
-      'enablement': colors.info,
-      'problem-solving': colors.warning,
-      'sales': colors.orange,
-      'product': colors.pink,
-      'onboarding': colors.success
+const buildSearchIndex = (sections, preset = null) => {
+  flushPendingSaves();
+  const entries = [];
+  sections.forEach((section) => {
+    const sectionTitle = section.title || section.label;
+    // Overview has no summary card; every other section opens its full content
+    const baseParams = section.id === 'overview' ? {} : { detail: '1' };
+    const tabIds = audienceSectionTabs(section.id, preset).map((tab) => tab.id);
+    const add = (values, params = {}, context) => {
+      if (params.tab && !tabIds.includes(params.tab)) return;
+      searchStrings(values).forEach((text) => {
+        if (!text.trim()) return;
+        entries.push({ sectionId: section.id, context: [sectionTitle, context].filter(Boolean).join(' › '), params: { ...baseParams, ...params }, text });
+      });
     };
-    return colorMap[category] || colors.textMuted;
-  };
+    add([sectionTitle, section.subtitle]);
+    if (isCustomSection(section)) {
+      const { text, cards } = section.content || {};
+      add(text || '');
+      (cards || []).forEach((card) => add(card, {}, card.title || card.category));
+    } else if (SEARCH_SECTION_BUILDERS[section.id]) SEARCH_SECTION_BUILDERS[section.id](add);
+  });
+  return entries;
+};
 
-  const totalReactions = (reactions) => {
-    return Object.values(reactions).reduce((sum, count) => sum + count, 0);
+// Entries matching the most words win (all of them when possible); whole-phrase matches rank first, then playbook order
+const searchPlaybook = (index, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+  const phrase = terms.join(' ');
+  const matches = index.map((entry, order) => {
+    const lower = entry.text.toLowerCase();
+    const found = terms.filter((term) => lower.includes(term));
+    if (found.length === 0) return null;
+    const needle = lower.includes(phrase) ? phrase : found.reduce((a, b) => (b.length > a.length ? b : a));
+    return { ...entry, order, matched: found.length, exact: needle === phrase, needle };
+  }).filter(Boolean);
+  const best = Math.max(0, ...matches.map((m) => m.matched));
+  return matches
+    .filter((m) => m.matched === best)
+    .sort((a, b) => (b.exact - a.exact) || (a.order - b.order))
+    .slice(0, SEARCH_RESULT_LIMIT);
+};
+
+const findTextRange = (root, needle) => {
+  if (!root) return null;
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const index = node.nodeValue.toLowerCase().indexOf(needle);
+    if (index === -1) continue;
+    const range = document.createRange();
+    range.setStart(node, index);
+    range.setEnd(node, index + needle.length);
+    return range;
+  }
+  return null;
+};
+
+// App calls this once the jump's route has rendered; the principle modal and D3 views can land a moment
+// later, so it retries briefly. Main content first, then portals (the principle modal). The CSS Custom
+// Highlight API marks the text without touching React's DOM; older browsers get a temporary outline on the
+// containing element instead.
+let clearSearchHighlight = null;
+const highlightSearchMatch = (needle, colors, attempt = 0) => {
+  if (clearSearchHighlight) clearSearchHighlight();
+  const roots = [document.querySelector('main'), ...[...document.body.children].filter((el) => el.id !== 'root')];
+  const range = roots.reduce((found, root) => found || findTextRange(root, needle), null);
+  if (!range) {
+    if (attempt < 10) setTimeout(() => highlightSearchMatch(needle, colors, attempt + 1), 100);
+    return;
+  }
+  const element = range.startContainer.parentElement;
+  element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  let clear;
+  if (typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight !== 'undefined') {
+    CSS.highlights.set(SEARCH_HIGHLIGHT_NAME, new Highlight(range));
+    clear = () => CSS.highlights.delete(SEARCH_HIGHLIGHT_NAME);
+  } else {
+    const previousOutline = element.style.outline;
+    element.style.outline = `2px solid ${colors.warning}`;
+    clear = () => { element.style.outline = previousOutline; };
+  }
+  const timer = setTimeout(() => clearSearchHighlight && clearSearchHighlight(), SEARCH_HIGHLIGHT_MS);
+  clearSearchHighlight = () => {
+    clearTimeout(timer);
+    clear();
+    clearSearchHighlight = null;
   };
+};
 
-  const toggleCard = (cardId) => {
-    setExpandedCards(prev => {
-      const newSet = new Set(prev);
-      if (newSet.has(cardId)) {
-        newSet.delete(cardId);
-      } else {
-        newSet.add(cardId);
-      }
-      return newSet;
-    });
+// Result snippet: ~120 characters around the match with the match marked
+const SearchSnippet = ({ text, needle }) => {
+  const index = text.toLowerCase().indexOf(needle);
+  const start = Math.max(0, index - 50);
+  const end = Math.min(text.length, index + needle.length + 70);
+  return (
+    <>
+      {start > 0 && '…'}
+      {text.slice(start, index)}
+      <mark style={{ backgroundColor: '#fde68a', color: '#000000', borderRadius: '2px' }}>{text.slice(index, index + needle.length)}</mark>
+      {text.slice(index + needle.length, end)}
+      {end < text.length && '…'}
+    </>
+  );
+};
+
+const SearchDialog = ({ sections, onClose, onOpenResult }) => {
+  const colors = useColors();
+  const { preset } = useContext(AudienceContext);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Rebuilt per query: the field being edited when the dialog opened only saves on blur, after the first render
+  const results = useMemo(() => searchPlaybook(buildSearchIndex(sections, preset), query), [sections, preset, query]);
+
+  const openResult = (result) => {
+    onClose();
+    navigateHashRoute({ section: result.sectionId, params: result.params });
+    onOpenResult(result);
   };
 
-  const isLongContent = (content) => {
-    return content.length > 300;
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((i) => Math.max(0, Math.min(results.length - 1, i + step)));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      openResult(results[activeIndex]);
+    }
   };
 
-  // Calculate column count based on container width
-  useEffect(() => {
-    const updateColumnCount = () => {
-      if (containerRef.current) {
-        const width = containerRef.current.offsetWidth;
-        if (width >= 1200) setColumnCount(4);
-        else if (width >= 900) setColumnCount(3);
-        else if (width >= 600) setColumnCount(2);
-        else setColumnCount(1);
+  return (
+    <ModalShell title="Search the playbook" onClose={onClose} maxWidth="640px">
+      <input
+        type="search"
+        autoFocus
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+        }}
+        onKeyDown={handleKeyDown}
+        placeholder="Search every section, e.g. POC exit criteria"
+        aria-label="Search the playbook"
+        style={{ width: '100%', boxSizing: 'border-box', padding: '10px 12px', fontSize: '15px', fontFamily: 'inherit', border: `1px solid ${colors.border}`, borderRadius: '8px', outline: 'none', marginBottom: '12px' }}
+      />
+      {query.trim() && results.length === 0 && (
+        <p style={{ fontSize: '14px', color: colors.textMuted }}>No matches.</p>
+      )}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+        {results.map((result, i) => (
+          <button
+            key={`${result.order}`}
+            type="button"
+            onClick={() => openResult(result)}
+            onMouseEnter={() => setActiveIndex(i)}
+            style={{
+              textAlign: 'left',
+              padding: '8px 12px',
+              borderRadius: '8px',
+              border: 'none',
+              backgroundColor: i === activeIndex ? colors.accent + '12' : 'transparent',
+              cursor: 'pointer',
+              fontFamily: 'inherit'
+            }}
+          >
+            <div style={{ fontSize: '11px', fontWeight: '600', color: colors.accent, marginBottom: '2px' }}>{result.context}</div>
+            <div style={{ fontSize: '13px', color: colors.textSecondary, lineHeight: 1.5 }}>
+              <SearchSnippet text={result.text} needle={result.needle} />
+            </div>
+          </button>
+        ))}
+      </div>
+    </ModalShell>
+  );
+};
+
+const SearchButton = ({ onClick }) => {
+  const colors = useColors();
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title="Search the playbook (Cmd/Ctrl+K)"
+      style={{
+        padding: '8px 14px',
+        borderRadius: '12px',
+        border: `1px solid ${colors.border}`,
+        backgroundColor: colors.card,
+        color: colors.textSecondary,
+        fontSize: '13px',
+        fontWeight: '500',
+        cursor: 'pointer',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        transition: 'all 0.2s'
+      }}
+    >
+      ⌕ Search
+    </button>
+  );
+};
+
+// Presentation mode: slides are built from the section order. Tabbed sections get one slide per
+// SECTION_TABS entry (only the audience preset's tabs, in its order); principles and 30-60-90 phases get a slide each.
+const PRESENTATION_PHASE_LABELS = ['Days 1-30', 'Days 31-60', 'Days 61-90'];
+
+// Slide: { id, sectionId, view: 'summary' | 'detail', label, tab?, principleIndex?, phase? }
+const buildPresentationSlides = (sections, preset = null, principles = defaultPrinciples) => {
+  const slides = [];
+  sections.forEach((section) => {
+    const sectionLabel = section.label || section.title;
+    const add = (slide) => slides.push({ sectionId: section.id, view: 'detail', label: sectionLabel, ...slide, id: `${section.id}-${slides.length}` });
+    if (SECTION_SUMMARIES[section.id]) add({ view: 'summary', label: `${sectionLabel} — Summary` });
+
+    if (section.id === 'first30' || section.id === 'first100') {
+      PRESENTATION_PHASE_LABELS.forEach((phaseLabel, phase) => add({ phase, label: `${sectionLabel} — ${phaseLabel}` }));
+      return;
+    }
+    const tabs = SECTION_TABS[section.id] && audienceSectionTabs(section.id, preset);
+    if (!tabs) {
+      add({});
+      return;
+    }
+    tabs.forEach((tab) => {
+      if (section.id === 'leadership') {
+        add({ tab: tab.id, principleIndex: null, label: `${sectionLabel} — ${tab.label}` });
+        if (tab.id === 'principles') {
+          principles.forEach((principle, principleIndex) => add({ tab: tab.id, principleIndex, label: `${sectionLabel} — ${principle.title}` }));
+        }
+        return;
       }
-    };
-    
-    updateColumnCount();
-    window.addEventListener('resize', updateColumnCount);
-    return () => window.removeEventListener('resize', updateColumnCount);
-  }, []);
+      add({ tab: tab.id, label: `${sectionLabel} — ${tab.label}` });
+    });
+  });
+  return slides;
+};
 
+// Route for a slide, so its tab / principle / phase shows and exiting (or reloading) stays on that view
+const presentationSlideRoute = (slide) => ({
+  section: slide.sectionId,
+  params: {
+    tab: slide.tab,
+    principle: slide.principleIndex !== undefined && slide.principleIndex !== null ? ROUTE_INDEX_PARAM.format(slide.principleIndex) : undefined,
+    phase: slide.phase !== undefined ? ROUTE_INDEX_PARAM.format(slide.phase) : undefined
+  }
+});
+
+const PRESENTATION_NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'];
+const PRESENTATION_PREV_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'];
 
+// Bottom bar while presenting: progress, slide label, prev/next/exit
+const PresentationControls = ({ slides, index, onGoTo, onExit, onOpenPresenter }) => {
+  const colors = useColors();
+  const [isHovered, setIsHovered] = useState(false);
+  const slide = slides[index];
+  const progress = slides.length > 1 ? (index / (slides.length - 1)) * 100 : 100;
+  const buttonStyle = (enabled) => ({
+    background: 'none',
+    border: 'none',
+    color: enabled ? colors.textSecondary : colors.gray300,
+    fontSize: '16px',
+    cursor: enabled ? 'pointer' : 'default',
+    padding: '4px 8px'
+  });
   return (
-    <div>
-      {/* Category Filters */}
-      <div style={{ marginBottom: '24px' }}>
-        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-          {categories.map(cat => (
-            <button
-              key={cat.id}
-              onClick={() => setFilter(cat.id)}
-              style={{
-                padding: '8px 16px',
-                borderRadius: '8px',
-                border: `1px solid ${filter === cat.id ? getCategoryColor(cat.id === 'all' ? 'leadership' : cat.id) : colors.border}`,
-                backgroundColor: filter === cat.id ? getCategoryColor(cat.id === 'all' ? 'leadership' : cat.id) + '15' : 'white',
-                color: filter === cat.id ? getCategoryColor(cat.id === 'all' ? 'leadership' : cat.id) : colors.text,
-                fontSize: '13px',
-                fontWeight: filter === cat.id ? '600' : '500',
-                cursor: 'pointer',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '6px',
-                transition: 'all 0.2s ease',
-                boxShadow: filter === cat.id ? '0 2px 4px rgba(0, 0, 0, 0.08)' : 'none'
-              }}
-            >
-              <span>{cat.icon}</span>
-              <span>{cat.label}</span>
-              {filter === cat.id && cat.id !== 'all' && (
-                <span style={{ 
-                  fontSize: '11px', 
-                  backgroundColor: getCategoryColor(cat.id) + '20',
-                  color: getCategoryColor(cat.id),
-                  padding: '2px 6px',
-                  borderRadius: '10px',
-                  marginLeft: '4px',
-                  fontWeight: '600'
-                }}>
-                  {anecdotes.filter(a => a.category === cat.id).length}
-                </span>
-              )}
-            </button>
-          ))}
+    <div
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+      style={{ position: 'fixed', left: 0, right: 0, bottom: 0, zIndex: 20000 }}
+    >
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '16px',
+        padding: '8px 24px',
+        backgroundColor: colors.bgTranslucent,
+        backdropFilter: 'blur(6px)',
+        WebkitBackdropFilter: 'blur(6px)',
+        opacity: isHovered ? 1 : 0.55,
+        transition: 'opacity 0.2s'
+      }}>
+        <span style={{ fontSize: '12px', color: colors.textMuted, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{slide.label}</span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '4px', flexShrink: 0 }}>
+          <button type="button" onClick={() => onGoTo(index - 1)} disabled={index === 0} style={buttonStyle(index > 0)} title="Previous (←)" aria-label="Previous slide">‹</button>
+          <span style={{ fontSize: '12px', color: colors.textMuted, fontVariantNumeric: 'tabular-nums' }}>{index + 1} / {slides.length}</span>
+          <button type="button" onClick={() => onGoTo(index + 1)} disabled={index === slides.length - 1} style={buttonStyle(index < slides.length - 1)} title="Next (→ / Space)" aria-label="Next slide">›</button>
+          <button type="button" onClick={onOpenPresenter} style={{ ...buttonStyle(true), fontSize: '12px', marginLeft: '8px' }} title="Open notes, next slide and timer in a second window">Presenter view</button>
+          <button type="button" onClick={onExit} style={{ ...buttonStyle(true), fontSize: '12px' }} title="Exit presentation (Esc)">Exit</button>
         </div>
       </div>
-
-      {/* True Masonry Layout */}
-      <div 
-        ref={containerRef}
-        style={{ 
-          marginBottom: '32px',
-          position: 'relative',
-          minHeight: '400px'
-        }}
-      >
-        {filteredAnecdotes.length === 0 ? (
-          <Card style={{ textAlign: 'center', padding: '32px' }}>
-            <div style={{ fontSize: '48px', marginBottom: '12px' }}>🔍</div>
-            <p style={{ fontSize: '16px', color: colors.textMuted }}>No feedback found in this category.</p>
-          </Card>
-        ) : (
-          <MasonryItems 
-            items={filteredAnecdotes}
-            columnCount={columnCount}
-            gap={24}
-            expandedCards={expandedCards}
-            toggleCard={toggleCard}
-            getCategoryColor={getCategoryColor}
-            formatDate={formatDate}
-            isLongContent={isLongContent}
-          />
-        )}
+      <div style={{ height: '3px', backgroundColor: colors.borderLight }}>
+        <div style={{ height: '100%', width: `${progress}%`, backgroundColor: colors.accent, transition: 'width 0.3s ease' }} />
       </div>
     </div>
   );
 };
 
-// Navigation
-const Navigation = ({ activeSection, setActiveSection, sections, setSections }) => {
-  const { isEditMode } = useContext(EditModeContext);
-  const [draggedIndex, setDraggedIndex] = useState(null);
-  const [dragOverIndex, setDragOverIndex] = useState(null);
+// Presenter view: a second window (?presenter) kept in sync over a BroadcastChannel.
+// Main window posts { type: 'state', ... }; the presenter sends 'hello' on open and 'next' / 'prev' / 'resetTimer'.
+const PRESENTER_CHANNEL = 'leadershipPlaybook_presenter';
 
-  const handleDragStart = (e, index) => {
-    setDraggedIndex(index);
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/html', e.target.outerHTML);
-    e.target.style.opacity = '0.5';
-  };
+const openPresenterWindow = () => {
+  window.open(`${window.location.pathname}?presenter`, 'leadershipPlaybookPresenter', 'width=1100,height=720');
+};
+
+// Notes for one slide: the section's, plus the principle's or phase's when the slide shows one.
+// principles / first30PhaseSummary / phases60_90 are the live values, so notes edited mid-presentation show up.
+const getSlideNotes = (slide, sections, { principles, first30PhaseSummary, phases60_90 }) => {
+  const notes = [];
+  const section = sections.find((s) => s.id === slide.sectionId);
+  if (section && section.notes) notes.push({ label: section.title || section.label, text: section.notes });
+  if (slide.principleIndex !== undefined && slide.principleIndex !== null) {
+    const principle = Array.isArray(principles) ? principles[slide.principleIndex] : null;
+    if (principle && principle.notes) notes.push({ label: principle.title, text: principle.notes });
+  }
+  if (slide.phase !== undefined) {
+    const phase = slide.phase === 0
+      ? first30PhaseSummary
+      : (Array.isArray(phases60_90) ? phases60_90[slide.phase - 1] : null);
+    if (phase && phase.notes) notes.push({ label: `${phase.days} — ${phase.title}`, text: phase.notes });
+  }
+  return notes;
+};
+
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Rendered instead of App in the presenter window (see main.jsx)
+export const PresenterView = () => {
+  const theme = useTheme();
+  const { colors } = theme.value;
+  const [state, setState] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const channelRef = useRef(null);
+  const isSupported = typeof BroadcastChannel !== 'undefined';
+
+  useEffect(() => {
+    if (!isSupported) return;
+    const channel = new BroadcastChannel(PRESENTER_CHANNEL);
+    channelRef.current = channel;
+    channel.onmessage = (e) => {
+      if (e.data && e.data.type === 'state') setState(e.data);
+    };
+    channel.postMessage({ type: 'hello' });
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [isSupported]);
 
-  const handleDragOver = (e, index) => {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    setDragOverIndex(index);
-  };
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
 
-  const handleDragLeave = () => {
-    setDragOverIndex(null);
-  };
+  useEffect(() => {
+    document.title = 'Presenter view — Leadership Playbook';
+  }, []);
 
-  const handleDrop = (e, dropIndex) => {
-    e.preventDefault();
-    setDragOverIndex(null);
-    
-    if (draggedIndex === null || draggedIndex === dropIndex) {
-      setDraggedIndex(null);
-      return;
-    }
+  const send = useCallback((type) => {
+    if (channelRef.current) channelRef.current.postMessage({ type });
+  }, []);
 
-    const newSections = [...sections];
-    const draggedSection = newSections[draggedIndex];
-    newSections.splice(draggedIndex, 1);
-    newSections.splice(dropIndex, 0, draggedSection);
-    setSections(newSections);
-    setDraggedIndex(null);
-  };
+  // Same keys as the main window, so a clicker works with either window focused
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey) return;
+      if (PRESENTATION_NEXT_KEYS.includes(e.key) && !(e.key === ' ' && e.shiftKey)) {
+        e.preventDefault();
+        send('next');
+      } else if (PRESENTATION_PREV_KEYS.includes(e.key) || (e.key === ' ' && e.shiftKey)) {
+        e.preventDefault();
+        send('prev');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [send]);
 
-  const handleDragEnd = (e) => {
-    e.target.style.opacity = '1';
-    setDraggedIndex(null);
-    setDragOverIndex(null);
-  };
+  const appFont = "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+  const panelStyle = { backgroundColor: colors.card, border: `1px solid ${colors.border}`, borderRadius: '12px', padding: '20px 24px' };
+  const eyebrowStyle = { fontSize: '11px', fontWeight: '700', color: colors.textMuted, textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: '8px' };
+  const isLive = isSupported && state && state.presenting;
+
+  let message = null;
+  if (!isSupported) message = 'This browser does not support BroadcastChannel, so the presenter view can\'t sync.';
+  else if (!state) message = 'Waiting for the playbook window…';
+  else if (!state.presenting) message = 'Start the presentation (▶ Present) in the playbook window.';
 
   return (
-    <nav style={{ 
-      position: 'sticky', 
-      top: 0, 
-      backgroundColor: 'rgba(255, 255, 255, 0.95)',
-      backdropFilter: 'blur(10px)',
-      borderBottom: `1px solid ${colors.border}`, 
-      zIndex: 100, 
-      width: '100%',
-      overflow: 'hidden',
-      boxShadow: '0 1px 0 rgba(0, 0, 0, 0.05)'
-    }}>
-      <div style={{ 
-        maxWidth: '1200px', 
-        width: '100%',
-        margin: '0 auto',
-        padding: '0 32px',
-        boxSizing: 'border-box'
-      }}>
-        <div style={{ 
-          display: 'flex', 
-          gap: '4px', 
-          overflowX: 'auto',
-          overflowY: 'hidden',
-          scrollbarWidth: 'none', // Firefox
-          msOverflowStyle: 'none', // IE/Edge
-          WebkitOverflowScrolling: 'touch'
-        }}>
-          <style>{`
-            nav div div::-webkit-scrollbar {
-              display: none; /* Chrome, Safari, Opera */
-            }
-          `}</style>
-          {sections.map((s, index) => (
-            <div 
-              key={s.id} 
-              style={{ 
-                display: 'flex', 
-                alignItems: 'center', 
-                gap: '4px', 
-                position: 'relative',
-                opacity: draggedIndex === index ? 0.5 : 1,
-                transform: dragOverIndex === index && draggedIndex !== index ? 'translateX(4px)' : 'translateX(0)',
-                transition: 'all 0.2s ease'
-              }}
-              draggable={isEditMode}
-              onDragStart={(e) => handleDragStart(e, index)}
-              onDragOver={(e) => handleDragOver(e, index)}
-              onDragLeave={handleDragLeave}
-              onDrop={(e) => handleDrop(e, index)}
-              onDragEnd={handleDragEnd}
-            >
-              {isEditMode && (
-                <div 
-                  style={{ 
-                    width: '6px',
-                    height: '24px',
-                    backgroundColor: draggedIndex === index ? colors.accent : colors.border,
-                    borderRadius: '3px',
-                    cursor: 'grab',
-                    flexShrink: 0,
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    transition: 'all 0.2s ease'
-                  }}
-                  title="Drag to reorder"
-                  onMouseDown={(e) => e.stopPropagation()}
-                >
-                  <div style={{
-                    width: '2px',
-                    height: '12px',
-                    backgroundColor: draggedIndex === index ? 'white' : colors.textMuted,
-                    borderRadius: '1px',
-                    opacity: 0.6
-                  }} />
+    <ThemeContext.Provider value={theme.value}>
+    <div style={{ minHeight: '100vh', backgroundColor: colors.surface, fontFamily: appFont, color: colors.text, padding: '24px', boxSizing: 'border-box' }}>
+      {message ? (
+        <div style={{ ...panelStyle, maxWidth: '560px', margin: '80px auto', textAlign: 'center', fontSize: '15px', color: colors.textSecondary }}>{message}</div>
+      ) : isLive && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(0, 1fr)', gap: '20px', alignItems: 'start' }}>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '20px' }}>
+            <div style={{ ...panelStyle, borderLeft: `4px solid ${colors.accent}` }}>
+              <div style={eyebrowStyle}>Current slide • {state.index + 1} / {state.total}</div>
+              <div style={{ fontSize: '26px', fontWeight: '700', letterSpacing: '-0.02em' }}>{state.current.label}</div>
+            </div>
+            <div style={{ ...panelStyle, minHeight: '240px' }}>
+              <div style={eyebrowStyle}>Notes</div>
+              {state.current.notes.length === 0 ? (
+                <p style={{ fontSize: '15px', color: colors.textMuted, margin: 0 }}>No speaker notes for this slide. Add them in edit mode.</p>
+              ) : state.current.notes.map((note, i) => (
+                <div key={i} style={{ marginBottom: '16px' }}>
+                  <div style={{ fontSize: '12px', fontWeight: '600', color: colors.accent, marginBottom: '4px' }}>{note.label}</div>
+                  <p style={{ fontSize: '20px', lineHeight: 1.5, margin: 0, whiteSpace: 'pre-wrap' }}>{note.text}</p>
                 </div>
-              )}
-              <button
-                onClick={() => !isEditMode && setActiveSection(s.id)}
-                style={{
-                  padding: '16px 16px',
-                  border: 'none',
-                  backgroundColor: 'transparent',
-                  borderBottom: activeSection === s.id ? `2px solid ${colors.accent}` : '2px solid transparent',
-                  marginBottom: '-1px',
-                  fontSize: '14px',
-                  fontWeight: activeSection === s.id ? '600' : '400',
-                  color: activeSection === s.id ? colors.text : colors.textMuted,
-                  cursor: isEditMode ? 'grab' : 'pointer',
-                  whiteSpace: 'nowrap',
-                  flexShrink: 0,
-                  transition: 'all 0.2s ease',
-                  letterSpacing: '-0.01em',
-                  borderLeft: dragOverIndex === index && draggedIndex !== index ? `2px solid ${colors.accent}` : 'none',
-                  paddingLeft: dragOverIndex === index && draggedIndex !== index ? '14px' : '16px'
-                }}
-              >
-                <EditableText
-                  value={s.label}
-                  onChange={(v) => {
-                    const newSections = [...sections];
-                    newSections[index].label = v;
-                    setSections(newSections);
-                  }}
-                  style={{
-                    fontSize: '14px',
-                    fontWeight: activeSection === s.id ? '600' : '400',
-                    color: activeSection === s.id ? colors.text : colors.textMuted
-                  }}
-                />
-              </button>
+              ))}
             </div>
-          ))}
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '20px' }}>
+            <div style={{ ...panelStyle, textAlign: 'center' }}>
+              <div style={eyebrowStyle}>Elapsed</div>
+              <div style={{ fontSize: '44px', fontWeight: '700', fontVariantNumeric: 'tabular-nums' }}>{formatElapsed(now - state.startedAt)}</div>
+              <button type="button" onClick={() => send('resetTimer')} style={{ marginTop: '8px', background: 'none', border: 'none', color: colors.textMuted, fontSize: '12px', textDecoration: 'underline', cursor: 'pointer' }}>Reset timer</button>
+            </div>
+            <div style={{ ...panelStyle, opacity: 0.85 }}>
+              <div style={eyebrowStyle}>Next</div>
+              <div style={{ fontSize: '17px', fontWeight: '600', color: colors.textSecondary }}>{state.next ? state.next.label : 'End of presentation'}</div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <ToolButton onClick={() => send('prev')} disabled={state.index === 0}>‹ Previous</ToolButton>
+              <ToolButton primary onClick={() => send('next')} disabled={!state.next}>Next ›</ToolButton>
+            </div>
+          </div>
         </div>
-      </div>
-    </nav>
+      )}
+    </div>
+    </ThemeContext.Provider>
   );
 };
 
-// Mode Toggle Component
-const ModeToggle = ({ isEditMode, setIsEditMode }) => {
-  const [isHovered, setIsHovered] = useState(false);
-  
+// Starts presentation mode (sits next to ModeToggle); with children and a title, the same floating button for other presentation actions
+const PresentButton = ({ onClick, title = 'Present (fullscreen, arrow keys / space to advance)', children = '▶ Present' }) => {
+  const colors = useColors();
   return (
-    <div 
-      onMouseEnter={() => setIsHovered(true)}
-      onMouseLeave={() => setIsHovered(false)}
+    <button
+      type="button"
+      onClick={onClick}
+      title={title}
       style={{
-        position: 'fixed',
-        bottom: '16px',
-        right: '16px',
-        zIndex: 1000,
-        display: 'flex',
-        alignItems: 'center',
-        gap: '8px',
-        padding: isHovered ? '8px 16px' : '8px 12px',
-        backgroundColor: isHovered ? 'white' : 'rgba(255,255,255,0.9)',
+        padding: '8px 14px',
         borderRadius: '12px',
-        boxShadow: isHovered ? '0 4px 12px rgba(0,0,0,0.15)' : '0 2px 8px rgba(0,0,0,0.1)',
-        border: `1px solid ${isHovered ? colors.border : colors.border}`,
-        transition: 'all 0.3s ease',
-        opacity: isHovered ? 1 : 0.5,
-        transform: isHovered ? 'scale(1)' : 'scale(0.9)',
-      }}>
-      {isHovered && (
-        <span style={{ 
-          fontSize: '12px', 
-          fontWeight: '500',
-          color: !isEditMode ? colors.text : colors.textMuted 
-        }}>
-          {isEditMode ? 'Edit' : 'View'}
-        </span>
-      )}
-      <button
-        onClick={() => setIsEditMode(!isEditMode)}
-        style={{
-          position: 'relative',
-          width: '36px',
-          height: '20px',
-          borderRadius: '10px',
-          border: 'none',
-          backgroundColor: isEditMode ? colors.accent : colors.border,
-          cursor: 'pointer',
-          transition: 'all 0.3s',
-          padding: 0,
-        }}
-      >
-        <div style={{
-          position: 'absolute',
-          top: '2px',
-          left: isEditMode ? '18px' : '2px',
-          width: '16px',
-          height: '16px',
-          borderRadius: '50%',
-          backgroundColor: 'white',
-          transition: 'all 0.3s',
-          boxShadow: '0 1px 3px rgba(0,0,0,0.2)',
-        }} />
-      </button>
-      {isHovered && (
-        <span style={{ 
-          fontSize: '11px', 
-          color: colors.textMuted 
-        }}>
-          {isEditMode ? '✏️' : '👁️'}
-        </span>
-      )}
-    </div>
+        border: `1px solid ${colors.border}`,
+        backgroundColor: colors.card,
+        color: colors.textSecondary,
+        fontSize: '13px',
+        fontWeight: '500',
+        cursor: 'pointer',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+        transition: 'all 0.2s'
+      }}
+    >
+      {children}
+    </button>
   );
 };
 
+// Print layout: main is narrowed to the printable width so D3 charts measure and draw for paper
+const PRINT_CONTENT_WIDTH = '700px';
+const PRINT_SETTLE_MS = 400;
+const PRINT_PAGE_CSS = `
+  @page { margin: 0.5in; }
+  html, body { background: #ffffff !important; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+`;
+
 // Edit Mode Banner
 const EditModeBanner = ({ isEditMode }) => {
+  const colors = useColors();
   if (!isEditMode) return null;
   
   return (
@@ -5121,58 +10188,360 @@ const EditModeBanner = ({ isEditMode }) => {
   );
 };
 
+// Editable content state for Overview (condensed, direct)
+const defaultOverviewContent = {
+  subtitle: 'West Coast SA Manager | Leadership Panel',
+  title: 'My Leadership Playbook',
+  description: 'High-performing West Coast SA team at Writer.',
+  context: [
+    'Backfill + headcount clarity for West Strat; maintain 3:1 AE:SA ratio.',
+    'Product Vision Changes: Agent Builder sunset; enable team on Writer Agent and platform changes.',
+    'Solutions Architecture scaffolding; reduce silos, create consistency.',
+    'Writer Agent = New POC Playbook and figuring out what scales and lands'
+  ],
+  strategicBets: [
+    'Pods over round-robin: consistent SA/AE pairings, deeper account knowledge.',
+    'Process before scale: handoffs, POC templates, exit gates so information is accessible.',
+    'Coaching as infrastructure: onboarding, post-mortems, shadow programs—repeatable excellence.',
+    'Leading metrics: dashboard to validate before scaling.'
+  ],
+  strategicPriorities: [
+    'SAs as strategic partners: ROI storytelling, seat at the table in deal strategy and pipeline.',
+    'Consistent SA/AE pairings; early engagement, inclusion in forecast and account planning.',
+    'Technical voice of the deal: clear handoffs, shared exit criteria, joint ownership of validation.',
+    'Writer Agent: complement, not replacement; SAs lead technical narrative.',
+    'Guardrails for post-sales vs. custom builds; SAs focus on high-leverage work.'
+  ],
+  saLeadershipLens: DEFAULT_SA_LEADERSHIP_LENS
+};
+
+const defaultSections = [
+  { id: 'overview', label: 'Overview', title: 'Overview', subtitle: '' },
+  { id: 'leadership', label: 'Leadership Principles', title: 'Leadership Principles', subtitle: 'My leadership philosophy and how it shows up day to day' },
+  { id: 'field', label: 'From the Field', title: 'From the Field', subtitle: 'What we\'re hearing as working or not working in sales engagements and SA/AE partnerships' },
+  { id: 'gtm', label: 'GTM & Impact', title: 'GTM & Impact Model', subtitle: 'How SAs drive impact pre- and post-sale, and adapt to strategy shifts' },
+  { id: 'first30', label: '30-60-90', title: '30-60-90', subtitle: 'First 30 days: actions & plans; Days 31-60: scale & refine; Days 61-90: broaden & embed' },
+  { id: 'hiring', label: 'Hiring & Team Design', title: 'Hiring & Team Design', subtitle: 'The SA profile, balancing act, internal vs external hiring, and maintaining culture' },
+  { id: 'operating', label: 'Operating & Coaching', title: 'Operating & Coaching Model', subtitle: 'Key metrics, team cadences, and how I uplevel SAs' },
+  { id: 'anecdotes', label: 'Team Anecdotes', title: 'Team Anecdotes', subtitle: 'Feedback and recognition from colleagues at Writer' },
+];
+
+const defaultAudiencePresets = [
+  {
+    id: 'hiring-panel',
+    name: 'Hiring panel',
+    sections: ['overview', 'leadership', 'first30', 'hiring', 'operating', 'anecdotes'],
+    tabs: {}
+  },
+  {
+    id: 'sa-team',
+    name: 'SA team',
+    sections: ['overview', 'operating', 'leadership', 'field', 'first30'],
+    tabs: { operating: ['cadences', 'coaching', 'metrics'], leadership: ['partnerships', 'principles'] }
+  },
+  {
+    id: 'partner-leadership',
+    name: 'Partner leadership',
+    sections: ['overview', 'gtm', 'field', 'leadership'],
+    tabs: { gtm: ['presale', 'postsale'], leadership: ['partnerships'] }
+  }
+];
+
+// Every key a playbook bundle may carry (without STORAGE_PREFIX) and its default, which gives the expected shape on import
+const PLAYBOOK_STORAGE_DEFAULTS = {
+  sections: defaultSections,
+  audiencePresets: defaultAudiencePresets,
+  schemaVersions: {},
+  overviewContent: defaultOverviewContent,
+  partnerSARules: defaultPartnerSARules,
+  ecosystemDiagram: defaultEcosystemDiagram,
+  philosophy: defaultPhilosophy,
+  principles: defaultPrinciples,
+  feedback: defaultFeedback,
+  collaborationSummary: defaultCollaborationSummary,
+  salesProcessSummary: defaultSalesProcessSummary,
+  agentPositioningSummary: defaultAgentPositioningSummary,
+  collaborationGaps: defaultCollaborationGaps,
+  salesProcessIssues: defaultSalesProcessIssues,
+  agentPositioning: defaultAgentPositioning,
+  presaleIntro: defaultPresaleIntro,
+  presaleImpact: defaultPresaleImpact,
+  postsaleIntro: defaultPostsaleIntro,
+  postsaleImpact: defaultPostsaleImpact,
+  adaptationIntro: defaultAdaptationIntro,
+  strategyAdaptation: defaultStrategyAdaptation,
+  timelineTitle: defaultTimelineTitle,
+  first30PhaseSummary: defaultFirst30PhaseSummary,
+  phases: defaultPhases30,
+  keyOutcomesTitle: defaultKeyOutcomesTitle,
+  keyOutcomes: defaultKeyOutcomes,
+  generalSADescription: defaultGeneralSADescription,
+  generalSAIdentifying: defaultGeneralSAIdentifying,
+  generalSAReplication: defaultGeneralSAReplication,
+  phases60_90: defaultPhases60_90,
+  saProfile: defaultSaProfile,
+  balance: defaultBalance,
+  internalVsExternal: defaultInternalVsExternal,
+  maintainingCulture: defaultMaintainingCulture,
+  hireFastSteps: defaultHireFastSteps,
+  metrics: defaultMetrics,
+  saCapacity: defaultSaCapacity,
+  podBoard: defaultPodBoard,
+  cadences: defaultCadences,
+  coachingModel: defaultCoachingModel,
+  anecdotes: defaultAnecdotes
+};
+
+// Keys behind each built-in section, so a snapshot can be restored a section at a time;
+// the rest (section list, audience presets) restore on their own
+const SECTION_STORAGE_KEYS = {
+  overview: ['overviewContent'],
+  leadership: ['partnerSARules', 'ecosystemDiagram', 'philosophy', 'principles', 'feedback'],
+  field: ['collaborationSummary', 'salesProcessSummary', 'agentPositioningSummary', 'collaborationGaps', 'salesProcessIssues', 'agentPositioning'],
+  gtm: ['presaleIntro', 'presaleImpact', 'postsaleIntro', 'postsaleImpact', 'adaptationIntro', 'strategyAdaptation'],
+  first30: ['timelineTitle', 'first30PhaseSummary', 'phases', 'keyOutcomesTitle', 'keyOutcomes', 'generalSADescription', 'generalSAIdentifying', 'generalSAReplication', 'phases60_90'],
+  hiring: ['saProfile', 'balance', 'internalVsExternal', 'maintainingCulture', 'hireFastSteps'],
+  operating: ['metrics', 'saCapacity', 'podBoard', 'cadences', 'coachingModel'],
+  anecdotes: ['anecdotes']
+};
+
+// diffPlaybookBundle entries gathered per section: { id, label, status, names }; mixed statuses read as changed
+const groupBundleDiffBySection = (diff) => {
+  const groups = [];
+  diff.forEach(({ name, status }) => {
+    const sectionId = Object.keys(SECTION_STORAGE_KEYS).find((id) => SECTION_STORAGE_KEYS[id].includes(name));
+    const id = sectionId || name;
+    let group = groups.find((g) => g.id === id);
+    if (!group) {
+      const label = sectionId ? defaultSections.find((s) => s.id === sectionId).label : formatStorageKeyLabel(name);
+      group = { id, label, status, names: [] };
+      groups.push(group);
+    }
+    if (group.status !== status) group.status = 'changed';
+    group.names.push(name);
+  });
+  return groups;
+};
+
 // Main App
 export default function App() {
-  const [activeSection, setActiveSection] = useState('overview');
-  const [isEditMode, setIsEditMode] = useState(false);
-  const [detailViewSections, setDetailViewSections] = useState({
-    overview: false,
-    leadership: false,
-    hiring: false,
-    gtm: false,
-    operating: false,
-    first30: false,
-    field: false,
-    anecdotes: false
+  const route = useHashRoute();
+  const [editModeSetting, setIsEditMode] = useState(false);
+  const previewSnapshot = useSnapshotPreview();
+  const [presentationIndex, setPresentationIndex] = useState(null);
+  const [presentationStartedAt, setPresentationStartedAt] = useState(null);
+  const [isPrinting, setIsPrinting] = useState(false);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  // Search result just opened; its match is highlighted after the route it navigated to has rendered
+  const [searchJump, setSearchJump] = useState(null);
+  // Printed pages and PDFs always use the light palette
+  const theme = useTheme(isPrinting);
+  const { colors } = theme.value;
+
+  const [sections, setSections] = useLocalStorage('leadershipPlaybook_sections', defaultSections);
+  const [audiencePresets, setAudiencePresets] = useLocalStorage('leadershipPlaybook_audiencePresets', defaultAudiencePresets);
+  // Principles get a slide each, so the slide list follows edits made in the Leadership section;
+  // with the 30-60-90 phases they also carry speaker notes for the presenter view
+  const [principles] = useLocalStorage('leadershipPlaybook_principles', defaultPrinciples);
+  const [first30PhaseSummary] = useLocalStorage('leadershipPlaybook_first30PhaseSummary', defaultFirst30PhaseSummary);
+  const [phases60_90] = useLocalStorage('leadershipPlaybook_phases60_90', defaultPhases60_90);
+
+  // The audience preset (?audience=<id>) picks and orders what's viewed, presented, printed and exported;
+  // with edit mode on, everything works on the full playbook. Hidden sections stay in the stored list but are left out.
+  const isEditModeOn = editModeSetting && !previewSnapshot;
+  const audiencePreset = isEditModeOn ? null : audiencePresets.find((p) => p.id === route.params.audience) || null;
+  const visibleSections = useMemo(() => {
+    const shown = sections.filter((s) => !s.hidden);
+    if (!audiencePreset) return shown;
+    return audiencePreset.sections.map((id) => shown.find((s) => s.id === id)).filter(Boolean);
+  }, [sections, audiencePreset]);
+  const setActiveAudience = (id) => navigateHashRoute({ section: route.section, params: { audience: id || undefined } });
+
+  // Section and its view state come from the URL hash (see useHashRoute); unknown ids land on the first shown section,
+  // and so do hidden ones unless edit mode is on (the nav lists them there so they can still be edited)
+  const routableSections = isEditModeOn ? sections : visibleSections;
+  const activeSection = routableSections.some((s) => s.id === route.section) ? route.section : (visibleSections[0] || { id: 'overview' }).id;
+  const setActiveSection = useCallback((id) => navigateHashRoute({ section: id }), []);
+  const isDetailView = route.params.detail === '1';
+  const setDetailView = (sectionId, showDetail) => navigateHashRoute({ section: sectionId, params: { ...route.params, detail: showDetail ? '1' : undefined } });
+
+  const presentationSlides = useMemo(
+    () => buildPresentationSlides(visibleSections, audiencePreset, principles),
+    [visibleSections, audiencePreset, principles]
+  );
+  const isPresenting = presentationIndex !== null && presentationSlides.length > 0;
+  const slideIndex = isPresenting ? Math.min(presentationIndex, presentationSlides.length - 1) : null;
+  const currentSlide = isPresenting ? presentationSlides[slideIndex] : null;
+  // The slide decides which section is on screen; activeSection follows so exiting stays there
+  const displayedSection = currentSlide ? currentSlide.sectionId : activeSection;
+  const enteredFullscreenRef = useRef(false);
+
+  // Snapshot previews, presentations and print are read-only
+  const isEditMode = isEditModeOn && !isPresenting && !isPrinting;
+
+  const goToSlide = useCallback((index) => {
+    setPresentationIndex(Math.max(0, Math.min(index, presentationSlides.length - 1)));
+  }, [presentationSlides.length]);
+
+  const startPresentation = () => {
+    const startIndex = presentationSlides.findIndex((slide) => slide.sectionId === activeSection);
+    setPresentationIndex(Math.max(0, startIndex));
+    setPresentationStartedAt(Date.now());
+    const root = document.documentElement;
+    if (root.requestFullscreen && !document.fullscreenElement) {
+      root.requestFullscreen().then(() => { enteredFullscreenRef.current = true; }).catch(() => {});
+    }
+  };
+
+  const exitPresentation = useCallback(() => {
+    setPresentationIndex(null);
+    if (enteredFullscreenRef.current && document.fullscreenElement && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+    enteredFullscreenRef.current = false;
+  }, []);
+
+  useEffect(() => {
+    if (!searchJump) return;
+    highlightSearchMatch(searchJump.needle, colors);
+    setSearchJump(null);
+  }, [route, searchJump, colors]);
+
+  // Each slide shows its section from the top
+  useEffect(() => {
+    if (!currentSlide) return;
+    navigateHashRoute(presentationSlideRoute(currentSlide), { replace: true });
+    window.scrollTo(0, 0);
+  }, [currentSlide]);
+
+  // Arrow keys, space, PageUp/PageDown (presentation remotes), Home/End, Escape
+  useEffect(() => {
+    if (!isPresenting) return;
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey) return;
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      if (e.key === 'Escape') {
+        exitPresentation();
+        return;
+      }
+      let next = null;
+      if (e.key === ' ' && e.shiftKey) next = slideIndex - 1;
+      else if (PRESENTATION_NEXT_KEYS.includes(e.key)) next = slideIndex + 1;
+      else if (PRESENTATION_PREV_KEYS.includes(e.key)) next = slideIndex - 1;
+      else if (e.key === 'Home') next = 0;
+      else if (e.key === 'End') next = presentationSlides.length - 1;
+      if (next === null) return;
+      e.preventDefault();
+      goToSlide(next);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isPresenting, slideIndex, presentationSlides.length, goToSlide, exitPresentation]);
+
+  // Leaving fullscreen (browser Esc) ends the presentation we started it for
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement && enteredFullscreenRef.current) exitPresentation();
+    };
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+  }, [exitPresentation]);
+
+  // Presenter window sync: post the current/next slide and notes whenever they change
+  const presenterChannelRef = useRef(null);
+  const presenterLatestRef = useRef(null);
+  const presenterState = useMemo(() => {
+    if (!currentSlide) return { type: 'state', presenting: false };
+    const nextSlide = presentationSlides[slideIndex + 1];
+    return {
+      type: 'state',
+      presenting: true,
+      index: slideIndex,
+      total: presentationSlides.length,
+      startedAt: presentationStartedAt,
+      current: { label: currentSlide.label, notes: getSlideNotes(currentSlide, sections, { principles, first30PhaseSummary, phases60_90 }) },
+      next: nextSlide ? { label: nextSlide.label } : null
+    };
+  }, [currentSlide, slideIndex, presentationSlides, presentationStartedAt, sections, principles, first30PhaseSummary, phases60_90]);
+  useEffect(() => {
+    presenterLatestRef.current = { state: presenterState, slideIndex, goToSlide };
   });
-  const [sections, setSections] = useLocalStorage('leadershipPlaybook_sections', [
-    { id: 'overview', label: 'Overview', title: 'Overview', subtitle: '' },
-    { id: 'leadership', label: 'Leadership Principles', title: 'Leadership Principles', subtitle: 'My leadership philosophy and how it shows up day to day' },
-    { id: 'field', label: 'From the Field', title: 'From the Field', subtitle: 'What we\'re hearing as working or not working in sales engagements and SA/AE partnerships' },
-    { id: 'gtm', label: 'GTM & Impact', title: 'GTM & Impact Model', subtitle: 'How SAs drive impact pre- and post-sale, and adapt to strategy shifts' },
-    { id: 'first30', label: '30-60-90', title: '30-60-90', subtitle: 'First 30 days: actions & plans; Days 31-60: scale & refine; Days 61-90: broaden & embed' },
-    { id: 'hiring', label: 'Hiring & Team Design', title: 'Hiring & Team Design', subtitle: 'The SA profile, balancing act, internal vs external hiring, and maintaining culture' },
-    { id: 'operating', label: 'Operating & Coaching', title: 'Operating & Coaching Model', subtitle: 'Key metrics, team cadences, and how I uplevel SAs' },
-    { id: 'anecdotes', label: 'Team Anecdotes', title: 'Team Anecdotes', subtitle: 'Feedback and recognition from colleagues at Writer' },
-  ]);
 
-  // Editable content state for Overview (condensed, direct)
-  const defaultOverviewContent = {
-    subtitle: 'West Coast SA Manager | Leadership Panel',
-    title: 'My Leadership Playbook',
-    description: 'High-performing West Coast SA team at Writer.',
-    context: [
-      'Backfill + headcount clarity for West Strat; maintain 3:1 AE:SA ratio.',
-      'Product Vision Changes: Agent Builder sunset; enable team on Writer Agent and platform changes.',
-      'Solutions Architecture scaffolding; reduce silos, create consistency.',
-      'Writer Agent = New POC Playbook and figuring out what scales and lands'
-    ],
-    strategicBets: [
-      'Pods over round-robin: consistent SA/AE pairings, deeper account knowledge.',
-      'Process before scale: handoffs, POC templates, exit gates so information is accessible.',
-      'Coaching as infrastructure: onboarding, post-mortems, shadow programs—repeatable excellence.',
-      'Leading metrics: dashboard to validate before scaling.'
-    ],
-    strategicPriorities: [
-      'SAs as strategic partners: ROI storytelling, seat at the table in deal strategy and pipeline.',
-      'Consistent SA/AE pairings; early engagement, inclusion in forecast and account planning.',
-      'Technical voice of the deal: clear handoffs, shared exit criteria, joint ownership of validation.',
-      'Writer Agent: complement, not replacement; SAs lead technical narrative.',
-      'Guardrails for post-sales vs. custom builds; SAs focus on high-leverage work.'
-    ],
-    saLeadershipLens: DEFAULT_SA_LEADERSHIP_LENS
+  useEffect(() => {
+    if (typeof BroadcastChannel === 'undefined') return;
+    const channel = new BroadcastChannel(PRESENTER_CHANNEL);
+    presenterChannelRef.current = channel;
+    channel.onmessage = (e) => {
+      if (!presenterLatestRef.current) return;
+      const { state, slideIndex: index, goToSlide: goTo } = presenterLatestRef.current;
+      const type = e.data && e.data.type;
+      if (type === 'hello') channel.postMessage(state);
+      else if (type === 'next' && index !== null) goTo(index + 1);
+      else if (type === 'prev' && index !== null) goTo(index - 1);
+      else if (type === 'resetTimer') setPresentationStartedAt(Date.now());
+    };
+    return () => {
+      channel.close();
+      presenterChannelRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (presenterChannelRef.current) presenterChannelRef.current.postMessage(presenterState);
+  }, [presenterState]);
+
+  // Print / PDF: render the print layout, give charts a moment to redraw at print width, then open the dialog
+  const printPlaybook = () => {
+    setIsPrinting(true);
+    setTimeout(() => window.print(), PRINT_SETTLE_MS);
   };
 
+  // Browser print (Cmd/Ctrl+P) gets the same layout; afterprint restores the screen view
+  useEffect(() => {
+    const handleBeforePrint = () => flushSync(() => setIsPrinting(true));
+    const handleAfterPrint = () => setIsPrinting(false);
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', handleAfterPrint);
+    return () => {
+      window.removeEventListener('beforeprint', handleBeforePrint);
+      window.removeEventListener('afterprint', handleAfterPrint);
+    };
+  }, []);
+
+  // Global undo/redo: Cmd/Ctrl+Z, Shift+Cmd/Ctrl+Z (or Ctrl+Y). Text fields keep their native undo.
+  useEffect(() => {
+    if (!isEditMode) return;
+    const handleKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoEdit();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoEdit();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isEditMode]);
+
+  // Cmd/Ctrl+K toggles search (works from inside text fields too); not while presenting or printing
+  useEffect(() => {
+    if (isPresenting || isPrinting) return;
+    const handleKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+      e.preventDefault();
+      setIsSearchOpen((open) => !open);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isPresenting, isPrinting]);
+
+
   const [overviewContent, setOverviewContent] = useLocalStorage('leadershipPlaybook_overviewContent', defaultOverviewContent);
 
   const updateOverviewContent = useCallback((key, value) => {
@@ -5205,34 +10574,62 @@ export default function App() {
   }, [setOverviewContent]);
 
   return (
+    <ThemeContext.Provider value={theme.value}>
     <EditModeContext.Provider value={{ isEditMode }}>
+    <PrintContext.Provider value={{ isPrinting }}>
+    <AudienceContext.Provider value={{ preset: audiencePreset }}>
       <div style={{ 
-        backgroundColor: '#ffffff', 
+        backgroundColor: colors.bg, 
+        color: colors.text,
         minHeight: '100vh', 
         fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
         width: '100%',
         overflowX: 'hidden',
         position: 'relative'
       }}>
-        <EditModeBanner isEditMode={isEditMode} />
-        <Navigation activeSection={activeSection} setActiveSection={setActiveSection} sections={sections} setSections={setSections} />
+        {isPrinting ? <style>{PRINT_PAGE_CSS}</style> : <style>{SEARCH_HIGHLIGHT_CSS + focusRingCss(colors)}</style>}
+        {!isPresenting && !isPrinting && (previewSnapshot ? <SnapshotPreviewBanner snapshot={previewSnapshot} /> : <EditModeBanner isEditMode={isEditMode} />)}
+        {!isPresenting && !isPrinting && (
+          <Navigation
+            activeSection={activeSection}
+            setActiveSection={setActiveSection}
+            sections={sections}
+            setSections={setSections}
+            visibleSections={visibleSections}
+            audiencePresets={audiencePresets}
+            setAudiencePresets={setAudiencePresets}
+            activeAudienceId={audiencePreset && audiencePreset.id}
+            setActiveAudience={setActiveAudience}
+          />
+        )}
         
-        <main style={{ 
-          maxWidth: '1200px', 
+        {/* Keyed so charts remount and measure the print width */}
+        <main key={isPrinting ? 'print' : 'screen'} style={{ 
+          maxWidth: isPrinting ? PRINT_CONTENT_WIDTH : '1200px', 
           margin: '0 auto', 
-          padding: '40px 32px',
+          padding: isPrinting ? 0 : isPresenting ? '48px 32px 80px' : '40px 32px',
           width: '100%',
           boxSizing: 'border-box'
         }}>
           
-          {sections.map((section, sectionIndex) => {
-            if (section.id !== activeSection) return null;
+          {(isPrinting ? visibleSections : sections).map((section) => {
+            if (!isPrinting && section.id !== displayedSection) return null;
             
-            const sectionNumber = String(sectionIndex + 1).padStart(2, '0');
+            const sectionIndex = sections.indexOf(section);
+            const visibleIndex = visibleSections.indexOf(section);
+            const sectionNumber = visibleIndex === -1 ? 'Hidden' : String(visibleIndex + 1).padStart(2, '0');
+            // Print: one section per page, in the audience preset's order
+            const sectionPageStyle = isPrinting && visibleIndex > 0 ? { breakBefore: 'page' } : undefined;
+
+            const updateSectionTitle = (field, value) => {
+              const newSections = [...sections];
+              newSections[sectionIndex] = { ...newSections[sectionIndex], [field]: value };
+              setSections(newSections);
+            };
             
             if (section.id === 'overview') {
               return (
-                <div key={section.id}>
+                <div key={section.id} style={sectionPageStyle}>
                   {/* Hero Section */}
                   <div style={{ marginBottom: '32px' }}>
                 <p style={{ 
@@ -5272,6 +10669,7 @@ export default function App() {
                     multiline
                   />
                 </p>
+                <SpeakerNotes value={section.notes} onChange={(v) => updateSectionTitle('notes', v)} />
               </div>
 
               {/* Current State, Strategic Bets, Upleveling SAs — main overview components */}
@@ -5511,22 +10909,18 @@ export default function App() {
               );
             }
             
-            const updateSectionTitle = (field, value) => {
-              const newSections = [...sections];
-              newSections[sectionIndex] = { ...newSections[sectionIndex], [field]: value };
-              setSections(newSections);
-            };
-            
             // For non-overview sections: summary first, or full content after "Double Click" (anecdotes has no summary)
             // Sections in SECTIONS_WITHOUT_SUMMARY skip the summary card and always show full content
             const SECTIONS_WITHOUT_SUMMARY = ['field', 'leadership', 'gtm', 'hiring', 'operating', 'first30'];
             if (section.id !== 'overview') {
               const sectionSummary = SECTION_SUMMARIES[section.id];
-              const skipSummaryForSection = SECTIONS_WITHOUT_SUMMARY.includes(section.id);
-              const showSummary = !skipSummaryForSection && section.id !== 'anecdotes' && !detailViewSections[section.id] && sectionSummary;
+              const skipSummaryForSection = SECTIONS_WITHOUT_SUMMARY.includes(section.id) || isCustomSection(section);
+              const showSummary = currentSlide
+                ? currentSlide.view === 'summary'
+                : !isPrinting && !skipSummaryForSection && section.id !== 'anecdotes' && !isDetailView && sectionSummary;
               if (showSummary) {
                 return (
-                  <div key={section.id}>
+                  <div key={section.id} style={sectionPageStyle}>
                     <SectionSummaryCard
                       sectionNumber={sectionNumber}
                       title={section.title || section.label}
@@ -5534,20 +10928,21 @@ export default function App() {
                       headline={sectionSummary.headline}
                       summary={sectionSummary.summary}
                       bullets={sectionSummary.bullets || []}
-                      timeline={sectionSummary.timeline}
-                      onShowDetail={() => setDetailViewSections(prev => ({ ...prev, [section.id]: true }))}
-                      sectionColor={section.color || colors.accent}
+                      timeline={sectionSummary.timeline && sectionSummary.timeline.map((t) => ({ ...t, color: themedColor(t.color, colors) }))}
+                      onShowDetail={() => currentSlide ? goToSlide(slideIndex + 1) : setDetailView(section.id, true)}
+                      colors={colors}
+                      sectionColor={themedColor(section.color, colors) || colors.accent}
                     />
                   </div>
                 );
               }
               return (
-                <div key={section.id}>
-                  {section.id !== 'anecdotes' && !skipSummaryForSection && (
+                <div key={section.id} style={sectionPageStyle}>
+                  {section.id !== 'anecdotes' && !skipSummaryForSection && !isPresenting && !isPrinting && (
                     <div style={{ marginBottom: '16px' }}>
                       <button
                         type="button"
-                        onClick={() => setDetailViewSections(prev => ({ ...prev, [section.id]: false }))}
+                        onClick={() => setDetailView(section.id, false)}
                         style={{
                           background: 'none',
                           border: 'none',
@@ -5600,6 +10995,7 @@ export default function App() {
                         multiline
                       />
                     )}
+                    <SpeakerNotes value={section.notes} onChange={(v) => updateSectionTitle('notes', v)} />
                   </div>
                   {section.id === 'leadership' && <LeadershipPrinciplesSection />}
                   {section.id === 'hiring' && <HiringTeamDesignSection />}
@@ -5608,6 +11004,7 @@ export default function App() {
                   {(section.id === 'first30' || section.id === 'first100') && <First30DaysSection />}
                   {section.id === 'field' && <FromTheFieldSection />}
                   {section.id === 'anecdotes' && <TeamAnecdotesSection />}
+                  {isCustomSection(section) && <CustomSectionContent section={section} onChange={(v) => updateSectionTitle('content', v)} />}
                 </div>
               );
             }
@@ -5616,18 +11013,45 @@ export default function App() {
           })}
         </main>
 
-        <footer style={{ 
+        {!isPresenting && !isPrinting && <footer style={{ 
           borderTop: `1px solid ${colors.border}`, 
           padding: '32px', 
           textAlign: 'center',
           marginTop: '48px',
           backgroundColor: colors.gray50
         }}>
+          <div style={{ display: 'flex', justifyContent: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+            <PlaybookBundleControls />
+            <PlaybookSnapshotControls />
+            <MarkdownExportControls sections={visibleSections} />
+            <ToolButton onClick={printPlaybook} title="Every section on its own page, all tabs expanded — use Save as PDF in the print dialog">Print / PDF</ToolButton>
+          </div>
           <p style={{ fontSize: '13px', color: colors.textMuted, margin: 0, fontWeight: '400' }}>SA Manager Leadership Panel • Writer • 2026</p>
-        </footer>
-
-        <ModeToggle isEditMode={isEditMode} setIsEditMode={setIsEditMode} />
+        </footer>}
+
+        {isPrinting ? null : isPresenting ? (
+          <PresentationControls
+            slides={presentationSlides}
+            index={slideIndex}
+            onGoTo={goToSlide}
+            onExit={exitPresentation}
+            onOpenPresenter={openPresenterWindow}
+          />
+        ) : (
+          <FloatingControls>
+            {isEditMode && <UndoRedoControls />}
+            <SearchButton onClick={() => setIsSearchOpen(true)} />
+            <PresentButton onClick={startPresentation} />
+            <PresentButton onClick={openPresenterWindow} title="Open notes, next slide and timer in a second window; it follows along once you present">Presenter view</PresentButton>
+            <ThemeToggle preference={theme.preference} setPreference={theme.setPreference} />
+            {!previewSnapshot && <ModeToggle isEditMode={isEditMode} setIsEditMode={setIsEditMode} />}
+          </FloatingControls>
+        )}
+        {isSearchOpen && !isPresenting && !isPrinting && <SearchDialog sections={visibleSections} onClose={() => setIsSearchOpen(false)} onOpenResult={setSearchJump} />}
       </div>
+    </AudienceContext.Provider>
+    </PrintContext.Provider>
     </EditModeContext.Provider>
+    </ThemeContext.Provider>
   );
 }
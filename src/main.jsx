@@ -1,10 +1,13 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+import App, { PresenterView } from './App.jsx'
+
+// ?presenter opens the speaker notes / timer window for a running presentation
+const isPresenterWindow = new URLSearchParams(window.location.search).has('presenter')
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isPresenterWindow ? <PresenterView /> : <App />}
   </StrictMode>,
 )